@@ -15,9 +15,11 @@ import hybridGunService from './services/hybridGunService';
 import friendsService from './services/friendsService';
 import messageService from './services/messageService';
 import presenceService from './services/presenceService';
+import deviceService from './services/deviceService';
+import appLockService from './services/appLockService';
 
 // Import onlineStatusFix after basic services (it depends on them)
-import onlineStatusManager from './utils/onlineStatusFix';
+import './utils/onlineStatusFix';
 
 // Production-safe timeout manager using closure
 const createTimeoutManager = () => {
@@ -45,6 +47,7 @@ import { AuthContainer } from './components/index';
 import { MainChatInterface } from './components/index';
 import { LoadingScreen } from './components/index';
 import { ErrorScreen } from './components/index';
+import { LockScreen } from './components/index';
 
 /**
  * Main App Component
@@ -54,6 +57,8 @@ function App() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [inviteCode, setInviteCode] = useState(null);
+  const [deviceLink, setDeviceLink] = useState(null);
+  const [lockedAccount, setLockedAccount] = useState(null);
   const [initError, setInitError] = useState(null);
   const [isAdminSetup, setIsAdminSetup] = useState(false);
   const loadFriendsRef = useRef(null);
@@ -85,6 +90,32 @@ function App() {
     }
   }, []);
 
+  // Another of our devices revoked this one: sign out and forget everything
+  useEffect(() => deviceService.onRevoked(async () => {
+    alert('This device was removed from your account on another device. You will be signed out.');
+    const publicKey = gunAuthService.getCurrentUser()?.pub;
+    gunAuthService.logout();
+    hybridGunService.cleanup();
+    await deviceService.wipeLocalData(publicKey);
+    window.location.href = window.location.origin;
+  }), []);
+
+  // App lock wiped the keys, or the session outlived APP_CONFIG.auth.sessionTimeout
+  useEffect(() => appLockService.onChange((event, data) => {
+    if (event !== 'locked' && event !== 'expired') return;
+
+    globalTimeoutManager.clearAuthTimeout();
+    hybridGunService.cleanup();
+    setUser(null);
+
+    if (event === 'locked') {
+      setLockedAccount(data.publicKey);
+    } else {
+      gunAuthService.logout();
+      alert('Your session expired. Please log in again.');
+    }
+  }), []);
+
   // Callback to receive loadFriends function from ChatView
   const handleInviteAccepted = (loadFriendsFunc) => {
     loadFriendsRef.current = loadFriendsFunc;
@@ -144,6 +175,9 @@ function App() {
           code = hashPath.replace('invite/', '');
         }
 
+        // Device link QR codes open #link/ID/KEY on the new device
+        const linkPath = /^\/?link\//.test(hashPath) ? window.location.hash : null;
+
         // Check for admin setup parameter
         const urlParams = new URLSearchParams(window.location.search);
         const setupMode = urlParams.get('setup');
@@ -166,8 +200,14 @@ function App() {
         // so chat history and realtime subscriptions work consistently.
         hybridGunService.initialize();
 
-        // Check for existing session
+        // Check for existing session; a tab locked before reloading stays locked
         const currentUser = gunAuthService.getCurrentUser();
+        if (!currentUser) setLockedAccount(appLockService.getLockedAccount());
+        if (linkPath) {
+          if (!currentUser) setDeviceLink(linkPath);
+          window.history.replaceState({}, document.title, window.location.pathname);
+        }
+
         if (currentUser) {
           setUser(currentUser);
 
@@ -181,9 +221,16 @@ function App() {
             console.error('❌ Failed to initialize messaging:', error);
           }
 
+          // Register this browser in the account's device registry
+          deviceService.initialize().catch((error) => {
+            debugLogger.error('Failed to register device', error);
+          });
+
           // Initialize message service
           messageService.initialize();
 
+          appLockService.start();
+
           // If logged in with invite, process it
           if (code) {
             try {
@@ -233,6 +280,7 @@ function App() {
     }
 
     setUser(authUser);
+    setDeviceLink(null);
 
     // Initialize Gun messaging
     try {
@@ -246,12 +294,17 @@ function App() {
 
     // Initialize presence service and set online
     presenceService.initialize();
-    hybridGunService.updatePresence('online');
-    onlineStatusManager.updateOwnStatus();
+
+    // Register this browser in the account's device registry
+    deviceService.initialize().catch((error) => {
+      debugLogger.error('Failed to register device', error);
+    });
 
     // Initialize message service
     messageService.initialize();
 
+    appLockService.start();
+
             // Handle invite if present (from registration or from URL)
         const codeToUse = inviteCodeFromReg || inviteCode;
         if (codeToUse) {
@@ -292,11 +345,23 @@ function App() {
       timeoutManager.clearAuthTimeout();
     }
 
+    appLockService.stop();
     gunAuthService.logout();
     hybridGunService.cleanup();
     setUser(null);
   };
 
+  const handleUnlocked = (authUser) => {
+    setLockedAccount(null);
+    handleAuth(authUser);
+  };
+
+  // Keys are already wiped while locked; just forget the lock
+  const handleLockSignOut = () => {
+    appLockService.stop();
+    setLockedAccount(null);
+  };
+
   // Render based on state
   if (loading) {
     return <LoadingScreen message="Initializing Whisperz..." />;
@@ -306,11 +371,16 @@ function App() {
     return <ErrorScreen error={initError} onRetry={() => window.location.reload()} />;
   }
 
+  if (!user && lockedAccount) {
+    return <LockScreen onUnlocked={handleUnlocked} onSignOut={handleLockSignOut} />;
+  }
+
   if (!user) {
     return (
       <AuthContainer
         onAuthSuccess={handleAuth}
         inviteCode={inviteCode}
+        deviceLink={deviceLink}
         isAdminSetup={isAdminSetup}
       />
     );
@@ -0,0 +1,378 @@
+import React, { useState, useEffect } from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import { useResponsive } from '../hooks/useResponsive';
+import gunAuthService from '../services/gunAuthService';
+import recoveryService from '../services/recoveryService';
+import appLockService from '../services/appLockService';
+import { formatDuration } from '../services/messageService';
+import { APP_CONFIG } from '../config/app.config.js';
+
+/**
+ * AccountSecurityDialog Component
+ * Changes the account password, manages the recovery kit used to set a
+ * new one after forgetting it, and sets up the app lock on this device.
+ */
+function AccountSecurityDialog({ isOpen, onClose }) {
+  const { colors } = useTheme();
+  const screen = useResponsive();
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [changing, setChanging] = useState(false);
+  const [kit, setKit] = useState(null); // { createdAt } or null
+  const [phrase, setPhrase] = useState('');
+  const [status, setStatus] = useState(null); // { text, error }
+  const [lock, setLock] = useState(() => appLockService.getSettings());
+  const [lockPassphrase, setLockPassphrase] = useState('');
+  const [lockConfirm, setLockConfirm] = useState('');
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    setLock(appLockService.getSettings());
+    return appLockService.onChange((event, data) => {
+      if (event === 'settings') setLock(data);
+    });
+  }, [isOpen]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    let cancelled = false;
+    setStatus(null);
+    recoveryService.getKitStatus()
+      .then((value) => {
+        if (!cancelled) setKit(value);
+      })
+      .catch((error) => {
+        if (!cancelled) setStatus({ text: error.message, error: true });
+      });
+
+    return () => {
+      cancelled = true;
+      setPhrase('');
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      setLockPassphrase('');
+      setLockConfirm('');
+    };
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const changePassword = async (e) => {
+    e.preventDefault();
+    if (newPassword !== confirmPassword) {
+      setStatus({ text: 'New passwords do not match', error: true });
+      return;
+    }
+
+    setChanging(true);
+    try {
+      await gunAuthService.changePassword(currentPassword, newPassword);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      setStatus({ text: 'Password changed' });
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    } finally {
+      setChanging(false);
+    }
+  };
+
+  const createKit = async () => {
+    if (kit && !window.confirm('Replace your recovery kit? The old phrase stops working.')) return;
+
+    try {
+      setPhrase(await recoveryService.createKit());
+      setKit({ createdAt: Date.now() });
+      setStatus({ text: 'Write down or print this phrase now. It is not shown again.' });
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    }
+  };
+
+  const removeKit = async () => {
+    if (!window.confirm('Remove your recovery kit? You cannot recover the account if you forget your password.')) return;
+
+    try {
+      await recoveryService.removeKit();
+      setKit(null);
+      setPhrase('');
+      setStatus({ text: 'Recovery kit removed' });
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    }
+  };
+
+  const printKit = () => {
+    try {
+      recoveryService.printKit(gunAuthService.getAlias(), phrase);
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    }
+  };
+
+  const enableLock = async (e) => {
+    e.preventDefault();
+    if (lockPassphrase !== lockConfirm) {
+      setStatus({ text: 'PINs do not match', error: true });
+      return;
+    }
+
+    try {
+      await appLockService.enable(lockPassphrase, { idleTimeout: lock.idleTimeout, lockOnHide: lock.lockOnHide });
+      setLockPassphrase('');
+      setLockConfirm('');
+      setStatus({ text: lock.enabled ? 'PIN changed' : 'App lock is on' });
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    }
+  };
+
+  // Options of a lock that is not on yet are kept until it is turned on
+  const changeLockOption = (changes) => {
+    if (lock.enabled) {
+      appLockService.updateSettings(changes);
+    } else {
+      setLock({ ...lock, ...changes });
+    }
+  };
+
+  const disableLock = () => {
+    if (!window.confirm('Turn off app lock? Anyone with this browser can read your chats while you are signed in.')) return;
+    appLockService.disable();
+    setStatus({ text: 'App lock is off' });
+  };
+
+  const lockNow = () => {
+    onClose();
+    appLockService.lock();
+  };
+
+  const buttonStyle = (primary) => ({
+    padding: '6px 12px',
+    background: primary ? colors.primary : colors.bgTertiary,
+    border: 'none',
+    borderRadius: '8px',
+    color: primary ? '#fff' : colors.textPrimary,
+    fontSize: '12px',
+    cursor: 'pointer'
+  });
+
+  const inputStyle = {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '6px 8px',
+    marginBottom: '8px',
+    background: colors.bgTertiary,
+    border: `1px solid ${colors.borderColor}`,
+    borderRadius: '8px',
+    color: colors.textPrimary,
+    fontSize: '13px'
+  };
+
+  const sectionTitle = { margin: '0 0 6px', fontSize: '13px', color: colors.textPrimary };
+  const hint = { margin: '0 0 8px', fontSize: '12px', color: colors.textMuted };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        backdropFilter: 'blur(5px)',
+        display: 'flex',
+        alignItems: 'flex-start',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: screen.isTiny ? '8px' : '48px 16px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: colors.bgSecondary,
+          borderRadius: '12px',
+          padding: screen.isTiny ? '12px' : '16px',
+          maxWidth: screen.isMobile ? '100%' : '440px',
+          width: '100%',
+          boxShadow: colors.shadow,
+          maxHeight: '80vh',
+          overflowY: 'auto'
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '10px' }}>
+          <h3 style={{ margin: 0, fontSize: '16px', color: colors.textPrimary }}>🔑 Account security</h3>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              fontSize: '20px',
+              color: colors.textMuted,
+              cursor: 'pointer',
+              width: '28px',
+              height: '28px'
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        <form onSubmit={changePassword}>
+          <h4 style={sectionTitle}>Change password</h4>
+          <p style={hint}>Your keys are re-encrypted under the new password. Other signed-in devices stay signed in.</p>
+          <input
+            type="password"
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+            placeholder="Current password"
+            autoComplete="current-password"
+            required
+            style={inputStyle}
+          />
+          <input
+            type="password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            placeholder="New password"
+            autoComplete="new-password"
+            required
+            style={inputStyle}
+          />
+          <input
+            type="password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            placeholder="Confirm new password"
+            autoComplete="new-password"
+            required
+            style={inputStyle}
+          />
+          <button type="submit" disabled={changing} style={buttonStyle(true)}>
+            {changing ? 'Changing...' : 'Change password'}
+          </button>
+        </form>
+
+        <div style={{ marginTop: '16px', paddingTop: '12px', borderTop: `1px solid ${colors.borderColor}` }}>
+          <h4 style={sectionTitle}>Recovery kit</h4>
+          <p style={hint}>
+            A recovery phrase lets you set a new password on any device if you forget yours.
+            Anyone holding it can take over your account, so keep it offline.
+            {kit ? ` Created ${new Date(kit.createdAt).toLocaleDateString()}.` : ' No kit created yet.'}
+          </p>
+
+          {phrase && (
+            <div style={{
+              padding: '10px',
+              marginBottom: '8px',
+              background: colors.bgTertiary,
+              border: `1px solid ${colors.success}`,
+              borderRadius: '8px',
+              fontFamily: 'Consolas, Monaco, "Courier New", monospace',
+              fontSize: '15px',
+              letterSpacing: '1px',
+              textAlign: 'center',
+              wordBreak: 'break-all',
+              color: colors.textPrimary
+            }}>
+              {phrase}
+            </div>
+          )}
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+            <button onClick={createKit} style={buttonStyle(!kit)}>
+              {kit ? 'Create new kit' : 'Create recovery kit'}
+            </button>
+            {phrase && <button onClick={printKit} style={buttonStyle(false)}>Print</button>}
+            {kit && (
+              <button onClick={removeKit} style={{ ...buttonStyle(false), color: colors.error }}>Remove kit</button>
+            )}
+          </div>
+        </div>
+
+        <div style={{ marginTop: '16px', paddingTop: '12px', borderTop: `1px solid ${colors.borderColor}` }}>
+          <h4 style={sectionTitle}>App lock {lock.enabled ? '(on)' : '(off)'}</h4>
+          <p style={hint}>
+            Locks Whisperz on this device after a period of inactivity and wipes your keys from memory.
+            Unlock with a PIN or passphrase. Closing the tab ends the session, so you then sign in with your password.
+          </p>
+          <p style={hint}>
+            The lock only guards against casual access, such as someone picking up your unlocked device. Anyone who
+            copies this browser&apos;s storage while a session is open can try every PIN offline; a long passphrase
+            makes that far slower, but only signing out fully protects your keys.
+          </p>
+
+          <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+            <select
+              value={lock.idleTimeout}
+              onChange={(e) => changeLockOption({ idleTimeout: Number(e.target.value) })}
+              style={{ ...inputStyle, width: 'auto', marginBottom: 0 }}
+            >
+              {APP_CONFIG.appLock.idleTimeouts.map((timeout) => (
+                <option key={timeout} value={timeout}>Lock after {formatDuration(timeout / 1000)} idle</option>
+              ))}
+            </select>
+            <label style={{ fontSize: '12px', color: colors.textPrimary, cursor: 'pointer' }}>
+              <input
+                type="checkbox"
+                checked={lock.lockOnHide}
+                onChange={() => changeLockOption({ lockOnHide: !lock.lockOnHide })}
+                style={{ marginRight: '6px' }}
+              />
+              Lock when I switch tabs
+            </label>
+          </div>
+
+          <form onSubmit={enableLock}>
+            <input
+              type="password"
+              value={lockPassphrase}
+              onChange={(e) => setLockPassphrase(e.target.value)}
+              placeholder={lock.enabled ? 'New PIN or passphrase' : 'PIN or passphrase'}
+              autoComplete="new-password"
+              required
+              style={inputStyle}
+            />
+            <input
+              type="password"
+              value={lockConfirm}
+              onChange={(e) => setLockConfirm(e.target.value)}
+              placeholder="Confirm PIN or passphrase"
+              autoComplete="new-password"
+              required
+              style={inputStyle}
+            />
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+              <button type="submit" style={buttonStyle(!lock.enabled)}>
+                {lock.enabled ? 'Change PIN' : 'Turn on app lock'}
+              </button>
+              {lock.enabled && (
+                <>
+                  <button type="button" onClick={lockNow} style={buttonStyle(true)}>🔒 Lock now</button>
+                  <button type="button" onClick={disableLock} style={{ ...buttonStyle(false), color: colors.error }}>
+                    Turn off
+                  </button>
+                </>
+              )}
+            </div>
+          </form>
+        </div>
+
+        {status && (
+          <div style={{ marginTop: '12px', fontSize: '12px', color: status.error ? colors.error : colors.success }}>
+            {status.text}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AccountSecurityDialog;
@@ -0,0 +1,135 @@
+import React, { useState, useEffect, memo } from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import attachmentService, { formatSize } from '../services/attachmentService';
+
+/**
+ * ProgressBar Component
+ * Thin bar for a 0..1 upload or download fraction
+ */
+export const ProgressBar = memo(({ progress, color }) => (
+  <div style={{ height: '4px', background: 'rgba(128, 128, 128, 0.3)', borderRadius: '2px', overflow: 'hidden' }}>
+    <div style={{
+      width: `${Math.round(progress * 100)}%`,
+      height: '100%',
+      background: color,
+      transition: 'width 0.2s'
+    }} />
+  </div>
+));
+
+ProgressBar.displayName = 'ProgressBar';
+
+/**
+ * AttachmentView Component
+ * Renders an encrypted attachment from its manifest. Images show their
+ * thumbnail until opened; the full file is fetched, verified and
+ * decrypted on demand.
+ */
+const AttachmentView = memo(({ attachment }) => {
+  const { colors } = useTheme();
+  const [progress, setProgress] = useState(null);
+  const [objectUrl, setObjectUrl] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => () => {
+    if (objectUrl) URL.revokeObjectURL(objectUrl);
+  }, [objectUrl]);
+
+  if (!attachmentService.isValidManifest(attachment)) {
+    return <div style={{ fontSize: '12px', opacity: 0.7 }}>⚠ Unsupported attachment</div>;
+  }
+
+  const isImage = attachment.type.startsWith('image/');
+
+  const fetchFile = async () => {
+    if (objectUrl) return objectUrl;
+
+    setError(null);
+    setProgress(0);
+    try {
+      const blob = await attachmentService.download(attachment, { onProgress: setProgress });
+      const url = URL.createObjectURL(blob);
+      setObjectUrl(url);
+      return url;
+    } catch (err) {
+      setError(err.message);
+      return null;
+    } finally {
+      setProgress(null);
+    }
+  };
+
+  const handleSave = async () => {
+    const url = await fetchFile();
+    if (!url) return;
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = attachment.name;
+    link.click();
+  };
+
+  return (
+    <div style={{ minWidth: '180px', maxWidth: '280px' }}>
+      {isImage && (objectUrl || attachment.thumbnail) && (
+        <img
+          src={objectUrl || attachment.thumbnail}
+          alt={attachment.name}
+          onClick={objectUrl ? handleSave : fetchFile}
+          title={objectUrl ? 'Save image' : 'Load full image'}
+          style={{
+            display: 'block',
+            maxWidth: '100%',
+            maxHeight: '240px',
+            borderRadius: '8px',
+            cursor: 'pointer',
+            marginBottom: '4px'
+          }}
+        />
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <span style={{ fontSize: '20px' }}>{isImage ? '🖼' : '📄'}</span>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{
+            fontSize: '13px',
+            overflow: 'hidden',
+            textOverflow: 'ellipsis',
+            whiteSpace: 'nowrap'
+          }}>
+            {attachment.name}
+          </div>
+          <div style={{ fontSize: '11px', opacity: 0.7 }}>{formatSize(attachment.size)}</div>
+        </div>
+        <button
+          onClick={handleSave}
+          disabled={progress !== null}
+          title="Download"
+          style={{
+            background: 'transparent',
+            border: `1px solid ${colors.borderColor}`,
+            borderRadius: '6px',
+            color: 'inherit',
+            cursor: progress !== null ? 'wait' : 'pointer',
+            padding: '2px 8px'
+          }}
+        >
+          ⬇
+        </button>
+      </div>
+
+      {progress !== null && (
+        <div style={{ marginTop: '4px' }}>
+          <ProgressBar progress={progress} color={colors.primary} />
+        </div>
+      )}
+      {error && (
+        <div style={{ fontSize: '11px', color: colors.error, marginTop: '4px' }}>⚠ {error}</div>
+      )}
+    </div>
+  );
+});
+
+AttachmentView.displayName = 'AttachmentView';
+
+export default AttachmentView;
@@ -1,13 +1,15 @@
 import React, { useState, useEffect } from 'react';
 import LoginView from './LoginView';
 import RegisterView from './RegisterView';
+import LinkDeviceView from './LinkDeviceView';
+import RecoverAccountView from './RecoverAccountView';
 
 /**
  * AuthContainer Component
  * Handles authentication flow and mode switching
  */
-function AuthContainer({ onAuthSuccess, inviteCode, isAdminSetup: isAdminSetupProp }) {
-  const [authMode, setAuthMode] = useState('login');
+function AuthContainer({ onAuthSuccess, inviteCode, deviceLink, isAdminSetup: isAdminSetupProp }) {
+  const [authMode, setAuthMode] = useState(deviceLink ? 'link' : 'login');
   const [isAdminSetup, setIsAdminSetup] = useState(isAdminSetupProp || false);
 
   // Check for admin setup on mount
@@ -45,6 +47,33 @@ function AuthContainer({ onAuthSuccess, inviteCode, isAdminSetup: isAdminSetupPr
     setAuthMode('register');
   };
 
+  const switchToLink = () => {
+    setAuthMode('link');
+  };
+
+  const switchToRecover = () => {
+    setAuthMode('recover');
+  };
+
+  if (authMode === 'link') {
+    return (
+      <LinkDeviceView
+        onLinked={handleAuth}
+        onCancel={switchToLogin}
+        deviceLink={deviceLink}
+      />
+    );
+  }
+
+  if (authMode === 'recover') {
+    return (
+      <RecoverAccountView
+        onRecovered={handleAuth}
+        onCancel={switchToLogin}
+      />
+    );
+  }
+
   if (authMode === 'register') {
     return (
       <RegisterView
@@ -60,6 +89,8 @@ function AuthContainer({ onAuthSuccess, inviteCode, isAdminSetup: isAdminSetupPr
     <LoginView
       onLogin={handleAuth}
       onSwitchToRegister={switchToRegister}
+      onSwitchToLink={switchToLink}
+      onSwitchToRecover={switchToRecover}
       inviteCode={inviteCode}
     />
   );
@@ -2,11 +2,13 @@ import React, { useState, useEffect } from 'react';
 import { useTheme } from '../contexts/ThemeContext';
 import gunAuthService from '../services/gunAuthService';
 import friendsService from '../services/friendsService';
+import SafetyNumberDialog from './SafetyNumberDialog';
 
 /**
  * ChatSecurityStatus Component
  * Shows real-time security status for the current chat
- * Displays encryption status, key exchange status, and connection type
+ * Displays encryption status, key exchange status, connection type and
+ * whether the friend's keys were verified by comparing safety numbers
  */
 const ChatSecurityStatus = ({ friend, connectionState, onCheckConnection, style = {} }) => {
   const { colors } = useTheme();
@@ -18,8 +20,47 @@ const ChatSecurityStatus = ({ friend, connectionState, onCheckConnection, style
     details: []
   });
   const [showDetails, setShowDetails] = useState(false);
+  const [verification, setVerification] = useState({ state: 'unverified', verifiedAt: null });
+  const [verificationRefresh, setVerificationRefresh] = useState(0);
+  const [verifyingFriend, setVerifyingFriend] = useState(null); // stored friend record while the dialog is open
   // Encryption is now always mandatory - no mode selection needed
 
+  const friendPub = friend?.publicKey;
+  const friendEpub = friend?.epub;
+
+  useEffect(() => {
+    if (!friendPub) return undefined;
+
+    let cancelled = false;
+    setVerification({ state: 'unverified', verifiedAt: null });
+    friendsService.getVerificationStatus(friendPub).then((status) => {
+      if (!cancelled) setVerification(status);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [friendPub, friendEpub, verificationRefresh]);
+
+  // Held, accepted and verified key changes
+  useEffect(() => {
+    if (!friendPub) return undefined;
+    return friendsService.onKeyStatusChange((publicKey) => {
+      if (publicKey === friendPub) setVerificationRefresh((count) => count + 1);
+    });
+  }, [friendPub]);
+
+  // Compare numbers against the keys we actually encrypt to
+  const openVerification = async () => {
+    setVerifyingFriend(await friendsService.getFriend(friendPub) || friend);
+  };
+
+  const handleVerificationChange = async () => {
+    setVerificationRefresh((count) => count + 1);
+    const stored = await friendsService.getFriend(friendPub);
+    setVerifyingFriend((current) => (current && stored ? stored : current));
+  };
+
   useEffect(() => {
     if (!friend) {
       setSecurityStatus({
@@ -158,6 +199,23 @@ const ChatSecurityStatus = ({ friend, connectionState, onCheckConnection, style
     }
   };
 
+  const verificationColor = verification.state === 'verified' ? '#43e97b'
+    : verification.state === 'changed' ? '#ff0000'
+      : colors.textMuted;
+
+  const verificationText = verification.state === 'verified' ? '✔ Verified'
+    : verification.pendingEpub ? '⚠ Key changed'
+      : verification.state === 'changed' ? '⚠ Safety number changed'
+        : 'Verify';
+
+  const verificationTooltip = verification.state === 'verified'
+    ? `Safety number verified ${new Date(verification.verifiedAt).toLocaleDateString()}`
+    : verification.pendingEpub
+      ? 'Their encryption key changed. Messages still go to the old key until you accept or verify the new one.'
+      : verification.state === 'changed'
+        ? 'Their keys changed since you verified them. Compare safety numbers again.'
+      : 'Compare safety numbers to confirm nobody is intercepting this chat';
+
   return (
     <div style={{
       display: 'flex',
@@ -207,6 +265,24 @@ const ChatSecurityStatus = ({ friend, connectionState, onCheckConnection, style
       >
         🔒 Always Encrypted
       </div>
+
+      {/* Safety number verification */}
+      <button
+        onClick={openVerification}
+        style={{
+          padding: '6px 10px',
+          background: verification.state === 'changed' ? 'rgba(255, 0, 0, 0.2)' : 'transparent',
+          border: `1px solid ${verificationColor}`,
+          borderRadius: '6px',
+          color: verificationColor,
+          fontSize: '11px',
+          fontWeight: verification.state === 'changed' ? '700' : '600',
+          cursor: 'pointer'
+        }}
+        title={verificationTooltip}
+      >
+        {verificationText}
+      </button>
       
       {/* Main Security Indicator */}
       <div
@@ -318,6 +394,25 @@ const ChatSecurityStatus = ({ friend, connectionState, onCheckConnection, style
             ))}
           </div>
 
+          {/* Verification */}
+          {verification.state === 'changed' && (
+            <div style={{
+              marginTop: '12px',
+              padding: '8px',
+              background: 'rgba(255, 0, 0, 0.1)',
+              border: '1px solid #ff0000',
+              borderRadius: '6px',
+              fontSize: '11px',
+              color: '#ff0000'
+            }}>
+              🚨 <strong>
+                {friend?.nickname || 'Your friend'}&apos;s keys changed{verification.verifiedAt ? ' since you verified them' : ''}.
+              </strong><br/>
+              This happens when they reinstall or reset their account, but it is also what an attacker
+              intercepting your messages looks like. Compare safety numbers again before sharing anything sensitive.
+            </div>
+          )}
+
           {/* Key Info */}
           {friend && (
             <div style={{
@@ -331,6 +426,7 @@ const ChatSecurityStatus = ({ friend, connectionState, onCheckConnection, style
               <div>📍 Friend Key: {friend.publicKey?.substring(0, 16)}...</div>
               <div>🔑 Encryption: {friend.epub ? '✅ Available' : '❌ Missing'}</div>
               <div>🔗 Connection: {connectionState?.isOnline ? '🟢 Online' : '🔴 Offline'}</div>
+              <div>🔐 Safety number: {verification.state === 'verified' ? '✅ Verified' : verification.state === 'changed' ? '🚨 Changed' : 'Not verified'}</div>
             </div>
           )}
 
@@ -405,6 +501,14 @@ const ChatSecurityStatus = ({ friend, connectionState, onCheckConnection, style
           </button>
         </div>
       )}
+
+      <SafetyNumberDialog
+        isOpen={Boolean(verifyingFriend)}
+        onClose={() => setVerifyingFriend(null)}
+        friend={verifyingFriend}
+        verification={verification}
+        onChange={handleVerificationChange}
+      />
     </div>
   );
 };
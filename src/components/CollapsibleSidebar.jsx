@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import hybridGunService from '../services/hybridGunService';
 import friendsService from '../services/friendsService';
+import groupService from '../services/groupService';
+import GroupDialog from './GroupDialog';
+import { useDrafts } from '../hooks/useDrafts';
 
 /**
  * CollapsibleSidebar Component
@@ -15,11 +18,27 @@ function CollapsibleSidebar({
   onGenerateInvite,
   userNickname,
   onLogout,
-  onlineStatus = {} // Accept onlineStatus prop with default
+  onlineStatus = {}, // Accept onlineStatus prop with default
+  selectedGroup = null,
+  onSelectGroup
 }) {
   const [isCollapsed, setIsCollapsed] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
   const [showActions, setShowActions] = useState(null);
+  const [groups, setGroups] = useState(() => groupService.getGroups());
+  const [groupDialog, setGroupDialog] = useState(null); // { group } or {} to create
+  const draftFor = useDrafts(currentUser?.pub);
+
+  // Keep the group list in sync with membership changes
+  useEffect(() => {
+    setGroups(groupService.getGroups());
+    return groupService.onGroupsChange((event, group) => {
+      setGroups(groupService.getGroups());
+      if (event !== 'updated' && selectedGroup?.id === group.id && onSelectGroup) {
+        onSelectGroup(null);
+      }
+    });
+  }, [selectedGroup?.id, onSelectGroup]);
 
   // Use the passed onlineStatus instead of polling locally
   // The parent component should handle real-time updates
@@ -74,11 +93,194 @@ function CollapsibleSidebar({
     setShowActions(null);
   };
 
+  // Handle leave group
+  const handleLeaveGroup = async (group) => {
+    const confirmLeave = window.confirm(`Leave ${group.name}?`);
+    if (!confirmLeave) return;
+
+    try {
+      await groupService.leaveGroup(group.id);
+    } catch (error) {
+      console.error('Failed to leave group:', error);
+      alert('Failed to leave group: ' + error.message);
+    }
+    setShowActions(null);
+  };
+
+  const filteredGroups = groups.filter(group =>
+    group.name.toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  const renderGroup = (group) => {
+    const isSelected = selectedGroup?.id === group.id;
+    const memberCount = Object.keys(group.members).length;
+    const showingActions = showActions === group.id;
+
+    if (isCollapsed) {
+      return (
+        <div
+          key={group.id}
+          onClick={() => onSelectGroup && onSelectGroup(group)}
+          style={{
+            width: '48px',
+            height: '48px',
+            borderRadius: '12px',
+            background: isSelected
+              ? 'linear-gradient(135deg, #667eea, #764ba2)'
+              : 'rgba(255, 255, 255, 0.1)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            fontSize: '16px',
+            fontWeight: '600',
+            color: '#fff',
+            margin: '0 auto 12px',
+            cursor: 'pointer'
+          }}
+          title={group.name}
+        >
+          {group.name.charAt(0).toUpperCase()}
+        </div>
+      );
+    }
+
+    return (
+      <div
+        key={group.id}
+        style={{
+          display: 'flex',
+          alignItems: 'center',
+          padding: '8px 10px',
+          background: isSelected
+            ? 'linear-gradient(135deg, rgba(102, 126, 234, 0.2), rgba(118, 75, 162, 0.2))'
+            : 'transparent',
+          borderRadius: '8px',
+          cursor: 'pointer',
+          position: 'relative',
+          marginBottom: '4px'
+        }}
+      >
+        <div
+          onClick={() => onSelectGroup && onSelectGroup(group)}
+          style={{ display: 'flex', alignItems: 'center', flex: 1, minWidth: 0 }}
+        >
+          <div style={{
+            width: '36px',
+            height: '36px',
+            borderRadius: '10px',
+            background: 'linear-gradient(135deg, #667eea, #764ba2)',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            fontSize: '16px',
+            marginRight: '10px',
+            flexShrink: 0
+          }}>
+            👥
+          </div>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{
+              fontSize: '14px',
+              fontWeight: '500',
+              color: '#fff',
+              whiteSpace: 'nowrap',
+              overflow: 'hidden',
+              textOverflow: 'ellipsis'
+            }}>
+              {group.name}
+            </div>
+            <div style={{ fontSize: '11px', color: 'rgba(255, 255, 255, 0.5)' }}>
+              {memberCount} {memberCount === 1 ? 'member' : 'members'}
+            </div>
+          </div>
+        </div>
+
+        <button
+          onClick={(e) => {
+            e.stopPropagation();
+            setShowActions(showingActions ? null : group.id);
+          }}
+          style={{
+            background: 'transparent',
+            border: 'none',
+            color: 'rgba(255, 255, 255, 0.5)',
+            cursor: 'pointer',
+            padding: '4px',
+            fontSize: '16px',
+            flexShrink: 0
+          }}
+        >
+          ⋮
+        </button>
+
+        {showingActions && (
+          <div style={{
+            position: 'absolute',
+            right: '40px',
+            top: '50%',
+            transform: 'translateY(-50%)',
+            background: 'rgba(20, 20, 30, 0.98)',
+            border: '1px solid rgba(255, 255, 255, 0.2)',
+            borderRadius: '6px',
+            padding: '4px',
+            zIndex: 1000,
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.5)'
+          }}>
+            {groupService.isAdmin(group.id) && (
+              <button
+                onClick={(e) => {
+                  e.stopPropagation();
+                  setGroupDialog({ group });
+                  setShowActions(null);
+                }}
+                style={{
+                  display: 'block',
+                  width: '100%',
+                  padding: '6px 12px',
+                  background: 'transparent',
+                  border: 'none',
+                  color: '#fff',
+                  fontSize: '12px',
+                  cursor: 'pointer',
+                  textAlign: 'left',
+                  borderRadius: '4px'
+                }}
+              >
+                Invite
+              </button>
+            )}
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                handleLeaveGroup(group);
+              }}
+              style={{
+                display: 'block',
+                width: '100%',
+                padding: '6px 12px',
+                background: 'transparent',
+                border: 'none',
+                color: '#ff6666',
+                fontSize: '12px',
+                cursor: 'pointer',
+                textAlign: 'left',
+                borderRadius: '4px'
+              }}
+            >
+              Leave
+            </button>
+          </div>
+        )}
+      </div>
+    );
+  };
+
   const renderFriend = (friend) => {
     const friendKey = friend.publicKey;
     const isOnline = onlineStatus[friendKey]?.online === true;
     const isSelected = selectedFriend?.publicKey === friendKey;
     const showingActions = showActions === friendKey;
+    const draft = isSelected ? '' : draftFor(friendKey);
 
     if (isCollapsed) {
       // Collapsed view - just show avatar
@@ -206,12 +408,24 @@ function CollapsibleSidebar({
             }}>
               {friend.nickname}
             </div>
-            <div style={{
-              fontSize: '11px',
-              color: isOnline ? '#43e97b' : 'rgba(255, 255, 255, 0.5)'
-            }}>
-              {isOnline ? 'Online' : 'Offline'}
-            </div>
+            {draft ? (
+              <div style={{
+                fontSize: '11px',
+                color: 'rgba(255, 255, 255, 0.6)',
+                whiteSpace: 'nowrap',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis'
+              }}>
+                <span style={{ color: '#ff6666' }}>Draft:</span> {draft}
+              </div>
+            ) : (
+              <div style={{
+                fontSize: '11px',
+                color: isOnline ? '#43e97b' : 'rgba(255, 255, 255, 0.5)'
+              }}>
+                {isOnline ? 'Online' : 'Offline'}
+              </div>
+            )}
           </div>
         </div>
 
@@ -394,6 +608,41 @@ function CollapsibleSidebar({
         overflowY: 'auto',
         overflowX: 'hidden'
       }}>
+        {/* Groups */}
+        {!isCollapsed && (
+          <div style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            fontSize: '11px',
+            color: 'rgba(255, 255, 255, 0.4)',
+            marginBottom: '6px'
+          }}>
+            <span>GROUPS</span>
+            <button
+              onClick={() => setGroupDialog({})}
+              style={{
+                background: 'transparent',
+                border: 'none',
+                color: 'rgba(255, 255, 255, 0.7)',
+                fontSize: '14px',
+                cursor: 'pointer',
+                padding: '0 4px'
+              }}
+              title="New group"
+            >
+              +
+            </button>
+          </div>
+        )}
+        {filteredGroups.map(group => renderGroup(group))}
+        {!isCollapsed && filteredGroups.length > 0 && (
+          <div style={{
+            margin: '8px 0 12px',
+            borderTop: '1px solid rgba(255, 255, 255, 0.1)'
+          }} />
+        )}
+
         {filteredFriends.length === 0 ? (
           !isCollapsed && (
             <div style={{
@@ -508,6 +757,14 @@ function CollapsibleSidebar({
           </div>
         )}
       </div>
+
+      <GroupDialog
+        isOpen={groupDialog !== null}
+        group={groupDialog?.group || null}
+        friends={friends}
+        onClose={() => setGroupDialog(null)}
+        onDone={(group) => onSelectGroup && onSelectGroup(group)}
+      />
     </div>
   );
 }
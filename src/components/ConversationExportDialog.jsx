@@ -0,0 +1,220 @@
+import React, { useState } from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import { useResponsive } from '../hooks/useResponsive';
+import conversationExportService, { EXPORT_FORMATS } from '../services/conversationExportService';
+
+const FORMAT_OPTIONS = [
+  { value: EXPORT_FORMATS.ARCHIVE, label: 'Encrypted archive', hint: 'Password-protected, can be imported again' },
+  { value: EXPORT_FORMATS.MARKDOWN, label: 'Markdown', hint: 'Readable transcript, not encrypted' },
+  { value: EXPORT_FORMATS.HTML, label: 'HTML', hint: 'Readable transcript, not encrypted' }
+];
+
+/**
+ * ConversationExportDialog Component
+ * Exports the open conversation as an encrypted archive or a Markdown/HTML
+ * transcript, and imports archives back into history.
+ */
+function ConversationExportDialog({ isOpen, onClose, conversationId, title, names, onImported }) {
+  const { colors } = useTheme();
+  const screen = useResponsive();
+  const [format, setFormat] = useState(EXPORT_FORMATS.ARCHIVE);
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [importFile, setImportFile] = useState(null);
+  const [importPassword, setImportPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null); // { text, error }
+
+  if (!isOpen) return null;
+
+  const isArchive = format === EXPORT_FORMATS.ARCHIVE;
+
+  const handleExport = async () => {
+    if (isArchive && password !== confirmPassword) {
+      setStatus({ text: 'Passwords do not match', error: true });
+      return;
+    }
+
+    setBusy(true);
+    setStatus({ text: 'Decrypting history...' });
+    try {
+      const result = await conversationExportService.exportConversation(conversationId, { format, password, title, names });
+      conversationExportService.download(result);
+      setStatus({ text: `Exported ${result.count} messages to ${result.filename}` });
+      setPassword('');
+      setConfirmPassword('');
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImport = async () => {
+    if (!importFile) return;
+
+    setBusy(true);
+    setStatus({ text: 'Importing archive...' });
+    try {
+      const result = await conversationExportService.importArchive(importFile, importPassword);
+      setStatus({ text: `Imported ${result.imported} messages (${result.skipped} already present or skipped)` });
+      setImportFile(null);
+      setImportPassword('');
+      if (onImported) onImported(result);
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const inputStyle = {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '8px 10px',
+    marginBottom: '8px',
+    background: colors.bgTertiary,
+    border: `1px solid ${colors.borderColor}`,
+    borderRadius: '8px',
+    color: colors.textPrimary,
+    fontSize: '13px',
+    outline: 'none'
+  };
+
+  const buttonStyle = (enabled) => ({
+    padding: '8px 16px',
+    background: enabled ? colors.primary : colors.bgTertiary,
+    border: 'none',
+    borderRadius: '8px',
+    color: enabled ? '#fff' : colors.textMuted,
+    fontSize: '13px',
+    cursor: enabled ? 'pointer' : 'not-allowed'
+  });
+
+  const canExport = !busy && (!isArchive || password.length > 0);
+  const canImport = !busy && Boolean(importFile) && importPassword.length > 0;
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        backdropFilter: 'blur(5px)',
+        display: 'flex',
+        alignItems: 'flex-start',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: screen.isTiny ? '8px' : '48px 16px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: colors.bgSecondary,
+          borderRadius: '12px',
+          padding: screen.isTiny ? '12px' : '16px',
+          maxWidth: screen.isMobile ? '100%' : '440px',
+          width: '100%',
+          boxShadow: colors.shadow,
+          maxHeight: '80vh',
+          overflowY: 'auto'
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '10px' }}>
+          <h3 style={{ margin: 0, fontSize: '16px', color: colors.textPrimary }}>⬇ Export conversation</h3>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              fontSize: '20px',
+              color: colors.textMuted,
+              cursor: 'pointer',
+              width: '28px',
+              height: '28px'
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        {FORMAT_OPTIONS.map((option) => (
+          <label
+            key={option.value}
+            style={{ display: 'flex', alignItems: 'flex-start', gap: '8px', marginBottom: '6px', cursor: 'pointer' }}
+          >
+            <input
+              type="radio"
+              name="export-format"
+              checked={format === option.value}
+              onChange={() => setFormat(option.value)}
+            />
+            <span style={{ fontSize: '13px', color: colors.textPrimary }}>
+              {option.label}
+              <span style={{ display: 'block', fontSize: '11px', color: colors.textMuted }}>{option.hint}</span>
+            </span>
+          </label>
+        ))}
+
+        {isArchive && (
+          <div style={{ marginTop: '8px' }}>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="Archive password"
+              autoComplete="new-password"
+              style={inputStyle}
+            />
+            <input
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              placeholder="Confirm password"
+              autoComplete="new-password"
+              style={inputStyle}
+            />
+          </div>
+        )}
+
+        <button onClick={handleExport} disabled={!canExport} style={{ ...buttonStyle(canExport), marginTop: '4px' }}>
+          Export
+        </button>
+
+        <div style={{ borderTop: `1px solid ${colors.borderColor}`, margin: '16px 0 12px' }} />
+
+        <h4 style={{ margin: '0 0 8px', fontSize: '14px', color: colors.textPrimary }}>Import archive</h4>
+        <input
+          type="file"
+          accept=".json,application/json"
+          onChange={(e) => setImportFile(e.target.files?.[0] || null)}
+          style={{ ...inputStyle, padding: '6px' }}
+        />
+        <input
+          type="password"
+          value={importPassword}
+          onChange={(e) => setImportPassword(e.target.value)}
+          placeholder="Archive password"
+          autoComplete="off"
+          style={inputStyle}
+        />
+        <button onClick={handleImport} disabled={!canImport} style={buttonStyle(canImport)}>
+          Import
+        </button>
+
+        {status && (
+          <div style={{ marginTop: '12px', fontSize: '12px', color: status.error ? colors.error : colors.textMuted }}>
+            {status.text}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ConversationExportDialog;
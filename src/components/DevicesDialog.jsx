@@ -0,0 +1,286 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { useTheme } from '../contexts/ThemeContext';
+import { useResponsive } from '../hooks/useResponsive';
+import deviceService from '../services/deviceService';
+import deviceLinkService from '../services/deviceLinkService';
+
+const formatTime = (timestamp) => (timestamp ? new Date(timestamp).toLocaleString() : 'unknown');
+
+/**
+ * DevicesDialog Component
+ * Lists the devices signed in to this account, links new ones by QR code
+ * and revokes unused ones.
+ */
+function DevicesDialog({ isOpen, onClose }) {
+  const { colors } = useTheme();
+  const screen = useResponsive();
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [offer, setOffer] = useState(null); // { url, path, expiresAt, approve, cancel }
+  const [request, setRequest] = useState(null); // { code, name }
+  const [status, setStatus] = useState(null); // { text, error }
+  const offerRef = useRef(null);
+
+  const loadDevices = useCallback(async () => {
+    setLoading(true);
+    try {
+      setDevices(await deviceService.listDevices());
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const closeOffer = () => {
+    offerRef.current?.cancel();
+    offerRef.current = null;
+    setOffer(null);
+    setRequest(null);
+  };
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    setStatus(null);
+    loadDevices();
+    return () => {
+      offerRef.current?.cancel();
+      offerRef.current = null;
+      setOffer(null);
+      setRequest(null);
+    };
+  }, [isOpen, loadDevices]);
+
+  if (!isOpen) return null;
+
+  const startLink = async () => {
+    setStatus(null);
+    try {
+      const created = await deviceLinkService.createOffer(setRequest);
+      offerRef.current = created;
+      setOffer(created);
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    }
+  };
+
+  const approve = async () => {
+    try {
+      await offer.approve();
+      offerRef.current = null;
+      setOffer(null);
+      setRequest(null);
+      setStatus({ text: 'Device linked. It appears here once it has signed in.' });
+      setTimeout(loadDevices, 5000);
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    }
+  };
+
+  const revoke = async (device) => {
+    const confirmed = window.confirm(
+      `Revoke "${device.name}"?\n\nFriends stop encrypting new messages to it and it is signed out when it next connects. ` +
+      'It keeps anything it could already read.\n\n' +
+      'This does not protect a lost or stolen device: it still holds your account keys, so whoever has it can keep ' +
+      'reading your account\'s data. If that happened, move to a new account.'
+    );
+    if (!confirmed) return;
+
+    try {
+      await deviceService.revokeDevice(device.id);
+      setStatus({ text: `Revoked ${device.name}` });
+      loadDevices();
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    }
+  };
+
+  const rename = async (device) => {
+    const name = window.prompt('Device name', device.name);
+    if (name === null) return;
+
+    try {
+      await deviceService.renameDevice(device.id, name);
+      loadDevices();
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    }
+  };
+
+  const buttonStyle = (primary) => ({
+    padding: '6px 12px',
+    background: primary ? colors.primary : colors.bgTertiary,
+    border: 'none',
+    borderRadius: '8px',
+    color: primary ? '#fff' : colors.textPrimary,
+    fontSize: '12px',
+    cursor: 'pointer'
+  });
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        backdropFilter: 'blur(5px)',
+        display: 'flex',
+        alignItems: 'flex-start',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: screen.isTiny ? '8px' : '48px 16px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: colors.bgSecondary,
+          borderRadius: '12px',
+          padding: screen.isTiny ? '12px' : '16px',
+          maxWidth: screen.isMobile ? '100%' : '440px',
+          width: '100%',
+          boxShadow: colors.shadow,
+          maxHeight: '80vh',
+          overflowY: 'auto'
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '10px' }}>
+          <h3 style={{ margin: 0, fontSize: '16px', color: colors.textPrimary }}>💻 Devices</h3>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              fontSize: '20px',
+              color: colors.textMuted,
+              cursor: 'pointer',
+              width: '28px',
+              height: '28px'
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        {loading && !devices.length && (
+          <div style={{ fontSize: '12px', color: colors.textMuted }}>Loading devices...</div>
+        )}
+
+        {devices.map((device) => (
+          <div
+            key={device.id}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              gap: '8px',
+              padding: '8px 0',
+              borderBottom: `1px solid ${colors.borderColor}`,
+              opacity: device.revoked ? 0.5 : 1
+            }}
+          >
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontSize: '13px', color: colors.textPrimary }}>
+                {device.name}
+                {device.current && <span style={{ color: colors.success }}> (this device)</span>}
+              </div>
+              <div style={{ fontSize: '11px', color: colors.textMuted }}>
+                {device.revoked
+                  ? `Revoked ${formatTime(device.revokedAt)}`
+                  : `Last active ${formatTime(device.lastActive)}`}
+              </div>
+            </div>
+            {device.current && (
+              <button onClick={() => rename(device)} style={buttonStyle(false)}>Rename</button>
+            )}
+            {!device.current && !device.revoked && (
+              <button onClick={() => revoke(device)} style={{ ...buttonStyle(false), color: colors.error }}>
+                Revoke
+              </button>
+            )}
+          </div>
+        ))}
+
+        <div style={{ marginTop: '16px' }}>
+          {!offer && (
+            <button onClick={startLink} style={buttonStyle(true)}>Link a new device</button>
+          )}
+
+          {offer && !request && (
+            <div>
+              <p style={{ margin: '0 0 8px', fontSize: '12px', color: colors.textMuted }}>
+                Scan this code with the new device, or open Link this device on its login screen and paste the link.
+                It works once and expires at {new Date(offer.expiresAt).toLocaleTimeString()}.
+              </p>
+              <div style={{
+                background: '#fff',
+                padding: '16px',
+                borderRadius: '8px',
+                marginBottom: '8px',
+                display: 'flex',
+                justifyContent: 'center'
+              }}>
+                <QRCodeSVG
+                  value={offer.url}
+                  size={screen.isTiny ? 140 : 180}
+                  level="M"
+                  includeMargin={false}
+                />
+              </div>
+              <input
+                readOnly
+                value={offer.url}
+                onFocus={(e) => e.target.select()}
+                style={{
+                  width: '100%',
+                  boxSizing: 'border-box',
+                  padding: '6px 8px',
+                  marginBottom: '8px',
+                  background: colors.bgTertiary,
+                  border: `1px solid ${colors.borderColor}`,
+                  borderRadius: '8px',
+                  color: colors.textPrimary,
+                  fontSize: '11px'
+                }}
+              />
+              <button onClick={closeOffer} style={buttonStyle(false)}>Cancel</button>
+            </div>
+          )}
+
+          {offer && request && (
+            <div>
+              <p style={{ margin: '0 0 8px', fontSize: '13px', color: colors.textPrimary }}>
+                {request.name} wants to sign in to your account. Approve only if it shows this code:
+              </p>
+              <div style={{ fontSize: '28px', letterSpacing: '4px', textAlign: 'center', color: colors.textPrimary, marginBottom: '8px' }}>
+                {request.code}
+              </div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button onClick={approve} style={buttonStyle(true)}>Codes match, approve</button>
+                <button onClick={closeOffer} style={buttonStyle(false)}>Cancel</button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <p style={{ margin: '16px 0 0', fontSize: '11px', color: colors.textMuted }}>
+          Every device shares your account keys and gets its own copy of each message.
+          Revoking signs out a device you still trust, such as an old one. It cannot lock out a lost or
+          stolen device, which keeps your account keys; only a new account protects you then.
+        </p>
+
+        {status && (
+          <div style={{ marginTop: '12px', fontSize: '12px', color: status.error ? colors.error : colors.textMuted }}>
+            {status.text}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DevicesDialog;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import hybridGunService from '../services/hybridGunService';
+import presenceService from '../services/presenceService';
 import friendsService from '../services/friendsService';
+import { useDrafts } from '../hooks/useDrafts';
 
 /**
  * ExpandableFriends Component
@@ -13,6 +14,7 @@ function ExpandableFriends({ friends, selectedFriend, onSelectFriend, currentUse
   const [showOnlineOnly, setShowOnlineOnly] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [showActions, setShowActions] = useState(null); // Track which friend's actions are shown
+  const draftFor = useDrafts(currentUser?.pub);
 
   // Monitor friends' online status
   useEffect(() => {
@@ -23,8 +25,8 @@ function ExpandableFriends({ friends, selectedFriend, onSelectFriend, currentUse
 
       for (const friend of friends) {
         try {
-          const presence = await hybridGunService.getPresence(friend.publicKey);
-          status[friend.publicKey] = presence;
+          const presence = await presenceService.checkFriendPresence(friend.publicKey);
+          status[friend.publicKey] = presence || { online: false };
         } catch (error) {
           status[friend.publicKey] = { online: false };
         }
@@ -110,6 +112,7 @@ function ExpandableFriends({ friends, selectedFriend, onSelectFriend, currentUse
     const friendKey = friend.publicKey;
     const isSelected = selectedFriend?.publicKey === friendKey;
     const showingActions = showActions === friendKey;
+    const draft = isSelected ? '' : draftFor(friendKey);
 
     return (
       <div
@@ -200,6 +203,17 @@ function ExpandableFriends({ friends, selectedFriend, onSelectFriend, currentUse
             }}>
               {friend.nickname}
             </div>
+            {draft && (
+              <div style={{
+                fontSize: '10px',
+                color: 'rgba(255, 255, 255, 0.6)',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis',
+                whiteSpace: 'nowrap'
+              }}>
+                <span style={{ color: '#ff6666' }}>Draft:</span> {draft}
+              </div>
+            )}
           </div>
 
           {/* Status indicator */}
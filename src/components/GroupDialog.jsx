@@ -0,0 +1,182 @@
+import React, { useState, useEffect } from 'react';
+import groupService from '../services/groupService';
+
+/**
+ * GroupDialog Component
+ * Create a group from friends, or invite more friends to an existing one
+ */
+function GroupDialog({ isOpen, group = null, friends, onClose, onDone }) {
+  const [name, setName] = useState('');
+  const [selected, setSelected] = useState(new Set());
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setName('');
+      setSelected(new Set());
+      setError('');
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const candidates = friends.filter((friend) => !group?.members[friend.publicKey]);
+
+  const toggle = (publicKey) => {
+    setSelected((prev) => {
+      const next = new Set(prev);
+      if (next.has(publicKey)) {
+        next.delete(publicKey);
+      } else {
+        next.add(publicKey);
+      }
+      return next;
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const result = group
+        ? await groupService.addMembers(group.id, Array.from(selected))
+        : await groupService.createGroup(name, Array.from(selected));
+      if (onDone) onDone(result);
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const canSubmit = !busy && (group ? selected.size > 0 : name.trim().length > 0);
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: '16px'
+      }}
+    >
+      <form
+        onClick={(e) => e.stopPropagation()}
+        onSubmit={handleSubmit}
+        style={{
+          background: 'rgba(20, 20, 30, 0.98)',
+          border: '1px solid rgba(255, 255, 255, 0.2)',
+          borderRadius: '8px',
+          padding: '16px',
+          width: '100%',
+          maxWidth: '360px',
+          color: '#fff'
+        }}
+      >
+        <h3 style={{ margin: '0 0 12px 0', fontSize: '16px' }}>
+          {group ? `Invite to ${group.name}` : 'New group'}
+        </h3>
+
+        {!group && (
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Group name"
+            maxLength={60}
+            autoFocus
+            style={{
+              width: '100%',
+              boxSizing: 'border-box',
+              padding: '6px 10px',
+              marginBottom: '12px',
+              background: 'rgba(255, 255, 255, 0.05)',
+              border: '1px solid rgba(255, 255, 255, 0.1)',
+              borderRadius: '6px',
+              color: '#fff',
+              fontSize: '13px',
+              outline: 'none'
+            }}
+          />
+        )}
+
+        <div style={{ maxHeight: '240px', overflowY: 'auto', marginBottom: '12px' }}>
+          {candidates.length === 0 ? (
+            <div style={{ fontSize: '12px', color: 'rgba(255, 255, 255, 0.5)' }}>
+              No friends to add
+            </div>
+          ) : candidates.map((friend) => (
+            <label
+              key={friend.publicKey}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+                padding: '4px 0',
+                fontSize: '13px',
+                cursor: 'pointer'
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={selected.has(friend.publicKey)}
+                onChange={() => toggle(friend.publicKey)}
+              />
+              {friend.nickname}
+            </label>
+          ))}
+        </div>
+
+        {error && (
+          <div style={{ color: '#ff6666', fontSize: '12px', marginBottom: '8px' }}>{error}</div>
+        )}
+
+        <div style={{ display: 'flex', justifyContent: 'flex-end', gap: '8px' }}>
+          <button
+            type="button"
+            onClick={onClose}
+            style={{
+              padding: '6px 12px',
+              background: 'transparent',
+              border: '1px solid rgba(255, 255, 255, 0.2)',
+              borderRadius: '6px',
+              color: 'rgba(255, 255, 255, 0.7)',
+              fontSize: '12px',
+              cursor: 'pointer'
+            }}
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!canSubmit}
+            style={{
+              padding: '6px 12px',
+              background: canSubmit ? 'linear-gradient(135deg, #667eea, #764ba2)' : 'rgba(255, 255, 255, 0.1)',
+              border: 'none',
+              borderRadius: '6px',
+              color: '#fff',
+              fontSize: '12px',
+              cursor: canSubmit ? 'pointer' : 'not-allowed'
+            }}
+          >
+            {busy ? '...' : group ? 'Invite' : 'Create'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default GroupDialog;
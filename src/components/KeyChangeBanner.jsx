@@ -0,0 +1,92 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import { useResponsive } from '../hooks/useResponsive';
+import friendsService from '../services/friendsService';
+import SafetyNumberDialog from './SafetyNumberDialog';
+
+/**
+ * KeyChangeBanner Component
+ * Alerts in the chat when a friend's encryption key changed. Messages keep
+ * going to the pinned key until the new one is accepted or verified.
+ */
+function KeyChangeBanner({ friend }) {
+  const { colors } = useTheme();
+  const screen = useResponsive();
+  const [stored, setStored] = useState(null); // friend record with the pending key
+  const [comparing, setComparing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const friendPub = friend?.publicKey;
+
+  const load = useCallback(async () => {
+    const record = friendPub ? await friendsService.getFriend(friendPub) : null;
+    setStored(record?.pendingEpub ? record : null);
+  }, [friendPub]);
+
+  useEffect(() => {
+    setError(null);
+    setComparing(false);
+    load();
+    return friendsService.onKeyStatusChange((publicKey) => {
+      if (publicKey === friendPub) load();
+    });
+  }, [friendPub, load]);
+
+  if (!stored) return null;
+
+  const name = stored.nickname || 'Your friend';
+
+  const accept = async () => {
+    const confirmed = window.confirm(
+      `Accept ${name}'s new key without comparing safety numbers?\n\n` +
+      'Only do this if you know why it changed, for example they reset their account.'
+    );
+    if (!confirmed) return;
+
+    try {
+      await friendsService.acceptPendingEpub(stored.publicKey);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const buttonStyle = (primary) => ({
+    padding: '4px 10px',
+    background: primary ? colors.primary : colors.bgTertiary,
+    border: 'none',
+    borderRadius: '6px',
+    color: primary ? '#fff' : colors.textPrimary,
+    fontSize: '12px',
+    cursor: 'pointer'
+  });
+
+  return (
+    <div style={{
+      padding: screen.isTiny ? '6px 8px' : '8px 20px',
+      background: 'rgba(255, 0, 0, 0.1)',
+      borderBottom: `1px solid ${colors.error}`,
+      fontSize: '12px',
+      color: colors.textPrimary,
+      flexShrink: 0
+    }}>
+      <div style={{ color: colors.error, marginBottom: '6px' }}>
+        ⚠ <strong>{name}&apos;s encryption key changed</strong> on {new Date(stored.pendingEpubAt).toLocaleString()}.
+        New messages still go to the old key until you accept the new one.
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+        <button onClick={() => setComparing(true)} style={buttonStyle(true)}>Compare safety numbers</button>
+        <button onClick={accept} style={buttonStyle(false)}>Accept new key</button>
+      </div>
+      {error && <div style={{ marginTop: '6px', color: colors.error }}>{error}</div>}
+
+      <SafetyNumberDialog
+        isOpen={comparing}
+        onClose={() => setComparing(false)}
+        friend={stored}
+        verification={{ state: 'changed', verifiedAt: stored.verifiedAt || null, pendingEpub: stored.pendingEpub }}
+      />
+    </div>
+  );
+}
+
+export default KeyChangeBanner;
@@ -0,0 +1,115 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import deviceLinkService from '../services/deviceLinkService';
+import ThemeToggle from './ThemeToggle';
+
+/**
+ * LinkDeviceView Component
+ * Signs this browser in to an existing account by answering a device link
+ * shown on a signed-in device, either opened from its QR code or pasted.
+ *
+ * @param {Object} props
+ * @param {Function} props.onLinked - Callback with the user once linked
+ * @param {Function} props.onCancel - Back to the login form
+ * @param {string} props.deviceLink - Link opened from a QR code, if any
+ */
+function LinkDeviceView({ onLinked, onCancel, deviceLink }) {
+  const [link, setLink] = useState(deviceLink || '');
+  const [code, setCode] = useState(null);
+  const [error, setError] = useState('');
+  const pendingRef = useRef(null);
+  const startedRef = useRef(false);
+
+  // Stop listening for approval when leaving this view
+  useEffect(() => () => pendingRef.current?.cancel(), []);
+
+  const connect = useCallback(async (text) => {
+    setError('');
+    try {
+      const pending = await deviceLinkService.joinLink(text);
+      pendingRef.current = pending;
+      setCode(pending.code);
+
+      const user = await pending.result;
+      onLinked(user);
+    } catch (err) {
+      setCode(null);
+      setError(err.message || 'Linking failed. Please try again.');
+    }
+  }, [onLinked]);
+
+  // Links opened from a QR code start right away
+  useEffect(() => {
+    if (!deviceLink || startedRef.current) return;
+    startedRef.current = true;
+    connect(deviceLink);
+  }, [deviceLink, connect]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!deviceLinkService.parseLink(link)) {
+      setError('That does not look like a device link');
+      return;
+    }
+    connect(link);
+  };
+
+  const handleCancel = () => {
+    pendingRef.current?.cancel();
+    onCancel();
+  };
+
+  return (
+    <div className="auth-container">
+      <ThemeToggle />
+      <div className="auth-box">
+        <h1>Link this device</h1>
+        {code ? (
+          <div className="info-message">
+            <p style={{ margin: '0 0 10px 0' }}>Check that your other device shows this code, then approve it there:</p>
+            <p style={{ margin: 0, fontSize: '28px', letterSpacing: '4px', textAlign: 'center' }}>
+              <strong>{code}</strong>
+            </p>
+            <p style={{ margin: '10px 0 0 0', fontSize: '12px', opacity: '0.8' }}>
+              Waiting for approval... If the codes differ, cancel on both devices.
+            </p>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <p className="invite-only-notice" style={{ marginTop: 0 }}>
+              On a device where you are signed in, open Devices and choose Link a new device.
+              Scan the QR code with this device, or paste the link below.
+            </p>
+            <input
+              type="text"
+              placeholder="Device link"
+              value={link}
+              onChange={(e) => setLink(e.target.value)}
+              required
+              autoComplete="off"
+            />
+            {error && <div className="error">{error}</div>}
+            <button type="submit">Link device</button>
+          </form>
+        )}
+        <div style={{ marginTop: '12px', textAlign: 'center' }}>
+          <button
+            type="button"
+            onClick={handleCancel}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: 'inherit',
+              fontSize: '13px',
+              textDecoration: 'underline',
+              cursor: 'pointer'
+            }}
+          >
+            Back to login
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LinkDeviceView;
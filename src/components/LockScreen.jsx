@@ -0,0 +1,76 @@
+import { useState } from 'react';
+import appLockService from '../services/appLockService';
+import ThemeToggle from './ThemeToggle';
+
+/**
+ * LockScreen Component
+ * Shown while the app is locked. The PIN or passphrase opens the keys
+ * sealed for this session; signing out instead requires the password again.
+ *
+ * @param {Object} props
+ * @param {Function} props.onUnlocked - Callback with the user once unlocked
+ * @param {Function} props.onSignOut - Give up on unlocking and show the login form
+ */
+function LockScreen({ onUnlocked, onSignOut }) {
+  const [passphrase, setPassphrase] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+    try {
+      const user = await appLockService.unlock(passphrase);
+      onUnlocked(user);
+    } catch (err) {
+      setPassphrase('');
+      setError(err.message || 'Unlock failed. Please try again.');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <ThemeToggle />
+      <div className="auth-box">
+        <h1>🔒 Whisperz is locked</h1>
+        <form onSubmit={handleSubmit}>
+          <input
+            type="password"
+            placeholder="PIN or passphrase"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            required
+            disabled={loading}
+            autoFocus
+            autoComplete="off"
+          />
+          {error && <div className="error">{error}</div>}
+          <button type="submit" disabled={loading}>
+            {loading ? 'Unlocking...' : 'Unlock'}
+          </button>
+        </form>
+        <div style={{ marginTop: '12px', textAlign: 'center' }}>
+          <button
+            type="button"
+            onClick={onSignOut}
+            disabled={loading}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: 'inherit',
+              fontSize: '13px',
+              textDecoration: 'underline',
+              cursor: 'pointer'
+            }}
+          >
+            Forgot your PIN? Sign in with your password
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default LockScreen;
@@ -9,9 +9,11 @@ import ThemeToggle from './ThemeToggle';
  *
  * @param {Object} props
  * @param {Function} props.onLogin - Callback when login is successful
+ * @param {Function} props.onSwitchToLink - Show the device linking view
+ * @param {Function} props.onSwitchToRecover - Show the recovery kit view
  * @param {string} props.inviteCode - Optional invite code for new users
  */
-function LoginView({ onLogin, inviteCode }) {
+function LoginView({ onLogin, onSwitchToLink, onSwitchToRecover, inviteCode }) {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
@@ -158,6 +160,44 @@ function LoginView({ onLogin, inviteCode }) {
         <p className="invite-only-notice">
           This is an invite-only chat. You need an invite link from an existing member to join.
         </p>
+        {onSwitchToLink && (
+          <div style={{ marginTop: '12px', textAlign: 'center' }}>
+            <button
+              type="button"
+              onClick={onSwitchToLink}
+              disabled={loading}
+              style={{
+                background: 'transparent',
+                border: 'none',
+                color: 'inherit',
+                fontSize: '13px',
+                textDecoration: 'underline',
+                cursor: 'pointer'
+              }}
+            >
+              Already signed in on another device? Link this one
+            </button>
+          </div>
+        )}
+        {onSwitchToRecover && (
+          <div style={{ marginTop: '8px', textAlign: 'center' }}>
+            <button
+              type="button"
+              onClick={onSwitchToRecover}
+              disabled={loading}
+              style={{
+                background: 'transparent',
+                border: 'none',
+                color: 'inherit',
+                fontSize: '13px',
+                textDecoration: 'underline',
+                cursor: 'pointer'
+              }}
+            >
+              Forgot password? Use your recovery kit
+            </button>
+          </div>
+        )}
         <div style={{ marginTop: '12px', textAlign: 'center' }}>
           <button
             type="button"
@@ -2,20 +2,49 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { useTheme } from '../contexts/ThemeContext';
 import { useResponsive } from '../hooks/useResponsive';
 import { useConnectionState } from '../hooks/useConnectionState';
+import { useVoiceRecorder } from '../hooks/useVoiceRecorder';
 
 // Import services
 import gunAuthService from '../services/gunAuthService';
 import friendsService from '../services/friendsService';
-import messageService from '../services/messageService';
+import messageService, { TIMESTAMP_WARNINGS, formatDuration, orderMessages } from '../services/messageService';
+import attachmentService, { attachmentLabel, formatClock } from '../services/attachmentService';
 import presenceService from '../services/presenceService';
+import linkPreviewService from '../services/linkPreviewService';
+import savedMessagesService from '../services/savedMessagesService';
+import draftService from '../services/draftService';
 import onlineStatusManager from '../utils/onlineStatusFix';
 import debugLogger from '../utils/debugLogger';
+import { APP_CONFIG } from '../config/app.config.js';
 
 // Import components
 import SwipeableChat from './SwipeableChat';
 import InviteModal from './InviteModal';
 import ChatSecurityStatus from './ChatSecurityStatus';
+import KeyChangeBanner from './KeyChangeBanner';
 import ThemeToggle from './ThemeToggle';
+import MessageStatus from './MessageStatus';
+import SearchPanel from './SearchPanel';
+import SavedMessagesPanel from './SavedMessagesPanel';
+import ConversationExportDialog from './ConversationExportDialog';
+import PrivacySettingsDialog from './PrivacySettingsDialog';
+import DevicesDialog from './DevicesDialog';
+import AccountSecurityDialog from './AccountSecurityDialog';
+import AttachmentView, { ProgressBar } from './AttachmentView';
+import VoiceNotePlayer from './VoiceNotePlayer';
+import MessageReactions from './MessageReactions';
+import ReplyQuote from './ReplyQuote';
+import MessageContent from './MessageContent';
+
+const PAGE_SIZE = 50;
+const DRAFT_SAVE_DELAY = 500;
+const TYPING_DISPLAY_TIMEOUT = 5000; // Hide "typing..." if no update arrives
+
+// Value for a datetime-local input, in the user's time zone
+const toLocalInputValue = (timestamp) => {
+  const date = new Date(timestamp);
+  return new Date(timestamp - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
 
 /**
  * MainChatInterface Component
@@ -31,11 +60,39 @@ function MainChatInterface({ user, onLogout, onInviteAccepted }) {
   const [onlineStatus, setOnlineStatus] = useState({});
   const [typingStatus, setTypingStatus] = useState(new Map());
   const [showInvite, setShowInvite] = useState(false);
+  const [showSearch, setShowSearch] = useState(false);
+  const [showSaved, setShowSaved] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showPrivacy, setShowPrivacy] = useState(false);
+  const [showDevices, setShowDevices] = useState(false);
+  const [showAccountSecurity, setShowAccountSecurity] = useState(false);
   const [inviteLink, setInviteLink] = useState('');
   const [userNickname, setUserNickname] = useState('');
   const [isSendingMessage, setIsSendingMessage] = useState(false);
+  const [upload, setUpload] = useState(null); // { file, options, progress, error }
+  const [editing, setEditing] = useState(null); // { id, text }
+  const [disappearingTimer, setDisappearingTimer] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
+  const [linkPreviewsEnabled, setLinkPreviewsEnabled] = useState(() => linkPreviewService.isEnabled());
+  const [pinnedMessages, setPinnedMessages] = useState([]);
+  const [showAllPins, setShowAllPins] = useState(false);
+  const [starredIds, setStarredIds] = useState(new Set());
+  const [scheduling, setScheduling] = useState(null); // { at, relay }
+  const [scheduledMessages, setScheduledMessages] = useState([]);
 
   const typingTimeoutRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const selectedFriendRef = useRef(null);
+  selectedFriendRef.current = selectedFriend;
+  const messagesRef = useRef([]);
+  messagesRef.current = _messages;
+  const historyRef = useRef({ cursor: null, hasMore: false });
+  const pendingJumpRef = useRef(null); // message to open once the next conversation loads
+  const jumpToMessageRef = useRef(null);
+  const pendingDraftRef = useRef(null); // { conversationId, text } not yet saved
+  const draftTimerRef = useRef(null);
 
   const getConversationId = () => {
     if (!user?.pub || !selectedFriend?.publicKey) return null;
@@ -147,10 +204,215 @@ function MainChatInterface({ user, onLogout, onInviteAccepted }) {
     };
   }, []);
 
-  // Auto-scroll to bottom
+  // Save the composer text that is still waiting on the debounce
+  const flushDraft = useCallback(() => {
+    clearTimeout(draftTimerRef.current);
+    const pending = pendingDraftRef.current;
+    pendingDraftRef.current = null;
+    if (pending) draftService.saveDraft(pending.conversationId, pending.text);
+  }, []);
+
+  // Load history and subscribe to the selected conversation
+  useEffect(() => {
+    if (!user?.pub || !selectedFriend?.publicKey) {
+      setMessages([]);
+      return;
+    }
+
+    const conversationId = friendsService.generateConversationId(user.pub, selectedFriend.publicKey);
+    let cancelled = false;
+    setDisappearingTimer(messageService.getDisappearingTimer(conversationId).seconds);
+    setReplyingTo(null);
+    setPinnedMessages([]);
+    setShowAllPins(false);
+    setScheduling(null);
+    setScheduledMessages([]);
+    setNewMessage(draftService.getDraft(conversationId));
+    historyRef.current = { cursor: null, hasMore: false };
+
+    // Drafts decrypt asynchronously on first use; don't clobber fresh typing
+    draftService.load()
+      .then(() => {
+        if (!cancelled) setNewMessage(prev => prev || draftService.getDraft(conversationId));
+      })
+      .catch((error) => debugLogger.error('Failed to load draft', error));
+
+    const refreshPins = () => {
+      messageService.getPinnedMessages(conversationId)
+        .then((pinned) => {
+          if (!cancelled) setPinnedMessages(pinned);
+        })
+        .catch((error) => debugLogger.error('Failed to load pinned messages', error));
+    };
+    refreshPins();
+
+    const refreshScheduled = () => {
+      messageService.getScheduledMessages(conversationId)
+        .then((scheduled) => {
+          if (!cancelled) setScheduledMessages(scheduled);
+        })
+        .catch((error) => debugLogger.error('Failed to load scheduled messages', error));
+    };
+    refreshScheduled();
+
+    const addMessage = (message) => {
+      setMessages(prev => {
+        if (prev.some(existing => existing.id === message.id)) return prev;
+        return orderMessages([...prev, message]);
+      });
+    };
+
+    messageService.loadOlder(conversationId, Date.now() + 1, PAGE_SIZE)
+      .then((page) => {
+        if (cancelled) return;
+        historyRef.current = { cursor: page.cursor, hasMore: page.hasMore };
+        setMessages(page.messages);
+        messageService.markAsRead(conversationId, page.messages);
+
+        const pendingJump = pendingJumpRef.current;
+        pendingJumpRef.current = null;
+        if (pendingJump) jumpToMessageRef.current?.(pendingJump, page.messages);
+      })
+      .catch((error) => debugLogger.error('Failed to load conversation history', error));
+
+    const unsubscribeConversation = messageService.subscribeToConversation(conversationId, (message) => {
+      if (cancelled) return;
+      addMessage(message);
+      if (message.from === selectedFriend.publicKey && !document.hidden) {
+        messageService.markAsRead(conversationId, [message]);
+      }
+    });
+
+    const unsubscribeStatus = messageService.onMessage((event, data) => {
+      if (data?.conversationId !== conversationId) return;
+      if (event === 'status') {
+        setMessages(prev => prev.map(msg => (
+          msg.id === data.id ? { ...msg, status: data.status } : msg
+        )));
+      } else if (event === 'edited' || event === 'reacted') {
+        setMessages(prev => prev.map(msg => (msg.id === data.id ? data : msg)));
+        if (event === 'edited') refreshPins();
+      } else if (event === 'deleted' || event === 'expired') {
+        setMessages(prev => prev.filter(msg => msg.id !== data.id));
+        refreshPins();
+      } else if (event === 'pinned') {
+        refreshPins();
+      } else if (event === 'timer') {
+        setDisappearingTimer(data.seconds);
+      } else if (event === 'scheduled') {
+        refreshScheduled();
+      } else if (event === 'sent') {
+        // Released scheduled sends; received messages come through the subscription
+        addMessage(data);
+      }
+    });
+
+    // Typing events expire on their own in case the "stopped" one is lost
+    const typingExpiry = new Map();
+    const setTyping = (from, isTyping) => {
+      setTypingStatus(prev => {
+        const next = new Map(prev);
+        if (isTyping) next.set(from, true);
+        else next.delete(from);
+        return next;
+      });
+    };
+    setTypingStatus(new Map());
+    const unsubscribeTyping = messageService.subscribeToTyping(conversationId, (from, isTyping) => {
+      if (cancelled) return;
+      clearTimeout(typingExpiry.get(from));
+      setTyping(from, isTyping);
+      if (isTyping) typingExpiry.set(from, setTimeout(() => setTyping(from, false), TYPING_DISPLAY_TIMEOUT));
+    });
+
+    return () => {
+      cancelled = true;
+      flushDraft();
+      if (unsubscribeConversation) unsubscribeConversation();
+      unsubscribeStatus();
+      unsubscribeTyping();
+      typingExpiry.forEach(clearTimeout);
+    };
+  }, [user?.pub, selectedFriend?.publicKey, flushDraft]);
+
+  // Friends' presence, shared with us encrypted, for the friends list
+  useEffect(() => {
+    if (!user?.pub) return undefined;
+
+    setOnlineStatus(presenceService.getFriendStatuses());
+    return presenceService.onStatusChange((publicKey, status) => {
+      setOnlineStatus(prev => ({ ...prev, [publicKey]: status }));
+    });
+  }, [user?.pub]);
+
+  // Starred ids drive the ☆/★ toggle on each bubble
+  useEffect(() => {
+    if (!user?.pub) return undefined;
+
+    savedMessagesService.getStarredIds()
+      .then(setStarredIds)
+      .catch((error) => debugLogger.error('Failed to load saved messages', error));
+
+    return savedMessagesService.onChange(({ messageId, starred }) => {
+      setStarredIds(prev => {
+        const next = new Set(prev);
+        if (starred) {
+          next.add(messageId);
+        } else {
+          next.delete(messageId);
+        }
+        return next;
+      });
+    });
+  }, [user?.pub]);
+
+  // Tick once a second while a disappearing message is on screen
+  const hasExpiringMessages = _messages.some(msg => msg.expiresAt);
+  useEffect(() => {
+    if (!hasExpiringMessages) return undefined;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [hasExpiringMessages]);
+
+  // Auto-scroll to bottom when a new message arrives
+  const lastMessageId = _messages[_messages.length - 1]?.id;
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
-  }, [_messages]);
+  }, [lastMessageId]);
+
+  // Bring a jumped-to message into view and flash it briefly
+  useEffect(() => {
+    if (!highlightedId) return undefined;
+    document.getElementById(`msg-${highlightedId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timer = setTimeout(() => setHighlightedId(null), 2000);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+
+  // Keep the composer text as this conversation's draft
+  const handleComposerChange = (text) => {
+    setNewMessage(text);
+    const conversationId = getConversationId();
+    if (!conversationId) return;
+
+    pendingDraftRef.current = { conversationId, text };
+    clearTimeout(draftTimerRef.current);
+    draftTimerRef.current = setTimeout(flushDraft, DRAFT_SAVE_DELAY);
+  };
+
+  const discardDraft = (conversationId) => {
+    clearTimeout(draftTimerRef.current);
+    pendingDraftRef.current = null;
+    draftService.clearDraft(conversationId);
+  };
+
+  // Reply reference and link preview for an outgoing message
+  const composeMetadata = async (text) => {
+    const metadata = replyingTo ? { replyTo: messageService.replyReference(replyingTo) } : {};
+    const previewUrl = linkPreviewsEnabled && linkPreviewService.findUrl(text);
+    const linkPreview = previewUrl ? await linkPreviewService.generate(previewUrl) : null;
+    if (linkPreview) metadata.linkPreview = linkPreview;
+    return metadata;
+  };
 
   // Handle message send with sanitization
   const handleSendMessage = async (e) => {
@@ -158,11 +420,19 @@ function MainChatInterface({ user, onLogout, onInviteAccepted }) {
     if (!newMessage.trim() || !selectedFriend) return;
 
     const sanitizedMessage = newMessage.trim().slice(0, 1000);
+    const draftConversationId = getConversationId();
 
     try {
       setIsSendingMessage(true);
-      await messageService.sendMessage(selectedFriend.publicKey, sanitizedMessage);
+      const metadata = await composeMetadata(sanitizedMessage);
+      const sentMessage = await messageService.sendMessage(selectedFriend.publicKey, sanitizedMessage, metadata);
+      setMessages(prev => {
+        if (prev.some(existing => existing.id === sentMessage.id)) return prev;
+        return orderMessages([...prev, sentMessage]);
+      });
+      discardDraft(draftConversationId);
       setNewMessage('');
+      setReplyingTo(null);
       setIsSendingMessage(false);
 
       // Clear typing indicator after sending
@@ -191,6 +461,221 @@ function MainChatInterface({ user, onLogout, onInviteAccepted }) {
     }
   };
 
+  // Encrypt and upload a file, then send its manifest. Retrying the same
+  // file resumes from the last uploaded chunk.
+  const sendAttachment = async (file, options = {}) => {
+    if (!file || !selectedFriend) return;
+
+    const recipient = selectedFriend.publicKey;
+    setUpload({ file, options, progress: 0, error: null });
+    try {
+      const manifest = await attachmentService.upload(file, {
+        ...options,
+        onProgress: (progress) => setUpload((prev) => prev && { ...prev, progress })
+      });
+      const sentMessage = await messageService.sendMessage(recipient, attachmentLabel(manifest), {
+        attachment: manifest
+      });
+      // The user may have switched chats while the upload ran
+      if (selectedFriendRef.current?.publicKey === recipient) {
+        setMessages(prev => {
+          if (prev.some(existing => existing.id === sentMessage.id)) return prev;
+          return orderMessages([...prev, sentMessage]);
+        });
+      }
+      setUpload(null);
+    } catch (error) {
+      debugLogger.error('Failed to send attachment', error);
+      setUpload((prev) => prev && { ...prev, error: error.message });
+    }
+  };
+
+  const openScheduler = () => {
+    setScheduling(scheduling ? null : { at: toLocalInputValue(Date.now() + 60 * 60 * 1000), relay: false });
+  };
+
+  // Queue the composed message for the chosen time instead of sending it now
+  const handleScheduleMessage = async () => {
+    const conversationId = getConversationId();
+    if (!newMessage.trim() || !conversationId || !scheduling) return;
+
+    const sanitizedMessage = newMessage.trim().slice(0, 1000);
+    try {
+      setIsSendingMessage(true);
+      const metadata = await composeMetadata(sanitizedMessage);
+      await messageService.scheduleMessage(conversationId, sanitizedMessage, new Date(scheduling.at).getTime(), {
+        metadata,
+        relay: scheduling.relay
+      });
+      discardDraft(conversationId);
+      setNewMessage('');
+      setReplyingTo(null);
+      setScheduling(null);
+    } catch (error) {
+      alert('Failed to schedule message: ' + error.message);
+    } finally {
+      setIsSendingMessage(false);
+    }
+  };
+
+  const handleCancelScheduled = (messageId) => {
+    messageService.cancelScheduledMessage(messageId)
+      .catch((error) => alert('Failed to cancel scheduled message: ' + error.message));
+  };
+
+  const handleRetryScheduled = (messageId) => {
+    messageService.retryScheduledMessage(messageId)
+      .catch((error) => alert('Failed to send scheduled message: ' + error.message));
+  };
+
+  const toggleLinkPreviews = () => {
+    linkPreviewService.setEnabled(!linkPreviewsEnabled);
+    setLinkPreviewsEnabled(!linkPreviewsEnabled);
+  };
+
+  // Change the disappearing message timer for both sides of the chat
+  const handleTimerChange = async (e) => {
+    const seconds = Number(e.target.value);
+    const conversationId = getConversationId();
+    if (!conversationId) return;
+
+    try {
+      const notice = await messageService.setDisappearingTimer(conversationId, seconds);
+      setMessages(prev => {
+        if (prev.some(existing => existing.id === notice.id)) return prev;
+        return orderMessages([...prev, notice]);
+      });
+    } catch (error) {
+      alert('Failed to change disappearing messages: ' + error.message);
+    }
+  };
+
+  // Scroll to a quoted message, loading older pages until it is on screen
+  const jumpToMessage = async (messageId, loadedMessages = messagesRef.current) => {
+    const conversationId = getConversationId();
+    if (!conversationId) return;
+
+    let loaded = loadedMessages;
+    try {
+      while (!loaded.some(msg => msg.id === messageId) && historyRef.current.hasMore) {
+        const page = await messageService.loadOlder(conversationId, historyRef.current.cursor, PAGE_SIZE);
+        historyRef.current = { cursor: page.cursor, hasMore: page.hasMore };
+        const known = new Set(loaded.map(msg => msg.id));
+        loaded = [...page.messages.filter(msg => !known.has(msg.id)), ...loaded];
+      }
+    } catch (error) {
+      debugLogger.error('Failed to load older messages', error);
+    }
+
+    if (!loaded.some(msg => msg.id === messageId)) {
+      alert('The original message is no longer available.');
+      return;
+    }
+    if (loaded !== messagesRef.current) {
+      setMessages(prev => {
+        const known = new Set(prev.map(msg => msg.id));
+        return orderMessages([...loaded.filter(msg => !known.has(msg.id)), ...prev]);
+      });
+    }
+    setHighlightedId(messageId);
+  };
+
+  jumpToMessageRef.current = jumpToMessage;
+
+  const handleTogglePin = async (messageId) => {
+    const conversationId = getConversationId();
+    if (!conversationId) return;
+
+    try {
+      await messageService.togglePin(conversationId, messageId);
+    } catch (error) {
+      alert('Failed to pin message: ' + error.message);
+    }
+  };
+
+  const handleToggleStar = (message) => {
+    savedMessagesService.toggleStar(message)
+      .catch((error) => alert('Failed to save message: ' + error.message));
+  };
+
+  // Open a saved message in its conversation
+  const handleSelectSavedMessage = (friend, message) => {
+    setShowSaved(false);
+    if (friend.publicKey === selectedFriend?.publicKey) {
+      jumpToMessage(message.id);
+    } else {
+      pendingJumpRef.current = message.id;
+      setSelectedFriend(friend);
+    }
+  };
+
+  const handleToggleReaction = async (messageId, emoji) => {
+    const conversationId = getConversationId();
+    if (!conversationId) return;
+
+    try {
+      await messageService.toggleReaction(conversationId, messageId, emoji);
+    } catch (error) {
+      alert('Failed to react: ' + error.message);
+    }
+  };
+
+  const authorName = (publicKey) => (
+    publicKey === user.pub ? 'You' : selectedFriend?.nickname || 'Friend'
+  );
+
+  // Save an inline edit of one of our own messages
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    const conversationId = getConversationId();
+    const text = editing?.text.trim().slice(0, 1000);
+    if (!conversationId || !text) return;
+
+    try {
+      await messageService.editMessage(conversationId, editing.id, text);
+      setEditing(null);
+    } catch (error) {
+      alert('Failed to edit message: ' + error.message);
+    }
+  };
+
+  const handleDeleteMessage = async (messageId) => {
+    const conversationId = getConversationId();
+    if (!conversationId || !window.confirm('Delete this message for everyone?')) return;
+
+    try {
+      await messageService.deleteMessage(conversationId, messageId);
+    } catch (error) {
+      alert('Failed to delete message: ' + error.message);
+    }
+  };
+
+  const editHistoryTitle = (msg) => (msg.editHistory || [])
+    .map((version) => `${new Date(version.editedAt).toLocaleString()}: ${version.content}`)
+    .join('\n') || 'Edited';
+
+  const messageActionStyle = {
+    background: 'transparent',
+    border: 'none',
+    color: 'inherit',
+    cursor: 'pointer',
+    padding: 0,
+    fontSize: 'inherit'
+  };
+
+  // Voice notes go through the same encrypted attachment pipeline
+  const voiceRecorder = useVoiceRecorder(({ blob, duration }) => {
+    const extension = blob.type.includes('ogg') ? 'ogg' : 'webm';
+    const file = new File([blob], `voice-note-${Date.now()}.${extension}`, { type: blob.type });
+    sendAttachment(file, { voice: { duration } });
+  });
+
+  const handleFileSelected = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    sendAttachment(file);
+  };
+
   // Handle typing
   const handleTyping = () => {
     if (!selectedFriend) return;
@@ -212,6 +697,112 @@ function MainChatInterface({ user, onLogout, onInviteAccepted }) {
     }, 2000);
   };
 
+  // Open the conversation a search result belongs to
+  const handleSelectSearchResult = (friend) => {
+    setSelectedFriend(friend);
+    setShowSearch(false);
+  };
+
+  // Show restored messages if the archive was for the open conversation
+  const handleArchiveImported = async ({ conversationId }) => {
+    if (conversationId !== getConversationId()) return;
+
+    try {
+      const page = await messageService.loadOlder(conversationId, Date.now() + 1, PAGE_SIZE);
+      setMessages(prev => {
+        const known = new Set(prev.map(msg => msg.id));
+        return orderMessages([...prev, ...page.messages.filter(msg => !known.has(msg.id))]);
+      });
+    } catch (error) {
+      debugLogger.error('Failed to reload history after import', error);
+    }
+  };
+
+  const savedButton = (
+    <button
+      onClick={() => setShowSaved(true)}
+      title="Saved messages"
+      style={{
+        background: 'transparent',
+        border: 'none',
+        color: colors.textMuted,
+        fontSize: screen.isTiny ? '14px' : '16px',
+        cursor: 'pointer',
+        padding: '4px'
+      }}
+    >
+      ⭐
+    </button>
+  );
+
+  const privacyButton = (
+    <button
+      onClick={() => setShowPrivacy(true)}
+      title="Privacy settings"
+      style={{
+        background: 'transparent',
+        border: 'none',
+        color: colors.textMuted,
+        fontSize: screen.isTiny ? '14px' : '16px',
+        cursor: 'pointer',
+        padding: '4px'
+      }}
+    >
+      🛡
+    </button>
+  );
+
+  const devicesButton = (
+    <button
+      onClick={() => setShowDevices(true)}
+      title="Devices"
+      style={{
+        background: 'transparent',
+        border: 'none',
+        color: colors.textMuted,
+        fontSize: screen.isTiny ? '14px' : '16px',
+        cursor: 'pointer',
+        padding: '4px'
+      }}
+    >
+      💻
+    </button>
+  );
+
+  const accountSecurityButton = (
+    <button
+      onClick={() => setShowAccountSecurity(true)}
+      title="Account security"
+      style={{
+        background: 'transparent',
+        border: 'none',
+        color: colors.textMuted,
+        fontSize: screen.isTiny ? '14px' : '16px',
+        cursor: 'pointer',
+        padding: '4px'
+      }}
+    >
+      🔑
+    </button>
+  );
+
+  const searchButton = (
+    <button
+      onClick={() => setShowSearch(true)}
+      title="Search messages"
+      style={{
+        background: 'transparent',
+        border: 'none',
+        color: colors.textMuted,
+        fontSize: screen.isTiny ? '14px' : '16px',
+        cursor: 'pointer',
+        padding: '4px'
+      }}
+    >
+      🔍
+    </button>
+  );
+
   // Generate invite link
   const handleGenerateInvite = async () => {
     try {
@@ -282,9 +873,92 @@ function MainChatInterface({ user, onLogout, onInviteAccepted }) {
                     onCheckConnection={checkConnection}
                   />
                 </div>
-                <ThemeToggle />
+                <div style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
+                  <select
+                    value={disappearingTimer}
+                    onChange={handleTimerChange}
+                    title="Disappearing messages"
+                    style={{
+                      background: 'transparent',
+                      border: `1px solid ${colors.borderColor}`,
+                      borderRadius: '6px',
+                      color: disappearingTimer ? colors.textPrimary : colors.textMuted,
+                      fontSize: screen.isTiny ? '10px' : '12px',
+                      padding: '2px 4px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    {APP_CONFIG.messages.disappearingTimers.map((seconds) => (
+                      <option key={seconds} value={seconds}>
+                        ⏱ {seconds ? formatDuration(seconds) : 'Off'}
+                      </option>
+                    ))}
+                  </select>
+                  {searchButton}
+                  {savedButton}
+                  {privacyButton}
+                  {devicesButton}
+                  {accountSecurityButton}
+                  <button
+                    onClick={() => setShowExport(true)}
+                    title="Export conversation"
+                    style={{
+                      background: 'transparent',
+                      border: 'none',
+                      color: colors.textMuted,
+                      fontSize: screen.isTiny ? '14px' : '16px',
+                      cursor: 'pointer',
+                      padding: '4px'
+                    }}
+                  >
+                    ⬇
+                  </button>
+                  <ThemeToggle />
+                </div>
               </div>
 
+              <KeyChangeBanner friend={selectedFriend} />
+
+              {pinnedMessages.length > 0 && (
+                <div style={{
+                  padding: screen.isTiny ? '4px 8px' : '6px 20px',
+                  background: colors.bgCard,
+                  borderBottom: `1px solid ${colors.borderColor}`,
+                  fontSize: '12px',
+                  color: colors.textPrimary,
+                  flexShrink: 0
+                }}>
+                  {(showAllPins ? pinnedMessages : pinnedMessages.slice(0, 1)).map(pinned => (
+                    <div
+                      key={pinned.id}
+                      onClick={() => jumpToMessage(pinned.id)}
+                      title="Go to pinned message"
+                      style={{
+                        display: 'flex',
+                        gap: '6px',
+                        padding: '2px 0',
+                        cursor: 'pointer',
+                        overflow: 'hidden',
+                        whiteSpace: 'nowrap',
+                        textOverflow: 'ellipsis'
+                      }}
+                    >
+                      <span>📌</span>
+                      <span style={{ color: colors.textMuted }}>{authorName(pinned.from)}:</span>
+                      <span style={{ overflow: 'hidden', textOverflow: 'ellipsis' }}>{pinned.content}</span>
+                    </div>
+                  ))}
+                  {pinnedMessages.length > 1 && (
+                    <button
+                      onClick={() => setShowAllPins(!showAllPins)}
+                      style={{ ...messageActionStyle, color: colors.textMuted, fontSize: '11px' }}
+                    >
+                      {showAllPins ? 'Show less' : `+${pinnedMessages.length - 1} more pinned`}
+                    </button>
+                  )}
+                </div>
+              )}
+
               <div style={{
                 flex: 1,
                 overflowY: 'auto',
@@ -294,7 +968,8 @@ function MainChatInterface({ user, onLogout, onInviteAccepted }) {
               }}>
                 {(_messages || []).map((msg, index) => msg && (
                   <div
-                    key={index}
+                    key={msg.id || index}
+                    id={`msg-${msg.id}`}
                     style={{
                       display: 'flex',
                       justifyContent: msg?.from === user.pub ? 'flex-end' : 'flex-start',
@@ -308,13 +983,56 @@ function MainChatInterface({ user, onLogout, onInviteAccepted }) {
                       background: msg?.from === user.pub
                         ? colors.messageSent
                         : colors.messageReceived,
-                      color: msg?.from === user.pub ? '#fff' : colors.textPrimary
+                      color: msg?.from === user.pub ? '#fff' : colors.textPrimary,
+                      outline: highlightedId === msg.id ? `2px solid ${colors.success}` : 'none',
+                      transition: 'outline 0.3s'
                     }}>
+                      {msg.replyTo && (
+                        <ReplyQuote
+                          replyTo={msg.replyTo}
+                          authorName={authorName(msg.replyTo.from)}
+                          onJump={jumpToMessage}
+                          accentColor={colors.success}
+                        />
+                      )}
                       <div style={{
                         fontSize: screen.isTiny ? '12px' : screen.isMobile ? '13px' : '14px',
                         wordBreak: 'break-word'
                       }}>
-                        {msg.content || ''}
+                        {editing?.id === msg.id ? (
+                          <form onSubmit={handleSaveEdit} style={{ display: 'flex', gap: '4px' }}>
+                            <input
+                              type="text"
+                              value={editing.text}
+                              onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                              onKeyDown={(e) => e.key === 'Escape' && setEditing(null)}
+                              maxLength={1000}
+                              autoFocus
+                              style={{
+                                flex: 1,
+                                minWidth: '120px',
+                                padding: '2px 6px',
+                                background: 'rgba(255, 255, 255, 0.15)',
+                                border: '1px solid rgba(255, 255, 255, 0.3)',
+                                borderRadius: '4px',
+                                color: 'inherit',
+                                fontSize: 'inherit',
+                                outline: 'none'
+                              }}
+                            />
+                            <button type="submit" title="Save" style={messageActionStyle}>✓</button>
+                            <button type="button" title="Cancel" onClick={() => setEditing(null)} style={messageActionStyle}>✕</button>
+                          </form>
+                        ) : (
+                          <>
+                            {msg.attachment && (msg.attachment.voice
+                              ? <VoiceNotePlayer attachment={msg.attachment} />
+                              : <AttachmentView attachment={msg.attachment} />)}
+                            {(!msg.attachment || msg.content !== attachmentLabel(msg.attachment)) && (
+                              <MessageContent content={msg.content} linkPreview={msg.linkPreview} />
+                            )}
+                          </>
+                        )}
                       </div>
                       <div style={{
                         fontSize: screen.isTiny ? '8px' : screen.isMobile ? '9px' : '11px',
@@ -327,6 +1045,57 @@ function MainChatInterface({ user, onLogout, onInviteAccepted }) {
                         justifyContent: msg?.from === user.pub ? 'flex-end' : 'flex-start'
                       }}>
                         <span>{msg?.timestamp ? new Date(msg.timestamp).toLocaleTimeString() : 'Unknown'}</span>
+                        {msg.timestampWarning && (
+                          <span title={TIMESTAMP_WARNINGS[msg.timestampWarning]} style={{ cursor: 'help' }}>⚠</span>
+                        )}
+                        {msg.edited && <span title={editHistoryTitle(msg)}>(edited)</span>}
+                        <button
+                          onClick={() => setReplyingTo(msg)}
+                          title="Reply"
+                          style={messageActionStyle}
+                        >
+                          ↩
+                        </button>
+                        <button
+                          onClick={() => handleTogglePin(msg.id)}
+                          title={pinnedMessages.some(pinned => pinned.id === msg.id) ? 'Unpin' : 'Pin for everyone'}
+                          style={{
+                            ...messageActionStyle,
+                            opacity: pinnedMessages.some(pinned => pinned.id === msg.id) ? 1 : 0.6
+                          }}
+                        >
+                          📌
+                        </button>
+                        <button
+                          onClick={() => handleToggleStar(msg)}
+                          title={starredIds.has(msg.id) ? 'Remove from saved' : 'Save (only you can see this)'}
+                          style={messageActionStyle}
+                        >
+                          {starredIds.has(msg.id) ? '★' : '☆'}
+                        </button>
+                        {msg.expiresAt && (
+                          <span title="Disappearing message">⏱ {formatDuration((msg.expiresAt - now) / 1000)}</span>
+                        )}
+                        {msg?.from === user.pub && editing?.id !== msg.id && (
+                          <>
+                            {!msg.attachment && (
+                              <button
+                                onClick={() => setEditing({ id: msg.id, text: msg.content })}
+                                title="Edit message"
+                                style={messageActionStyle}
+                              >
+                                ✎
+                              </button>
+                            )}
+                            <button
+                              onClick={() => handleDeleteMessage(msg.id)}
+                              title="Delete for everyone"
+                              style={messageActionStyle}
+                            >
+                              🗑
+                            </button>
+                          </>
+                        )}
                         <span
                           style={{
                             display: 'inline-flex',
@@ -339,11 +1108,20 @@ function MainChatInterface({ user, onLogout, onInviteAccepted }) {
                           <span style={{ color: '#ffaa00' }}>◆</span>
                         </span>
                         {msg?.from === user.pub && (
-                          <span style={{ marginLeft: '2px' }}>
-                            {msg.delivered ? '✓✓' : '✓'}
-                          </span>
+                          <MessageStatus
+                            status={msg.status}
+                            readColor={colors.success}
+                            failedColor={colors.error}
+                            onRetry={() => messageService.retryMessage(msg.id)}
+                          />
                         )}
                       </div>
+                      <MessageReactions
+                        reactions={msg.reactions}
+                        currentPub={user.pub}
+                        onToggle={(emoji) => handleToggleReaction(msg.id, emoji)}
+                        activeColor={colors.success}
+                      />
                     </div>
                   </div>
                 ))}
@@ -389,12 +1167,213 @@ function MainChatInterface({ user, onLogout, onInviteAccepted }) {
                   <span style={{ display: 'flex', alignItems: 'center', gap: '4px' }}>
                     <span style={{ color: '#ffaa00' }}>◆</span> All Messages Encrypted
                   </span>
+                  <button
+                    type="button"
+                    onClick={toggleLinkPreviews}
+                    title="Link previews are fetched by you when sending; recipients never contact the site"
+                    style={{
+                      background: 'transparent',
+                      border: 'none',
+                      color: linkPreviewsEnabled ? colors.textPrimary : colors.textMuted,
+                      fontSize: '10px',
+                      cursor: 'pointer',
+                      padding: 0
+                    }}
+                  >
+                    🔗 Link previews: {linkPreviewsEnabled ? 'On' : 'Off'}
+                  </button>
                 </div>
+                {scheduledMessages.map((scheduled) => (
+                  <div
+                    key={scheduled.id}
+                    style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '12px', color: colors.textMuted }}
+                  >
+                    <span style={{ flexShrink: 0 }} title={scheduled.relay ? 'Waiting on the relay' : 'Sent by this device when due'}>
+                      ⏰ {new Date(scheduled.sendAt).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}
+                    </span>
+                    <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap', color: colors.textPrimary }}>
+                      {scheduled.content}
+                    </span>
+                    {scheduled.failed && (
+                      <>
+                        <span style={{ color: colors.error }} title={scheduled.failed}>Failed</span>
+                        <button
+                          type="button"
+                          onClick={() => handleRetryScheduled(scheduled.id)}
+                          style={{ background: 'transparent', border: 'none', color: colors.textPrimary, cursor: 'pointer', fontSize: '12px' }}
+                        >
+                          Retry
+                        </button>
+                      </>
+                    )}
+                    <button
+                      type="button"
+                      onClick={() => handleCancelScheduled(scheduled.id)}
+                      style={{ background: 'transparent', border: 'none', color: colors.textMuted, cursor: 'pointer', fontSize: '12px' }}
+                    >
+                      Cancel
+                    </button>
+                  </div>
+                ))}
+                {scheduling && (
+                  <div style={{ display: 'flex', alignItems: 'center', flexWrap: 'wrap', gap: '8px', fontSize: '12px', color: colors.textMuted }}>
+                    <span>Send at</span>
+                    <input
+                      type="datetime-local"
+                      value={scheduling.at}
+                      min={toLocalInputValue(Date.now())}
+                      onChange={(e) => setScheduling({ ...scheduling, at: e.target.value })}
+                      style={{
+                        padding: '2px 6px',
+                        background: colors.bgTertiary,
+                        border: `1px solid ${colors.borderColor}`,
+                        borderRadius: '6px',
+                        color: colors.textPrimary,
+                        fontSize: '12px'
+                      }}
+                    />
+                    <label
+                      title="Encrypt now and leave it with the relay, so it arrives even if this device is offline"
+                      style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}
+                    >
+                      <input
+                        type="checkbox"
+                        checked={scheduling.relay}
+                        onChange={(e) => setScheduling({ ...scheduling, relay: e.target.checked })}
+                      />
+                      Deliver while I'm offline
+                    </label>
+                    <button
+                      type="button"
+                      onClick={handleScheduleMessage}
+                      disabled={!newMessage.trim() || !scheduling.at || isSendingMessage}
+                      style={{
+                        padding: '2px 10px',
+                        background: colors.bgTertiary,
+                        border: `1px solid ${colors.borderColor}`,
+                        borderRadius: '6px',
+                        color: colors.textPrimary,
+                        fontSize: '12px',
+                        cursor: newMessage.trim() && scheduling.at ? 'pointer' : 'not-allowed'
+                      }}
+                    >
+                      Schedule
+                    </button>
+                  </div>
+                )}
+                {replyingTo && (
+                  <ReplyQuote
+                    replyTo={messageService.replyReference(replyingTo)}
+                    authorName={`Replying to ${authorName(replyingTo.from)}`}
+                    onDismiss={() => setReplyingTo(null)}
+                    accentColor={colors.success}
+                  />
+                )}
+                {(voiceRecorder.isRecording || voiceRecorder.error) && (
+                  <div style={{ fontSize: '12px', color: voiceRecorder.error ? colors.error : colors.textMuted }}>
+                    {voiceRecorder.error
+                      ? `⚠ ${voiceRecorder.error}`
+                      : `● Recording ${formatClock(voiceRecorder.elapsed)} – release to send, slide away to cancel`}
+                  </div>
+                )}
+                {upload && (
+                  <div style={{ fontSize: '12px', color: colors.textMuted }}>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '4px' }}>
+                      <span style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                        📎 {upload.file.name} {upload.error ? `– ${upload.error}` : `${Math.round(upload.progress * 100)}%`}
+                      </span>
+                      {upload.error && (
+                        <>
+                          <button
+                            type="button"
+                            onClick={() => sendAttachment(upload.file, upload.options)}
+                            style={{ background: 'transparent', border: 'none', color: colors.primary, cursor: 'pointer', fontSize: '12px' }}
+                          >
+                            Resume
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setUpload(null)}
+                            style={{ background: 'transparent', border: 'none', color: colors.textMuted, cursor: 'pointer', fontSize: '12px' }}
+                          >
+                            Cancel
+                          </button>
+                        </>
+                      )}
+                    </div>
+                    <ProgressBar progress={upload.progress} color={upload.error ? colors.error : colors.primary} />
+                  </div>
+                )}
                 <div style={{ display: 'flex', gap: screen.isTiny ? '4px' : '8px' }}>
+                  <input
+                    ref={fileInputRef}
+                    type="file"
+                    onChange={handleFileSelected}
+                    style={{ display: 'none' }}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => fileInputRef.current?.click()}
+                    disabled={Boolean(upload && !upload.error)}
+                    title="Attach file"
+                    style={{
+                      padding: screen.isTiny ? '6px' : '8px 10px',
+                      background: colors.bgTertiary,
+                      border: `1px solid ${colors.borderColor}`,
+                      borderRadius: screen.isTiny ? '16px' : '8px',
+                      color: colors.textPrimary,
+                      fontSize: screen.isTiny ? '12px' : '14px',
+                      cursor: upload && !upload.error ? 'not-allowed' : 'pointer'
+                    }}
+                  >
+                    📎
+                  </button>
+                  <button
+                    type="button"
+                    onPointerDown={(e) => {
+                      e.preventDefault();
+                      voiceRecorder.start();
+                    }}
+                    onPointerUp={voiceRecorder.stop}
+                    onPointerLeave={voiceRecorder.cancel}
+                    onPointerCancel={voiceRecorder.cancel}
+                    onContextMenu={(e) => e.preventDefault()}
+                    disabled={Boolean(upload && !upload.error)}
+                    title="Hold to record a voice note"
+                    style={{
+                      padding: screen.isTiny ? '6px' : '8px 10px',
+                      background: voiceRecorder.isRecording ? colors.error : colors.bgTertiary,
+                      border: `1px solid ${colors.borderColor}`,
+                      borderRadius: screen.isTiny ? '16px' : '8px',
+                      color: colors.textPrimary,
+                      fontSize: screen.isTiny ? '12px' : '14px',
+                      cursor: upload && !upload.error ? 'not-allowed' : 'pointer',
+                      touchAction: 'none',
+                      userSelect: 'none'
+                    }}
+                  >
+                    🎤
+                  </button>
+                  <button
+                    type="button"
+                    onClick={openScheduler}
+                    title="Send later"
+                    style={{
+                      padding: screen.isTiny ? '6px' : '8px 10px',
+                      background: scheduling ? colors.bgSecondary : colors.bgTertiary,
+                      border: `1px solid ${colors.borderColor}`,
+                      borderRadius: screen.isTiny ? '16px' : '8px',
+                      color: colors.textPrimary,
+                      fontSize: screen.isTiny ? '12px' : '14px',
+                      cursor: 'pointer'
+                    }}
+                  >
+                    ⏰
+                  </button>
                   <input
                     type="text"
                     value={newMessage}
-                    onChange={(e) => setNewMessage(e.target.value)}
+                    onChange={(e) => handleComposerChange(e.target.value)}
                     onKeyUp={handleTyping}
                     placeholder="Message..."
                     maxLength={1000}
@@ -441,7 +1420,12 @@ function MainChatInterface({ user, onLogout, onInviteAccepted }) {
               flexDirection: 'column',
               color: colors.textMuted
             }}>
-              <div style={{ position: 'absolute', top: '20px', right: '20px' }}>
+              <div style={{ position: 'absolute', top: '20px', right: '20px', display: 'flex', alignItems: 'center', gap: '4px' }}>
+                {searchButton}
+                {savedButton}
+                {privacyButton}
+                {devicesButton}
+                {accountSecurityButton}
                 <ThemeToggle />
               </div>
               <div style={{ position: 'absolute', bottom: '20px', left: '20px', fontSize: '10px', color: colors.textMuted, opacity: 0.5 }}>
@@ -462,6 +1446,44 @@ function MainChatInterface({ user, onLogout, onInviteAccepted }) {
         onClose={() => setShowInvite(false)}
         inviteLink={inviteLink}
       />
+
+      <SearchPanel
+        isOpen={showSearch}
+        onClose={() => setShowSearch(false)}
+        currentUser={user}
+        friends={friends}
+        selectedFriend={selectedFriend}
+        onSelectResult={handleSelectSearchResult}
+      />
+      <SavedMessagesPanel
+        isOpen={showSaved}
+        onClose={() => setShowSaved(false)}
+        currentUser={user}
+        friends={friends}
+        onSelectMessage={handleSelectSavedMessage}
+      />
+      <PrivacySettingsDialog
+        isOpen={showPrivacy}
+        onClose={() => setShowPrivacy(false)}
+      />
+      <DevicesDialog
+        isOpen={showDevices}
+        onClose={() => setShowDevices(false)}
+      />
+      <AccountSecurityDialog
+        isOpen={showAccountSecurity}
+        onClose={() => setShowAccountSecurity(false)}
+      />
+      {selectedFriend && (
+        <ConversationExportDialog
+          isOpen={showExport}
+          onClose={() => setShowExport(false)}
+          conversationId={getConversationId()}
+          title={`Conversation with ${selectedFriend.nickname || 'Unknown'}`}
+          names={{ [user.pub]: userNickname || 'You', [selectedFriend.publicKey]: selectedFriend.nickname || 'Unknown' }}
+          onImported={handleArchiveImported}
+        />
+      )}
     </>
   );
 }
@@ -0,0 +1,152 @@
+import React, { useMemo, memo } from 'react';
+import { parseMarkdown, highlightCode } from '../utils/markdown';
+import linkPreviewService from '../services/linkPreviewService';
+
+const TOKEN_COLORS = {
+  keyword: '#c678dd',
+  string: '#98c379',
+  comment: '#7f848e',
+  number: '#d19a66'
+};
+
+const monospace = 'Consolas, Monaco, "Courier New", monospace';
+
+const renderInline = (nodes, linkColor) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children, linkColor)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children, linkColor)}</em>;
+    case 'code':
+      return (
+        <code
+          key={index}
+          style={{ fontFamily: monospace, fontSize: '0.9em', padding: '0 4px', borderRadius: '3px', background: 'rgba(0, 0, 0, 0.25)' }}
+        >
+          {node.text}
+        </code>
+      );
+    case 'link':
+      return (
+        <a
+          key={index}
+          href={node.url}
+          target="_blank"
+          rel="noopener noreferrer nofollow"
+          style={{ color: linkColor, textDecoration: 'underline', wordBreak: 'break-all' }}
+        >
+          {node.text}
+        </a>
+      );
+    default:
+      return <React.Fragment key={index}>{node.text}</React.Fragment>;
+  }
+});
+
+const renderBlocks = (blocks, linkColor) => blocks.map((block, index) => {
+  switch (block.type) {
+    case 'code':
+      return (
+        <pre
+          key={index}
+          style={{
+            margin: '4px 0',
+            padding: '6px 8px',
+            borderRadius: '6px',
+            background: 'rgba(0, 0, 0, 0.35)',
+            color: '#e0e0e0',
+            fontFamily: monospace,
+            fontSize: '12px',
+            overflowX: 'auto',
+            whiteSpace: 'pre'
+          }}
+        >
+          <code>
+            {highlightCode(block.text, block.language).map((token, tokenIndex) => (
+              <span key={tokenIndex} style={TOKEN_COLORS[token.type] ? { color: TOKEN_COLORS[token.type] } : undefined}>
+                {token.text}
+              </span>
+            ))}
+          </code>
+        </pre>
+      );
+    case 'quote':
+      return (
+        <blockquote
+          key={index}
+          style={{ margin: '4px 0', paddingLeft: '8px', borderLeft: '3px solid rgba(128, 128, 128, 0.6)', opacity: 0.85 }}
+        >
+          {renderBlocks(block.children, linkColor)}
+        </blockquote>
+      );
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul';
+      return (
+        <List key={index} style={{ margin: '4px 0', paddingLeft: '20px' }}>
+          {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item, linkColor)}</li>)}
+        </List>
+      );
+    }
+    default:
+      return (
+        <div key={index} style={{ whiteSpace: 'pre-wrap', margin: index > 0 ? '4px 0 0' : 0 }}>
+          {renderInline(block.children, linkColor)}
+        </div>
+      );
+  }
+});
+
+/**
+ * MessageContent Component
+ * Renders message text as a safe Markdown subset (see utils/markdown) and
+ * the sender-generated link preview, if any. Nothing is fetched here.
+ */
+const MessageContent = memo(({ content, linkPreview, linkColor = 'inherit' }) => {
+  const blocks = useMemo(() => parseMarkdown(content), [content]);
+  const preview = useMemo(() => (linkPreview ? linkPreviewService.normalize(linkPreview) : null), [linkPreview]);
+
+  return (
+    <>
+      {renderBlocks(blocks, linkColor)}
+      {preview && (
+        <a
+          href={preview.url}
+          target="_blank"
+          rel="noopener noreferrer nofollow"
+          style={{
+            display: 'flex',
+            gap: '8px',
+            marginTop: '6px',
+            padding: '6px',
+            borderRadius: '6px',
+            borderLeft: '3px solid rgba(128, 128, 128, 0.6)',
+            background: 'rgba(0, 0, 0, 0.15)',
+            color: 'inherit',
+            textDecoration: 'none'
+          }}
+        >
+          {preview.image && (
+            <img
+              src={preview.image}
+              alt=""
+              style={{ width: '64px', height: '64px', objectFit: 'cover', borderRadius: '4px', flexShrink: 0 }}
+            />
+          )}
+          <div style={{ minWidth: 0, fontSize: '12px' }}>
+            <div style={{ opacity: 0.7 }}>{new URL(preview.url).hostname}</div>
+            {preview.title && <div style={{ fontWeight: 600 }}>{preview.title}</div>}
+            {preview.description && (
+              <div style={{ opacity: 0.8, overflow: 'hidden', textOverflow: 'ellipsis', display: '-webkit-box', WebkitLineClamp: 2, WebkitBoxOrient: 'vertical' }}>
+                {preview.description}
+              </div>
+            )}
+          </div>
+        </a>
+      )}
+    </>
+  );
+});
+
+MessageContent.displayName = 'MessageContent';
+
+export default MessageContent;
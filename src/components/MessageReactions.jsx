@@ -0,0 +1,70 @@
+import React, { useState, memo } from 'react';
+import { APP_CONFIG } from '../config/app.config.js';
+
+/**
+ * MessageReactions Component
+ * Aggregated emoji reactions under a message. Tapping a reaction toggles
+ * ours; the picker adds a new one.
+ */
+const MessageReactions = memo(({ reactions = {}, currentPub, onToggle, activeColor = '#667eea' }) => {
+  const [showPicker, setShowPicker] = useState(false);
+  const entries = Object.entries(reactions).filter(([, reactors]) => reactors?.length > 0);
+
+  const chipStyle = (active) => ({
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '2px',
+    padding: '0 6px',
+    borderRadius: '10px',
+    border: `1px solid ${active ? activeColor : 'rgba(128, 128, 128, 0.4)'}`,
+    background: active ? 'rgba(128, 128, 128, 0.25)' : 'transparent',
+    color: 'inherit',
+    fontSize: '12px',
+    lineHeight: '18px',
+    cursor: 'pointer'
+  });
+
+  const handlePick = (emoji) => {
+    setShowPicker(false);
+    onToggle(emoji);
+  };
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '4px', marginTop: '4px' }}>
+      {entries.map(([emoji, reactors]) => {
+        const active = reactors.includes(currentPub);
+        return (
+          <button
+            key={emoji}
+            onClick={() => onToggle(emoji)}
+            title={active ? 'Remove your reaction' : 'React'}
+            style={chipStyle(active)}
+          >
+            {emoji} {reactors.length}
+          </button>
+        );
+      })}
+
+      {showPicker ? (
+        <>
+          {APP_CONFIG.messages.reactionEmoji.map((emoji) => (
+            <button key={emoji} onClick={() => handlePick(emoji)} style={{ ...chipStyle(false), border: 'none' }}>
+              {emoji}
+            </button>
+          ))}
+          <button onClick={() => setShowPicker(false)} title="Close" style={{ ...chipStyle(false), border: 'none' }}>
+            ✕
+          </button>
+        </>
+      ) : (
+        <button onClick={() => setShowPicker(true)} title="Add reaction" style={{ ...chipStyle(false), opacity: 0.6 }}>
+          ☺+
+        </button>
+      )}
+    </div>
+  );
+});
+
+MessageReactions.displayName = 'MessageReactions';
+
+export default MessageReactions;
@@ -0,0 +1,45 @@
+import React, { memo } from 'react';
+import { MESSAGE_STATUS } from '../services/messageService';
+
+const STATUS_DISPLAY = {
+  [MESSAGE_STATUS.PENDING]: { icon: '🕓', title: 'Sending...' },
+  [MESSAGE_STATUS.STORED]: { icon: '✓', title: 'Stored on relay' },
+  [MESSAGE_STATUS.DELIVERED]: { icon: '✓✓', title: 'Delivered' },
+  [MESSAGE_STATUS.READ]: { icon: '✓✓', title: 'Read' },
+  [MESSAGE_STATUS.FAILED]: { icon: '⚠ Failed – tap to retry', title: 'Not sent. Tap to retry' },
+};
+
+/**
+ * MessageStatus Component
+ * Tick indicator for the delivery state of an outgoing message.
+ * Failed sends become a button that calls `onRetry`.
+ */
+const MessageStatus = memo(({ status, onRetry, readColor = '#43e97b', failedColor = '#ff6666', style = {} }) => {
+  // Messages sent before status tracking existed were stored on the relay
+  const display = STATUS_DISPLAY[status] || STATUS_DISPLAY[MESSAGE_STATUS.STORED];
+  const isFailed = status === MESSAGE_STATUS.FAILED;
+
+  let color = 'inherit';
+  if (status === MESSAGE_STATUS.READ) color = readColor;
+  if (isFailed) color = failedColor;
+
+  return (
+    <span
+      title={display.title}
+      role={isFailed ? 'button' : undefined}
+      onClick={isFailed && onRetry ? onRetry : undefined}
+      style={{
+        marginLeft: '2px',
+        color,
+        cursor: isFailed && onRetry ? 'pointer' : 'default',
+        ...style
+      }}
+    >
+      {display.icon}
+    </span>
+  );
+});
+
+MessageStatus.displayName = 'MessageStatus';
+
+export default MessageStatus;
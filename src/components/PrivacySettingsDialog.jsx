@@ -0,0 +1,120 @@
+import React, { useState, useEffect } from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import { useResponsive } from '../hooks/useResponsive';
+import privacySettingsService from '../services/privacySettingsService';
+
+const OPTIONS = [
+  {
+    name: 'typingIndicators',
+    label: 'Typing indicators',
+    hint: 'Show friends when you are typing. When off, you won\'t see theirs either.'
+  },
+  {
+    name: 'showLastSeen',
+    label: 'Show last seen',
+    hint: 'Friends still see when you are online, but not when you were last active.'
+  },
+  {
+    name: 'invisible',
+    label: 'Appear offline',
+    hint: 'Friends always see you as offline. Messages still arrive as usual.'
+  }
+];
+
+/**
+ * PrivacySettingsDialog Component
+ * Controls what friends can see about our activity. Presence and typing
+ * events are always encrypted to friends; these settings limit what is sent.
+ */
+function PrivacySettingsDialog({ isOpen, onClose }) {
+  const { colors } = useTheme();
+  const screen = useResponsive();
+  const [settings, setSettings] = useState(() => privacySettingsService.getSettings());
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    setSettings(privacySettingsService.getSettings());
+    return privacySettingsService.onChange(setSettings);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const toggle = (name) => {
+    privacySettingsService.updateSettings({ [name]: !settings[name] });
+  };
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        backdropFilter: 'blur(5px)',
+        display: 'flex',
+        alignItems: 'flex-start',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: screen.isTiny ? '8px' : '48px 16px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: colors.bgSecondary,
+          borderRadius: '12px',
+          padding: screen.isTiny ? '12px' : '16px',
+          maxWidth: screen.isMobile ? '100%' : '440px',
+          width: '100%',
+          boxShadow: colors.shadow,
+          maxHeight: '80vh',
+          overflowY: 'auto'
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '10px' }}>
+          <h3 style={{ margin: 0, fontSize: '16px', color: colors.textPrimary }}>🛡 Privacy</h3>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              fontSize: '20px',
+              color: colors.textMuted,
+              cursor: 'pointer',
+              width: '28px',
+              height: '28px'
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        <p style={{ margin: '0 0 12px', fontSize: '12px', color: colors.textMuted }}>
+          Your online status and typing are only shared with friends, encrypted to each of them.
+        </p>
+
+        {OPTIONS.map((option) => (
+          <label
+            key={option.name}
+            style={{ display: 'flex', alignItems: 'flex-start', gap: '8px', marginBottom: '10px', cursor: 'pointer' }}
+          >
+            <input
+              type="checkbox"
+              checked={settings[option.name]}
+              onChange={() => toggle(option.name)}
+            />
+            <span style={{ fontSize: '13px', color: colors.textPrimary }}>
+              {option.label}
+              <span style={{ display: 'block', fontSize: '11px', color: colors.textMuted }}>{option.hint}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default PrivacySettingsDialog;
@@ -0,0 +1,114 @@
+import { useState } from 'react';
+import recoveryService from '../services/recoveryService';
+import ThemeToggle from './ThemeToggle';
+
+/**
+ * RecoverAccountView Component
+ * Restores an account from its recovery kit phrase and sets a new password
+ *
+ * @param {Object} props
+ * @param {Function} props.onRecovered - Callback with the user once restored
+ * @param {Function} props.onCancel - Back to the login form
+ */
+function RecoverAccountView({ onRecovered, onCancel }) {
+  const [username, setUsername] = useState('');
+  const [phrase, setPhrase] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const user = await recoveryService.restore(username.trim(), phrase, password);
+      onRecovered(user);
+    } catch (err) {
+      setError(err.message || 'Recovery failed. Please try again.');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <ThemeToggle />
+      <div className="auth-box">
+        <h1>Recover account</h1>
+        <form onSubmit={handleSubmit}>
+          <p className="invite-only-notice" style={{ marginTop: 0 }}>
+            Enter your username and the phrase from your recovery kit, then choose a new password.
+          </p>
+          <input
+            type="text"
+            placeholder="Username"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            required
+            disabled={loading}
+            autoComplete="username"
+            maxLength={20}
+          />
+          <input
+            type="text"
+            placeholder="Recovery phrase"
+            value={phrase}
+            onChange={(e) => setPhrase(e.target.value)}
+            required
+            disabled={loading}
+            autoComplete="off"
+            spellCheck={false}
+          />
+          <input
+            type="password"
+            placeholder="New password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            required
+            disabled={loading}
+            autoComplete="new-password"
+          />
+          <input
+            type="password"
+            placeholder="Confirm new password"
+            value={confirmPassword}
+            onChange={(e) => setConfirmPassword(e.target.value)}
+            required
+            disabled={loading}
+            autoComplete="new-password"
+          />
+          {error && <div className="error">{error}</div>}
+          <button type="submit" disabled={loading}>
+            {loading ? 'Recovering...' : 'Recover account'}
+          </button>
+        </form>
+        <div style={{ marginTop: '12px', textAlign: 'center' }}>
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={loading}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              color: 'inherit',
+              fontSize: '13px',
+              textDecoration: 'underline',
+              cursor: 'pointer'
+            }}
+          >
+            Back to login
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default RecoverAccountView;
@@ -0,0 +1,53 @@
+import React, { memo } from 'react';
+
+/**
+ * ReplyQuote Component
+ * Quoted preview of the message a reply refers to. In a bubble it jumps
+ * to the original when clicked; above the composer it can be dismissed.
+ */
+const ReplyQuote = memo(({ replyTo, authorName, onJump, onDismiss, accentColor = '#667eea' }) => {
+  if (typeof replyTo?.id !== 'string' || typeof replyTo.preview !== 'string') {
+    return null;
+  }
+
+  return (
+    <div
+      role={onJump ? 'button' : undefined}
+      onClick={onJump ? () => onJump(replyTo.id) : undefined}
+      title={onJump ? 'Go to original message' : undefined}
+      style={{
+        display: 'flex',
+        alignItems: 'flex-start',
+        gap: '8px',
+        padding: '2px 8px',
+        marginBottom: '4px',
+        borderLeft: `3px solid ${accentColor}`,
+        borderRadius: '4px',
+        background: 'rgba(128, 128, 128, 0.15)',
+        fontSize: '12px',
+        cursor: onJump ? 'pointer' : 'default'
+      }}
+    >
+      <div style={{ flex: 1, minWidth: 0 }}>
+        <div style={{ fontWeight: 600, opacity: 0.9 }}>{authorName}</div>
+        <div style={{ opacity: 0.8, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          {replyTo.preview || '…'}
+        </div>
+      </div>
+      {onDismiss && (
+        <button
+          type="button"
+          onClick={onDismiss}
+          title="Cancel reply"
+          style={{ background: 'transparent', border: 'none', color: 'inherit', cursor: 'pointer', padding: 0 }}
+        >
+          ✕
+        </button>
+      )}
+    </div>
+  );
+});
+
+ReplyQuote.displayName = 'ReplyQuote';
+
+export default ReplyQuote;
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useRef, useMemo } from 'react';
 import hybridGunService from '../services/hybridGunService';
 import friendsService from '../services/friendsService';
 import debugLogger from '../utils/debugLogger';
+import { useDrafts } from '../hooks/useDrafts';
 
 /**
  * ResizableSidebar Component
@@ -27,6 +28,7 @@ function ResizableSidebar({
   const [pendingInvites, setPendingInvites] = useState([]);
   const [showPending, setShowPending] = useState(false);
   const sidebarRef = useRef(null);
+  const draftFor = useDrafts(currentUser?.pub);
 
   const MIN_WIDTH = 200;
   const MAX_WIDTH = 500;
@@ -187,6 +189,7 @@ function ResizableSidebar({
     const isOnline = statusData?.online === true;
     const isSelected = selectedFriend?.publicKey === friendKey;
     const showingActions = showActions === friendKey;
+    const draft = isSelected ? '' : draftFor(friendKey);
 
     // Use memoized status for this friend
     const memoizedStatus = formattedStatuses[friendKey];
@@ -319,14 +322,24 @@ function ResizableSidebar({
             }}>
               {friend.nickname}
             </div>
-            {!isMaximized && (
+            {!isMaximized && (draft ? (
+              <div style={{
+                fontSize: '10px',
+                color: 'rgba(255, 255, 255, 0.6)',
+                whiteSpace: 'nowrap',
+                overflow: 'hidden',
+                textOverflow: 'ellipsis'
+              }}>
+                <span style={{ color: '#ff6666' }}>Draft:</span> {draft}
+              </div>
+            ) : (
               <div style={{
                 fontSize: '10px',
                 color: isOnline ? '#43e97b' : 'rgba(255, 255, 255, 0.4)'
               }}>
                 {memoizedStatus?.text || 'Offline'}
               </div>
-            )}
+            ))}
           </div>
         </div>
 
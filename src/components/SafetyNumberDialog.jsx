@@ -0,0 +1,287 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { QRCodeSVG } from 'qrcode.react';
+import { useTheme } from '../contexts/ThemeContext';
+import { useResponsive } from '../hooks/useResponsive';
+import gunAuthService from '../services/gunAuthService';
+import friendsService from '../services/friendsService';
+import {
+  computeSafetyNumber,
+  formatSafetyNumber,
+  parseSafetyNumberQr,
+  safetyNumberQrValue
+} from '../utils/safetyNumber';
+
+const SCAN_INTERVAL = 300;
+const canScan = typeof window !== 'undefined' && 'BarcodeDetector' in window && Boolean(navigator.mediaDevices?.getUserMedia);
+
+/**
+ * SafetyNumberDialog Component
+ * Shows the safety number for a friend as digits and a QR code, scans the
+ * friend's code where the browser supports it, and records the verified
+ * flag on the friend. While a key change is held for review the number is
+ * computed from the new key, so verifying it also accepts the key.
+ */
+function SafetyNumberDialog({ isOpen, onClose, friend, verification, onChange }) {
+  const { colors } = useTheme();
+  const screen = useResponsive();
+  const [number, setNumber] = useState(null);
+  const [status, setStatus] = useState(null); // { text, error }
+  const [scanning, setScanning] = useState(false);
+  const videoRef = useRef(null);
+  const scanRef = useRef(null); // { stream, timer }
+
+  const stopScan = () => {
+    if (scanRef.current) {
+      clearInterval(scanRef.current.timer);
+      scanRef.current.stream.getTracks().forEach((track) => track.stop());
+      scanRef.current = null;
+    }
+    setScanning(false);
+  };
+
+  // Release the camera if the dialog unmounts mid-scan
+  useEffect(() => () => {
+    if (scanRef.current) {
+      clearInterval(scanRef.current.timer);
+      scanRef.current.stream.getTracks().forEach((track) => track.stop());
+    }
+  }, []);
+
+  const friendPub = friend?.publicKey;
+  const friendEpub = friend?.pendingEpub || friend?.epub;
+
+  useEffect(() => {
+    if (!isOpen || !friendPub) return undefined;
+
+    let cancelled = false;
+    setNumber(null);
+    setStatus(null);
+
+    const user = gunAuthService.getCurrentUser();
+    computeSafetyNumber(
+      { pub: user?.pub, epub: user?.epub },
+      { pub: friendPub, epub: friendEpub }
+    )
+      .then((value) => {
+        if (!cancelled) setNumber(value);
+      })
+      .catch((error) => {
+        if (!cancelled) setStatus({ text: error.message, error: true });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, friendPub, friendEpub]);
+
+  if (!isOpen || !friend) return null;
+
+  const setVerified = async (verified) => {
+    try {
+      await friendsService.setVerified(friend.publicKey, verified, friendEpub);
+      setStatus({ text: verified ? `${friend.nickname || 'Friend'} is now verified` : 'Verification cleared' });
+      if (onChange) onChange();
+    } catch (error) {
+      setStatus({ text: error.message, error: true });
+    }
+  };
+
+  const handleScanned = (value) => {
+    stopScan();
+    const scanned = parseSafetyNumberQr(value);
+    if (!scanned) {
+      setStatus({ text: 'That is not a Whisperz safety number code', error: true });
+    } else if (scanned !== number) {
+      setStatus({ text: 'Safety numbers do not match. Someone may be intercepting this chat.', error: true });
+    } else {
+      setVerified(true);
+    }
+  };
+
+  const startScan = async () => {
+    setStatus(null);
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      setScanning(true);
+      const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      scanRef.current = {
+        stream,
+        timer: setInterval(async () => {
+          const video = videoRef.current;
+          if (!video || video.readyState < 2) return;
+          const codes = await detector.detect(video).catch(() => []);
+          if (codes.length && scanRef.current) handleScanned(codes[0].rawValue);
+        }, SCAN_INTERVAL)
+      };
+      // The video element mounts once scanning is set
+      requestAnimationFrame(() => {
+        if (videoRef.current && scanRef.current) {
+          videoRef.current.srcObject = stream;
+          videoRef.current.play().catch(() => {});
+        }
+      });
+    } catch (error) {
+      stopScan();
+      setStatus({ text: `Camera unavailable: ${error.message}`, error: true });
+    }
+  };
+
+  const handleClose = () => {
+    stopScan();
+    onClose();
+  };
+
+  const buttonStyle = (primary) => ({
+    padding: '6px 12px',
+    background: primary ? colors.primary : colors.bgTertiary,
+    border: 'none',
+    borderRadius: '8px',
+    color: primary ? '#fff' : colors.textPrimary,
+    fontSize: '12px',
+    cursor: 'pointer'
+  });
+
+  const isVerified = verification?.state === 'verified' && !friend.pendingEpub;
+
+  return (
+    <div
+      onClick={handleClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        backdropFilter: 'blur(5px)',
+        display: 'flex',
+        alignItems: 'flex-start',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: screen.isTiny ? '8px' : '48px 16px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: colors.bgSecondary,
+          borderRadius: '12px',
+          padding: screen.isTiny ? '12px' : '16px',
+          maxWidth: screen.isMobile ? '100%' : '440px',
+          width: '100%',
+          boxShadow: colors.shadow,
+          maxHeight: '80vh',
+          overflowY: 'auto'
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '10px' }}>
+          <h3 style={{ margin: 0, fontSize: '16px', color: colors.textPrimary }}>
+            🔐 Verify {friend.nickname || 'friend'}
+          </h3>
+          <button
+            onClick={handleClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              fontSize: '20px',
+              color: colors.textMuted,
+              cursor: 'pointer',
+              width: '28px',
+              height: '28px'
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        {verification?.state === 'changed' && (
+          <div style={{
+            padding: '8px',
+            marginBottom: '12px',
+            background: 'rgba(255, 0, 0, 0.1)',
+            border: `1px solid ${colors.error}`,
+            borderRadius: '6px',
+            fontSize: '12px',
+            color: colors.error
+          }}>
+            {friend.pendingEpub
+              ? <>⚠ {friend.nickname || 'Your friend'}&apos;s encryption key changed. This number uses the new key; marking it verified accepts it.</>
+              : <>⚠ {friend.nickname || 'Your friend'}&apos;s keys changed since you verified them. Compare the new safety number before trusting this chat.</>}
+          </div>
+        )}
+
+        <p style={{ margin: '0 0 12px', fontSize: '12px', color: colors.textMuted }}>
+          Compare these numbers with {friend.nickname || 'your friend'} in person or over a call, or scan
+          each other&apos;s code. If they match, nobody is intercepting your messages.
+        </p>
+
+        {number ? (
+          <>
+            <div style={{
+              display: 'grid',
+              gridTemplateColumns: 'repeat(4, 1fr)',
+              gap: '6px 12px',
+              fontFamily: 'Consolas, Monaco, "Courier New", monospace',
+              fontSize: '15px',
+              color: colors.textPrimary,
+              textAlign: 'center',
+              marginBottom: '12px'
+            }}>
+              {formatSafetyNumber(number).split(' ').map((group, index) => (
+                <span key={index}>{group}</span>
+              ))}
+            </div>
+
+            {scanning ? (
+              <video
+                ref={videoRef}
+                muted
+                playsInline
+                style={{ width: '100%', borderRadius: '8px', marginBottom: '8px', background: '#000' }}
+              />
+            ) : (
+              <div style={{
+                background: '#fff',
+                padding: '16px',
+                borderRadius: '8px',
+                marginBottom: '8px',
+                display: 'flex',
+                justifyContent: 'center'
+              }}>
+                <QRCodeSVG
+                  value={safetyNumberQrValue(number)}
+                  size={screen.isTiny ? 140 : 180}
+                  level="M"
+                  includeMargin={false}
+                />
+              </div>
+            )}
+
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '8px' }}>
+              {canScan && (
+                <button onClick={scanning ? stopScan : startScan} style={buttonStyle(false)}>
+                  {scanning ? 'Stop scanning' : '📷 Scan their code'}
+                </button>
+              )}
+              {isVerified ? (
+                <button onClick={() => setVerified(false)} style={buttonStyle(false)}>Clear verification</button>
+              ) : (
+                <button onClick={() => setVerified(true)} style={buttonStyle(true)}>Mark as verified</button>
+              )}
+            </div>
+          </>
+        ) : (
+          !status && <div style={{ fontSize: '12px', color: colors.textMuted }}>Computing safety number...</div>
+        )}
+
+        {status && (
+          <div style={{ marginTop: '12px', fontSize: '12px', color: status.error ? colors.error : colors.success }}>
+            {status.text}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SafetyNumberDialog;
@@ -0,0 +1,146 @@
+import React, { useState, useEffect } from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import { useResponsive } from '../hooks/useResponsive';
+import savedMessagesService from '../services/savedMessagesService';
+import friendsService from '../services/friendsService';
+
+/**
+ * SavedMessagesPanel Component
+ * Lists privately starred messages from every conversation. Selecting one
+ * opens its conversation at that message.
+ */
+function SavedMessagesPanel({ isOpen, onClose, currentUser, friends, onSelectMessage }) {
+  const { colors } = useTheme();
+  const screen = useResponsive();
+  const [saved, setSaved] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    let cancelled = false;
+    const refresh = async () => {
+      setLoading(true);
+      try {
+        const messages = await savedMessagesService.getSavedMessages();
+        if (!cancelled) setSaved(messages);
+      } catch (error) {
+        console.error('Failed to load saved messages:', error);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+
+    refresh();
+    const unsubscribe = savedMessagesService.onChange(refresh);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const friendForConversation = (conversationId) => friends.find((friend) => (
+    currentUser?.pub &&
+    friendsService.generateConversationId(currentUser.pub, friend.publicKey) === conversationId
+  ));
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        backdropFilter: 'blur(5px)',
+        display: 'flex',
+        alignItems: 'flex-start',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: screen.isTiny ? '8px' : '48px 16px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: colors.bgSecondary,
+          borderRadius: '12px',
+          padding: screen.isTiny ? '12px' : '16px',
+          maxWidth: screen.isMobile ? '100%' : '560px',
+          width: '100%',
+          boxShadow: colors.shadow,
+          maxHeight: '80vh',
+          display: 'flex',
+          flexDirection: 'column'
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '10px' }}>
+          <h3 style={{ margin: 0, fontSize: '16px', color: colors.textPrimary }}>⭐ Saved messages</h3>
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              fontSize: '20px',
+              color: colors.textMuted,
+              cursor: 'pointer',
+              width: '28px',
+              height: '28px'
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ overflowY: 'auto', flex: 1 }}>
+          {loading && saved.length === 0 && (
+            <div style={{ color: colors.textMuted, fontSize: '12px', padding: '8px 0' }}>Loading...</div>
+          )}
+          {!loading && saved.length === 0 && (
+            <div style={{ color: colors.textMuted, fontSize: '13px', padding: '8px 0' }}>
+              Star a message to keep it here. Only you can see your saved messages.
+            </div>
+          )}
+          {saved.map(({ message, conversationId }) => {
+            const friend = friendForConversation(conversationId);
+            const isOwn = message.from === currentUser?.pub;
+            return (
+              <div
+                key={message.id}
+                onClick={() => friend && onSelectMessage(friend, message)}
+                style={{
+                  padding: '8px 10px',
+                  borderBottom: `1px solid ${colors.borderColor}`,
+                  cursor: friend ? 'pointer' : 'default'
+                }}
+              >
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  fontSize: '11px',
+                  color: colors.textMuted,
+                  marginBottom: '2px'
+                }}>
+                  <span>
+                    {isOwn ? 'You' : friend?.nickname || 'Unknown'}
+                    {isOwn && friend ? ` → ${friend.nickname}` : ''}
+                  </span>
+                  <span>{new Date(message.timestamp).toLocaleString()}</span>
+                </div>
+                <div style={{ fontSize: '13px', color: colors.textPrimary, wordBreak: 'break-word', whiteSpace: 'pre-wrap' }}>
+                  {message.content}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SavedMessagesPanel;
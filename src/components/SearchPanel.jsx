@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import { useResponsive } from '../hooks/useResponsive';
+import messageStoreService from '../services/messageStoreService';
+import friendsService from '../services/friendsService';
+
+const SEARCH_DEBOUNCE = 250;
+
+// Render a snippet with its [start, end) ranges wrapped in <mark>
+function HighlightedSnippet({ snippet, highlights, markColor }) {
+  const parts = [];
+  let position = 0;
+  highlights.forEach(([start, end], index) => {
+    if (start > position) parts.push(snippet.slice(position, start));
+    parts.push(
+      <mark key={index} style={{ background: markColor, color: 'inherit', borderRadius: '2px' }}>
+        {snippet.slice(start, end)}
+      </mark>
+    );
+    position = end;
+  });
+  if (position < snippet.length) parts.push(snippet.slice(position));
+  return <>{parts}</>;
+}
+
+/**
+ * SearchPanel Component
+ * Searches the local encrypted message store, either within the open
+ * conversation or across all conversations.
+ */
+function SearchPanel({ isOpen, onClose, currentUser, friends, selectedFriend, onSelectResult }) {
+  const { colors } = useTheme();
+  const screen = useResponsive();
+  const [query, setQuery] = useState('');
+  const [scope, setScope] = useState(selectedFriend ? 'conversation' : 'all');
+  const [results, setResults] = useState([]);
+  const [searching, setSearching] = useState(false);
+  const inputRef = useRef(null);
+
+  const conversationIdFor = (friend) => (
+    friend && currentUser?.pub
+      ? friendsService.generateConversationId(currentUser.pub, friend.publicKey)
+      : null
+  );
+  const selectedConversationId = conversationIdFor(selectedFriend);
+  const hasSelection = Boolean(selectedFriend);
+
+  useEffect(() => {
+    if (isOpen) {
+      setScope(hasSelection ? 'conversation' : 'all');
+      setTimeout(() => inputRef.current?.focus(), 0);
+    } else {
+      setQuery('');
+      setResults([]);
+    }
+  }, [isOpen, hasSelection]);
+
+  useEffect(() => {
+    if (!isOpen || !query.trim()) {
+      setResults([]);
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setSearching(true);
+      try {
+        const found = await messageStoreService.search(query, {
+          conversationId: scope === 'conversation' ? selectedConversationId : null
+        });
+        if (!cancelled) setResults(found);
+      } catch (error) {
+        console.error('Search failed:', error);
+        if (!cancelled) setResults([]);
+      } finally {
+        if (!cancelled) setSearching(false);
+      }
+    }, SEARCH_DEBOUNCE);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, scope, isOpen, selectedConversationId]);
+
+  if (!isOpen) return null;
+
+  const friendForConversation = (conversationId) =>
+    friends.find((friend) => conversationIdFor(friend) === conversationId);
+
+  const scopeButton = (value, label) => (
+    <button
+      onClick={() => setScope(value)}
+      disabled={value === 'conversation' && !selectedFriend}
+      style={{
+        padding: '4px 10px',
+        background: scope === value ? colors.primary : colors.bgTertiary,
+        border: `1px solid ${scope === value ? colors.primary : colors.borderColor}`,
+        borderRadius: '6px',
+        color: scope === value ? '#fff' : colors.textPrimary,
+        fontSize: '12px',
+        cursor: 'pointer'
+      }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        top: 0,
+        left: 0,
+        right: 0,
+        bottom: 0,
+        background: 'rgba(0, 0, 0, 0.7)',
+        backdropFilter: 'blur(5px)',
+        display: 'flex',
+        alignItems: 'flex-start',
+        justifyContent: 'center',
+        zIndex: 10000,
+        padding: screen.isTiny ? '8px' : '48px 16px'
+      }}
+    >
+      <div
+        onClick={(e) => e.stopPropagation()}
+        style={{
+          background: colors.bgSecondary,
+          borderRadius: '12px',
+          padding: screen.isTiny ? '12px' : '16px',
+          maxWidth: screen.isMobile ? '100%' : '560px',
+          width: '100%',
+          boxShadow: colors.shadow,
+          maxHeight: '80vh',
+          display: 'flex',
+          flexDirection: 'column'
+        }}
+      >
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '10px' }}>
+          <input
+            ref={inputRef}
+            type="search"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => e.key === 'Escape' && onClose()}
+            placeholder="Search messages..."
+            style={{
+              flex: 1,
+              padding: '8px 12px',
+              background: colors.bgTertiary,
+              border: `1px solid ${colors.borderColor}`,
+              borderRadius: '8px',
+              color: colors.textPrimary,
+              fontSize: '14px',
+              outline: 'none'
+            }}
+          />
+          <button
+            onClick={onClose}
+            style={{
+              background: 'transparent',
+              border: 'none',
+              fontSize: '20px',
+              color: colors.textMuted,
+              cursor: 'pointer',
+              width: '28px',
+              height: '28px'
+            }}
+          >
+            ×
+          </button>
+        </div>
+
+        <div style={{ display: 'flex', gap: '6px', marginBottom: '10px' }}>
+          {scopeButton('conversation', selectedFriend ? `In ${selectedFriend.nickname || 'this chat'}` : 'This chat')}
+          {scopeButton('all', 'All chats')}
+        </div>
+
+        <div style={{ overflowY: 'auto', flex: 1 }}>
+          {searching && (
+            <div style={{ color: colors.textMuted, fontSize: '12px', padding: '8px 0' }}>Searching...</div>
+          )}
+          {!searching && query.trim() && results.length === 0 && (
+            <div style={{ color: colors.textMuted, fontSize: '13px', padding: '8px 0' }}>No messages found</div>
+          )}
+          {results.map((result) => {
+            const friend = friendForConversation(result.conversationId);
+            const isOwn = result.message.from === currentUser?.pub;
+            return (
+              <div
+                key={`${result.conversationId}:${result.message.id}`}
+                onClick={() => friend && onSelectResult(friend, result.message)}
+                style={{
+                  padding: '8px 10px',
+                  borderBottom: `1px solid ${colors.borderColor}`,
+                  cursor: friend ? 'pointer' : 'default'
+                }}
+              >
+                <div style={{
+                  display: 'flex',
+                  justifyContent: 'space-between',
+                  fontSize: '11px',
+                  color: colors.textMuted,
+                  marginBottom: '2px'
+                }}>
+                  <span>
+                    {isOwn ? 'You' : friend?.nickname || 'Unknown'}
+                    {isOwn && scope === 'all' && friend ? ` → ${friend.nickname}` : ''}
+                  </span>
+                  <span>{new Date(result.message.timestamp).toLocaleString()}</span>
+                </div>
+                <div style={{ fontSize: '13px', color: colors.textPrimary, wordBreak: 'break-word' }}>
+                  <HighlightedSnippet
+                    snippet={result.snippet}
+                    highlights={result.highlights}
+                    markColor="rgba(255, 170, 0, 0.4)"
+                  />
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SearchPanel;
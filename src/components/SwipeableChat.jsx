@@ -3,6 +3,7 @@ import ResizableSidebar from './ResizableSidebar';
 import EnhancedDevTools from './EnhancedDevTools';
 import { useTheme } from '../contexts/ThemeContext';
 import friendsService from '../services/friendsService';
+import { useDrafts } from '../hooks/useDrafts';
 
 /**
  * SwipeableChat Component
@@ -31,6 +32,7 @@ function SwipeableChat({
   const [showFriendActions, setShowFriendActions] = useState(null); // For friend context menu
   const [longPressTimer, setLongPressTimer] = useState(null);
   const containerRef = useRef(null);
+  const draftFor = useDrafts(currentUser?.pub);
 
   // Minimum swipe distance (in px)
   const minSwipeDistance = 50;
@@ -557,6 +559,7 @@ function SwipeableChat({
 
               {friends.map(friend => {
                 const statusInfo = formattedStatuses[friend.publicKey];
+                const draft = selectedFriend?.publicKey === friend.publicKey ? '' : draftFor(friend.publicKey);
 
                 return (
                 <div
@@ -616,7 +619,7 @@ function SwipeableChat({
                       }} />
                     )}
                   </div>
-                  <div style={{ flex: 1 }}>
+                  <div style={{ flex: 1, minWidth: 0 }}>
                     <div style={{
                       fontSize: '14px',
                       fontWeight: '500',
@@ -624,13 +627,26 @@ function SwipeableChat({
                     }}>
                       {friend.nickname}
                     </div>
-                    <div style={{
-                      fontSize: '11px',
-                      color: statusInfo?.online ? colors.success : colors.textMuted,
-                      marginTop: '2px'
-                    }}>
-                      {statusInfo?.text || 'Offline'}
-                    </div>
+                    {draft ? (
+                      <div style={{
+                        fontSize: '11px',
+                        color: colors.textSecondary,
+                        marginTop: '2px',
+                        whiteSpace: 'nowrap',
+                        overflow: 'hidden',
+                        textOverflow: 'ellipsis'
+                      }}>
+                        <span style={{ color: colors.error }}>Draft:</span> {draft}
+                      </div>
+                    ) : (
+                      <div style={{
+                        fontSize: '11px',
+                        color: statusInfo?.online ? colors.success : colors.textMuted,
+                        marginTop: '2px'
+                      }}>
+                        {statusInfo?.text || 'Offline'}
+                      </div>
+                    )}
                   </div>
                 </div>
               )})}
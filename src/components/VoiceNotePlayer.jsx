@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useRef, memo } from 'react';
+import { useTheme } from '../contexts/ThemeContext';
+import attachmentService, { formatClock } from '../services/attachmentService';
+import { ProgressBar } from './AttachmentView';
+
+/**
+ * VoiceNotePlayer Component
+ * Inline player for a voice note attachment. The audio is downloaded and
+ * decrypted on first play; the waveform fills in as it plays.
+ */
+const VoiceNotePlayer = memo(({ attachment }) => {
+  const { colors } = useTheme();
+  const audioRef = useRef(null);
+  const [objectUrl, setObjectUrl] = useState(null);
+  const [loading, setLoading] = useState(null); // download fraction while fetching
+  const [playing, setPlaying] = useState(false);
+  const [position, setPosition] = useState(0);
+  const [error, setError] = useState(null);
+
+  useEffect(() => () => {
+    if (objectUrl) URL.revokeObjectURL(objectUrl);
+  }, [objectUrl]);
+
+  if (!attachmentService.isValidManifest(attachment) || !attachment.voice) {
+    return <div style={{ fontSize: '12px', opacity: 0.7 }}>⚠ Unsupported voice note</div>;
+  }
+
+  const { duration, waveform } = attachment.voice;
+
+  const togglePlay = async () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+
+    if (playing) {
+      audio.pause();
+      return;
+    }
+
+    if (!objectUrl) {
+      setError(null);
+      setLoading(0);
+      try {
+        const blob = await attachmentService.download(attachment, { onProgress: setLoading });
+        const url = URL.createObjectURL(blob);
+        setObjectUrl(url);
+        audio.src = url;
+      } catch (err) {
+        setError(err.message);
+        return;
+      } finally {
+        setLoading(null);
+      }
+    }
+
+    try {
+      await audio.play();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const played = duration > 0 ? position / duration : 0;
+
+  return (
+    <div style={{ minWidth: '200px', maxWidth: '280px' }}>
+      <audio
+        ref={audioRef}
+        onPlay={() => setPlaying(true)}
+        onPause={() => setPlaying(false)}
+        onEnded={() => {
+          setPlaying(false);
+          setPosition(0);
+        }}
+        onTimeUpdate={(e) => setPosition(e.currentTarget.currentTime)}
+        style={{ display: 'none' }}
+      />
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <button
+          onClick={togglePlay}
+          disabled={loading !== null}
+          title={playing ? 'Pause' : 'Play voice note'}
+          style={{
+            width: '28px',
+            height: '28px',
+            flexShrink: 0,
+            borderRadius: '50%',
+            border: `1px solid ${colors.borderColor}`,
+            background: 'transparent',
+            color: 'inherit',
+            cursor: loading !== null ? 'wait' : 'pointer',
+            padding: 0
+          }}
+        >
+          {playing ? '❚❚' : '▶'}
+        </button>
+
+        <div style={{ flex: 1, display: 'flex', alignItems: 'center', gap: '2px', height: '28px' }}>
+          {(waveform.length > 0 ? waveform : [50]).map((peak, index, bars) => (
+            <div
+              key={index}
+              style={{
+                flex: 1,
+                height: `${Math.max(10, peak)}%`,
+                borderRadius: '1px',
+                background: 'currentColor',
+                opacity: (index + 1) / bars.length <= played ? 1 : 0.35
+              }}
+            />
+          ))}
+        </div>
+
+        <span style={{ fontSize: '11px', opacity: 0.7, minWidth: '32px', textAlign: 'right' }}>
+          {formatClock(playing || position > 0 ? position : duration)}
+        </span>
+      </div>
+
+      {loading !== null && (
+        <div style={{ marginTop: '4px' }}>
+          <ProgressBar progress={loading} color={colors.primary} />
+        </div>
+      )}
+      {error && (
+        <div style={{ fontSize: '11px', color: colors.error, marginTop: '4px' }}>⚠ {error}</div>
+      )}
+    </div>
+  );
+});
+
+VoiceNotePlayer.displayName = 'VoiceNotePlayer';
+
+export default VoiceNotePlayer;
@@ -26,6 +26,7 @@ export { default as AuthContainer } from './AuthContainer';
 export { default as MainChatInterface } from './MainChatInterface';
 export { default as LoadingScreen } from './LoadingScreen';
 export { default as ErrorScreen } from './ErrorScreen';
+export { default as LockScreen } from './LockScreen';
 
 // Future components can be added here as they are extracted:
 // export { default as RegisterView } from './RegisterView';
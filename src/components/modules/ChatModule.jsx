@@ -1,26 +1,52 @@
-import React, { useState, useEffect, useRef } from 'react';
-import messageService from '../../services/messageService';
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import messageService, { TIMESTAMP_WARNINGS, orderMessages } from '../../services/messageService';
+import friendsService from '../../services/friendsService';
+import groupService from '../../services/groupService';
+import MessageStatus from '../MessageStatus';
+import GroupDialog from '../GroupDialog';
+import MessageReactions from '../MessageReactions';
+import ReplyQuote from '../ReplyQuote';
+import MessageContent from '../MessageContent';
+import linkPreviewService from '../../services/linkPreviewService';
+
+const PAGE_SIZE = 50;
+const LOAD_OLDER_THRESHOLD = 80; // px from the top that triggers the next page
 // WebRTC removed - using Gun.js only
 
 /**
  * ChatModule - IRC-style chat interface
  * Clean, minimal private chat via Gun.js relay
  */
-function ChatModule({ selectedFriend, currentUser }) {
+function ChatModule({ selectedFriend, selectedGroup = null, currentUser, friends = [] }) {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [connectionStatus, setConnectionStatus] = useState('disconnected');
+  const [hasMore, setHasMore] = useState(false);
+  const [loadingOlder, setLoadingOlder] = useState(false);
+  const [showMembers, setShowMembers] = useState(false);
+  const [showInvite, setShowInvite] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [highlightedId, setHighlightedId] = useState(null);
   const messagesEndRef = useRef(null);
+  const messagesContainerRef = useRef(null);
   const inputRef = useRef(null);
-
+  const cursorRef = useRef(null);
+  const scrollAnchorRef = useRef(null);
+  const messagesRef = useRef([]);
+  messagesRef.current = messages;
 
   const getConversationId = () => {
+    if (selectedGroup) return groupService.getConversationId(selectedGroup.id);
     if (!selectedFriend || !currentUser?.pub) return null;
     return selectedFriend.conversationId || friendsService.generateConversationId(currentUser.pub, selectedFriend.publicKey);
   };
 
   useEffect(() => {
-    if (!selectedFriend) {
+    cursorRef.current = null;
+    setHasMore(false);
+    setReplyingTo(null);
+
+    if (!selectedFriend && !selectedGroup) {
       setMessages([]);
       return;
     }
@@ -34,9 +60,9 @@ function ChatModule({ selectedFriend, currentUser }) {
     loadMessages();
 
     const unsubscribeConversation = messageService.subscribeToConversation(
-      selectedFriend.conversationId,
+      conversationId,
       (message) => {
-        if (message.from !== selectedFriend.publicKey && message.to !== selectedFriend.publicKey) {
+        if (!selectedGroup && message.from !== selectedFriend.publicKey && message.to !== selectedFriend.publicKey) {
           return;
         }
 
@@ -44,51 +70,166 @@ function ChatModule({ selectedFriend, currentUser }) {
           if (prev.some((existing) => existing.id === message.id)) {
             return prev;
           }
-          return [...prev, message].sort((a, b) => a.timestamp - b.timestamp);
+          return orderMessages([...prev, message]);
         });
+        if (message.from !== currentUser?.pub && !document.hidden) {
+          messageService.markAsRead(conversationId, [message]);
+        }
         scrollToBottom();
       }
     );
 
+    // Keep ticks, edits, reactions and deletions in sync
+    const unsubscribeStatus = messageService.onMessage((event, data) => {
+      if (data?.conversationId !== conversationId) return;
+      if (event === 'status') {
+        setMessages((prev) => prev.map((msg) => (
+          msg.id === data.id ? { ...msg, status: data.status } : msg
+        )));
+      } else if (event === 'edited' || event === 'reacted') {
+        setMessages((prev) => prev.map((msg) => (msg.id === data.id ? data : msg)));
+      } else if (event === 'deleted' || event === 'expired') {
+        setMessages((prev) => prev.filter((msg) => msg.id !== data.id));
+      }
+    });
+
     checkConnection();
 
     return () => {
       if (unsubscribeConversation) unsubscribeConversation();
+      unsubscribeStatus();
     };
-  }, [selectedFriend, currentUser?.pub]);
+  }, [selectedFriend, selectedGroup, currentUser?.pub]);
 
   const loadMessages = async () => {
     const conversationId = getConversationId();
-    if (!selectedFriend || !conversationId) return;
+    if (!conversationId) return;
 
     try {
-      const history = await messageService.getConversationHistory(conversationId);
-      setMessages(history || []);
+      const page = await messageService.loadOlder(conversationId, Date.now() + 1, PAGE_SIZE);
+      cursorRef.current = page.cursor;
+      setHasMore(page.hasMore);
+      setMessages(page.messages);
+      messageService.markAsRead(conversationId, page.messages);
       scrollToBottom();
     } catch (error) {
       console.error('Failed to load messages:', error);
     }
   };
 
+  // Fetch the page before the oldest loaded message and prepend it
+  const loadOlderMessages = async () => {
+    const conversationId = getConversationId();
+    if (!conversationId || loadingOlder || !hasMore || !cursorRef.current) return;
+
+    setLoadingOlder(true);
+    try {
+      const page = await messageService.loadOlder(conversationId, cursorRef.current, PAGE_SIZE);
+      const container = messagesContainerRef.current;
+      if (container) {
+        scrollAnchorRef.current = container.scrollHeight - container.scrollTop;
+      }
+
+      cursorRef.current = page.cursor;
+      setHasMore(page.hasMore);
+      setMessages((prev) => {
+        const known = new Set(prev.map((msg) => msg.id));
+        const older = page.messages.filter((msg) => !known.has(msg.id));
+        return [...older, ...prev];
+      });
+    } catch (error) {
+      console.error('Failed to load older messages:', error);
+    } finally {
+      setLoadingOlder(false);
+    }
+  };
+
+  // Keep the viewport on the same message after older ones are prepended
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    if (container && scrollAnchorRef.current !== null) {
+      container.scrollTop = container.scrollHeight - scrollAnchorRef.current;
+      scrollAnchorRef.current = null;
+    }
+  }, [messages]);
+
+  // Scroll to a quoted message, loading older pages until it is on screen
+  const jumpToMessage = async (messageId) => {
+    const conversationId = getConversationId();
+    if (!conversationId) return;
+
+    let loaded = messagesRef.current;
+    let more = hasMore;
+    try {
+      while (!loaded.some((msg) => msg.id === messageId) && more && cursorRef.current) {
+        const page = await messageService.loadOlder(conversationId, cursorRef.current, PAGE_SIZE);
+        cursorRef.current = page.cursor;
+        more = page.hasMore;
+        const known = new Set(loaded.map((msg) => msg.id));
+        loaded = [...page.messages.filter((msg) => !known.has(msg.id)), ...loaded];
+      }
+    } catch (error) {
+      console.error('Failed to load older messages:', error);
+    }
+    setHasMore(more);
+
+    if (!loaded.some((msg) => msg.id === messageId)) {
+      alert('The original message is no longer available');
+      return;
+    }
+    if (loaded !== messagesRef.current) {
+      setMessages((prev) => {
+        const known = new Set(prev.map((msg) => msg.id));
+        return orderMessages([...loaded.filter((msg) => !known.has(msg.id)), ...prev]);
+      });
+    }
+    setHighlightedId(messageId);
+  };
+
+  useEffect(() => {
+    if (!highlightedId) return undefined;
+    document.getElementById(`msg-${highlightedId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    const timer = setTimeout(() => setHighlightedId(null), 2000);
+    return () => clearTimeout(timer);
+  }, [highlightedId]);
+
+  const handleToggleReaction = (messageId, emoji) => {
+    messageService.toggleReaction(getConversationId(), messageId, emoji)
+      .catch((error) => alert('Failed to react: ' + error.message));
+  };
+
+  const handleMessagesScroll = (e) => {
+    if (e.currentTarget.scrollTop < LOAD_OLDER_THRESHOLD) {
+      loadOlderMessages();
+    }
+  };
+
   const checkConnection = async () => {
-    if (!selectedFriend) return;
+    if (!selectedFriend && !selectedGroup) return;
 
     // Gun.js is always connected for messaging
     setConnectionStatus('connected');
   };
 
   const sendMessage = async () => {
-    if (!newMessage.trim() || !selectedFriend) return;
+    if (!newMessage.trim() || (!selectedFriend && !selectedGroup)) return;
 
     try {
-      const sentMessage = await messageService.sendMessage(selectedFriend.publicKey, newMessage);
+      const metadata = replyingTo ? { replyTo: messageService.replyReference(replyingTo) } : {};
+      const previewUrl = linkPreviewService.isEnabled() && linkPreviewService.findUrl(newMessage);
+      const linkPreview = previewUrl ? await linkPreviewService.generate(previewUrl) : null;
+      if (linkPreview) metadata.linkPreview = linkPreview;
+      const sentMessage = selectedGroup
+        ? await messageService.sendGroupMessage(selectedGroup.id, newMessage, metadata)
+        : await messageService.sendMessage(selectedFriend.publicKey, newMessage, metadata);
       setMessages((prev) => {
         if (prev.some((existing) => existing.id === sentMessage.id)) {
           return prev;
         }
-        return [...prev, sentMessage].sort((a, b) => a.timestamp - b.timestamp);
+        return orderMessages([...prev, sentMessage]);
       });
       setNewMessage('');
+      setReplyingTo(null);
       scrollToBottom();
     } catch (error) {
       console.error('Failed to send message:', error);
@@ -118,7 +259,26 @@ function ChatModule({ selectedFriend, currentUser }) {
     });
   };
 
-  if (!selectedFriend) {
+  // Display name for a message sender
+  const senderName = (publicKey) => {
+    if (typeof publicKey !== 'string') return 'Unknown';
+    if (publicKey === currentUser?.pub) return 'You';
+    if (selectedFriend?.publicKey === publicKey) return selectedFriend.nickname;
+    const friend = friends.find((f) => f.publicKey === publicKey);
+    return friend?.nickname || `${publicKey.slice(0, 8)}...`;
+  };
+
+  const handleLeaveGroup = async () => {
+    if (!window.confirm(`Leave ${selectedGroup.name}?`)) return;
+    try {
+      await groupService.leaveGroup(selectedGroup.id);
+    } catch (error) {
+      console.error('Failed to leave group:', error);
+      alert('Failed to leave group');
+    }
+  };
+
+  if (!selectedFriend && !selectedGroup) {
     return (
       <div style={{
         height: '100%',
@@ -157,7 +317,7 @@ function ChatModule({ selectedFriend, currentUser }) {
       }}>
         <div>
           <span style={{ color: '#00ff00', fontSize: '16px' }}>
-            @{selectedFriend.nickname}
+            {selectedGroup ? `#${selectedGroup.name}` : `@${selectedFriend.nickname}`}
           </span>
           <span style={{
             marginLeft: '15px',
@@ -167,19 +327,85 @@ function ChatModule({ selectedFriend, currentUser }) {
             [GUN RELAY]
           </span>
         </div>
-        <div style={{ fontSize: '12px', color: '#606060' }}>
-          {selectedFriend.publicKey.slice(0, 8)}...
-        </div>
+        {selectedGroup ? (
+          <div style={{ display: 'flex', gap: '10px', fontSize: '12px' }}>
+            <button
+              onClick={() => setShowMembers(!showMembers)}
+              style={{ background: 'transparent', border: 'none', color: '#606060', cursor: 'pointer', fontFamily: 'inherit' }}
+            >
+              [{Object.keys(selectedGroup.members).length} MEMBERS]
+            </button>
+            {groupService.isAdmin(selectedGroup.id) && (
+              <button
+                onClick={() => setShowInvite(true)}
+                style={{ background: 'transparent', border: 'none', color: '#00ff00', cursor: 'pointer', fontFamily: 'inherit' }}
+              >
+                [INVITE]
+              </button>
+            )}
+            <button
+              onClick={handleLeaveGroup}
+              style={{ background: 'transparent', border: 'none', color: '#ff6666', cursor: 'pointer', fontFamily: 'inherit' }}
+            >
+              [LEAVE]
+            </button>
+          </div>
+        ) : (
+          <div style={{ fontSize: '12px', color: '#606060' }}>
+            {selectedFriend.publicKey.slice(0, 8)}...
+          </div>
+        )}
       </div>
 
+      {/* Group Members */}
+      {selectedGroup && showMembers && (
+        <div style={{
+          padding: '10px 15px',
+          borderBottom: '1px solid #333',
+          background: '#202020',
+          fontSize: '12px'
+        }}>
+          {Object.entries(selectedGroup.members).map(([publicKey, member]) => (
+            <div key={publicKey} style={{ display: 'flex', justifyContent: 'space-between', padding: '2px 0' }}>
+              <span style={{ color: member.role === 'admin' ? '#00ff00' : '#e0e0e0' }}>
+                {senderName(publicKey)}{member.role === 'admin' ? ' [admin]' : ''}
+              </span>
+              {groupService.isAdmin(selectedGroup.id) && publicKey !== currentUser.pub && (
+                <button
+                  onClick={() => groupService.removeMember(selectedGroup.id, publicKey)
+                    .catch((error) => alert('Failed to remove member: ' + error.message))}
+                  style={{ background: 'transparent', border: 'none', color: '#ff6666', cursor: 'pointer', fontFamily: 'inherit', fontSize: '11px' }}
+                >
+                  [REMOVE]
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Messages Area */}
-      <div style={{
-        flex: 1,
-        overflowY: 'auto',
-        padding: '15px',
-        display: 'flex',
-        flexDirection: 'column'
-      }}>
+      <div
+        ref={messagesContainerRef}
+        onScroll={handleMessagesScroll}
+        style={{
+          flex: 1,
+          overflowY: 'auto',
+          padding: '15px',
+          display: 'flex',
+          flexDirection: 'column'
+        }}
+      >
+        {loadingOlder && (
+          <div style={{
+            color: '#606060',
+            textAlign: 'center',
+            fontSize: '12px',
+            marginBottom: '10px'
+          }}>
+            Loading older messages...
+          </div>
+        )}
         {messages.length === 0 ? (
           <div style={{
             color: '#606060',
@@ -195,6 +421,7 @@ function ChatModule({ selectedFriend, currentUser }) {
             return (
               <div
                 key={msg.id || index}
+                id={`msg-${msg.id}`}
                 style={{
                   marginBottom: '10px',
                   display: 'flex',
@@ -206,23 +433,53 @@ function ChatModule({ selectedFriend, currentUser }) {
                   maxWidth: '70%',
                   padding: '8px 12px',
                   background: isOwn ? '#2a2a2a' : '#252525',
-                  border: `1px solid ${isOwn ? '#444' : '#333'}`,
+                  border: `1px solid ${highlightedId === msg.id ? '#00ff00' : isOwn ? '#444' : '#333'}`,
                   borderRadius: '4px'
                 }}>
+                  {msg.replyTo && (
+                    <ReplyQuote
+                      replyTo={msg.replyTo}
+                      authorName={senderName(msg.replyTo.from)}
+                      onJump={jumpToMessage}
+                      accentColor="#00ff00"
+                    />
+                  )}
                   <div style={{
                     fontSize: '11px',
                     color: '#606060',
                     marginBottom: '4px'
                   }}>
-                    [{formatTime(msg.timestamp)}] {isOwn ? 'You' : selectedFriend.nickname}
+                    [{formatTime(msg.timestamp)}
+                    {msg.timestampWarning && (
+                      <span title={TIMESTAMP_WARNINGS[msg.timestampWarning]} style={{ color: '#ff6666', cursor: 'help' }}>?</span>
+                    )}] {senderName(msg.from)}
+                    {isOwn && (
+                      <MessageStatus
+                        status={msg.status}
+                        readColor="#00ff00"
+                        onRetry={() => messageService.retryMessage(msg.id)}
+                      />
+                    )}
+                    <button
+                      onClick={() => setReplyingTo(msg)}
+                      style={{ background: 'transparent', border: 'none', color: '#606060', cursor: 'pointer', fontFamily: 'inherit', fontSize: '11px' }}
+                    >
+                      [REPLY]
+                    </button>
                   </div>
                   <div style={{
                     fontSize: '14px',
                     color: '#e0e0e0',
                     wordBreak: 'break-word'
                   }}>
-                    {msg.content}
+                    <MessageContent content={msg.content} linkPreview={msg.linkPreview} linkColor="#00ff00" />
                   </div>
+                  <MessageReactions
+                    reactions={msg.reactions}
+                    currentPub={currentUser.pub}
+                    onToggle={(emoji) => handleToggleReaction(msg.id, emoji)}
+                    activeColor="#00ff00"
+                  />
                 </div>
               </div>
             );
@@ -237,6 +494,14 @@ function ChatModule({ selectedFriend, currentUser }) {
         borderTop: '1px solid #333',
         background: '#2a2a2a'
       }}>
+        {replyingTo && (
+          <ReplyQuote
+            replyTo={messageService.replyReference(replyingTo)}
+            authorName={`Replying to ${senderName(replyingTo.from)}`}
+            onDismiss={() => setReplyingTo(null)}
+            accentColor="#00ff00"
+          />
+        )}
         <div style={{
           display: 'flex',
           gap: '10px'
@@ -290,6 +555,15 @@ function ChatModule({ selectedFriend, currentUser }) {
           Press Enter to send • Messages via Gun relay
         </div>
       </div>
+
+      {selectedGroup && (
+        <GroupDialog
+          isOpen={showInvite}
+          group={selectedGroup}
+          friends={friends}
+          onClose={() => setShowInvite(false)}
+        />
+      )}
     </div>
   );
 }
@@ -1,5 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import gunAuthService from '../../services/gunAuthService';
+import friendsService from '../../services/friendsService';
+import conversationExportService, { EXPORT_FORMATS } from '../../services/conversationExportService';
+import privacySettingsService from '../../services/privacySettingsService';
+import recoveryService from '../../services/recoveryService';
+import appLockService from '../../services/appLockService';
+import { formatDuration } from '../../services/messageService';
+import { APP_CONFIG } from '../../config/app.config.js';
 import { useTheme } from '../../hooks/useTheme';
 
 /**
@@ -12,11 +19,44 @@ function SettingsModule({ currentUser, onLogout }) {
   const [bio, setBio] = useState('');
   const [saving, setSaving] = useState(false);
   const [activeSection, setActiveSection] = useState('profile');
+  const [friends, setFriends] = useState([]);
+  const [exportFriend, setExportFriend] = useState('');
+  const [exportFormat, setExportFormat] = useState(EXPORT_FORMATS.ARCHIVE);
+  const [exportPassword, setExportPassword] = useState('');
+  const [importFile, setImportFile] = useState(null);
+  const [exportStatus, setExportStatus] = useState('');
+  const [privacy, setPrivacy] = useState(() => privacySettingsService.getSettings());
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [passwordStatus, setPasswordStatus] = useState('');
+  const [recoveryKit, setRecoveryKit] = useState(null); // { createdAt } or null
+  const [recoveryPhrase, setRecoveryPhrase] = useState('');
+  const [recoveryStatus, setRecoveryStatus] = useState('');
+  const [appLock, setAppLock] = useState(() => appLockService.getSettings());
+  const [lockPassphrase, setLockPassphrase] = useState('');
+  const [lockStatus, setLockStatus] = useState('');
 
   useEffect(() => {
     loadProfile();
   }, [currentUser]);
 
+  useEffect(() => privacySettingsService.onChange(setPrivacy), []);
+
+  useEffect(() => appLockService.onChange((event, data) => {
+    if (event === 'settings') setAppLock(data);
+  }), []);
+
+  useEffect(() => {
+    if (activeSection !== 'privacy') return;
+    friendsService.getFriends()
+      .then(setFriends)
+      .catch((error) => console.error('Failed to load friends:', error));
+    recoveryService.getKitStatus()
+      .then(setRecoveryKit)
+      .catch((error) => console.error('Failed to load recovery kit status:', error));
+  }, [activeSection]);
+
   const loadProfile = async () => {
     try {
       const profile = await gunAuthService.getUserProfile();
@@ -63,6 +103,131 @@ function SettingsModule({ currentUser, onLogout }) {
     URL.revokeObjectURL(url);
   };
 
+  const handleExportConversation = async () => {
+    const friend = friends.find((f) => f.publicKey === exportFriend);
+    if (!friend) return;
+
+    setExportStatus('Exporting...');
+    try {
+      const result = await conversationExportService.exportConversation(
+        friendsService.generateConversationId(currentUser.pub, friend.publicKey),
+        {
+          format: exportFormat,
+          password: exportPassword,
+          title: `Conversation with ${friend.nickname}`,
+          names: { [currentUser.pub]: nickname || currentUser.alias, [friend.publicKey]: friend.nickname }
+        }
+      );
+      conversationExportService.download(result);
+      setExportStatus(`Exported ${result.count} messages`);
+      setExportPassword('');
+    } catch (error) {
+      setExportStatus('Export failed: ' + error.message);
+    }
+  };
+
+  const handleImportArchive = async () => {
+    if (!importFile) return;
+
+    setExportStatus('Importing...');
+    try {
+      const result = await conversationExportService.importArchive(importFile, exportPassword);
+      setExportStatus(`Imported ${result.imported} messages, skipped ${result.skipped}`);
+      setImportFile(null);
+      setExportPassword('');
+    } catch (error) {
+      setExportStatus('Import failed: ' + error.message);
+    }
+  };
+
+  const handleChangePassword = async () => {
+    if (newPassword !== confirmPassword) {
+      setPasswordStatus('Change failed: passwords do not match');
+      return;
+    }
+
+    setPasswordStatus('Changing password...');
+    try {
+      await gunAuthService.changePassword(currentPassword, newPassword);
+      setPasswordStatus('Password changed');
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+    } catch (error) {
+      setPasswordStatus('Change failed: ' + error.message);
+    }
+  };
+
+  const handleCreateRecoveryKit = async () => {
+    if (recoveryKit && !confirm('Replace your recovery kit? The old phrase stops working.')) return;
+
+    setRecoveryStatus('Creating recovery kit...');
+    try {
+      setRecoveryPhrase(await recoveryService.createKit());
+      setRecoveryKit({ createdAt: Date.now() });
+      setRecoveryStatus('Write down or print this phrase now. It is not shown again.');
+    } catch (error) {
+      setRecoveryStatus('Recovery kit failed: ' + error.message);
+    }
+  };
+
+  const handleRemoveRecoveryKit = async () => {
+    if (!confirm('Remove your recovery kit? You cannot recover the account if you forget your password.')) return;
+
+    try {
+      await recoveryService.removeKit();
+      setRecoveryKit(null);
+      setRecoveryPhrase('');
+      setRecoveryStatus('Recovery kit removed');
+    } catch (error) {
+      setRecoveryStatus('Recovery kit failed: ' + error.message);
+    }
+  };
+
+  const handlePrintRecoveryKit = () => {
+    try {
+      recoveryService.printKit(gunAuthService.getAlias(), recoveryPhrase);
+    } catch (error) {
+      setRecoveryStatus('Recovery kit failed: ' + error.message);
+    }
+  };
+
+  const handleEnableAppLock = async () => {
+    try {
+      await appLockService.enable(lockPassphrase, { idleTimeout: appLock.idleTimeout, lockOnHide: appLock.lockOnHide });
+      setLockStatus(appLock.enabled ? 'PIN changed' : 'App lock enabled');
+      setLockPassphrase('');
+    } catch (error) {
+      setLockStatus('App lock failed: ' + error.message);
+    }
+  };
+
+  const handleAppLockOption = (changes) => {
+    if (appLock.enabled) {
+      appLockService.updateSettings(changes);
+    } else {
+      setAppLock({ ...appLock, ...changes });
+    }
+  };
+
+  const handleDisableAppLock = () => {
+    if (!confirm('Turn off app lock?')) return;
+    appLockService.disable();
+    setLockStatus('App lock disabled');
+  };
+
+  const exportInputStyle = {
+    padding: '8px',
+    marginRight: '10px',
+    marginBottom: '10px',
+    background: '#2a2a2a',
+    border: '1px solid #444',
+    color: '#e0e0e0',
+    fontFamily: 'inherit',
+    fontSize: '14px',
+    outline: 'none'
+  };
+
   return (
     <div style={{
       height: '100%',
@@ -245,6 +410,232 @@ function SettingsModule({ currentUser, onLogout }) {
           <div>
             <h3 style={{ color: '#00ff00', marginBottom: '20px' }}>[PRIVACY & SECURITY]</h3>
 
+            <div style={{ marginBottom: '30px' }}>
+              <h4 style={{ color: '#e0e0e0', marginBottom: '10px' }}>Presence & Typing</h4>
+              <p style={{ color: '#808080', fontSize: '14px', marginBottom: '10px' }}>
+                Online status and typing are only shared with friends, encrypted to each of them.
+              </p>
+              {[
+                ['typingIndicators', 'Send and show typing indicators'],
+                ['showLastSeen', 'Show my last seen time'],
+                ['invisible', 'Appear offline']
+              ].map(([name, label]) => (
+                <label key={name} style={{ display: 'block', color: '#e0e0e0', fontSize: '14px', marginBottom: '6px', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={privacy[name]}
+                    onChange={() => privacySettingsService.updateSettings({ [name]: !privacy[name] })}
+                    style={{ marginRight: '8px' }}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+
+            <div style={{ marginBottom: '30px' }}>
+              <h4 style={{ color: '#e0e0e0', marginBottom: '10px' }}>Password</h4>
+              <p style={{ color: '#808080', fontSize: '14px', marginBottom: '10px' }}>
+                Your keys are re-encrypted under the new password. Other signed-in devices stay signed in.
+              </p>
+              <div>
+                <input
+                  type="password"
+                  value={currentPassword}
+                  onChange={(e) => setCurrentPassword(e.target.value)}
+                  placeholder="Current password"
+                  autoComplete="current-password"
+                  style={exportInputStyle}
+                />
+                <input
+                  type="password"
+                  value={newPassword}
+                  onChange={(e) => setNewPassword(e.target.value)}
+                  placeholder="New password"
+                  autoComplete="new-password"
+                  style={exportInputStyle}
+                />
+                <input
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  placeholder="Confirm new password"
+                  autoComplete="new-password"
+                  style={exportInputStyle}
+                />
+              </div>
+              <button
+                onClick={handleChangePassword}
+                disabled={!currentPassword || !newPassword}
+                style={{
+                  padding: '10px 20px',
+                  background: '#2a2a2a',
+                  border: '1px solid #444',
+                  color: currentPassword && newPassword ? '#e0e0e0' : '#666',
+                  cursor: currentPassword && newPassword ? 'pointer' : 'not-allowed',
+                  fontFamily: 'inherit',
+                  fontSize: '14px'
+                }}
+              >
+                [CHANGE PASSWORD]
+              </button>
+              {passwordStatus && (
+                <div style={{ color: passwordStatus.includes('failed') ? '#ff6b6b' : '#00ff00', fontSize: '12px', marginTop: '10px' }}>
+                  {passwordStatus}
+                </div>
+              )}
+            </div>
+
+            <div style={{ marginBottom: '30px' }}>
+              <h4 style={{ color: '#e0e0e0', marginBottom: '10px' }}>Recovery Kit</h4>
+              <p style={{ color: '#808080', fontSize: '14px', marginBottom: '10px' }}>
+                A recovery phrase lets you set a new password on any device if you forget yours.
+                Anyone holding it can take over your account, so keep it offline.
+                {recoveryKit ? ` Kit created ${new Date(recoveryKit.createdAt).toLocaleDateString()}.` : ' No kit created yet.'}
+              </p>
+              {recoveryPhrase && (
+                <div style={{
+                  padding: '12px',
+                  marginBottom: '10px',
+                  background: '#2a2a2a',
+                  border: '1px solid #00ff00',
+                  color: '#00ff00',
+                  fontSize: '18px',
+                  letterSpacing: '2px',
+                  textAlign: 'center',
+                  wordBreak: 'break-all'
+                }}>
+                  {recoveryPhrase}
+                </div>
+              )}
+              <button
+                onClick={handleCreateRecoveryKit}
+                style={{
+                  padding: '10px 20px',
+                  marginRight: '10px',
+                  background: '#2a2a2a',
+                  border: '1px solid #444',
+                  color: '#e0e0e0',
+                  cursor: 'pointer',
+                  fontFamily: 'inherit',
+                  fontSize: '14px'
+                }}
+              >
+                {recoveryKit ? '[NEW RECOVERY KIT]' : '[CREATE RECOVERY KIT]'}
+              </button>
+              {recoveryPhrase && (
+                <button
+                  onClick={handlePrintRecoveryKit}
+                  style={{
+                    padding: '10px 20px',
+                    marginRight: '10px',
+                    background: '#2a2a2a',
+                    border: '1px solid #444',
+                    color: '#e0e0e0',
+                    cursor: 'pointer',
+                    fontFamily: 'inherit',
+                    fontSize: '14px'
+                  }}
+                >
+                  [PRINT]
+                </button>
+              )}
+              {recoveryKit && (
+                <button
+                  onClick={handleRemoveRecoveryKit}
+                  style={{
+                    padding: '10px 20px',
+                    marginRight: '10px',
+                    background: '#2a2a2a',
+                    border: '1px solid #ff6b6b',
+                    color: '#ff6b6b',
+                    cursor: 'pointer',
+                    fontFamily: 'inherit',
+                    fontSize: '14px'
+                  }}
+                >
+                  [REMOVE KIT]
+                </button>
+              )}
+              {recoveryStatus && (
+                <div style={{ color: recoveryStatus.includes('failed') ? '#ff6b6b' : '#00ff00', fontSize: '12px', marginTop: '10px' }}>
+                  {recoveryStatus}
+                </div>
+              )}
+            </div>
+
+            <div style={{ marginBottom: '30px' }}>
+              <h4 style={{ color: '#e0e0e0', marginBottom: '10px' }}>App Lock</h4>
+              <p style={{ color: '#808080', fontSize: '14px', marginBottom: '10px' }}>
+                Lock this device after inactivity and wipe keys from memory. Unlock with a PIN or passphrase.
+                Status: {appLock.enabled ? 'ON' : 'OFF'}
+              </p>
+              <div>
+                <select
+                  value={appLock.idleTimeout}
+                  onChange={(e) => handleAppLockOption({ idleTimeout: Number(e.target.value) })}
+                  style={exportInputStyle}
+                >
+                  {APP_CONFIG.appLock.idleTimeouts.map((timeout) => (
+                    <option key={timeout} value={timeout}>Lock after {formatDuration(timeout / 1000)} idle</option>
+                  ))}
+                </select>
+                <label style={{ color: '#e0e0e0', fontSize: '14px', cursor: 'pointer' }}>
+                  <input
+                    type="checkbox"
+                    checked={appLock.lockOnHide}
+                    onChange={() => handleAppLockOption({ lockOnHide: !appLock.lockOnHide })}
+                    style={{ marginRight: '8px' }}
+                  />
+                  Lock when the tab is hidden
+                </label>
+              </div>
+              <input
+                type="password"
+                value={lockPassphrase}
+                onChange={(e) => setLockPassphrase(e.target.value)}
+                placeholder={appLock.enabled ? 'New PIN or passphrase' : 'PIN or passphrase'}
+                autoComplete="new-password"
+                style={exportInputStyle}
+              />
+              <button
+                onClick={handleEnableAppLock}
+                disabled={!lockPassphrase}
+                style={{
+                  padding: '10px 20px',
+                  marginRight: '10px',
+                  background: '#2a2a2a',
+                  border: '1px solid #444',
+                  color: lockPassphrase ? '#e0e0e0' : '#666',
+                  cursor: lockPassphrase ? 'pointer' : 'not-allowed',
+                  fontFamily: 'inherit',
+                  fontSize: '14px'
+                }}
+              >
+                {appLock.enabled ? '[CHANGE PIN]' : '[ENABLE APP LOCK]'}
+              </button>
+              {appLock.enabled && (
+                <button
+                  onClick={handleDisableAppLock}
+                  style={{
+                    padding: '10px 20px',
+                    background: '#2a2a2a',
+                    border: '1px solid #ff6b6b',
+                    color: '#ff6b6b',
+                    cursor: 'pointer',
+                    fontFamily: 'inherit',
+                    fontSize: '14px'
+                  }}
+                >
+                  [DISABLE]
+                </button>
+              )}
+              {lockStatus && (
+                <div style={{ color: lockStatus.includes('failed') ? '#ff6b6b' : '#00ff00', fontSize: '12px', marginTop: '10px' }}>
+                  {lockStatus}
+                </div>
+              )}
+            </div>
+
             <div style={{ marginBottom: '30px' }}>
               <h4 style={{ color: '#e0e0e0', marginBottom: '10px' }}>Data Export</h4>
               <p style={{ color: '#808080', fontSize: '14px', marginBottom: '10px' }}>
@@ -266,6 +657,79 @@ function SettingsModule({ currentUser, onLogout }) {
               </button>
             </div>
 
+            <div style={{ marginBottom: '30px' }}>
+              <h4 style={{ color: '#e0e0e0', marginBottom: '10px' }}>Conversation Export</h4>
+              <p style={{ color: '#808080', fontSize: '14px', marginBottom: '10px' }}>
+                Export one conversation as a password-encrypted archive (re-importable) or as a
+                readable Markdown/HTML transcript. Transcripts are not encrypted.
+              </p>
+              <div>
+                <select value={exportFriend} onChange={(e) => setExportFriend(e.target.value)} style={exportInputStyle}>
+                  <option value="">-- select conversation --</option>
+                  {friends.map((friend) => (
+                    <option key={friend.publicKey} value={friend.publicKey}>{friend.nickname}</option>
+                  ))}
+                </select>
+                <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} style={exportInputStyle}>
+                  <option value={EXPORT_FORMATS.ARCHIVE}>Encrypted archive</option>
+                  <option value={EXPORT_FORMATS.MARKDOWN}>Markdown</option>
+                  <option value={EXPORT_FORMATS.HTML}>HTML</option>
+                </select>
+              </div>
+              <div>
+                <input
+                  type="password"
+                  value={exportPassword}
+                  onChange={(e) => setExportPassword(e.target.value)}
+                  placeholder="Archive password"
+                  autoComplete="new-password"
+                  style={exportInputStyle}
+                />
+                <input
+                  type="file"
+                  accept=".json,application/json"
+                  onChange={(e) => setImportFile(e.target.files?.[0] || null)}
+                  style={{ ...exportInputStyle, padding: '6px' }}
+                />
+              </div>
+              <button
+                onClick={handleExportConversation}
+                disabled={!exportFriend}
+                style={{
+                  padding: '10px 20px',
+                  marginRight: '10px',
+                  background: '#2a2a2a',
+                  border: '1px solid #444',
+                  color: exportFriend ? '#e0e0e0' : '#666',
+                  cursor: exportFriend ? 'pointer' : 'not-allowed',
+                  fontFamily: 'inherit',
+                  fontSize: '14px'
+                }}
+              >
+                [EXPORT CONVERSATION]
+              </button>
+              <button
+                onClick={handleImportArchive}
+                disabled={!importFile}
+                style={{
+                  padding: '10px 20px',
+                  background: '#2a2a2a',
+                  border: '1px solid #444',
+                  color: importFile ? '#e0e0e0' : '#666',
+                  cursor: importFile ? 'pointer' : 'not-allowed',
+                  fontFamily: 'inherit',
+                  fontSize: '14px'
+                }}
+              >
+                [IMPORT ARCHIVE]
+              </button>
+              {exportStatus && (
+                <div style={{ color: exportStatus.includes('failed') ? '#ff6b6b' : '#00ff00', fontSize: '12px', marginTop: '10px' }}>
+                  {exportStatus}
+                </div>
+              )}
+            </div>
+
             <div style={{ marginBottom: '30px' }}>
               <h4 style={{ color: '#e0e0e0', marginBottom: '10px' }}>Clear Local Data</h4>
               <p style={{ color: '#808080', fontSize: '14px', marginBottom: '10px' }}>
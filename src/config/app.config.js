@@ -13,11 +13,20 @@ export const APP_CONFIG = {
   auth: {
     maxLoginAttempts: 5,
     loginWindowMs: 60000, // 1 minute
-    sessionTimeout: 24 * 60 * 60 * 1000, // 24 hours
+    sessionTimeout: 24 * 60 * 60 * 1000, // 24 hours; signed out after this even while active
     usernameMaxLength: 20,
     passwordMinLength: 8,
   },
 
+  // App lock (keys wrapped under a PIN or passphrase on this device)
+  appLock: {
+    idleTimeouts: [60000, 300000, 900000, 1800000, 3600000], // Offered in settings, ms
+    defaultIdleTimeout: 5 * 60 * 1000,
+    minPassphraseLength: 6,
+    keyIterations: 310000, // PBKDF2-SHA256 rounds for the wrapping key
+    checkInterval: 15000, // How often idle time and session age are checked
+  },
+
   // Messages
   messages: {
     maxLength: 5000,
@@ -25,6 +34,36 @@ export const APP_CONFIG = {
     typingIndicatorTimeout: 3000,
     messageRetryAttempts: 3,
     messageRetryDelay: 1000,
+    messageRetryMaxDelay: 60000, // Backoff cap between retries
+    messageAckTimeout: 10000, // Wait for a relay ack before retrying
+    disappearingTimers: [0, 30, 300, 3600, 86400, 604800], // Seconds; 0 turns the timer off
+    expirySweepInterval: 5000, // How often expired messages are purged
+    reactionEmoji: ['👍', '❤️', '😂', '😮', '😢', '🙏'],
+    replyPreviewLength: 120, // Characters of the original quoted in a reply
+    scheduleCheckInterval: 15000, // How often due scheduled messages are sent or picked up
+    maxScheduleAhead: 30 * 24 * 60 * 60 * 1000, // 30 days
+  },
+
+  // Attachments
+  attachments: {
+    maxFileSize: 25 * 1024 * 1024, // 25 MB
+    chunkSize: 48 * 1024, // Plaintext bytes per encrypted chunk
+    thumbnailSize: 160, // Longest edge of image previews in px
+    chunkRetryAttempts: 3,
+  },
+
+  // Link previews (opt-in, generated by the sender)
+  linkPreviews: {
+    fetchTimeout: 5000,
+    maxHtmlLength: 500000, // Characters of the page scanned for metadata
+    imageSize: 240, // Longest edge of the embedded preview image in px
+  },
+
+  // Voice notes (sent as encrypted attachments)
+  voiceNotes: {
+    maxDuration: 300, // Seconds; recording stops on its own after this
+    minDuration: 0.5, // Shorter presses are treated as accidental
+    waveformBars: 48,
   },
 
   // Friends & Invites
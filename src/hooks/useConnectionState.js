@@ -1,6 +1,5 @@
-import { useState, useEffect, useRef } from 'react';
-import friendsService from '../services/friendsService';
-import gunAuthService from '../services/gunAuthService';
+import { useState, useEffect } from 'react';
+import presenceService from '../services/presenceService';
 import debugLogger from '../utils/debugLogger';
 
 // Simplified connection state hook for Gun.js only
@@ -13,94 +12,33 @@ export function useConnectionState(friendPublicKey) {
     method: 'gun'
   });
 
-  const subscriptionsRef = useRef([]);
-
   useEffect(() => {
     if (!friendPublicKey) return;
 
-    if (!friendsService || !gunAuthService) {
-      return;
-    }
-
-    const updateConnectionState = async (presence) => {
-      try {
-        if (!presence) {
-          setConnectionState({
-            status: 'disconnected',
-            isOnline: false,
-            lastSeen: null,
-            latency: null,
-            method: 'gun'
-          });
-          return;
-        }
-
-        const isActuallyOnline = presence.status === 'online' &&
-                                 presence.lastSeen &&
-                                 (Date.now() - presence.lastSeen) < 300000;
-
-        if (isActuallyOnline) {
-          setConnectionState({
-            status: 'gun',
-            isOnline: true,
-            lastSeen: presence.lastSeen,
-            latency: null,
-            method: 'gun'
-          });
-        } else {
-          setConnectionState({
-            status: 'disconnected',
-            isOnline: false,
-            lastSeen: presence.lastSeen || null,
-            latency: null,
-            method: 'gun'
-          });
-        }
-      } catch (error) {
-        console.error('Error updating connection state:', error);
-      }
+    // Presence is shared with us encrypted; presenceService decrypts it
+    const updateConnectionState = (presence) => {
+      setConnectionState({
+        status: presence?.online ? 'gun' : 'disconnected',
+        isOnline: Boolean(presence?.online),
+        lastSeen: presence?.lastSeen || null,
+        latency: null,
+        method: 'gun'
+      });
     };
 
-    // Subscribe to presence changes
-    const gun = gunAuthService.gun;
-    const presenceSub = gun.get('presence').get(friendPublicKey).on((data, key) => {
-      if (data && typeof data === 'object' && !data._ && data.status) {
-        const cleanPresence = {
-          status: data.status,
-          lastSeen: data.lastSeen,
-          peerId: data.peerId
-        };
+    updateConnectionState(presenceService.getFriendStatus(friendPublicKey));
 
-        const isOnline = cleanPresence.status === 'online' &&
-                        cleanPresence.lastSeen &&
-                        (Date.now() - cleanPresence.lastSeen) < 300000;
-
-        debugLogger.info(`[Presence] Friend ${friendPublicKey.substring(0, 8)}... ${isOnline ? 'online' : 'offline'}`);
-
-        updateConnectionState(cleanPresence);
-      }
+    const unsubscribe = presenceService.onStatusChange((publicKey, presence) => {
+      if (publicKey !== friendPublicKey) return;
+      debugLogger.info(`[Presence] Friend ${friendPublicKey.substring(0, 8)}... ${presence.online ? 'online' : 'offline'}`);
+      updateConnectionState(presence);
     });
 
-    subscriptionsRef.current.push(presenceSub);
-
     // Initial check
-    friendsService.getFriendPresence(friendPublicKey)
-      .then(presence => {
-        debugLogger.info(`[Initial] Friend ${friendPublicKey.substring(0, 8)}... presence check`);
-        updateConnectionState(presence);
-      })
+    presenceService.checkFriendPresence(friendPublicKey)
       .catch(err => console.error('Initial presence check failed:', err));
 
-    return () => {
-      subscriptionsRef.current.forEach(sub => {
-        if (sub && typeof sub === 'object' && sub.off) {
-          sub.off();
-        } else if (typeof sub === 'function') {
-          sub();
-        }
-      });
-      subscriptionsRef.current = [];
-    };
+    return unsubscribe;
   }, [friendPublicKey]);
 
   // Check Gun.js relay connection
@@ -110,4 +48,4 @@ export function useConnectionState(friendPublicKey) {
   };
 
   return { connectionState, checkConnection };
-}
\ No newline at end of file
+}
@@ -0,0 +1,21 @@
+import { useState, useEffect, useCallback } from 'react';
+import draftService from '../services/draftService';
+import friendsService from '../services/friendsService';
+import debugLogger from '../utils/debugLogger';
+
+// Draft text of each friend's conversation, for list previews
+export function useDrafts(currentPub) {
+  const [drafts, setDrafts] = useState(() => draftService.getDrafts());
+
+  useEffect(() => {
+    const unsubscribe = draftService.onChange(() => setDrafts(draftService.getDrafts()));
+    draftService.load()
+      .then(() => setDrafts(draftService.getDrafts()))
+      .catch((error) => debugLogger.error('Failed to load drafts', error));
+    return unsubscribe;
+  }, [currentPub]);
+
+  return useCallback((friendPub) => (
+    currentPub ? drafts[friendsService.generateConversationId(currentPub, friendPub)] || '' : ''
+  ), [drafts, currentPub]);
+}
@@ -0,0 +1,119 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { APP_CONFIG } from '../config/app.config.js';
+import debugLogger from '../utils/debugLogger';
+
+const MIME_CANDIDATES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm'];
+
+const pickMimeType = () =>
+  MIME_CANDIDATES.find((type) => window.MediaRecorder?.isTypeSupported?.(type)) || '';
+
+/**
+ * Push-to-record voice notes via MediaRecorder (Opus in WebM where the
+ * browser supports it). `stop` hands `{ blob, duration }` to `onRecorded`;
+ * `cancel` discards the recording. Recordings stop on their own at the
+ * configured maximum length.
+ */
+export function useVoiceRecorder(onRecorded) {
+  const [isRecording, setIsRecording] = useState(false);
+  const [elapsed, setElapsed] = useState(0);
+  const [error, setError] = useState(null);
+
+  const sessionRef = useRef(null); // { recorder, stream, chunks, startedAt, timer, discard }
+  const startingRef = useRef(false);
+  const stopRequestedRef = useRef(false);
+  const onRecordedRef = useRef(onRecorded);
+  onRecordedRef.current = onRecorded;
+
+  const finish = useCallback((discard) => {
+    const session = sessionRef.current;
+    if (!session) return;
+
+    sessionRef.current = null;
+    clearInterval(session.timer);
+    session.discard = discard;
+    if (session.recorder.state !== 'inactive') {
+      session.recorder.stop();
+    }
+    setIsRecording(false);
+  }, []);
+
+  const stop = useCallback(() => {
+    if (startingRef.current) {
+      // Released before the microphone was ready
+      stopRequestedRef.current = true;
+      return;
+    }
+    finish(false);
+  }, [finish]);
+
+  const cancel = useCallback(() => {
+    if (startingRef.current) {
+      stopRequestedRef.current = true;
+      return;
+    }
+    finish(true);
+  }, [finish]);
+
+  const start = useCallback(async () => {
+    if (sessionRef.current || startingRef.current) return;
+
+    if (!navigator.mediaDevices?.getUserMedia || !window.MediaRecorder) {
+      setError('Voice notes are not supported in this browser');
+      return;
+    }
+
+    setError(null);
+    startingRef.current = true;
+    stopRequestedRef.current = false;
+
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    } catch (err) {
+      debugLogger.warn('Microphone access failed', { error: err.message });
+      setError('Microphone access was denied');
+      startingRef.current = false;
+      return;
+    }
+    startingRef.current = false;
+
+    if (stopRequestedRef.current) {
+      stream.getTracks().forEach((track) => track.stop());
+      return;
+    }
+
+    const mimeType = pickMimeType();
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    const session = { recorder, stream, chunks: [], startedAt: Date.now(), timer: null, discard: false };
+
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) session.chunks.push(e.data);
+    };
+    recorder.onstop = () => {
+      stream.getTracks().forEach((track) => track.stop());
+      const duration = (Date.now() - session.startedAt) / 1000;
+      if (session.discard || duration < APP_CONFIG.voiceNotes.minDuration) return;
+
+      const blob = new Blob(session.chunks, { type: recorder.mimeType || mimeType || 'audio/webm' });
+      onRecordedRef.current?.({ blob, duration });
+    };
+
+    session.timer = setInterval(() => {
+      const seconds = (Date.now() - session.startedAt) / 1000;
+      setElapsed(seconds);
+      if (seconds >= APP_CONFIG.voiceNotes.maxDuration) {
+        finish(false);
+      }
+    }, 250);
+
+    sessionRef.current = session;
+    recorder.start(250);
+    setElapsed(0);
+    setIsRecording(true);
+  }, [finish]);
+
+  // Never leave the microphone open after unmount
+  useEffect(() => () => finish(true), [finish]);
+
+  return { isRecording, elapsed, error, start, stop, cancel };
+}
@@ -0,0 +1,373 @@
+/**
+ * App Lock Service
+ * Locks the app after a period of inactivity or when the tab is hidden.
+ * Locking signs the session out, which drops the SEA pair from memory and
+ * from Gun's recalled session, and every service clears its cached keys and
+ * decrypted messages on the logout event.
+ *
+ * The long-term pair never touches localStorage. Turning the lock on creates
+ * a lock key pair whose private half is stored wrapped under a key derived
+ * from the PIN or passphrase. Each session encrypts the SEA pair under a
+ * fresh session key sealed to the lock key's public half, and keeps that in
+ * sessionStorage only, so it is gone once the tab closes or the user signs
+ * out. Unlocking needs neither the password nor the network. Wrong guesses
+ * count towards the same lockout as failed logins, but only in this client:
+ * whoever copies the browser's storage during a session can guess the PIN
+ * offline. The lock guards against casual access only, and the settings
+ * say so.
+ *
+ * Also enforces APP_CONFIG.auth.sessionTimeout: a session older than that
+ * is signed out whether or not app lock is enabled.
+ */
+
+import gunAuthService from './gunAuthService';
+import securityTriggerService from './securityTriggerService';
+import debugLogger from '../utils/debugLogger';
+import { fromBase64, toBase64 } from '../utils/doubleRatchet';
+import { APP_CONFIG } from '../config/app.config.js';
+
+const LOCKED_ACCOUNT_KEY = 'appLockedAccount'; // sessionStorage: account locked in this tab
+const SESSION_STARTED_KEY = 'sessionStartedAt'; // sessionStorage
+const SEALED_SESSION_KEY = 'appLockSession'; // sessionStorage: this session's pair, sealed to the lock key
+const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'mousemove', 'touchstart', 'wheel'];
+const WRAP_VERSION = 2;
+const LOCK_KEY_ALGORITHM = { name: 'RSA-OAEP', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' };
+const LOCK_KEY_IMPORT = { name: 'RSA-OAEP', hash: 'SHA-256' };
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const deriveWrappingKey = async (passphrase, salt, iterations) => {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+// New lock key pair, its private half wrapped under the passphrase
+const createLockKey = async (passphrase) => {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const iterations = APP_CONFIG.appLock.keyIterations;
+  const key = await deriveWrappingKey(passphrase, salt, iterations);
+  const lockKey = await crypto.subtle.generateKey(LOCK_KEY_ALGORITHM, true, ['encrypt', 'decrypt']);
+  const privateKey = await crypto.subtle.exportKey('pkcs8', lockKey.privateKey);
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, privateKey);
+  return {
+    v: WRAP_VERSION,
+    publicKey: toBase64(new Uint8Array(await crypto.subtle.exportKey('spki', lockKey.publicKey))),
+    iterations,
+    salt: toBase64(salt),
+    iv: toBase64(iv),
+    data: toBase64(new Uint8Array(data))
+  };
+};
+
+// Rejects when the passphrase is wrong
+const unwrapLockKey = async (lockKey, passphrase) => {
+  const key = await deriveWrappingKey(passphrase, fromBase64(lockKey.salt), lockKey.iterations);
+  const privateKey = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(lockKey.iv) }, key, fromBase64(lockKey.data));
+  return crypto.subtle.importKey('pkcs8', privateKey, LOCK_KEY_IMPORT, false, ['decrypt']);
+};
+
+// Encrypt the pair under a fresh session key sealed to the lock key
+const sealPair = async (pair, lockKey) => {
+  const sessionKey = crypto.getRandomValues(new Uint8Array(32));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await crypto.subtle.importKey('raw', sessionKey, 'AES-GCM', false, ['encrypt']);
+  const publicKey = await crypto.subtle.importKey('spki', fromBase64(lockKey.publicKey), LOCK_KEY_IMPORT, false, ['encrypt']);
+  const plaintext = encoder.encode(JSON.stringify({
+    pub: pair.pub,
+    epub: pair.epub,
+    priv: pair.priv,
+    epriv: pair.epriv
+  }));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+  const sealedKey = await crypto.subtle.encrypt({ name: 'RSA-OAEP' }, publicKey, sessionKey);
+  sessionKey.fill(0);
+  return { pub: pair.pub, key: toBase64(new Uint8Array(sealedKey)), iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+};
+
+const openPair = async (sealed, privateKey) => {
+  const sessionKey = await crypto.subtle.decrypt({ name: 'RSA-OAEP' }, privateKey, fromBase64(sealed.key));
+  const key = await crypto.subtle.importKey('raw', sessionKey, 'AES-GCM', false, ['decrypt']);
+  const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data));
+  return JSON.parse(decoder.decode(plaintext));
+};
+
+class AppLockService {
+  constructor() {
+    this.publicKey = null; // Account being watched
+    this.lastActivity = Date.now();
+    this.timer = null;
+    this.listeners = new Set();
+    this.locking = false;
+
+    this.handleActivity = () => {
+      this.lastActivity = Date.now();
+    };
+    // Background tabs throttle timers, so idle time is also checked on return
+    this.handleVisibility = () => {
+      if (!document.hidden) this.check();
+      else if (this.readSettings(this.publicKey).lockOnHide) this.lock();
+    };
+
+    // Any sign-out other than locking ends the session and its sealed keys
+    gunAuthService.onAuthChange((event) => {
+      if (event === 'logout' && !this.locking) this.clearSession();
+    });
+  }
+
+  storageKey(publicKey) {
+    return `appLock_${publicKey}`;
+  }
+
+  readSettings(publicKey) {
+    let stored = null;
+    try {
+      stored = publicKey ? JSON.parse(localStorage.getItem(this.storageKey(publicKey))) : null;
+    } catch (error) {
+      debugLogger.warn('Ignoring unreadable app lock settings', { error: error.message });
+    }
+
+    return {
+      enabled: Boolean(stored?.enabled && stored.lockKey?.v === WRAP_VERSION),
+      idleTimeout: stored?.idleTimeout || APP_CONFIG.appLock.defaultIdleTimeout,
+      lockOnHide: Boolean(stored?.lockOnHide),
+      lockKey: stored?.lockKey || null
+    };
+  }
+
+  writeSettings(publicKey, settings) {
+    localStorage.setItem(this.storageKey(publicKey), JSON.stringify(settings));
+    this.notify('settings', this.getSettings());
+  }
+
+  currentAccount() {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+    return user.pub;
+  }
+
+  // Settings of the signed-in account, without the lock key
+  getSettings() {
+    const publicKey = gunAuthService.getCurrentUser()?.pub;
+    const { enabled, idleTimeout, lockOnHide } = this.readSettings(publicKey);
+    return { enabled, idleTimeout, lockOnHide };
+  }
+
+  /**
+   * Turn app lock on, or change its PIN or passphrase
+   * @param {string} passphrase
+   * @param {Object} [options] - { idleTimeout, lockOnHide }
+   */
+  async enable(passphrase, options = {}) {
+    const pair = gunAuthService.getKeyPair();
+    if (!pair) throw new Error('Not authenticated');
+
+    const minLength = APP_CONFIG.appLock.minPassphraseLength;
+    if (String(passphrase || '').length < minLength) {
+      throw new Error(`Use a PIN or passphrase of at least ${minLength} characters`);
+    }
+
+    const current = this.readSettings(pair.pub);
+    const lockKey = await createLockKey(passphrase);
+    this.writeSettings(pair.pub, {
+      enabled: true,
+      idleTimeout: options.idleTimeout || current.idleTimeout,
+      lockOnHide: options.lockOnHide ?? current.lockOnHide,
+      lockKey
+    });
+    // A session sealed to the old lock key cannot be opened with the new PIN
+    await this.sealSession();
+    this.lastActivity = Date.now();
+  }
+
+  /**
+   * Change the idle timeout or lock-on-hide of an enabled lock
+   */
+  updateSettings(changes) {
+    const publicKey = this.currentAccount();
+    const current = this.readSettings(publicKey);
+    if (!current.enabled) throw new Error('App lock is off');
+
+    this.writeSettings(publicKey, {
+      ...current,
+      idleTimeout: APP_CONFIG.appLock.idleTimeouts.includes(changes.idleTimeout) ? changes.idleTimeout : current.idleTimeout,
+      lockOnHide: typeof changes.lockOnHide === 'boolean' ? changes.lockOnHide : current.lockOnHide
+    });
+  }
+
+  // Turn app lock off and delete the lock key and sealed session
+  disable() {
+    const publicKey = this.currentAccount();
+    localStorage.removeItem(this.storageKey(publicKey));
+    this.clearSession();
+    this.notify('settings', this.getSettings());
+  }
+
+  // Seal the signed-in pair for this session so the PIN alone can unlock it
+  async sealSession() {
+    const pair = gunAuthService.getKeyPair();
+    const { enabled, lockKey } = this.readSettings(pair?.pub);
+    if (!enabled) return;
+
+    sessionStorage.setItem(SEALED_SESSION_KEY, JSON.stringify(await sealPair(pair, lockKey)));
+  }
+
+  readSession() {
+    try {
+      return JSON.parse(sessionStorage.getItem(SEALED_SESSION_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+  clearSession() {
+    sessionStorage.removeItem(SEALED_SESSION_KEY);
+  }
+
+  /**
+   * Start watching for inactivity once signed in or unlocked
+   */
+  start() {
+    const publicKey = this.currentAccount();
+    this.detach();
+    this.publicKey = publicKey;
+    this.lastActivity = Date.now();
+
+    if (!sessionStorage.getItem(SESSION_STARTED_KEY)) {
+      sessionStorage.setItem(SESSION_STARTED_KEY, String(Date.now()));
+    }
+
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, this.handleActivity, { passive: true }));
+    document.addEventListener('visibilitychange', this.handleVisibility);
+    this.timer = setInterval(() => this.check(), APP_CONFIG.appLock.checkInterval);
+    this.sealSession().catch((error) => {
+      debugLogger.error('Failed to seal session keys for app lock', error);
+    });
+    this.check();
+  }
+
+  // Stop watching on logout; the next sign-in starts a new session
+  stop() {
+    this.detach();
+    sessionStorage.removeItem(SESSION_STARTED_KEY);
+    sessionStorage.removeItem(LOCKED_ACCOUNT_KEY);
+    this.clearSession();
+  }
+
+  detach() {
+    ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, this.handleActivity));
+    document.removeEventListener('visibilitychange', this.handleVisibility);
+    clearInterval(this.timer);
+    this.timer = null;
+    this.publicKey = null;
+  }
+
+  check() {
+    if (!this.publicKey) return;
+
+    const startedAt = Number(sessionStorage.getItem(SESSION_STARTED_KEY)) || Date.now();
+    if (Date.now() - startedAt >= APP_CONFIG.auth.sessionTimeout) {
+      debugLogger.info('Session expired');
+      this.stop();
+      this.notify('expired', null);
+      return;
+    }
+
+    const settings = this.readSettings(this.publicKey);
+    if (settings.enabled && Date.now() - this.lastActivity >= settings.idleTimeout) {
+      this.lock();
+    }
+  }
+
+  /**
+   * Lock now. Signing out wipes the keys held in memory.
+   * @returns {boolean} false when app lock is off or the session is not sealed yet
+   */
+  lock() {
+    const publicKey = this.publicKey;
+    if (!publicKey || !this.readSettings(publicKey).enabled || this.readSession()?.pub !== publicKey) return false;
+
+    this.detach();
+    sessionStorage.setItem(LOCKED_ACCOUNT_KEY, publicKey);
+    this.locking = true;
+    try {
+      gunAuthService.logout();
+    } finally {
+      this.locking = false;
+    }
+    debugLogger.info('App locked');
+    this.notify('locked', { publicKey });
+    return true;
+  }
+
+  // Account locked in this tab, if it can still be unlocked here
+  getLockedAccount() {
+    const publicKey = sessionStorage.getItem(LOCKED_ACCOUNT_KEY);
+    const unlockable = publicKey && this.readSettings(publicKey).enabled && this.readSession()?.pub === publicKey;
+    return unlockable ? publicKey : null;
+  }
+
+  /**
+   * Open the sealed key pair with the PIN or passphrase and sign back in
+   * @returns {Promise<Object>} The signed-in user
+   */
+  async unlock(passphrase) {
+    const publicKey = this.getLockedAccount();
+    if (!publicKey) throw new Error('The app is not locked');
+
+    if (securityTriggerService.isCurrentlyLocked()) {
+      const minutes = Math.ceil(securityTriggerService.getLockoutTimeRemaining() / 60000);
+      throw new Error(`Locked due to too many failed attempts. Try again in ${minutes} minutes.`);
+    }
+
+    let privateKey;
+    try {
+      privateKey = await unwrapLockKey(this.readSettings(publicKey).lockKey, passphrase);
+    } catch {
+      const result = await securityTriggerService.recordFailedAttempt();
+      if (result.triggered) {
+        throw new Error(result.message || 'Locked due to too many failed attempts');
+      }
+      const attemptsLeft = result.remaining;
+      throw new Error(`Wrong PIN or passphrase. ${attemptsLeft} attempt${attemptsLeft !== 1 ? 's' : ''} remaining.`);
+    }
+
+    let pair;
+    try {
+      pair = await openPair(this.readSession(), privateKey);
+    } catch {
+      throw new Error('The locked session cannot be opened. Sign in with your password.');
+    }
+    if (pair?.pub !== publicKey) throw new Error('Stored key does not match the locked account');
+
+    securityTriggerService.recordSuccessfulLogin();
+    const result = await gunAuthService.loginWithPair(pair);
+    sessionStorage.removeItem(LOCKED_ACCOUNT_KEY);
+    this.notify('unlocked', { publicKey });
+    return result.user;
+  }
+
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify(event, data) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(event, data);
+      } catch (error) {
+        debugLogger.error('App lock listener error', error);
+      }
+    });
+  }
+}
+
+export default new AppLockService();
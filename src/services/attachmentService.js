@@ -0,0 +1,317 @@
+/**
+ * Attachment Service
+ * Encrypted file transfer over Gun. Files are split into chunks, each
+ * encrypted with a per-file AES-GCM key and stored under the SHA-256 of
+ * its ciphertext in the public `attachments` node. Only the manifest
+ * (key, chunk ids and plaintext hash) travels inside the encrypted message.
+ */
+
+import hybridGunService from './hybridGunService';
+import gunAuthService from './gunAuthService';
+import { createStore } from '../utils/indexedDbStore.js';
+import { fromBase64, toBase64 } from '../utils/doubleRatchet';
+import debugLogger from '../utils/debugLogger';
+import { APP_CONFIG } from '../config/app.config.js';
+
+const MANIFEST_VERSION = 1;
+const IV_LENGTH = 12;
+const CHUNK_ID_PATTERN = /^[0-9a-f]{64}$/;
+const THUMBNAIL_PREFIX = 'data:image/jpeg;base64,';
+const MAX_WAVEFORM_BARS = 256;
+
+const encoder = new TextEncoder();
+
+const sha256Hex = async (bytes) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return Array.from(digest, (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+const importFileKey = (keyBytes) =>
+  crypto.subtle.importKey('raw', keyBytes, 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+// Chunk ciphertext is bound to its file and position
+const chunkAad = (fileHash, index) => encoder.encode(`${fileHash}:${index}`);
+
+/**
+ * m:ss clock for voice note lengths and playback positions
+ */
+export const formatClock = (seconds) => {
+  const total = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Human-readable file size
+ */
+export const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Fallback text for attachment messages, shown by clients that cannot
+ * render attachments and indexed for search
+ */
+export const attachmentLabel = (manifest) => (
+  manifest?.voice
+    ? `🎤 Voice note (${formatClock(manifest.voice.duration)})`
+    : `📎 ${manifest?.name || 'Attachment'}`
+);
+
+class AttachmentService {
+  constructor() {
+    this.uploads = createStore('uploads');
+    this.downloads = new Map(); // file hash -> Promise<Blob>
+  }
+
+  /**
+   * Encrypt and upload a file. Progress is reported as a 0..1 fraction.
+   * Interrupted uploads resume from the last stored chunk when the same
+   * file is uploaded again.
+   * @param {File} file
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress]
+   * @param {Object} [options.voice] - `{ duration }` for recorded voice notes
+   * @returns {Promise<Object>} Manifest to send inside the encrypted message
+   */
+  async upload(file, { onProgress, voice } = {}) {
+    const { maxFileSize, chunkSize } = APP_CONFIG.attachments;
+    if (file.size > maxFileSize) {
+      throw new Error(`File is too large (max ${Math.round(maxFileSize / (1024 * 1024))} MB)`);
+    }
+    if (file.size === 0) {
+      throw new Error('File is empty');
+    }
+
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const fileHash = await sha256Hex(bytes);
+    const totalChunks = Math.ceil(bytes.length / chunkSize);
+
+    let upload = await this.uploads.get(fileHash).catch(() => null);
+    let keyBytes;
+    if (upload && upload.chunkSize === chunkSize) {
+      keyBytes = fromBase64(await gunAuthService.decryptForSelf(upload.secret));
+      debugLogger.info('Resuming attachment upload', {
+        completed: upload.chunks.filter(Boolean).length,
+        totalChunks
+      });
+    } else {
+      keyBytes = crypto.getRandomValues(new Uint8Array(32));
+      upload = {
+        id: fileHash,
+        secret: await gunAuthService.encryptForSelf(toBase64(keyBytes)),
+        chunkSize,
+        chunks: new Array(totalChunks).fill(null),
+        createdAt: Date.now()
+      };
+      await this.saveUpload(upload);
+    }
+
+    const key = await importFileKey(keyBytes);
+    onProgress?.(upload.chunks.filter(Boolean).length / totalChunks);
+
+    for (let index = 0; index < totalChunks; index++) {
+      if (upload.chunks[index]) continue;
+
+      const plaintext = bytes.subarray(index * chunkSize, (index + 1) * chunkSize);
+      const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+      const ciphertext = new Uint8Array(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv, additionalData: chunkAad(fileHash, index) },
+        key,
+        plaintext
+      ));
+
+      const blob = new Uint8Array(IV_LENGTH + ciphertext.length);
+      blob.set(iv);
+      blob.set(ciphertext, IV_LENGTH);
+
+      const chunkId = await sha256Hex(blob);
+      await this.storeChunk(chunkId, toBase64(blob));
+
+      upload.chunks[index] = chunkId;
+      await this.saveUpload(upload);
+      onProgress?.((index + 1) / totalChunks);
+    }
+
+    const thumbnail = file.type.startsWith('image/') ? await this.createThumbnail(file) : null;
+    const voiceNote = voice ? await this.describeVoiceNote(file, voice.duration) : null;
+    this.uploads.delete(fileHash).catch(() => {});
+
+    return {
+      v: MANIFEST_VERSION,
+      name: file.name,
+      type: file.type || 'application/octet-stream',
+      size: file.size,
+      hash: fileHash,
+      key: toBase64(keyBytes),
+      chunkSize,
+      chunks: upload.chunks,
+      ...(thumbnail && { thumbnail }),
+      ...(voiceNote && { voice: voiceNote })
+    };
+  }
+
+  // Persist upload progress; a failed write only loses resumability
+  async saveUpload(upload) {
+    try {
+      await this.uploads.put(upload);
+    } catch (error) {
+      debugLogger.warn('Failed to persist upload progress', { error: error.message });
+    }
+  }
+
+  async storeChunk(chunkId, data) {
+    const attempts = APP_CONFIG.attachments.chunkRetryAttempts;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        await hybridGunService.storeAttachmentChunk(chunkId, data, APP_CONFIG.messages.messageAckTimeout);
+        return;
+      } catch (error) {
+        if (attempt >= attempts) throw error;
+        await new Promise((resolve) => setTimeout(resolve, APP_CONFIG.messages.messageRetryDelay * attempt));
+      }
+    }
+  }
+
+  /**
+   * Small JPEG preview for images (data URL), or null if the browser
+   * cannot decode the file
+   */
+  async createThumbnail(file) {
+    try {
+      const bitmap = await createImageBitmap(file);
+      const scale = Math.min(1, APP_CONFIG.attachments.thumbnailSize / Math.max(bitmap.width, bitmap.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+      canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      bitmap.close();
+      return canvas.toDataURL('image/jpeg', 0.7);
+    } catch (error) {
+      debugLogger.warn('Failed to create thumbnail', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Duration and a normalized 0..100 peak waveform for a voice note. The
+   * recorder's duration is used if the browser cannot decode the audio.
+   */
+  async describeVoiceNote(file, recordedDuration) {
+    const bars = APP_CONFIG.voiceNotes.waveformBars;
+    let duration = recordedDuration;
+    let waveform = [];
+
+    try {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      const context = new AudioContextClass();
+      const audio = await context.decodeAudioData(await file.arrayBuffer());
+      context.close();
+
+      const samples = audio.getChannelData(0);
+      const windowSize = Math.max(1, Math.floor(samples.length / bars));
+      const peaks = [];
+      for (let bar = 0; bar < bars; bar++) {
+        let peak = 0;
+        const end = Math.min(samples.length, (bar + 1) * windowSize);
+        for (let i = bar * windowSize; i < end; i++) {
+          peak = Math.max(peak, Math.abs(samples[i]));
+        }
+        peaks.push(peak);
+      }
+      const loudest = Math.max(...peaks) || 1;
+      waveform = peaks.map((peak) => Math.round((peak / loudest) * 100));
+      if (Number.isFinite(audio.duration) && audio.duration > 0) {
+        duration = audio.duration;
+      }
+    } catch (error) {
+      debugLogger.warn('Failed to analyze voice note', { error: error.message });
+    }
+
+    return {
+      duration: Math.round(Math.min(duration, APP_CONFIG.voiceNotes.maxDuration) * 10) / 10,
+      waveform
+    };
+  }
+
+  /**
+   * Check that a manifest received from a peer is well formed
+   */
+  isValidManifest(manifest) {
+    if (!manifest || manifest.v !== MANIFEST_VERSION) return false;
+    if (typeof manifest.name !== 'string' || typeof manifest.key !== 'string') return false;
+    if (!Number.isInteger(manifest.size) || manifest.size <= 0) return false;
+    if (manifest.size > APP_CONFIG.attachments.maxFileSize) return false;
+    if (!Number.isInteger(manifest.chunkSize) || manifest.chunkSize <= 0) return false;
+    if (!CHUNK_ID_PATTERN.test(manifest.hash)) return false;
+    if (!Array.isArray(manifest.chunks)) return false;
+    if (manifest.chunks.length !== Math.ceil(manifest.size / manifest.chunkSize)) return false;
+    if (!manifest.chunks.every((id) => CHUNK_ID_PATTERN.test(id))) return false;
+    if (manifest.thumbnail && !manifest.thumbnail.startsWith(THUMBNAIL_PREFIX)) return false;
+    if (manifest.voice) {
+      const { duration, waveform } = manifest.voice;
+      if (!Number.isFinite(duration) || duration <= 0) return false;
+      if (duration > APP_CONFIG.voiceNotes.maxDuration) return false;
+      if (!Array.isArray(waveform) || waveform.length > MAX_WAVEFORM_BARS) return false;
+      if (!waveform.every((value) => Number.isInteger(value) && value >= 0 && value <= 100)) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Download, verify and decrypt an attachment. Every chunk is checked
+   * against its content address and the file against the manifest hash.
+   * @param {Object} manifest
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress]
+   * @returns {Promise<Blob>}
+   */
+  download(manifest, { onProgress } = {}) {
+    if (!this.isValidManifest(manifest)) {
+      return Promise.reject(new Error('Invalid attachment'));
+    }
+
+    if (!this.downloads.has(manifest.hash)) {
+      const pending = this.fetchFile(manifest, onProgress);
+      this.downloads.set(manifest.hash, pending);
+      pending.catch(() => this.downloads.delete(manifest.hash));
+    }
+    return this.downloads.get(manifest.hash);
+  }
+
+  async fetchFile(manifest, onProgress) {
+    const key = await importFileKey(fromBase64(manifest.key));
+    const parts = [];
+
+    for (let index = 0; index < manifest.chunks.length; index++) {
+      const chunkId = manifest.chunks[index];
+      const data = await hybridGunService.getAttachmentChunk(chunkId);
+      if (!data) {
+        throw new Error('Attachment is not available on the relay');
+      }
+
+      const blob = fromBase64(data);
+      if (await sha256Hex(blob) !== chunkId) {
+        throw new Error('Attachment integrity check failed');
+      }
+
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: blob.subarray(0, IV_LENGTH), additionalData: chunkAad(manifest.hash, index) },
+        key,
+        blob.subarray(IV_LENGTH)
+      );
+      parts.push(new Uint8Array(plaintext));
+      onProgress?.((index + 1) / manifest.chunks.length);
+    }
+
+    const file = new Blob(parts, { type: manifest.type });
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    if (bytes.length !== manifest.size || await sha256Hex(bytes) !== manifest.hash) {
+      throw new Error('Attachment integrity check failed');
+    }
+    return file;
+  }
+}
+
+export default new AttachmentService();
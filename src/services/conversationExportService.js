@@ -0,0 +1,281 @@
+/**
+ * Conversation Export Service
+ * Exports one conversation from our decrypted history, either as a
+ * password-encrypted archive that can be imported again or as a readable
+ * Markdown/HTML transcript. Transcripts only reference attachments by
+ * name; the archive keeps full manifests so files stay downloadable.
+ */
+
+import hybridGunService from './hybridGunService';
+import gunAuthService from './gunAuthService';
+import messageService from './messageService';
+import messageStoreService from './messageStoreService';
+import { attachmentLabel, formatSize } from './attachmentService';
+import { fromBase64, toBase64 } from '../utils/doubleRatchet';
+import securityUtils from '../utils/securityUtils.js';
+import debugLogger from '../utils/debugLogger';
+
+export const EXPORT_FORMATS = {
+  ARCHIVE: 'archive',
+  MARKDOWN: 'markdown',
+  HTML: 'html'
+};
+
+const ARCHIVE_TYPE = 'whisperz-conversation';
+const ARCHIVE_VERSION = 1;
+const KDF_ITERATIONS = 600000;
+const HISTORY_PAGE_SIZE = 200;
+const MIN_PASSWORD_LENGTH = 8;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Local YYYY-MM-DD HH:MM:SS
+const formatTimestamp = (timestamp) => {
+  const date = new Date(timestamp);
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+    `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+const attachmentReference = (manifest) => {
+  const details = manifest.voice ? [] : [manifest.type, formatSize(manifest.size)].filter(Boolean);
+  return details.length > 0 ? `${attachmentLabel(manifest)} (${details.join(', ')})` : attachmentLabel(manifest);
+};
+
+const deriveArchiveKey = async (password, salt) => {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: KDF_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+class ConversationExportService {
+  /**
+   * Every readable message of a conversation, oldest first
+   */
+  async collectHistory(conversationId) {
+    const messages = [];
+    let cursor = Date.now() + 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      const page = await messageService.loadOlder(conversationId, cursor, HISTORY_PAGE_SIZE);
+      messages.unshift(...page.messages);
+      hasMore = page.hasMore && Number.isFinite(page.cursor) && page.cursor < cursor;
+      cursor = page.cursor;
+    }
+
+    const seen = new Set();
+    return messages.filter((message) => !seen.has(message.id) && seen.add(message.id));
+  }
+
+  /**
+   * Export a conversation
+   * @param {string} conversationId
+   * @param {Object} options
+   * @param {string} options.format - One of EXPORT_FORMATS
+   * @param {string} [options.password] - Required for archives
+   * @param {string} options.title - Conversation name shown in transcripts
+   * @param {Object} options.names - Public key -> display name
+   * @returns {Promise<{blob: Blob, filename: string, count: number}>}
+   */
+  async exportConversation(conversationId, { format, password, title, names = {} }) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+
+    if (format === EXPORT_FORMATS.ARCHIVE && (password || '').length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Archive password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const messages = await this.collectHistory(conversationId);
+    const exportedAt = Date.now();
+    const slug = (title || 'conversation').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'conversation';
+    const stamp = new Date(exportedAt).toISOString().slice(0, 10);
+    const displayName = (pub) => names[pub] || `${String(pub).slice(0, 8)}…`;
+
+    let blob;
+    let extension;
+    if (format === EXPORT_FORMATS.ARCHIVE) {
+      const archive = await this.createArchive({ conversationId, owner: user.pub, title, names, exportedAt, messages }, password);
+      blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+      extension = 'whisperz.json';
+    } else if (format === EXPORT_FORMATS.MARKDOWN) {
+      blob = new Blob([this.toMarkdown(title, messages, displayName, exportedAt)], { type: 'text/markdown' });
+      extension = 'md';
+    } else if (format === EXPORT_FORMATS.HTML) {
+      blob = new Blob([this.toHtml(title, messages, displayName, exportedAt)], { type: 'text/html' });
+      extension = 'html';
+    } else {
+      throw new Error('Unknown export format');
+    }
+
+    debugLogger.info('Conversation exported', { format, count: messages.length });
+    return { blob, filename: `whisperz-${slug}-${stamp}.${extension}`, count: messages.length };
+  }
+
+  toMarkdown(title, messages, displayName, exportedAt) {
+    const lines = [
+      `# ${title || 'Conversation'}`,
+      '',
+      `Exported ${formatTimestamp(exportedAt)} · ${messages.length} messages`,
+      ''
+    ];
+
+    messages.forEach((message) => {
+      lines.push(`**${displayName(message.from)}** · ${formatTimestamp(message.timestamp)}${message.edited ? ' · edited' : ''}`);
+      if (message.replyTo) {
+        lines.push(`> ↩ ${displayName(message.replyTo.from)}: ${message.replyTo.preview || ''}`);
+      }
+      lines.push(message.attachment ? attachmentReference(message.attachment) : message.content);
+      lines.push('');
+    });
+
+    return lines.join('\n');
+  }
+
+  toHtml(title, messages, displayName, exportedAt) {
+    const escape = (text) => securityUtils.escapeHtml(String(text ?? ''));
+
+    const items = messages.map((message) => [
+      '<div class="message">',
+      `<div class="meta"><strong>${escape(displayName(message.from))}</strong> · ${formatTimestamp(message.timestamp)}` +
+        `${message.edited ? ' · edited' : ''}</div>`,
+      message.replyTo
+        ? `<div class="reply">↩ ${escape(displayName(message.replyTo.from))}: ${escape(message.replyTo.preview)}</div>`
+        : '',
+      message.attachment
+        ? `<div class="attachment">${escape(attachmentReference(message.attachment))}</div>`
+        : `<div class="content">${escape(message.content)}</div>`,
+      '</div>'
+    ].join('')).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'">
+<title>${escape(title || 'Conversation')}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 760px; margin: 24px auto; padding: 0 16px; color: #222; }
+.message { padding: 8px 0; border-bottom: 1px solid #eee; }
+.meta { font-size: 12px; color: #666; margin-bottom: 2px; }
+.content { white-space: pre-wrap; word-break: break-word; }
+.reply { font-size: 12px; color: #666; border-left: 3px solid #ccc; padding-left: 6px; margin-bottom: 2px; }
+.attachment { font-style: italic; }
+</style>
+</head>
+<body>
+<h1>${escape(title || 'Conversation')}</h1>
+<p class="meta">Exported ${formatTimestamp(exportedAt)} · ${messages.length} messages</p>
+${items}
+</body>
+</html>
+`;
+  }
+
+  // Encrypt the archive body with a key derived from the password
+  async createArchive(body, password) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const key = await deriveArchiveKey(password, salt);
+    const ciphertext = await crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv },
+      key,
+      encoder.encode(JSON.stringify(body))
+    );
+
+    return {
+      type: ARCHIVE_TYPE,
+      version: ARCHIVE_VERSION,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: KDF_ITERATIONS, salt: toBase64(salt) },
+      iv: toBase64(iv),
+      data: toBase64(ciphertext)
+    };
+  }
+
+  async openArchive(archive, password) {
+    if (archive?.type !== ARCHIVE_TYPE || archive.version !== ARCHIVE_VERSION) {
+      throw new Error('Not a conversation archive');
+    }
+
+    let body;
+    try {
+      const key = await deriveArchiveKey(password, fromBase64(archive.kdf.salt));
+      const plaintext = await crypto.subtle.decrypt(
+        { name: 'AES-GCM', iv: fromBase64(archive.iv) },
+        key,
+        fromBase64(archive.data)
+      );
+      body = JSON.parse(decoder.decode(plaintext));
+    } catch {
+      throw new Error('Wrong password or damaged archive');
+    }
+
+    if (typeof body?.conversationId !== 'string' || !Array.isArray(body.messages)) {
+      throw new Error('Invalid archive contents');
+    }
+    return body;
+  }
+
+  /**
+   * Restore messages from an archive into our private history. Messages
+   * we still have, deleted ones and expired ones are left alone.
+   * @returns {Promise<{conversationId: string, imported: number, skipped: number}>}
+   */
+  async importArchive(file, password) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+
+    let archive;
+    try {
+      archive = JSON.parse(await file.text());
+    } catch {
+      throw new Error('Not a conversation archive');
+    }
+
+    const { conversationId, owner, messages } = await this.openArchive(archive, password);
+    if (owner !== user.pub) {
+      throw new Error('This archive belongs to another account');
+    }
+
+    const restored = [];
+    for (const message of messages) {
+      const valid = message &&
+        typeof message.id === 'string' &&
+        typeof message.content === 'string' &&
+        message.conversationId === conversationId &&
+        !(Number.isFinite(message.expiresAt) && message.expiresAt <= Date.now());
+      if (!valid) continue;
+
+      const existing = await hybridGunService.getPrivateMessage(conversationId, message.id);
+      if (existing) continue;
+
+      await hybridGunService.storeMessageHistory(conversationId, message);
+      restored.push(message);
+    }
+    await messageStoreService.addMany(restored, conversationId);
+
+    debugLogger.info('Conversation archive imported', { imported: restored.length });
+    return { conversationId, imported: restored.length, skipped: messages.length - restored.length };
+  }
+
+  // Save a generated export through the browser
+  download({ blob, filename }) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+  }
+}
+
+export default new ConversationExportService();
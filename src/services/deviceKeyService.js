@@ -0,0 +1,82 @@
+/**
+ * Device Key Service
+ * Every browser keeps its own AES key, generated on first use and stored
+ * non-extractable in IndexedDB. Secrets that belong to a single device
+ * (its ratchet sessions and prekeys) are encrypted with it rather than with
+ * the account's SEA pair, which all linked devices share. Another device of
+ * the account, including one that was revoked, cannot read them.
+ */
+
+import gunAuthService from './gunAuthService';
+import { createStore } from '../utils/indexedDbStore.js';
+import { fromBase64, toBase64 } from '../utils/doubleRatchet';
+
+const SEALED_VERSION = 1;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+class DeviceKeyService {
+  constructor() {
+    this.store = createStore('device_keys');
+    this.keys = new Map(); // pub -> Promise<CryptoKey>
+
+    gunAuthService.onAuthChange((event) => {
+      if (event === 'logout') {
+        this.keys.clear();
+      }
+    });
+  }
+
+  // This device's key for an account, created on first use
+  getKey(publicKey) {
+    if (!this.keys.has(publicKey)) {
+      const loading = this.loadKey(publicKey);
+      this.keys.set(publicKey, loading);
+      loading.catch(() => this.keys.delete(publicKey));
+    }
+    return this.keys.get(publicKey);
+  }
+
+  async loadKey(publicKey) {
+    const stored = await this.store.get(publicKey);
+    if (stored?.key) return stored.key;
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+    await this.store.put({ id: publicKey, key, createdAt: Date.now() });
+    return key;
+  }
+
+  currentKey() {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+    return this.getKey(user.pub);
+  }
+
+  /**
+   * Encrypt data that only this device may read
+   * @returns {Promise<string>}
+   */
+  async seal(data) {
+    const key = await this.currentKey();
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(JSON.stringify(data)));
+    return JSON.stringify({ v: SEALED_VERSION, iv: toBase64(iv), c: toBase64(new Uint8Array(ciphertext)) });
+  }
+
+  /**
+   * Decrypt data sealed on this device. Rejects for anything else.
+   */
+  async open(sealed) {
+    const parsed = typeof sealed === 'string' ? JSON.parse(sealed) : sealed;
+    if (parsed?.v !== SEALED_VERSION || !parsed.iv || !parsed.c) {
+      throw new Error('Not sealed with a device key');
+    }
+
+    const key = await this.currentKey();
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(parsed.iv) }, key, fromBase64(parsed.c));
+    return JSON.parse(decoder.decode(plaintext));
+  }
+}
+
+export default new DeviceKeyService();
@@ -0,0 +1,166 @@
+/**
+ * Device Link Service
+ * Hands the account's SEA pair to a new device. The signed-in device shows
+ * a link, usually as a QR code, holding a random link id and an ephemeral
+ * public key. The new device answers under `device_links/<linkId>` with its
+ * own ephemeral key, and both derive the same secret and a short code from
+ * it. Only after the user confirms that both screens show the same code is
+ * the pair sent, encrypted with that secret. Anyone else who sees the link
+ * can answer too, but cannot make the codes match.
+ */
+
+import Gun from 'gun/gun';
+import 'gun/sea';
+import gunAuthService from './gunAuthService';
+import hybridGunService from './hybridGunService';
+import deviceService from './deviceService';
+import debugLogger from '../utils/debugLogger';
+import securityUtils from '../utils/securityUtils.js';
+
+export const LINK_TTL = 5 * 60 * 1000;
+const LINK_CLEANUP_DELAY = 60 * 1000; // Time for the new device to read the pair
+const LINK_PATTERN = /(?:^|#\/?link\/)([0-9a-f]{32})\/([\w-]+\.[\w-]+)\s*$/;
+
+class DeviceLinkService {
+  /**
+   * Extract the link id and key from a link URL or its pasted path
+   * @returns {{linkId: string, epub: string}|null}
+   */
+  parseLink(text) {
+    const match = LINK_PATTERN.exec(String(text || '').trim());
+    return match ? { linkId: match[1], epub: match[2] } : null;
+  }
+
+  // Six digits both devices display, derived from the shared secret
+  async verificationCode(secret, linkId) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${secret}|${linkId}`));
+    const value = new DataView(digest).getUint32(0) % 1000000;
+    return String(value).padStart(6, '0').replace(/^(\d{3})(\d{3})$/, '$1 $2');
+  }
+
+  /**
+   * Offer the signed-in account to a new device
+   * @param {Function} onRequest - Called once with { code, name } when a device answers
+   * @returns {Promise<Object>} { url, path, expiresAt, approve(), cancel() }
+   */
+  async createOffer(onRequest) {
+    if (!gunAuthService.getKeyPair()) throw new Error('Not authenticated');
+
+    const linkId = securityUtils.generateSecureRandom(16);
+    const ephemeral = await Gun.SEA.pair();
+    const expiresAt = Date.now() + LINK_TTL;
+    let secret = null;
+    let approved = false;
+
+    const unsubscribe = hybridGunService.subscribeToLink(linkId, 'request', async (raw) => {
+      if (secret || Date.now() > expiresAt) return;
+
+      let request;
+      try {
+        request = JSON.parse(raw);
+      } catch {
+        return;
+      }
+      if (typeof request?.epub !== 'string') return;
+
+      const shared = await Gun.SEA.secret(request.epub, ephemeral);
+      if (!shared || secret) return;
+      secret = shared;
+
+      onRequest({
+        code: await this.verificationCode(secret, linkId),
+        name: String(request.name || 'New device').slice(0, 60)
+      });
+    });
+
+    const close = () => {
+      unsubscribe();
+      clearTimeout(expiry);
+    };
+    const expiry = setTimeout(() => {
+      close();
+      if (!approved) hybridGunService.clearLink(linkId);
+    }, LINK_TTL);
+
+    const path = `${linkId}/${ephemeral.epub}`;
+    return {
+      url: `${window.location.origin}/#link/${path}`,
+      path,
+      expiresAt,
+      approve: async () => {
+        if (!secret) throw new Error('No device has answered yet');
+        if (Date.now() > expiresAt) throw new Error('This link has expired');
+
+        const { pub, priv, epub, epriv } = gunAuthService.getKeyPair();
+        const payload = await Gun.SEA.encrypt({ pub, priv, epub, epriv }, secret);
+        hybridGunService.storeLinkMessage(linkId, 'response', payload);
+        approved = true;
+        close();
+
+        // The new device clears the link once signed in; this covers it giving up
+        setTimeout(() => hybridGunService.clearLink(linkId), LINK_CLEANUP_DELAY);
+        debugLogger.info('Sent account keys to a linked device');
+      },
+      cancel: () => {
+        close();
+        if (!approved) hybridGunService.clearLink(linkId);
+      }
+    };
+  }
+
+  /**
+   * Answer a link shown on a signed-in device
+   * @returns {Promise<Object>} { code, result, cancel() } where result
+   *   resolves with the signed-in user once the other device approves
+   */
+  async joinLink(text) {
+    const link = this.parseLink(text);
+    if (!link) throw new Error('Invalid device link');
+
+    const ephemeral = await Gun.SEA.pair();
+    const secret = await Gun.SEA.secret(link.epub, ephemeral);
+    if (!secret) throw new Error('Invalid device link');
+
+    hybridGunService.storeLinkMessage(link.linkId, 'request', JSON.stringify({
+      epub: ephemeral.epub,
+      name: deviceService.describeDevice().name,
+      requestedAt: Date.now()
+    }));
+
+    let unsubscribe = () => {};
+    let expiry = null;
+    const close = () => {
+      unsubscribe();
+      clearTimeout(expiry);
+    };
+
+    const result = new Promise((resolve, reject) => {
+      expiry = setTimeout(() => {
+        close();
+        reject(new Error('The link expired before it was approved'));
+      }, LINK_TTL);
+
+      unsubscribe = hybridGunService.subscribeToLink(link.linkId, 'response', async (payload) => {
+        const pair = await Gun.SEA.decrypt(payload, secret);
+        if (!pair?.priv || !pair.epriv) return;
+        close();
+
+        try {
+          const { user } = await gunAuthService.loginWithPair(pair);
+          hybridGunService.clearLink(link.linkId);
+          resolve(user);
+        } catch (error) {
+          reject(error);
+        }
+      });
+    });
+
+    return {
+      code: await this.verificationCode(secret, link.linkId),
+      result,
+      cancel: close
+    };
+  }
+}
+
+export default new DeviceLinkService();
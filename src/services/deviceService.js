@@ -0,0 +1,373 @@
+/**
+ * Device Service
+ * Registry of the devices signed in to an account. Each browser gets a
+ * random device id, kept in localStorage, and an entry under `devices` in
+ * the user's Gun graph. Friends read the registry to encrypt every message
+ * once per device (see ratchetService.encryptForDevices). The id and the
+ * revoked flag are public; the device name and activity are encrypted to
+ * the account.
+ *
+ * All devices share the account's SEA pair, so a device's ratchet sessions,
+ * prekeys and group sender keys are encrypted with its own device key
+ * instead (see deviceKeyService). Revoking a device deletes those, stops
+ * new messages being encrypted to it and signs it out when it next
+ * connects. It cannot take back what the device could already read.
+ *
+ * Revocation only binds a device running this client. The account keys are
+ * not rotated, so a revoked device still holds the pair: it can rewrite the
+ * registry, register under a new id and read everything encrypted to the
+ * account rather than to a device. It is no protection for a lost or stolen
+ * device. To make honest clients hold the line, revocation is sticky: every
+ * client remembers the revoked ids it has seen and ignores entries that
+ * claim otherwise, and our own devices write the revocation back.
+ */
+
+import gunAuthService from './gunAuthService';
+import hybridGunService from './hybridGunService';
+import prekeyService from './prekeyService';
+import debugLogger from '../utils/debugLogger';
+import securityUtils from '../utils/securityUtils.js';
+import { createStore } from '../utils/indexedDbStore.js';
+
+const PEER_DEVICES_TTL = 60 * 1000;
+const MAX_REMEMBERED_REVOCATIONS = 200; // Per account
+const MAX_NAME_LENGTH = 40;
+
+// IndexedDB stores holding per-account records -> field naming the account
+const ACCOUNT_RECORDS = {
+  device_keys: 'id',
+  messages: 'owner',
+  outbox: 'from',
+  scheduled: 'owner'
+};
+
+class DeviceService {
+  constructor() {
+    this.deviceId = null;
+    this.peerDevices = new Map(); // pub -> { devices, fetchedAt }
+    this.revokedListeners = new Set();
+    this.revocationWatch = null;
+    this.revoked = false;
+
+    gunAuthService.onAuthChange((event) => {
+      if (event === 'logout') {
+        this.stop();
+        this.deviceId = null;
+        this.revoked = false;
+        this.peerDevices.clear();
+      }
+    });
+  }
+
+  storageKey(publicKey) {
+    return `deviceId_${publicKey}`;
+  }
+
+  revokedKey(publicKey) {
+    return `revokedDevices_${publicKey}`;
+  }
+
+  // Device ids of an account this browser has seen revoked
+  getKnownRevoked(publicKey) {
+    try {
+      const ids = JSON.parse(localStorage.getItem(this.revokedKey(publicKey)));
+      return new Set(Array.isArray(ids) ? ids : []);
+    } catch {
+      return new Set();
+    }
+  }
+
+  rememberRevoked(publicKey, deviceIds) {
+    const known = this.getKnownRevoked(publicKey);
+    const before = known.size;
+    deviceIds.forEach((deviceId) => known.add(deviceId));
+    if (known.size === before) return;
+
+    const ids = Array.from(known).slice(-MAX_REMEMBERED_REVOCATIONS);
+    localStorage.setItem(this.revokedKey(publicKey), JSON.stringify(ids));
+  }
+
+  /**
+   * This browser's id for the signed-in account, created on first use
+   */
+  getDeviceId() {
+    if (this.deviceId) return this.deviceId;
+
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const key = this.storageKey(user.pub);
+    let deviceId = localStorage.getItem(key);
+    if (!deviceId) {
+      deviceId = securityUtils.generateSecureRandom(12);
+      localStorage.setItem(key, deviceId);
+    }
+
+    this.deviceId = deviceId;
+    return deviceId;
+  }
+
+  // Default name and platform for this browser, from its user agent
+  describeDevice() {
+    const ua = navigator.userAgent;
+    const browser = /Edg\//.test(ua) ? 'Edge'
+      : /Firefox\//.test(ua) ? 'Firefox'
+        : /Chrome\//.test(ua) ? 'Chrome'
+          : /Safari\//.test(ua) ? 'Safari'
+            : 'Browser';
+    const platform = /Android/.test(ua) ? 'Android'
+      : /iPhone|iPad/.test(ua) ? 'iOS'
+        : /Mac OS X/.test(ua) ? 'macOS'
+          : /Windows/.test(ua) ? 'Windows'
+            : /Linux/.test(ua) ? 'Linux'
+              : 'Unknown';
+
+    return { name: `${browser} on ${platform}`, platform };
+  }
+
+  // Entries are JSON strings so a whole registry reads in one go
+  parseEntry(raw) {
+    if (typeof raw !== 'string') return null;
+    try {
+      const entry = JSON.parse(raw);
+      return entry && typeof entry === 'object' ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * A user's device registry, with revocations this browser has seen
+   * applied even if the entry has since been rewritten
+   */
+  async readRegistry(publicKey) {
+    const entries = await hybridGunService.readEntries(gunAuthService.gun.user(publicKey).get('devices'));
+    const registry = {};
+    Object.entries(entries).forEach(([deviceId, raw]) => {
+      const entry = this.parseEntry(raw);
+      if (entry) registry[deviceId] = entry;
+    });
+
+    this.rememberRevoked(publicKey, Object.keys(registry).filter((deviceId) => registry[deviceId].revoked));
+    const known = this.getKnownRevoked(publicKey);
+    const own = publicKey === gunAuthService.getCurrentUser()?.pub;
+    Object.keys(registry)
+      .filter((deviceId) => known.has(deviceId) && !registry[deviceId].revoked)
+      .forEach((deviceId) => {
+        debugLogger.warn('Ignoring un-revoked device entry', { deviceId });
+        registry[deviceId] = { ...registry[deviceId], revoked: true, revokedAt: registry[deviceId].revokedAt || Date.now() };
+        if (own) {
+          this.writeEntry(deviceId, registry[deviceId]).catch(() => {});
+        }
+      });
+    return registry;
+  }
+
+  async writeEntry(deviceId, entry) {
+    await new Promise((resolve) => {
+      gunAuthService.user.get('devices').get(deviceId).put(JSON.stringify(entry), () => resolve());
+    });
+  }
+
+  async readInfo(entry) {
+    if (!entry?.info) return {};
+    try {
+      return (await gunAuthService.decryptForSelf(entry.info)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Register this browser in the account's registry, publish its prekey
+   * bundle and watch for revocation
+   * @returns {boolean} false if this device has been revoked
+   */
+  async initialize() {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) return false;
+
+    const deviceId = this.getDeviceId();
+    const registry = await this.readRegistry(user.pub);
+    const existing = registry[deviceId];
+    if (existing?.revoked) {
+      this.handleRevoked();
+      return false;
+    }
+
+    // Bundle first, so friends who see the entry can start a session at once
+    await prekeyService.ensureBundle(deviceId);
+
+    const info = await this.readInfo(existing);
+    const described = this.describeDevice();
+    await this.writeEntry(deviceId, {
+      revoked: false,
+      registeredAt: existing?.registeredAt || Date.now(),
+      info: await gunAuthService.encryptForSelf({
+        name: info.name || described.name,
+        platform: described.platform,
+        lastActive: Date.now()
+      })
+    });
+
+    this.watchRevocation(deviceId);
+    debugLogger.debug('gun', 'Device registered', { deviceId, devices: Object.keys(registry).length });
+    return true;
+  }
+
+  watchRevocation(deviceId) {
+    this.stop();
+
+    const ref = gunAuthService.user.get('devices').get(deviceId);
+    ref.on((raw) => {
+      if (this.parseEntry(raw)?.revoked) this.handleRevoked();
+    });
+    this.revocationWatch = () => ref.off();
+  }
+
+  stop() {
+    if (this.revocationWatch) {
+      this.revocationWatch();
+      this.revocationWatch = null;
+    }
+  }
+
+  handleRevoked() {
+    if (this.revoked) return;
+    this.revoked = true;
+    this.stop();
+
+    debugLogger.warn('This device was revoked from the account');
+    this.revokedListeners.forEach((callback) => {
+      try {
+        callback();
+      } catch (error) {
+        debugLogger.error('Device revocation listener error', error);
+      }
+    });
+  }
+
+  /**
+   * Called when another device revokes this one. The app should sign out
+   * and wipe local data.
+   */
+  onRevoked(callback) {
+    this.revokedListeners.add(callback);
+    return () => this.revokedListeners.delete(callback);
+  }
+
+  /**
+   * Devices of the signed-in account, this one first
+   * @returns {Promise<Array>} { id, name, platform, registeredAt, lastActive, revoked, revokedAt, current }
+   */
+  async listDevices() {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const currentId = this.getDeviceId();
+    const registry = await this.readRegistry(user.pub);
+    const devices = await Promise.all(Object.entries(registry).map(async ([id, entry]) => {
+      const info = await this.readInfo(entry);
+      return {
+        id,
+        name: info.name || 'Unknown device',
+        platform: info.platform || null,
+        registeredAt: entry.registeredAt || null,
+        lastActive: info.lastActive || null,
+        revoked: Boolean(entry.revoked),
+        revokedAt: entry.revokedAt || null,
+        current: id === currentId
+      };
+    }));
+
+    return devices.sort((a, b) =>
+      (b.current - a.current) || (a.revoked - b.revoked) || ((b.lastActive || 0) - (a.lastActive || 0))
+    );
+  }
+
+  async renameDevice(deviceId, name) {
+    const trimmed = String(name || '').trim().slice(0, MAX_NAME_LENGTH);
+    if (!trimmed) throw new Error('Device name cannot be empty');
+
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const registry = await this.readRegistry(user.pub);
+    const entry = registry[deviceId];
+    if (!entry) throw new Error('Unknown device');
+
+    const info = await this.readInfo(entry);
+    await this.writeEntry(deviceId, {
+      ...entry,
+      info: await gunAuthService.encryptForSelf({ ...info, name: trimmed })
+    });
+  }
+
+  /**
+   * Revoke an unused device. Friends stop encrypting to it, its prekeys and
+   * sessions are deleted and it signs itself out when it next connects.
+   * A device that ignores the revocation keeps the account keys (see the
+   * module doc).
+   */
+  async revokeDevice(deviceId) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+    if (deviceId === this.getDeviceId()) {
+      throw new Error('Log out to remove this device');
+    }
+
+    const registry = await this.readRegistry(user.pub);
+    const entry = registry[deviceId];
+    if (!entry) throw new Error('Unknown device');
+
+    this.rememberRevoked(user.pub, [deviceId]);
+    await this.writeEntry(deviceId, { ...entry, revoked: true, revokedAt: Date.now() });
+    prekeyService.removeDevice(deviceId);
+    gunAuthService.user.get('device_sessions').get(deviceId).put(null);
+    gunAuthService.user.get('device_sender_keys').get(deviceId).put(null);
+  }
+
+  /**
+   * Ids of a user's devices that messages should be encrypted to. Empty for
+   * users whose clients predate the device registry.
+   */
+  async getPeerDevices(publicKey) {
+    const cached = this.peerDevices.get(publicKey);
+    if (cached && Date.now() - cached.fetchedAt < PEER_DEVICES_TTL) {
+      return cached.devices;
+    }
+
+    const registry = await this.readRegistry(publicKey);
+    const devices = Object.keys(registry).filter((deviceId) => !registry[deviceId].revoked);
+    this.peerDevices.set(publicKey, { devices, fetchedAt: Date.now() });
+    return devices;
+  }
+
+  /**
+   * Clear what this browser stored for one account: localStorage entries
+   * keyed by its public key, this tab's session and its IndexedDB records,
+   * including the device key. Other accounts and app settings stay.
+   */
+  async wipeLocalData(publicKey) {
+    if (!publicKey) return;
+
+    Object.keys(localStorage)
+      .filter((key) => key.includes(publicKey))
+      .forEach((key) => localStorage.removeItem(key));
+    sessionStorage.clear();
+
+    await Promise.all(Object.entries(ACCOUNT_RECORDS).map(async ([storeName, field]) => {
+      try {
+        const store = createStore(storeName);
+        const records = await store.getAll();
+        await Promise.all(records
+          .filter((record) => record[field] === publicKey)
+          .map((record) => store.delete(record.id)));
+      } catch (error) {
+        debugLogger.warn('Failed to clear local records', { storeName, error: error.message });
+      }
+    }));
+  }
+}
+
+export default new DeviceService();
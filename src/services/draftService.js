@@ -0,0 +1,128 @@
+/**
+ * Draft Service
+ * Unsent composer text per conversation. Drafts are kept in localStorage
+ * encrypted to our own SEA pair; the decrypted copies live in memory only,
+ * for restoring the composer and the "Draft:" previews in friend lists.
+ */
+
+import gunAuthService from './gunAuthService';
+import debugLogger from '../utils/debugLogger';
+
+class DraftService {
+  constructor() {
+    this.drafts = null; // conversationId -> text
+    this.loading = null;
+    this.writes = Promise.resolve();
+    this.listeners = new Set();
+
+    gunAuthService.onAuthChange((event) => {
+      if (event === 'logout') {
+        this.drafts = null;
+        this.loading = null;
+        this.notify();
+      }
+    });
+  }
+
+  storageKey() {
+    const user = gunAuthService.getCurrentUser();
+    return user ? `drafts_${user.pub}` : null;
+  }
+
+  readStored(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || {};
+    } catch {
+      return {};
+    }
+  }
+
+  // Decrypt every stored draft into the in-memory cache
+  async load() {
+    if (this.drafts) return this.drafts;
+
+    const key = this.storageKey();
+    if (!key) return {};
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        const drafts = {};
+        await Promise.all(Object.entries(this.readStored(key)).map(async ([conversationId, payload]) => {
+          const text = await gunAuthService.decryptForSelf(payload).catch(() => null);
+          if (typeof text === 'string' && text) drafts[conversationId] = text;
+        }));
+        this.drafts = drafts;
+        this.notify();
+        return drafts;
+      })().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  // Cached draft of a conversation ('' until load() has finished)
+  getDraft(conversationId) {
+    return this.drafts?.[conversationId] || '';
+  }
+
+  // Snapshot of every cached draft
+  getDrafts() {
+    return { ...this.drafts };
+  }
+
+  /**
+   * Save the composer text of a conversation. Blank text clears the draft.
+   */
+  async saveDraft(conversationId, text) {
+    const key = this.storageKey();
+    if (!key || !conversationId) return;
+
+    const drafts = await this.load();
+    const value = typeof text === 'string' && text.trim() ? text : '';
+    if ((drafts[conversationId] || '') === value) return;
+
+    if (value) {
+      drafts[conversationId] = value;
+    } else {
+      delete drafts[conversationId];
+    }
+    this.notify();
+
+    // Encryption is async, so queue writes to keep the newest text last
+    this.writes = this.writes.then(async () => {
+      const payload = value ? await gunAuthService.encryptForSelf(value) : null;
+      const stored = this.readStored(key);
+      if (payload) {
+        stored[conversationId] = payload;
+      } else {
+        delete stored[conversationId];
+      }
+      localStorage.setItem(key, JSON.stringify(stored));
+    }).catch((error) => {
+      debugLogger.warn('Failed to store draft', { error: error.message });
+    });
+    return this.writes;
+  }
+
+  clearDraft(conversationId) {
+    return this.saveDraft(conversationId, '');
+  }
+
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify() {
+    this.listeners.forEach((callback) => {
+      try {
+        callback();
+      } catch (error) {
+        debugLogger.error('Draft listener error', error);
+      }
+    });
+  }
+}
+
+export default new DraftService();
@@ -2,16 +2,22 @@ import Gun from 'gun/gun';
 import 'gun/sea';
 import gunAuthService from './gunAuthService';
 import encryptionService from './encryptionService';
+import prekeyService from './prekeyService';
+import ratchetService from './ratchetService';
 import rateLimiter from '../utils/rateLimiter';
 import debugLogger from '../utils/debugLogger';
 import securityUtils from '../utils/securityUtils.js';
 
+const KEY_CHECK_INTERVAL = 10 * 60 * 1000; // How often a pinned key is compared with the published one
+
 // Friends service for managing relationships
 class FriendsService {
   constructor() {
     this.friends = new Map();
     this.invites = new Map();
     this.friendListeners = new Set();
+    this.keyStatusListeners = new Set();
+    this.keyChecks = new Map(); // publicKey -> last published key check
     this.inviteRateLimit = new Map(); // Track invite rate limiting per user
     this.gun = null;
     this.user = null;
@@ -636,6 +642,16 @@ class FriendsService {
       conversationId: this.generateConversationId(user.pub, publicKey)
     };
 
+    // Re-adding keeps the pinned key; a different one waits for review
+    const existing = this.friends.get(publicKey);
+    if (existing?.epub) {
+      friendData.epub = existing.epub;
+      if (epub && epub !== existing.epub) {
+        friendData.pendingEpub = epub;
+        friendData.pendingEpubAt = Date.now();
+      }
+    }
+
     console.log('💾 Storing friend data:', friendData);
 
     // Store friend relationship for current user (this works - own space)
@@ -699,6 +715,7 @@ class FriendsService {
     }
 
     this.notifyFriendListeners('added', friendData);
+    if (friendData.pendingEpub) this.notifyKeyStatus(publicKey);
     return friendData;
   }
 
@@ -1152,25 +1169,152 @@ class FriendsService {
     return null;
   }
 
-  // Update friend's encryption key
+  // Write some fields of a friend record to memory and our Gun space
+  async saveFriendFields(publicKey, friend, fields) {
+    const updated = { ...friend, ...fields };
+    this.friends.set(publicKey, updated);
+
+    await new Promise((resolve) => {
+      gunAuthService.user.get('friends').get(publicKey).put(fields, () => resolve());
+    });
+
+    this.notifyFriendListeners('updated', updated);
+    return updated;
+  }
+
+  /**
+   * Record an encryption key seen for a friend. The first key is pinned
+   * (trust on first use). A different key is held as `pendingEpub` until
+   * the user accepts or verifies it; we keep encrypting to the pinned key
+   * in the meantime, since a swapped key is what a relay-level attacker
+   * would serve.
+   * @returns {Promise<string|null>} 'pinned', 'unchanged' or 'pending'
+   */
   async updateFriendEpub(publicKey, epub) {
-    if (!epub) return;
+    if (!epub) return null;
 
     const friendData = this.friends.get(publicKey);
-    if (friendData) {
-      // Update local friend data
-      friendData.epub = epub;
-      this.friends.set(publicKey, friendData);
+    if (!friendData) return null;
 
-      // Update in Gun database
-      const user = gunAuthService.getCurrentUser();
-      if (user) {
-        gunAuthService.user.get('friends').get(publicKey).put({
-          ...friendData,
-          epub: epub
-        });
+    if (!friendData.epub) {
+      await this.saveFriendFields(publicKey, friendData, { epub });
+      return 'pinned';
+    }
+
+    if (friendData.epub === epub) {
+      if (friendData.pendingEpub) {
+        await this.saveFriendFields(publicKey, friendData, { pendingEpub: null, pendingEpubAt: null });
+        this.notifyKeyStatus(publicKey);
       }
+      return 'unchanged';
+    }
+
+    if (friendData.pendingEpub !== epub) {
+      debugLogger.warn('Friend encryption key changed; holding the new key for review', { publicKey });
+      await this.saveFriendFields(publicKey, friendData, { pendingEpub: epub, pendingEpubAt: Date.now() });
+      this.notifyKeyStatus(publicKey);
+    }
+    return 'pending';
+  }
+
+  /**
+   * Compare a friend's published encryption key with the pinned one.
+   * Throttled unless forced.
+   */
+  async checkFriendKey(publicKey, force = false) {
+    const lastCheck = this.keyChecks.get(publicKey) || 0;
+    if (!force && Date.now() - lastCheck < KEY_CHECK_INTERVAL) return null;
+    this.keyChecks.set(publicKey, Date.now());
+
+    let epub = await this.getUserEpub(publicKey);
+    if (!epub) {
+      const bundle = await prekeyService.fetchBundle(publicKey);
+      epub = bundle?.identityKey || null;
+    }
+    return epub ? this.updateFriendEpub(publicKey, epub) : null;
+  }
+
+  /**
+   * Trust a friend's changed key. Sessions built on the old key are
+   * dropped so the next message starts a fresh one.
+   */
+  async acceptPendingEpub(publicKey) {
+    const friend = await this.getFriend(publicKey);
+    if (!friend?.pendingEpub) throw new Error('No key change to accept');
+
+    const updated = await this.saveFriendFields(publicKey, friend, {
+      epub: friend.pendingEpub,
+      pendingEpub: null,
+      pendingEpubAt: null
+    });
+    await ratchetService.resetSession(publicKey);
+    this.notifyKeyStatus(publicKey);
+    return updated;
+  }
+
+  /**
+   * Mark a friend's keys as verified after comparing safety numbers, or
+   * clear the mark. Verifying the pending key accepts it.
+   * @param {string} publicKey
+   * @param {boolean} verified
+   * @param {string} [epub] - Key the compared number was computed from
+   */
+  async setVerified(publicKey, verified, epub = null) {
+    let friend = await this.getFriend(publicKey);
+    if (!friend) throw new Error('Not a friend');
+
+    if (verified) {
+      if (epub && epub === friend.pendingEpub) {
+        friend = await this.acceptPendingEpub(publicKey);
+      }
+      if (!friend.epub) throw new Error('Friend encryption key is missing');
+      if (epub && epub !== friend.epub) throw new Error('Friend key changed while verifying, compare again');
+    }
+
+    const fields = verified
+      ? { verifiedPub: publicKey, verifiedEpub: friend.epub, verifiedAt: Date.now() }
+      : { verifiedPub: null, verifiedEpub: null, verifiedAt: null };
+    const updated = await this.saveFriendFields(publicKey, friend, fields);
+    this.notifyKeyStatus(publicKey);
+    return updated;
+  }
+
+  /**
+   * Whether we verified a friend's keys and whether they changed, either
+   * since verifying or through a key change held for review
+   * @returns {Promise<Object>} { state, verifiedAt, pendingEpub } where
+   *   state is 'unverified', 'verified' or 'changed'
+   */
+  async getVerificationStatus(publicKey) {
+    await this.checkFriendKey(publicKey);
+    const friend = await this.getFriend(publicKey);
+    const pendingEpub = friend?.pendingEpub || null;
+    const verifiedAt = friend?.verifiedAt || null;
+    if (pendingEpub) {
+      return { state: 'changed', verifiedAt, pendingEpub };
     }
+    if (!verifiedAt) {
+      return { state: 'unverified', verifiedAt: null, pendingEpub };
+    }
+
+    const unchanged = friend.verifiedPub === publicKey && friend.verifiedEpub === friend.epub;
+    return { state: unchanged ? 'verified' : 'changed', verifiedAt, pendingEpub };
+  }
+
+  // Called with the friend's public key when a key change is held, accepted or verified
+  onKeyStatusChange(callback) {
+    this.keyStatusListeners.add(callback);
+    return () => this.keyStatusListeners.delete(callback);
+  }
+
+  notifyKeyStatus(publicKey) {
+    this.keyStatusListeners.forEach((callback) => {
+      try {
+        callback(publicKey);
+      } catch (error) {
+        debugLogger.error('Key status listener error', error);
+      }
+    });
   }
 
   // Retrieve a user's encryption key from their Gun user data
@@ -1187,6 +1331,30 @@ class FriendsService {
     });
   }
 
+  // Resolve anyone's encryption key: cached friend data, their Gun user
+  // node, then the identity key in their signed prekey bundle
+  async resolveEpub(publicKey) {
+    const friend = await this.getFriend(publicKey);
+    if (friend?.epub) {
+      // Always the pinned key; a newly published one is held for review
+      this.checkFriendKey(publicKey).catch((error) => {
+        debugLogger.warn('Friend key check failed', { error: error.message });
+      });
+      return friend.epub;
+    }
+
+    let epub = await this.getUserEpub(publicKey);
+    if (!epub) {
+      // Signed prekey bundles carry the identity key, verified against the pub
+      const bundle = await prekeyService.fetchBundle(publicKey);
+      epub = bundle?.identityKey || null;
+    }
+    if (epub) {
+      await this.updateFriendEpub(publicKey, epub);
+    }
+    return epub;
+  }
+
   // Notify friend listeners
   notifyFriendListeners(event, data) {
     this.friendListeners.forEach(listener => {
@@ -1198,48 +1366,6 @@ class FriendsService {
     });
   }
 
-  // Get friend presence with PeerJS ID
-  async getFriendPresence(publicKey) {
-    const presence = await gunAuthService.gun
-      .get('presence')
-      .get(publicKey)
-      .once();
-
-    // Clean up Gun metadata if present
-    let cleanPresence = null;
-    if (presence) {
-      // Use the most recent timestamp available
-      const lastSeenValue = presence.lastSeen || presence.timestamp || Date.now();
-
-      cleanPresence = {
-        status: presence.status,
-        lastSeen: lastSeenValue,
-        peerId: presence.peerId
-      };
-    }
-
-    // Debug log for presence checks
-    const isOnline = cleanPresence?.status === 'online' &&
-                     cleanPresence?.lastSeen &&
-                     (Date.now() - cleanPresence.lastSeen) < 300000;
-
-    if (cleanPresence) {
-      const timeSince = cleanPresence.lastSeen ? Date.now() - cleanPresence.lastSeen : Infinity;
-      debugLogger.debug('gun', `Friend ${publicKey.substring(0, 8)}... presence:`, {
-        status: cleanPresence.status,
-        timeSinceLastSeen: timeSince,
-        isOnline: isOnline,
-        reason: !isOnline ? (timeSince > 300000 ? 'timeout' : 'status not online') : 'online',
-        peerId: cleanPresence.peerId?.substring(0, 20)
-      });
-    }
-
-    return {
-      ...cleanPresence,
-      isOnline: isOnline
-    };
-  }
-
   // Clear all friends (dev mode)
   clearAllFriends() {
     gunAuthService.user.get('friends').put(null);
@@ -0,0 +1,701 @@
+/**
+ * Group Service
+ * Group chats with sender-key encryption. A group is an append-only log
+ * of signed states (name, members and roles). Each entry is kept in its
+ * signer's user space under `group_log/<id>/<version>`, which nobody else
+ * can write, and every client replays and verifies the log, so only admins
+ * can change membership and members can only remove themselves. The public
+ * `groups/<id>/head` is only a hint that something changed.
+ * Each device of each member encrypts with its own sender key, distributed
+ * to the other members over their pairwise ratchet sessions. Linked devices
+ * share the account's SEA pair, so sender key records are sealed with the
+ * device key (see deviceKeyService) and never shared between devices.
+ * Membership changes bump the group epoch, which rotates every sender key.
+ */
+
+import gunAuthService from './gunAuthService';
+import friendsService from './friendsService';
+import hybridGunService from './hybridGunService';
+import ratchetService from './ratchetService';
+import deviceService from './deviceService';
+import deviceKeyService from './deviceKeyService';
+import debugLogger from '../utils/debugLogger';
+import securityUtils from '../utils/securityUtils.js';
+import {
+  createSenderKey,
+  distributionFor,
+  senderKeyDecrypt,
+  senderKeyEncrypt,
+  senderKeyFromDistribution,
+} from '../utils/senderKeys';
+
+export const SENDER_KEY_SCHEME = 'sender-key';
+export const GROUP_ROLES = {
+  ADMIN: 'admin',
+  MEMBER: 'member',
+};
+
+const GROUP_CONVERSATION_PREFIX = 'group_';
+const ENVELOPE_VERSION = 2; // 2: sender keys per device
+const MAX_GROUP_NAME_LENGTH = 60;
+const PEER_EPOCH_RETENTION = 2; // keep older epochs for late messages
+const PUBLISH_TIMEOUT = 10000;
+
+class GroupService {
+  constructor() {
+    this.gun = null;
+    this.user = null;
+    this.groups = new Map(); // groupId -> verified state
+    this.records = new Map(); // groupId -> this device's sender key record
+    this.locks = new Map(); // groupId -> pending operation chain
+    this.watchers = new Map(); // groupId -> unsubscribe
+    this.listeners = new Set();
+    this.inviteWatcher = null;
+
+    gunAuthService.onAuthChange((event) => {
+      if (event === 'logout') {
+        this.reset();
+      }
+    });
+  }
+
+  /**
+   * Load the groups we belong to and watch for new invitations
+   */
+  async initialize() {
+    this.gun = gunAuthService.gun;
+    this.user = gunAuthService.user;
+
+    const user = gunAuthService.getCurrentUser();
+    if (!user) return;
+
+    // Each membership records the group's creator, who signed its first entry
+    const memberships = await hybridGunService.readEntries(this.user.get('groups'));
+    Object.keys(memberships)
+      .filter((groupId) => typeof memberships[groupId] === 'string')
+      .forEach((groupId) => {
+        this.refreshGroup(groupId, memberships[groupId]).catch((error) => {
+          debugLogger.warn('Failed to load group', { groupId, error: error.message });
+        });
+        this.watchGroup(groupId);
+      });
+
+    if (!this.inviteWatcher) {
+      const invites = this.gun.get('group_invites').get(user.pub);
+      invites.map().on((invite, groupId) => {
+        if (invite && !this.watchers.has(groupId)) {
+          this.acceptInvite(groupId, invite).catch((error) => {
+            debugLogger.warn('Failed to check group invite', { groupId, error: error.message });
+          });
+        }
+      });
+      this.inviteWatcher = () => invites.map().off();
+    }
+  }
+
+  withLock(groupId, operation) {
+    const previous = this.locks.get(groupId) || Promise.resolve();
+    const next = previous.then(operation, operation);
+    this.locks.set(groupId, next.catch(() => {}));
+    return next;
+  }
+
+  // Conversation id used for a group's messages
+  getConversationId(groupId) {
+    return `${GROUP_CONVERSATION_PREFIX}${groupId}`;
+  }
+
+  // Group id for a group conversation id, or null for one-to-one chats
+  getGroupIdFromConversation(conversationId) {
+    return conversationId?.startsWith(GROUP_CONVERSATION_PREFIX)
+      ? conversationId.slice(GROUP_CONVERSATION_PREFIX.length)
+      : null;
+  }
+
+  getGroups() {
+    const pub = gunAuthService.getCurrentUser()?.pub;
+    return Array.from(this.groups.values()).filter((group) => group.members[pub]);
+  }
+
+  getGroup(groupId) {
+    return this.groups.get(groupId) || null;
+  }
+
+  isAdmin(groupId, publicKey = gunAuthService.getCurrentUser()?.pub) {
+    return this.groups.get(groupId)?.members[publicKey]?.role === GROUP_ROLES.ADMIN;
+  }
+
+  /**
+   * Subscribe to group changes. Events: 'updated', 'removed', 'left'.
+   * @returns {Function} unsubscribe
+   */
+  onGroupsChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify(event, group) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(event, group);
+      } catch (error) {
+        debugLogger.error('Group listener error', error);
+      }
+    });
+  }
+
+  groupRef(groupId) {
+    return this.gun.get('groups').get(groupId);
+  }
+
+  // A member's entries of a group's log, writable only by that member
+  logRef(groupId, signer) {
+    return this.gun.user(signer).get('group_log').get(groupId);
+  }
+
+  /**
+   * Join a group we were invited to. Anyone can write an invite, so it
+   * only counts when it comes from a friend and the signed group log shows
+   * that friend added us.
+   */
+  async acceptInvite(groupId, invite) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user || !invite.from || !(await friendsService.getFriend(invite.from))) {
+      debugLogger.debug('gun', 'Ignoring group invite from a non-friend', { groupId });
+      return;
+    }
+
+    const state = await this.fetchGroup(groupId, invite.creator);
+    if (state?.members[user.pub]?.addedBy !== invite.from) {
+      debugLogger.debug('gun', 'Ignoring group invite not backed by the group log', { groupId });
+      return;
+    }
+    this.applyState(groupId, null, state);
+    this.watchGroup(groupId);
+  }
+
+  // Follow a group's head hint so membership changes apply live. Anyone
+  // can write the hint, so it only ever triggers a re-read of the log.
+  watchGroup(groupId) {
+    if (this.watchers.has(groupId)) return;
+
+    const head = this.groupRef(groupId).get('head');
+    head.on(() => {
+      this.refreshGroup(groupId).catch((error) => {
+        debugLogger.warn('Failed to refresh group', { groupId, error: error.message });
+      });
+    });
+    this.watchers.set(groupId, () => head.off());
+  }
+
+  unwatchGroup(groupId) {
+    this.watchers.get(groupId)?.();
+    this.watchers.delete(groupId);
+  }
+
+  /**
+   * Re-read a group's log and apply any new verified states
+   * @param {string} [creator] - Needed until the group's first state is known
+   */
+  async refreshGroup(groupId, creator = null) {
+    const previous = this.groups.get(groupId);
+    const state = await this.fetchGroup(groupId, creator);
+    return this.applyState(groupId, previous, state);
+  }
+
+  applyState(groupId, previous, state) {
+    if (!state || state === previous) return state;
+
+    const pub = gunAuthService.getCurrentUser()?.pub;
+    this.groups.set(groupId, state);
+
+    if (state.members[pub]) {
+      this.user.get('groups').get(groupId).put(state.createdBy);
+      this.notify('updated', state);
+    } else if (previous?.members[pub]) {
+      this.user.get('groups').get(groupId).put(null);
+      this.unwatchGroup(groupId);
+      this.notify('removed', state);
+    }
+    return state;
+  }
+
+  /**
+   * Replay the signed log from the last verified version. Only members of
+   * the previous state (the creator, for the first) may sign the next one,
+   * so only their logs are read; invalid entries are skipped. The log ends
+   * at the first version none of them signed validly. Concurrent valid
+   * entries go to the lowest signer key so every client picks the same.
+   * @param {string} [creator] - Signer of the first state, if none is known yet
+   */
+  async fetchGroup(groupId, creator = null) {
+    let current = this.groups.get(groupId) || null;
+    if (!current && !creator) return null;
+
+    const logs = new Map(); // signer -> { version: sig }
+    const readLog = async (signer) => {
+      if (!logs.has(signer)) {
+        logs.set(signer, await hybridGunService.readEntries(this.logRef(groupId, signer)));
+      }
+      return logs.get(signer);
+    };
+
+    for (let version = (current?.version || 0) + 1; ; version++) {
+      const signers = current ? Object.keys(current.members).sort() : [creator];
+      const entries = await Promise.all(signers.map(async (signer) => (await readLog(signer))[version]));
+
+      let next = null;
+      for (let i = 0; i < signers.length && !next; i++) {
+        if (!entries[i]) continue;
+        const state = await this.verifyEntry(entries[i], signers[i]);
+        if (state?.id === groupId && state.version === version && this.isValidTransition(current, state, signers[i])) {
+          next = state;
+        } else {
+          debugLogger.warn('Rejected group update', { groupId, version, signer: signers[i] });
+        }
+      }
+      if (!next) return current;
+      current = next;
+    }
+  }
+
+  async verifyEntry(sig, signer) {
+    if (typeof sig !== 'string') return null;
+
+    try {
+      const verified = await gunAuthService.verifySignature(sig, signer);
+      const state = typeof verified === 'string' ? JSON.parse(verified) : verified;
+      return state?.updatedBy === signer ? state : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Admins may make any change. Other members may only remove themselves.
+   */
+  isValidTransition(previous, next, signer) {
+    if (!next.members || typeof next.name !== 'string' || !Number.isInteger(next.epoch)) {
+      return false;
+    }
+
+    if (!previous) {
+      return next.version === 1 &&
+        next.createdBy === signer &&
+        next.members[signer]?.role === GROUP_ROLES.ADMIN;
+    }
+
+    if (next.epoch < previous.epoch || next.createdBy !== previous.createdBy) {
+      return false;
+    }
+
+    const signerRole = previous.members[signer]?.role;
+    if (signerRole === GROUP_ROLES.ADMIN) {
+      return true;
+    }
+
+    if (signerRole && !next.members[signer]) {
+      const others = Object.keys(previous.members).filter((pub) => pub !== signer);
+      return next.epoch > previous.epoch &&
+        Object.keys(next.members).length === others.length &&
+        others.every((pub) => JSON.stringify(next.members[pub]) === JSON.stringify(previous.members[pub]));
+    }
+
+    return false;
+  }
+
+  // Sign a new group state into our own log, then bump the head hint
+  async publishState(state) {
+    const sig = await gunAuthService.signData(JSON.stringify(state));
+    const ref = this.groupRef(state.id);
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('No acknowledgement from relay')), PUBLISH_TIMEOUT);
+      this.user.get('group_log').get(state.id).get(String(state.version)).put(sig, (ack) => {
+        clearTimeout(timer);
+        if (ack.err) {
+          reject(new Error(ack.err));
+        } else {
+          resolve();
+        }
+      });
+    });
+    ref.get('head').put(state.version);
+
+    this.groups.set(state.id, state);
+    this.notify('updated', state);
+    return state;
+  }
+
+  // Next version of a group we may modify
+  nextState(groupId, changes, requireAdmin = true) {
+    const current = this.groups.get(groupId);
+    if (!current) throw new Error('Unknown group');
+    if (requireAdmin && !this.isAdmin(groupId)) {
+      throw new Error('Only group admins can do that');
+    }
+
+    return {
+      ...current,
+      ...changes,
+      version: current.version + 1,
+      updatedBy: gunAuthService.getCurrentUser().pub,
+      updatedAt: Date.now(),
+    };
+  }
+
+  // Let invited members discover the group and where its log starts
+  notifyInvitees(groupId, publicKeys) {
+    const user = gunAuthService.getCurrentUser();
+    const creator = this.groups.get(groupId)?.createdBy;
+    publicKeys.forEach((pub) => {
+      this.gun.get('group_invites').get(pub).get(groupId).put({ from: user.pub, creator, at: Date.now() });
+    });
+  }
+
+  /**
+   * Create a group with us as its admin
+   * @param {string} name
+   * @param {string[]} memberKeys - Public keys of friends to add
+   */
+  async createGroup(name, memberKeys = []) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const groupName = (name || '').trim();
+    if (!groupName || groupName.length > MAX_GROUP_NAME_LENGTH) {
+      throw new Error(`Group name must be 1-${MAX_GROUP_NAME_LENGTH} characters`);
+    }
+
+    const now = Date.now();
+    const members = { [user.pub]: { role: GROUP_ROLES.ADMIN, addedBy: user.pub, addedAt: now, addedEpoch: 1 } };
+    memberKeys
+      .filter((pub) => pub && pub !== user.pub)
+      .forEach((pub) => {
+        members[pub] = { role: GROUP_ROLES.MEMBER, addedBy: user.pub, addedAt: now, addedEpoch: 1 };
+      });
+
+    const state = await this.publishState({
+      id: securityUtils.generateSecureRandom(16),
+      name: groupName,
+      createdBy: user.pub,
+      createdAt: now,
+      version: 1,
+      epoch: 1,
+      members,
+      updatedBy: user.pub,
+      updatedAt: now,
+    });
+
+    this.user.get('groups').get(state.id).put(user.pub);
+    this.watchGroup(state.id);
+    this.notifyInvitees(state.id, Object.keys(members).filter((pub) => pub !== user.pub));
+    return state;
+  }
+
+  /**
+   * Add members (admins only). Starts a new epoch so new members cannot
+   * read messages sent before they joined.
+   */
+  async addMembers(groupId, publicKeys) {
+    return this.withLock(groupId, async () => {
+      const current = this.groups.get(groupId);
+      const user = gunAuthService.getCurrentUser();
+      const added = publicKeys.filter((pub) => pub && !current?.members[pub]);
+      if (added.length === 0) return current;
+
+      const epoch = current.epoch + 1;
+      const members = { ...current.members };
+      added.forEach((pub) => {
+        members[pub] = { role: GROUP_ROLES.MEMBER, addedBy: user.pub, addedAt: Date.now(), addedEpoch: epoch };
+      });
+
+      const state = await this.publishState(this.nextState(groupId, { members, epoch }));
+      this.notifyInvitees(groupId, added);
+      return state;
+    });
+  }
+
+  /**
+   * Remove a member (admins only) and rotate all sender keys
+   */
+  async removeMember(groupId, publicKey) {
+    return this.withLock(groupId, async () => {
+      const current = this.groups.get(groupId);
+      if (publicKey === gunAuthService.getCurrentUser()?.pub) {
+        throw new Error('Use leaveGroup to leave a group');
+      }
+      if (!current?.members[publicKey]) return current;
+
+      const members = { ...current.members };
+      delete members[publicKey];
+      return this.publishState(this.nextState(groupId, { members, epoch: current.epoch + 1 }));
+    });
+  }
+
+  /**
+   * Promote or demote a member (admins only)
+   */
+  async setRole(groupId, publicKey, role) {
+    if (!Object.values(GROUP_ROLES).includes(role)) {
+      throw new Error('Unknown group role');
+    }
+
+    return this.withLock(groupId, async () => {
+      const current = this.groups.get(groupId);
+      if (!current?.members[publicKey]) throw new Error('Not a group member');
+
+      const members = { ...current.members, [publicKey]: { ...current.members[publicKey], role } };
+      return this.publishState(this.nextState(groupId, { members }));
+    });
+  }
+
+  /**
+   * Leave a group. The last admin hands the role to the longest-standing
+   * member first so the group stays manageable.
+   */
+  async leaveGroup(groupId) {
+    return this.withLock(groupId, async () => {
+      const current = this.groups.get(groupId);
+      const pub = gunAuthService.getCurrentUser()?.pub;
+      if (!current?.members[pub]) return;
+
+      const members = { ...current.members };
+      delete members[pub];
+
+      const remaining = Object.keys(members);
+      const hasAdmin = remaining.some((key) => members[key].role === GROUP_ROLES.ADMIN);
+      if (remaining.length > 0 && !hasAdmin) {
+        const successor = remaining.sort((a, b) => members[a].addedAt - members[b].addedAt)[0];
+        members[successor] = { ...members[successor], role: GROUP_ROLES.ADMIN };
+      }
+
+      const state = await this.publishState(
+        this.nextState(groupId, { members, epoch: current.epoch + 1 }, false)
+      );
+
+      this.user.get('groups').get(groupId).put(null);
+      this.recordRef(groupId).put(null);
+      this.records.delete(groupId);
+      this.unwatchGroup(groupId);
+      this.notify('left', state);
+    });
+  }
+
+  // Each device keeps its own record, so two devices never encrypt with
+  // the same chain state
+  recordRef(groupId) {
+    return this.user.get('device_sender_keys').get(deviceService.getDeviceId()).get(groupId);
+  }
+
+  /**
+   * Load this device's sender key record for a group from memory or our
+   * user space
+   */
+  async loadRecord(groupId) {
+    if (this.records.has(groupId)) {
+      return this.records.get(groupId);
+    }
+
+    let record = { own: {}, distributed: {}, peers: {} };
+    const stored = await hybridGunService.readOnce(this.recordRef(groupId));
+    if (typeof stored === 'string') {
+      try {
+        const decrypted = await deviceKeyService.open(stored);
+        if (decrypted?.peers) {
+          record = decrypted;
+        }
+      } catch (error) {
+        debugLogger.warn('Failed to restore sender keys', { error: error.message });
+      }
+    }
+
+    this.records.set(groupId, record);
+    return record;
+  }
+
+  async saveRecord(groupId, record, currentEpoch) {
+    Object.keys(record.peers).forEach((keyId) => {
+      const epoch = Number(keyId.split(':').pop());
+      if (epoch < currentEpoch - PEER_EPOCH_RETENTION) {
+        delete record.peers[keyId];
+      }
+    });
+
+    this.records.set(groupId, record);
+    this.recordRef(groupId).put(await deviceKeyService.seal(record));
+  }
+
+  // Associated data binding a message to its group, epoch and sending device
+  associatedData(groupId, epoch, senderPub, senderDevice) {
+    return `${groupId}|${epoch}|${senderPub}:${senderDevice}`;
+  }
+
+  /**
+   * Send our sender key for the current epoch to members that lack it
+   */
+  async distributeSenderKey(group, record) {
+    const user = gunAuthService.getCurrentUser();
+    const deviceId = deviceService.getDeviceId();
+    const ownKey = record.own[group.epoch];
+    const done = new Set(record.distributed[group.epoch] || []);
+
+    for (const pub of Object.keys(group.members)) {
+      if (pub === user.pub || done.has(pub)) continue;
+
+      try {
+        const epub = await friendsService.resolveEpub(pub);
+        const envelope = await ratchetService.encryptForDevices(pub, epub, {
+          type: SENDER_KEY_SCHEME,
+          groupId: group.id,
+          epoch: group.epoch,
+          device: deviceId,
+          key: distributionFor(ownKey),
+        });
+        this.groupRef(group.id).get('sender_keys').get(pub).get(`${user.pub}:${deviceId}:${group.epoch}`).put(envelope);
+        done.add(pub);
+      } catch (error) {
+        // Retried on our next message to the group
+        debugLogger.warn('Failed to distribute sender key', { groupId: group.id, error: error.message });
+      }
+    }
+
+    record.distributed[group.epoch] = Array.from(done);
+  }
+
+  /**
+   * Encrypt a message object for the whole group. Returns the envelope.
+   */
+  async encrypt(groupId, data) {
+    return this.withLock(groupId, async () => {
+      const user = gunAuthService.getCurrentUser();
+      const deviceId = deviceService.getDeviceId();
+      const group = this.groups.get(groupId) || await this.refreshGroup(groupId);
+      if (!group?.members[user.pub]) {
+        throw new Error('Not a member of this group');
+      }
+
+      const record = await this.loadRecord(groupId);
+      if (!record.own[group.epoch]) {
+        // New epoch: older own keys are never needed again
+        record.own = { [group.epoch]: await createSenderKey() };
+        record.distributed = { [group.epoch]: [] };
+      }
+      await this.distributeSenderKey(group, record);
+
+      const result = await senderKeyEncrypt(
+        record.own[group.epoch],
+        JSON.stringify(data),
+        this.associatedData(groupId, group.epoch, user.pub, deviceId)
+      );
+      record.own[group.epoch] = result.state;
+      await this.saveRecord(groupId, record, group.epoch);
+
+      return JSON.stringify({
+        v: ENVELOPE_VERSION,
+        gid: groupId,
+        d: deviceId,
+        e: group.epoch,
+        n: result.iteration,
+        c: result.ciphertext,
+        s: result.signature,
+      });
+    });
+  }
+
+  // Receive the sender key of one of a member's devices over our pairwise
+  // session with them. Revoked devices get no new keys.
+  async fetchSenderKey(groupId, senderPub, senderDevice, epoch) {
+    const user = gunAuthService.getCurrentUser();
+    const devices = await deviceService.getPeerDevices(senderPub);
+    if (devices.length && !devices.includes(senderDevice)) {
+      throw new Error('Sender device is not registered');
+    }
+
+    const envelope = await hybridGunService.readOnce(
+      this.groupRef(groupId).get('sender_keys').get(user.pub).get(`${senderPub}:${senderDevice}:${epoch}`)
+    );
+    if (!envelope) {
+      throw new Error('Sender key not received yet');
+    }
+
+    const epub = await friendsService.resolveEpub(senderPub);
+    const payload = await ratchetService.decryptForDevice(senderPub, epub, envelope);
+    if (payload?.type !== SENDER_KEY_SCHEME || payload.groupId !== groupId ||
+      payload.epoch !== epoch || payload.device !== senderDevice) {
+      throw new Error('Invalid sender key distribution');
+    }
+    return senderKeyFromDistribution(payload.key);
+  }
+
+  /**
+   * Decrypt a group message envelope from another member. Throws if it is
+   * for another group, the sender is unknown, the key is missing or the
+   * message was tampered with.
+   * @param {string} groupId - Group whose conversation the envelope was read from
+   */
+  async decrypt(senderPub, payload, groupId) {
+    const envelope = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    if (envelope?.v !== ENVELOPE_VERSION || !envelope.gid || typeof envelope.d !== 'string' || !Number.isInteger(envelope.e)) {
+      throw new Error('Unsupported group envelope');
+    }
+    // The group id and device are bound into the associated data, so this is authenticated
+    if (envelope.gid !== groupId) {
+      throw new Error('Envelope is for another group');
+    }
+
+    return this.withLock(groupId, async () => {
+      let group = this.groups.get(groupId);
+      if (!group || envelope.e > group.epoch) {
+        group = await this.refreshGroup(groupId);
+      }
+      if (!group) throw new Error('Unknown group');
+
+      // Removed members keep their old keys, so membership is checked on
+      // every message, and epochs from before the sender (re)joined or past
+      // the retention window are refused
+      const member = group.members[senderPub];
+      if (!member) {
+        throw new Error('Sender is not a group member');
+      }
+      if (envelope.e < (member.addedEpoch || 1) || envelope.e < group.epoch - PEER_EPOCH_RETENTION) {
+        throw new Error('Message is from an epoch the sender cannot use');
+      }
+
+      const record = await this.loadRecord(groupId);
+      const keyId = `${senderPub}:${envelope.d}:${envelope.e}`;
+      if (!record.peers[keyId]) {
+        // Save right away: the pairwise message carrying it can only be read once
+        record.peers[keyId] = await this.fetchSenderKey(groupId, senderPub, envelope.d, envelope.e);
+        await this.saveRecord(groupId, record, group.epoch);
+      }
+
+      const result = await senderKeyDecrypt(
+        record.peers[keyId],
+        envelope.n,
+        envelope.c,
+        envelope.s,
+        this.associatedData(groupId, envelope.e, senderPub, envelope.d)
+      );
+      record.peers[keyId] = result.state;
+      await this.saveRecord(groupId, record, group.epoch);
+
+      return JSON.parse(result.plaintext);
+    });
+  }
+
+  /**
+   * Forget in-memory group state (on logout)
+   */
+  reset() {
+    this.watchers.forEach((unsubscribe) => unsubscribe());
+    this.watchers.clear();
+    this.inviteWatcher?.();
+    this.inviteWatcher = null;
+    this.groups.clear();
+    this.records.clear();
+    this.locks.clear();
+  }
+}
+
+export default new GroupService();
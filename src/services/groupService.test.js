@@ -0,0 +1,201 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('./gunAuthService', () => ({
+  default: { onAuthChange: vi.fn(), getCurrentUser: vi.fn(), signData: vi.fn(), verifySignature: vi.fn() },
+}));
+vi.mock('./hybridGunService', () => ({
+  default: { readOnce: vi.fn(), readEntries: vi.fn() },
+}));
+vi.mock('./friendsService', () => ({
+  default: { resolveEpub: vi.fn(async (pub) => `${pub}-epub`), getFriend: vi.fn() },
+}));
+// Pairwise sessions are out of scope here; pass distributions through as-is
+vi.mock('./ratchetService', () => ({
+  default: {
+    encryptForDevices: vi.fn(async (pub, epub, data) => JSON.stringify(data)),
+    decryptForDevice: vi.fn(async (pub, epub, envelope) => JSON.parse(envelope)),
+  },
+}));
+vi.mock('./deviceService', () => ({
+  default: { getDeviceId: vi.fn(), getPeerDevices: vi.fn() },
+}));
+vi.mock('./deviceKeyService', () => ({
+  default: {
+    seal: vi.fn(async (data) => JSON.stringify(data)),
+    open: vi.fn(async (sealed) => JSON.parse(sealed)),
+  },
+}));
+vi.mock('../utils/debugLogger', () => ({
+  default: { debug: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const { default: groupService } = await import('./groupService');
+const { default: gunAuthService } = await import('./gunAuthService');
+const { default: hybridGunService } = await import('./hybridGunService');
+const { default: deviceService } = await import('./deviceService');
+
+const GROUP = {
+  id: 'g1',
+  name: 'Test',
+  version: 1,
+  epoch: 1,
+  createdBy: 'alice',
+  members: {
+    alice: { role: 'admin', addedBy: 'alice', addedEpoch: 1 },
+    bob: { role: 'member', addedBy: 'alice', addedEpoch: 1 },
+  },
+};
+
+// In-memory stand-in for the Gun graph: refs are paths, put stores values
+let graph;
+const node = (path) => ({
+  path,
+  get: (key) => node(`${path}/${key}`),
+  put: (value, ack) => {
+    graph.set(path, value);
+    ack?.({});
+  },
+  on: () => {},
+  off: () => {},
+  map: () => node(path),
+  user: (pub) => node(`~${pub}`),
+});
+const children = (path) => Object.fromEntries(Array.from(graph)
+  .filter(([key]) => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+  .map(([key, value]) => [key.slice(path.length + 1), value]));
+
+// Signatures are "signed:<pub>:<data>", verifiable only for that pub
+const sign = (pub, state) => `signed:${pub}:${JSON.stringify(state)}`;
+
+// Act as one device of an account; in-memory records belong to one device
+const actAs = (pub, deviceId) => {
+  gunAuthService.getCurrentUser.mockReturnValue({ pub });
+  deviceService.getDeviceId.mockReturnValue(deviceId);
+  groupService.user = node(`~${pub}`);
+  groupService.records.clear();
+};
+
+beforeEach(() => {
+  graph = new Map();
+  groupService.reset();
+  groupService.gun = node('');
+  groupService.groups.set(GROUP.id, GROUP);
+  hybridGunService.readOnce.mockImplementation(async (ref) => graph.get(ref.path) ?? null);
+  hybridGunService.readEntries.mockImplementation(async (ref) => children(ref.path));
+  gunAuthService.signData.mockImplementation(async (data) => `signed:${gunAuthService.getCurrentUser().pub}:${data}`);
+  gunAuthService.verifySignature.mockImplementation(async (sig, pub) =>
+    (sig.startsWith(`signed:${pub}:`) ? sig.slice(`signed:${pub}:`.length) : undefined));
+  deviceService.getPeerDevices.mockResolvedValue(['a1', 'a2']);
+});
+
+describe('groupService sender keys', () => {
+  it('gives each linked device its own sender key and record', async () => {
+    actAs('alice', 'a1');
+    const first = JSON.parse(await groupService.encrypt('g1', { content: 'from a1' }));
+    actAs('alice', 'a2');
+    const second = JSON.parse(await groupService.encrypt('g1', { content: 'from a2' }));
+
+    expect([first.d, second.d]).toEqual(['a1', 'a2']);
+    expect(graph.has('~alice/device_sender_keys/a1/g1')).toBe(true);
+    expect(graph.has('~alice/device_sender_keys/a2/g1')).toBe(true);
+
+    const keyOf = (device) => JSON.parse(graph.get(`/groups/g1/sender_keys/bob/alice:${device}:1`)).key.chainKey;
+    expect(keyOf('a1')).not.toBe(keyOf('a2'));
+
+    actAs('bob', 'b1');
+    expect(await groupService.decrypt('alice', first, 'g1')).toEqual({ content: 'from a1' });
+    expect(await groupService.decrypt('alice', second, 'g1')).toEqual({ content: 'from a2' });
+  });
+
+  it('rejects an envelope read from another group', async () => {
+    actAs('alice', 'a1');
+    const envelope = await groupService.encrypt('g1', { content: 'hello' });
+
+    actAs('bob', 'b1');
+    await expect(groupService.decrypt('alice', envelope, 'g2')).rejects.toThrow('Envelope is for another group');
+  });
+
+  it('rejects a message claiming another device of the sender', async () => {
+    actAs('alice', 'a1');
+    const envelope = JSON.parse(await groupService.encrypt('g1', { content: 'hello' }));
+
+    actAs('bob', 'b1');
+    await expect(groupService.decrypt('alice', { ...envelope, d: 'a2' }, 'g1')).rejects.toThrow('Sender key not received yet');
+  });
+
+  it('accepts no new keys from a revoked device', async () => {
+    actAs('alice', 'a2');
+    const envelope = await groupService.encrypt('g1', { content: 'hello' });
+
+    actAs('bob', 'b1');
+    deviceService.getPeerDevices.mockResolvedValue(['a1']);
+    await expect(groupService.decrypt('alice', envelope, 'g1')).rejects.toThrow('Sender device is not registered');
+  });
+
+  it('refuses messages from non-members', async () => {
+    actAs('alice', 'a1');
+    const envelope = await groupService.encrypt('g1', { content: 'hello' });
+
+    actAs('bob', 'b1');
+    await expect(groupService.decrypt('mallory', envelope, 'g1')).rejects.toThrow('Sender is not a group member');
+  });
+});
+
+describe('groupService log', () => {
+  // Alice creates a group with Aaron and Bob, then adds Carol
+  const setup = async () => {
+    actAs('alice', 'a1');
+    const created = await groupService.createGroup('Team', ['aaron', 'bob']);
+    const state = await groupService.addMembers(created.id, ['carol']);
+    return state;
+  };
+
+  const fetchFresh = (groupId, creator = 'alice') => {
+    groupService.groups.clear();
+    return groupService.fetchGroup(groupId, creator);
+  };
+
+  it('keeps each entry in its signer\'s own log', async () => {
+    const state = await setup();
+
+    expect(graph.has(`~alice/group_log/${state.id}/1`)).toBe(true);
+    expect(graph.has(`~alice/group_log/${state.id}/2`)).toBe(true);
+    expect(await fetchFresh(state.id)).toEqual(state);
+  });
+
+  it('is not blocked by a junk head or junk public log entries', async () => {
+    const state = await setup();
+    graph.set(`/groups/${state.id}/head`, 999);
+    graph.set(`/groups/${state.id}/log/3`, { by: 'alice', sig: 'junk' });
+
+    expect(await fetchFresh(state.id)).toEqual(state);
+
+    actAs('alice', 'a1');
+    groupService.groups.set(state.id, state);
+    const next = await groupService.setRole(state.id, 'bob', 'admin');
+    expect(await fetchFresh(state.id)).toEqual(next);
+  });
+
+  it('skips invalid entries from members and ignores outsiders', async () => {
+    const state = await setup();
+    const forged = { ...state, version: 3, members: { ...state.members, mallory: { role: 'admin' } } };
+    // Aaron is a member but not an admin; Mallory is not a member at all
+    graph.set(`~aaron/group_log/${state.id}/3`, sign('aaron', { ...forged, updatedBy: 'aaron' }));
+    graph.set(`~mallory/group_log/${state.id}/3`, sign('mallory', { ...forged, updatedBy: 'mallory' }));
+    graph.set(`~bob/group_log/${state.id}/3`, 'not a signature');
+
+    expect(await fetchFresh(state.id)).toEqual(state);
+
+    actAs('alice', 'a1');
+    groupService.groups.set(state.id, state);
+    const next = await groupService.removeMember(state.id, 'carol');
+    expect(await fetchFresh(state.id)).toEqual(next);
+  });
+
+  it('needs the creator to find a group it does not know yet', async () => {
+    const state = await setup();
+
+    expect(await fetchFresh(state.id, null)).toBeNull();
+    expect(await fetchFresh(state.id, 'bob')).toBeNull();
+  });
+});
@@ -4,12 +4,16 @@ import 'gun/axe';
 import securityUtils from '../utils/securityUtils.js';
 import securityTriggerService from './securityTriggerService.js';
 
+const AUTH_TIMEOUT = 20000; // Give up on a relay that never answers an auth request
+const AUTH_TIMEOUT_MESSAGE = 'No response from the relay. Check your connection and try again.';
+
 // Gun.js authentication service
 class GunAuthService {
   constructor() {
     this.gun = null;
     this.user = null;
     this.currentUser = null;
+    this.alias = null; // Username of the signed-in account, once known
     this.listeners = new Map();
   }
 
@@ -269,7 +273,9 @@ class GunAuthService {
         return;
       }
 
+      const timer = setTimeout(() => reject(new Error(AUTH_TIMEOUT_MESSAGE)), AUTH_TIMEOUT);
       this.user.auth(username, password, (ack) => {
+        clearTimeout(timer);
         if (ack.err) {
           if (bypassLockout) {
             reject(new Error(ack.err));
@@ -293,16 +299,147 @@ class GunAuthService {
         // Successful login - reset failed attempts
         securityTriggerService.recordSuccessfulLogin();
         this.currentUser = ack.sea;
+        this.alias = username;
+        resolve({ success: true, user: ack.sea });
+      });
+    });
+  }
+
+  // Login with a key pair handed over by an already signed-in device
+  async loginWithPair(pair) {
+    return new Promise((resolve, reject) => {
+      if (!this.user) {
+        reject(new Error('Gun not initialized'));
+        return;
+      }
+
+      const timer = setTimeout(() => reject(new Error(AUTH_TIMEOUT_MESSAGE)), AUTH_TIMEOUT);
+      this.user.auth(pair, (ack) => {
+        clearTimeout(timer);
+        if (ack.err) {
+          reject(new Error(ack.err));
+          return;
+        }
+
+        this.currentUser = ack.sea;
+        this.alias = null;
+        this.resolveAlias().catch(() => {});
         resolve({ success: true, user: ack.sea });
       });
     });
   }
 
+  // Username of the signed-in account, or null while it is not known yet
+  getAlias() {
+    const user = this.getCurrentUser();
+    if (!user) return null;
+    if (this.alias) return this.alias;
+    return user.alias && user.alias !== user.pub ? user.alias : null;
+  }
+
+  /**
+   * Username of the signed-in account. A pair login (device link, recovery
+   * or unlock) leaves Gun's alias set to the public key, so the name is read
+   * back from the account's own node.
+   */
+  async resolveAlias() {
+    const known = this.getAlias();
+    const pub = this.getCurrentUser()?.pub;
+    if (known || !pub) return known;
+
+    const alias = await new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(null), AUTH_TIMEOUT);
+      this.gun.get(`~${pub}`).get('alias').once((value) => {
+        clearTimeout(timer);
+        resolve(value);
+      });
+    });
+    if (typeof alias === 'string' && alias !== pub && this.getCurrentUser()?.pub === pub) {
+      this.alias = alias;
+    }
+    return this.getAlias();
+  }
+
+  /**
+   * Change the password of the signed-in account. Gun re-encrypts the
+   * private keys under the new password; the key pair stays the same.
+   * Wrong current passwords count towards the login lockout.
+   */
+  async changePassword(currentPassword, newPassword) {
+    if (!this.getCurrentUser()) throw new Error('Not authenticated');
+    const alias = await this.resolveAlias();
+    if (!alias) throw new Error('Could not look up your username. Check your connection and try again.');
+
+    const validation = securityUtils.validatePassword(newPassword);
+    if (!validation.valid) throw new Error(validation.error);
+    if (newPassword === currentPassword) throw new Error('New password must differ from the current one');
+
+    return new Promise((resolve, reject) => {
+      // Guessing the current password counts towards the same lockout as login
+      if (securityTriggerService.isCurrentlyLocked()) {
+        const minutes = Math.ceil(securityTriggerService.getLockoutTimeRemaining() / 60000);
+        reject(new Error(`Account locked due to too many failed attempts. Try again in ${minutes} minutes.`));
+        return;
+      }
+
+      const timer = setTimeout(() => reject(new Error(AUTH_TIMEOUT_MESSAGE)), AUTH_TIMEOUT);
+      this.user.auth(alias, currentPassword, (ack) => {
+        clearTimeout(timer);
+        if (ack.err) {
+          const result = securityTriggerService.recordFailedAttempt();
+          if (result.triggered) {
+            reject(new Error(result.message || 'Account locked due to too many failed attempts'));
+            return;
+          }
+          const message = ack.err === 'Wrong user or password.' ? 'Current password is incorrect' : ack.err;
+          const attemptsLeft = result.remaining;
+          reject(new Error(`${message}. ${attemptsLeft} attempt${attemptsLeft !== 1 ? 's' : ''} remaining.`));
+          return;
+        }
+        securityTriggerService.recordSuccessfulLogin();
+        resolve({ success: true });
+      }, { change: newPassword });
+    });
+  }
+
+  /**
+   * Sign in with a recovered key pair and set a new password for it
+   * @param {Object} pair - The account's SEA pair
+   * @param {string} newPassword
+   * @param {string} alias - Username the pair was looked up by
+   */
+  async resetPassword(pair, newPassword, alias) {
+    const validation = securityUtils.validatePassword(newPassword);
+    if (!validation.valid) throw new Error(validation.error);
+
+    return new Promise((resolve, reject) => {
+      if (!this.user) {
+        reject(new Error('Gun not initialized'));
+        return;
+      }
+
+      const timer = setTimeout(() => reject(new Error(AUTH_TIMEOUT_MESSAGE)), AUTH_TIMEOUT);
+      this.user.auth(pair, (ack) => {
+        clearTimeout(timer);
+        if (ack.err) {
+          reject(new Error(ack.err));
+          return;
+        }
+
+        securityTriggerService.recordSuccessfulLogin();
+        this.currentUser = pair;
+        this.alias = alias;
+        resolve({ success: true, user: pair });
+      }, { change: newPassword });
+    });
+  }
+
   // Logout current user
   logout() {
     if (this.user) {
       this.user.leave();
       this.currentUser = null;
+      this.alias = null;
       this.notifyListeners('logout', null);
     }
   }
@@ -317,6 +454,12 @@ class GunAuthService {
     return !!this.getCurrentUser();
   }
 
+  // Get the full SEA key pair (including private keys) of the current session
+  getKeyPair() {
+    const pair = this.user?._?.sea || this.currentUser;
+    return pair?.epriv ? pair : null;
+  }
+
   // Get user profile with fallbacks
   async getUserProfile(publicKey = null) {
     const key = publicKey || this.getCurrentUser()?.pub;
@@ -448,6 +591,24 @@ class GunAuthService {
     return decrypted;
   }
 
+  // Encrypt data that only the current user can read (own SEA pair)
+  async encryptForSelf(data) {
+    const pair = this.getKeyPair();
+    if (!pair) {
+      throw new Error('Not authenticated');
+    }
+    return await Gun.SEA.encrypt(data, pair);
+  }
+
+  // Decrypt data previously encrypted with encryptForSelf
+  async decryptForSelf(encryptedData) {
+    const pair = this.getKeyPair();
+    if (!pair) {
+      throw new Error('Not authenticated');
+    }
+    return await Gun.SEA.decrypt(encryptedData, pair);
+  }
+
   // Sign data
   async signData(data) {
     if (!this.isAuthenticated()) {
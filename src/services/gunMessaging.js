@@ -4,11 +4,13 @@
 import Gun from 'gun/gun';
 import 'gun/sea';
 import gunAuthService from './gunAuthService';
+import presenceService from './presenceService';
 import securityUtils from '../utils/securityUtils.js';
 
 class GunMessaging {
   constructor() {
     this.messageHandlers = new Set();
+    this.pendingMessages = []; // Received before any handler registered
     this.connectionStatus = new Map(); // friendKey -> status
     this.isInitialized = false;
     this.userId = null;
@@ -26,8 +28,7 @@ class GunMessaging {
     // Listen for direct messages via Gun
     this.listenForMessages();
 
-    // Start presence broadcasting
-    this.startPresenceBroadcast();
+    // Presence is shared by presenceService, encrypted to friends only
 
     this.isInitialized = true;
     // Logging disabled to prevent crashes
@@ -57,41 +58,14 @@ class GunMessaging {
 
         // console.log('📨 Received message from:', message.from);
 
-        // Decrypt message if encrypted
-        this.handleMessage(message.from, message);
+        // The inbox key is the message id
+        this.handleMessage(message.from, { ...message, id: message.id || key });
 
         // Clean up processed message
         gun.get('messages').get(user.pub).get(key).put(null);
       });
   }
 
-  // Start broadcasting presence
-  startPresenceBroadcast() {
-    const gun = gunAuthService.gun;
-    const user = gunAuthService.getCurrentUser();
-    if (!user) return;
-
-    // Broadcast presence with consistent fields
-    const broadcastPresence = () => {
-      const now = Date.now();
-      const presence = {
-        status: 'online',
-        timestamp: now,
-        lastSeen: now,  // Add lastSeen field that presenceService expects
-        gunRelayConnected: this.isConnectedToRelay()
-      };
-
-      gun.get('presence').get(user.pub).put(presence);
-      console.log('📍 Presence broadcast:', presence);
-    };
-
-    // Broadcast presence once on initialization
-    broadcastPresence();
-    
-    // Set up periodic broadcast every 30 seconds to maintain online status
-    this.presenceInterval = setInterval(broadcastPresence, 30000);
-  }
-
   // Check if connected to Gun relay
   isConnectedToRelay() {
     const gun = gunAuthService.gun;
@@ -186,98 +160,53 @@ class GunMessaging {
     }
   }
 
-  // Decrypt message from friend
-  async decryptFromFriend(friendPublicKey, encryptedContent) {
-    try {
-      // Check if Gun is initialized
-      if (!gunAuthService.gun) {
-        return encryptedContent;
-      }
-      
-      // Use Gun's SEA to decrypt directly with public key
-      const user = gunAuthService.getCurrentUser();
-      if (!user) {
-        return encryptedContent;
-      }
-      
-      // Try to get epub from Gun directly
-      const friendUser = await new Promise((resolve) => {
-        gunAuthService.gun.user(friendPublicKey).get('epub').once((epub) => {
-          resolve(epub);
-        });
-        setTimeout(() => resolve(null), 1000); // Timeout after 1 second
-      });
-      
-      const keyToUse = friendUser || friendPublicKey;
-      const secret = await Gun.SEA.secret(keyToUse, user);
-      const decrypted = await Gun.SEA.decrypt(encryptedContent, secret);
-
-      return decrypted || encryptedContent;
-    } catch (error) {
-      // console.error('Failed to decrypt message:', error);
-      // Return as-is if decryption fails
-      return encryptedContent;
+  // Handle incoming message. The inbox is publicly writable, so messages
+  // are handed over still encrypted; handlers must authenticate the sender.
+  handleMessage(from, message) {
+    // The inbox node is deleted once read, so hold messages until
+    // someone is listening
+    if (this.messageHandlers.size === 0) {
+      this.pendingMessages.push([from, message]);
+      return;
     }
-  }
 
-  // Handle incoming message
-  async handleMessage(from, message) {
-    try {
-      // Decrypt if needed
-      let content = message.content;
-      if (typeof content === 'string' && content.startsWith('SEA{')) {
-        content = await this.decryptFromFriend(from, content);
+    // Notify all message handlers
+    this.messageHandlers.forEach(handler => {
+      try {
+        handler(from, message);
+      } catch (error) {
+        // console.error('Failed to handle message:', error);
       }
-
-      const processedMessage = {
-        ...message,
-        content: content,
-        decrypted: true
-      };
-
-      // console.log('📥 Processing message from:', from);
-
-      // Notify all message handlers
-      this.messageHandlers.forEach(handler => {
-        handler(from, processedMessage);
-      });
-    } catch (error) {
-      // console.error('Failed to handle message:', error);
-    }
+    });
   }
 
   // Register message handler
   onMessage(handler) {
     this.messageHandlers.add(handler);
+
+    const pending = this.pendingMessages;
+    this.pendingMessages = [];
+    pending.forEach(([from, message]) => handler(from, message));
+
     return () => this.messageHandlers.delete(handler);
   }
 
   // Check connection to friend
   async checkConnection(friendPublicKey) {
-    const gun = gunAuthService.gun;
-
-    return new Promise((resolve) => {
-      gun.get('presence').get(friendPublicKey).once((presence) => {
-        if (!presence) {
-          resolve({ connected: false, status: 'offline' });
-          return;
-        }
-
-        const isOnline = presence.timestamp && (Date.now() - presence.timestamp) < 120000;
-        const status = isOnline ? 'online' : 'offline';
-
-        // Check if relay is connected
-        const relayConnected = this.isConnectedToRelay();
-
-        resolve({
-          connected: isOnline && relayConnected,
-          status: status,
-          lastSeen: presence.timestamp,
-          relayConnected: relayConnected,
-          directPath: 'gun-relay'
-        });
-      });
-    });
+    const presence = await presenceService.checkFriendPresence(friendPublicKey);
+    const isOnline = Boolean(presence?.online);
+    const status = isOnline ? 'online' : 'offline';
+
+    // Check if relay is connected
+    const relayConnected = this.isConnectedToRelay();
+
+    return {
+      connected: isOnline && relayConnected,
+      status: status,
+      lastSeen: presence?.lastSeen || null,
+      relayConnected: relayConnected,
+      directPath: 'gun-relay'
+    };
   }
 
   // Get conversation ID
@@ -298,6 +227,7 @@ class GunMessaging {
   // Destroy the service
   destroy() {
     this.messageHandlers.clear();
+    this.pendingMessages = [];
     this.connectionStatus.clear();
     this.isInitialized = false;
     // console.log('💥 Gun messaging service destroyed');
@@ -1,6 +1,15 @@
 import gunAuthService from './gunAuthService';
 import securityUtils from '../utils/securityUtils.js';
 
+const DAY_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const READ_FALLBACK_TIMEOUT = 5000;
+
+// UTC day shard key for a timestamp (YYYY-MM-DD)
+const dayKey = (timestamp) => new Date(timestamp).toISOString().slice(0, 10);
+
+// Newest first by timestamp, then by id so that equal timestamps page stably
+const comparePosition = (a, b) => b.timestamp - a.timestamp || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+
 // Hybrid Gun.js service for data persistence
 class HybridGunService {
   constructor() {
@@ -16,8 +25,9 @@ class HybridGunService {
     return this.gun;
   }
 
-  // Store message in conversation
-  async storeMessage(conversationId, message) {
+  // Store message in conversation. Resolves once a peer acknowledges the
+  // write and rejects on a Gun error or when no ack arrives in time.
+  async storeMessage(conversationId, message, ackTimeout = 10000) {
     if (!this.gun) throw new Error('Gun not initialized');
 
     const messageId = message.id || securityUtils.generateMessageId();
@@ -36,15 +46,76 @@ class HybridGunService {
       messageKeys: Object.keys(messageData)
     });
     
-    this.gun.get('conversations')
-      .get(conversationId)
-      .get('messages')
-      .get(messageId)
-      .put(messageData);
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error('No acknowledgement from relay'));
+      }, ackTimeout);
+
+      this.gun.get('conversations')
+        .get(conversationId)
+        .get('messages')
+        .get(messageId)
+        .put(messageData, (ack) => {
+          clearTimeout(timer);
+          if (ack.err) {
+            reject(new Error(ack.err));
+          } else {
+            resolve();
+          }
+        });
+    });
+
+    this.indexMessage(this.gun.get('conversations').get(conversationId), messageId, message.timestamp);
 
     return messageId;
   }
 
+  // Add a message to the conversation's per-day index shards. Shards map
+  // messageId -> timestamp so a page can be read without loading bodies.
+  indexMessage(conversationRef, messageId, timestamp) {
+    if (!timestamp) return;
+
+    const day = dayKey(timestamp);
+    conversationRef.get('days').get(day).get(messageId).put(timestamp);
+    conversationRef.get('dayIndex').get(day).put(true);
+  }
+
+  // Resolve with a node's value once Gun has loaded it. The fallback timer
+  // only guards against an unreachable relay; normal loads resolve on data.
+  readOnce(ref, fallbackMs = READ_FALLBACK_TIMEOUT) {
+    return new Promise((resolve) => {
+      let settled = false;
+      const timer = setTimeout(() => {
+        if (!settled) {
+          settled = true;
+          resolve(null);
+        }
+      }, fallbackMs);
+
+      ref.once((data) => {
+        if (!settled) {
+          settled = true;
+          clearTimeout(timer);
+          resolve(data);
+        }
+      });
+    });
+  }
+
+  // Read a shard-style node ({ key: value }) without Gun metadata
+  async readEntries(ref) {
+    const node = await this.readOnce(ref);
+    if (!node) return {};
+
+    const entries = {};
+    Object.keys(node).forEach((key) => {
+      if (key !== '_' && node[key] !== null && node[key] !== undefined) {
+        entries[key] = node[key];
+      }
+    });
+    return entries;
+  }
+
   // Store offline message
   async storeOfflineMessage(recipientPub, message) {
     if (!this.gun) throw new Error('Gun not initialized');
@@ -88,6 +159,27 @@ class HybridGunService {
     });
   }
 
+  // Leave an encrypted message in a recipient's offline queue, to be read
+  // no earlier than `notBefore`
+  storeScheduledMessage(recipientPub, transportMessage, notBefore) {
+    if (!this.gun) throw new Error('Gun not initialized');
+
+    this.gun.get('offline_messages')
+      .get(recipientPub)
+      .get(transportMessage.id)
+      .put({ ...transportMessage, notBefore, delivered: false });
+  }
+
+  // Withdraw a message we left in someone's offline queue
+  removeOfflineMessage(recipientPub, messageKey) {
+    if (!this.gun) return;
+
+    this.gun.get('offline_messages')
+      .get(recipientPub)
+      .get(messageKey)
+      .put(null);
+  }
+
   // Mark message as delivered
   markMessageDelivered(messageKey) {
     const user = gunAuthService.getCurrentUser();
@@ -109,46 +201,195 @@ class HybridGunService {
       .put(null);
   }
 
-  // Store message history - store in BOTH users' conversation histories
+  // Store message history - encrypted to ourselves in the user's private space.
+  // Readable copies never go to the public conversation node; peers only see
+  // the encrypted transport envelope written by storeMessage.
   async storeMessageHistory(conversationId, message) {
     if (!this.user) throw new Error('Not authenticated');
 
     const messageId = message.id || securityUtils.generateMessageId();
+    const payload = await gunAuthService.encryptForSelf({ ...message, id: messageId });
 
-    // Store in sender's history
     this.user.get('conversations')
-      .get(conversationId)
-      .get('messages')
-      .get(messageId)
-      .put(message);
-
-    // Also store in a public conversation space that both users can read
-    // This ensures messages are visible to both parties
-    this.gun.get('conversations')
       .get(conversationId)
       .get('messages')
       .get(messageId)
       .put({
-        ...message,
-        storedAt: Date.now()
+        id: messageId,
+        from: message.from,
+        to: message.to,
+        timestamp: message.timestamp,
+        conversationId,
+        selfEncrypted: true,
+        payload
       });
 
-    // console.log('💾 Message stored in conversation:', conversationId, messageId);
+    this.indexMessage(
+      this.user.get('conversations').get(conversationId),
+      messageId,
+      message.timestamp
+    );
 
     return messageId;
   }
 
+  // Pin state of one message in a conversation, encrypted for ourselves
+  storePin(conversationId, messageId, payload) {
+    if (!this.user) throw new Error('Not authenticated');
+    this.user.get('conversations').get(conversationId).get('pins').get(messageId).put(payload);
+  }
+
+  // All pin records of a conversation: messageId -> encrypted payload
+  async getPins(conversationId) {
+    if (!this.user) return {};
+    return this.readEntries(this.user.get('conversations').get(conversationId).get('pins'));
+  }
+
+  // Starred message reference (encrypted), or null to unstar
+  storeStar(messageId, payload) {
+    if (!this.user) throw new Error('Not authenticated');
+    this.user.get('starred').get(messageId).put(payload);
+  }
+
+  // All starred references: messageId -> encrypted payload
+  async getStars() {
+    if (!this.user) return {};
+    return this.readEntries(this.user.get('starred'));
+  }
+
+  // Read our private copy of a message (still self-encrypted)
+  async getPrivateMessage(conversationId, messageId) {
+    if (!this.user) return null;
+
+    return this.readOnce(
+      this.user.get('conversations').get(conversationId).get('messages').get(messageId)
+    );
+  }
+
+  // Null a message's ciphertext in the public conversation node and in our
+  // private copy, leaving only the given marker fields
+  scrubMessage(conversationId, messageId, marker) {
+    if (!this.gun) throw new Error('Gun not initialized');
+
+    const scrubbed = { content: null, payload: null, ...marker };
+    this.gun.get('conversations').get(conversationId).get('messages').get(messageId).put(scrubbed);
+    this.user?.get('conversations').get(conversationId).get('messages').get(messageId).put(scrubbed);
+  }
+
+  // Replace a deleted message with its signed tombstone
+  tombstoneMessage(conversationId, messageId, tombstone) {
+    this.scrubMessage(conversationId, messageId, { tombstone, deletedAt: Date.now() });
+  }
+
+  // Remove a disappearing message once its timer runs out
+  expireMessage(conversationId, messageId) {
+    this.scrubMessage(conversationId, messageId, { expired: true });
+  }
+
+  /**
+   * Load one page of raw messages older than `before`, walking the per-day
+   * shards newest first. Private copies win over public envelopes.
+   * `before` is a timestamp, or the cursor of the previous page: messages
+   * sharing a timestamp are ordered by id, so none are skipped between pages.
+   * @returns {Promise<{messages: Array, cursor: {timestamp: number, id: string}|null, hasMore: boolean}>}
+   */
+  async loadMessagePage(conversationId, before = Date.now() + 1, pageSize = 50) {
+    if (!this.user) return { messages: [], cursor: null, hasMore: false };
+
+    const start = typeof before === 'number' ? { timestamp: before, id: '' } : before;
+    const isBefore = (id, timestamp) =>
+      timestamp < start.timestamp || (timestamp === start.timestamp && id < start.id);
+
+    await this.backfillMessageIndex(conversationId);
+
+    const privateRef = this.user.get('conversations').get(conversationId);
+    const publicRef = this.gun.get('conversations').get(conversationId);
+
+    const [privateDays, publicDays] = await Promise.all([
+      this.readEntries(privateRef.get('dayIndex')),
+      this.readEntries(publicRef.get('dayIndex'))
+    ]);
+
+    const cutoffDay = dayKey(start.timestamp);
+    const days = Array.from(new Set([...Object.keys(privateDays), ...Object.keys(publicDays)]))
+      .filter((day) => DAY_KEY_PATTERN.test(day) && day <= cutoffDay)
+      .sort()
+      .reverse();
+
+    // Collect index entries day by day until the page is full
+    const candidates = new Map(); // messageId -> { id, timestamp, isPrivate }
+    let dayPosition = 0;
+    while (dayPosition < days.length && candidates.size < pageSize) {
+      const day = days[dayPosition];
+      const [privateEntries, publicEntries] = await Promise.all([
+        this.readEntries(privateRef.get('days').get(day)),
+        this.readEntries(publicRef.get('days').get(day))
+      ]);
+
+      Object.entries(publicEntries).forEach(([id, timestamp]) => {
+        if (isBefore(id, timestamp)) candidates.set(id, { id, timestamp, isPrivate: false });
+      });
+      Object.entries(privateEntries).forEach(([id, timestamp]) => {
+        if (isBefore(id, timestamp)) candidates.set(id, { id, timestamp, isPrivate: true });
+      });
+      dayPosition++;
+    }
+
+    const selected = Array.from(candidates.values())
+      .sort(comparePosition)
+      .slice(0, pageSize);
+
+    const loaded = await Promise.all(selected.map(async ({ id, isPrivate }) => {
+      let data = null;
+      if (isPrivate) {
+        data = await this.readOnce(privateRef.get('messages').get(id));
+      }
+      if (!data || !(data.content || data.payload)) {
+        data = await this.readOnce(publicRef.get('messages').get(id));
+      }
+      return data && (data.content || data.payload) ? { ...data, key: id } : null;
+    }));
+
+    const messages = loaded.filter(Boolean).sort((a, b) => a.timestamp - b.timestamp);
+    const last = selected[selected.length - 1];
+    const cursor = last ? { timestamp: last.timestamp, id: last.id } : null;
+    const hasMore = candidates.size > selected.length || dayPosition < days.length;
+
+    return { messages, cursor, hasMore };
+  }
+
+  // Index messages written before day shards existed (once per device)
+  async backfillMessageIndex(conversationId) {
+    const flag = `msgIndexed_${conversationId}`;
+    if (localStorage.getItem(flag)) return;
+
+    const legacy = await this.getMessageHistory(conversationId, Infinity);
+    const privateRef = this.user.get('conversations').get(conversationId);
+    const publicRef = this.gun.get('conversations').get(conversationId);
+
+    legacy.forEach((message) => {
+      const id = message.id || message.key;
+      if (!id || !message.timestamp) return;
+      this.indexMessage(message.selfEncrypted ? privateRef : publicRef, id, message.timestamp);
+    });
+
+    localStorage.setItem(flag, Date.now());
+  }
+
   // Get message history - check both private and public spaces
   async getMessageHistory(conversationId, limit = 50) {
     if (!this.user) return [];
 
     return new Promise((resolve) => {
-      const messages = new Map();
+      const privateMessages = new Map();
+      const publicMessages = new Map();
       let privateLoaded = false;
       let publicLoaded = false;
 
       const checkResolve = () => {
         if (privateLoaded && publicLoaded) {
+          // Private copies win: ratchet envelopes can only be decrypted once
+          const messages = new Map([...publicMessages, ...privateMessages]);
           const sorted = Array.from(messages.values())
             .sort((a, b) => a.timestamp - b.timestamp)
             .slice(-limit);
@@ -164,7 +405,7 @@ class HybridGunService {
         .map()
         .once((data, key) => {
           if (data && (data.content || data.payload)) {
-            messages.set(key, data);
+            privateMessages.set(key, data);
           }
         });
 
@@ -180,7 +421,7 @@ class HybridGunService {
         .map()
         .once((data, key) => {
           if (data && (data.content || data.payload)) {
-            messages.set(key, data);
+            publicMessages.set(key, data);
           }
         });
 
@@ -238,45 +479,67 @@ class HybridGunService {
     };
   }
 
-  // Store user presence
-  updatePresence(status, metadata = {}) {
-    if (!this.user) return;
+  // Store an encrypted attachment chunk under its content address.
+  // Resolves once a peer acknowledges the write.
+  async storeAttachmentChunk(chunkId, data, ackTimeout = 10000) {
+    if (!this.gun) throw new Error('Gun not initialized');
 
-    const presence = {
-      status, // 'online', 'offline', 'away'
-      lastSeen: Date.now(),
-      peerId: metadata.peerId || null,
-      ...metadata
-    };
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error('No acknowledgement from relay'));
+      }, ackTimeout);
+
+      this.gun.get('attachments')
+        .get(chunkId)
+        .put({ data, storedAt: Date.now() }, (ack) => {
+          clearTimeout(timer);
+          if (ack.err) {
+            reject(new Error(ack.err));
+          } else {
+            resolve();
+          }
+        });
+    });
+  }
 
-    this.user.get('presence').put(presence);
+  // Load an encrypted attachment chunk (null if the relay has none)
+  async getAttachmentChunk(chunkId) {
+    if (!this.gun) throw new Error('Gun not initialized');
 
-    // Also update in public space for friends
-    const user = gunAuthService.getCurrentUser();
-    if (user) {
-      this.gun.get('presence')
-        .get(user.pub)
-        .put(presence);
-    }
+    const node = await this.readOnce(this.gun.get('attachments').get(chunkId));
+    return node?.data || null;
   }
 
-  // Get user presence
-  async getUserPresence(publicKey) {
-    return new Promise((resolve) => {
-      this.gun.get('presence')
-        .get(publicKey)
-        .once((data) => {
-          resolve(data || { status: 'offline', lastSeen: null });
-        });
-    });
+  // Store an encrypted receipt in the original sender's receipt inbox
+  storeReceipt(recipientPub, receipt) {
+    if (!this.gun) throw new Error('Gun not initialized');
+
+    const receiptId = securityUtils.generateMessageId();
+    this.gun.get('receipts')
+      .get(recipientPub)
+      .get(receiptId)
+      .put({
+        ...receipt,
+        timestamp: Date.now()
+      });
+
+    return receiptId;
   }
 
-  // Subscribe to presence updates
-  subscribeToPresence(publicKey, callback) {
-    const sub = this.gun.get('presence')
-      .get(publicKey)
-      .on((data) => {
-        callback(data || { status: 'offline', lastSeen: null });
+  // Subscribe to receipts addressed to the current user
+  subscribeToReceipts(callback) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user || !this.gun) return () => {};
+
+    const inbox = this.gun.get('receipts').get(user.pub);
+    const sub = inbox
+      .map()
+      .on((data, key) => {
+        if (!data || !data.from || !data.payload) return;
+        callback(data);
+
+        // Receipts are one-shot; clean up once processed
+        inbox.get(key).put(null);
       });
 
     return () => {
@@ -286,38 +549,75 @@ class HybridGunService {
     };
   }
 
-  // Store typing indicator
-  setTypingIndicator(conversationId, isTyping) {
-    if (!this.user) return;
+  // Store our presence, encrypted to one friend, in their presence inbox
+  storeFriendPresence(recipientPub, payload) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user || !this.gun) return;
 
+    this.gun.get('friendPresence')
+      .get(recipientPub)
+      .get(user.pub)
+      .put({ payload });
+  }
+
+  // Encrypted presence a friend last left for us (null if none)
+  async getFriendPresence(senderPub) {
     const user = gunAuthService.getCurrentUser();
-    if (!user) return;
+    if (!user || !this.gun) return null;
 
-    this.gun.get('typing')
-      .get(conversationId)
+    const node = await this.readOnce(this.gun.get('friendPresence').get(user.pub).get(senderPub));
+    return node?.payload || null;
+  }
+
+  // Subscribe to presence updates friends leave for us
+  subscribeToFriendPresence(callback) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user || !this.gun) return () => {};
+
+    const sub = this.gun.get('friendPresence')
       .get(user.pub)
-      .put({
-        isTyping,
-        timestamp: Date.now()
+      .map()
+      .on((data, senderPub) => {
+        if (data?.payload) callback(senderPub, data.payload);
       });
 
-    // Auto-clear after 3 seconds
-    if (isTyping) {
-      setTimeout(() => {
-        this.setTypingIndicator(conversationId, false);
-      }, 3000);
-    }
+    return () => {
+      if (sub && sub.off) {
+        sub.off();
+      }
+    };
+  }
+
+  // Remove the plaintext presence nodes older versions published
+  clearLegacyPresence() {
+    const user = gunAuthService.getCurrentUser();
+    if (!this.user || !user) return;
+
+    this.user.get('presence').put(null);
+    this.gun.get('presence').get(user.pub).put(null);
   }
 
-  // Subscribe to typing indicators
-  subscribeToTyping(conversationId, callback) {
+  // Store a typing event, encrypted to one recipient
+  setTypingIndicator(recipientPub, payload) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user || !this.gun) return;
+
+    this.gun.get('typing')
+      .get(recipientPub)
+      .get(user.pub)
+      .put({ payload });
+  }
+
+  // Subscribe to typing events addressed to the current user
+  subscribeToTyping(callback) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user || !this.gun) return () => {};
+
     const sub = this.gun.get('typing')
-      .get(conversationId)
+      .get(user.pub)
       .map()
-      .on((data, key) => {
-        if (data && data.timestamp > Date.now() - 5000) {
-          callback(key, data.isTyping);
-        }
+      .on((data, senderPub) => {
+        if (data?.payload) callback(senderPub, data.payload);
       });
 
     return () => {
@@ -327,6 +627,38 @@ class HybridGunService {
     };
   }
 
+  // Write one side of a device link handshake (see deviceLinkService)
+  storeLinkMessage(linkId, field, value) {
+    if (!this.gun) throw new Error('Gun not initialized');
+
+    this.gun.get('device_links').get(linkId).get(field).put(value);
+  }
+
+  // Subscribe to the other side of a device link handshake
+  subscribeToLink(linkId, field, callback) {
+    if (!this.gun) return () => {};
+
+    const ref = this.gun.get('device_links').get(linkId).get(field);
+    const sub = ref.on((value) => {
+      if (typeof value === 'string') callback(value);
+    });
+
+    return () => {
+      if (sub && sub.off) {
+        sub.off();
+      }
+    };
+  }
+
+  // Remove a finished or abandoned device link
+  clearLink(linkId) {
+    if (!this.gun) return;
+
+    const link = this.gun.get('device_links').get(linkId);
+    link.get('request').put(null);
+    link.get('response').put(null);
+  }
+
   // Get database statistics
   async getDatabaseStats() {
     const stats = {
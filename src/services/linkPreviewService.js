@@ -0,0 +1,124 @@
+/**
+ * Link Preview Service
+ * Opt-in previews for links in outgoing messages. The sender fetches the
+ * page once, reads its Open Graph metadata and shrinks the preview image
+ * into a data URL. The preview travels inside the encrypted message, so
+ * recipients never contact the linked site.
+ */
+
+import securityUtils from '../utils/securityUtils.js';
+import debugLogger from '../utils/debugLogger';
+import { APP_CONFIG } from '../config/app.config.js';
+
+const STORAGE_KEY = 'linkPreviewsEnabled';
+const IMAGE_PREFIX = 'data:image/jpeg;base64,';
+const MAX_IMAGE_LENGTH = 100000;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 300;
+const URL_PATTERN = /https?:\/\/[^\s<]*[^\s<.,:;"')\]!?]/;
+
+const cleanText = (value, maxLength) => (
+  typeof value === 'string' ? value.replace(/\s+/g, ' ').trim().slice(0, maxLength) : ''
+);
+
+class LinkPreviewService {
+  isEnabled() {
+    return localStorage.getItem(STORAGE_KEY) === 'true';
+  }
+
+  setEnabled(enabled) {
+    localStorage.setItem(STORAGE_KEY, String(Boolean(enabled)));
+  }
+
+  // First previewable link in a message, or null
+  findUrl(text) {
+    const match = typeof text === 'string' ? text.match(URL_PATTERN) : null;
+    return match ? securityUtils.sanitizeUrl(match[0]) : null;
+  }
+
+  /**
+   * Fetch a page and build its preview. Returns null when the site cannot
+   * be read (most sites block cross-origin reads) or has no metadata.
+   */
+  async generate(url) {
+    const safeUrl = securityUtils.sanitizeUrl(url);
+    if (!safeUrl) return null;
+
+    const { fetchTimeout, maxHtmlLength } = APP_CONFIG.linkPreviews;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), fetchTimeout);
+
+    try {
+      const response = await fetch(safeUrl, {
+        signal: controller.signal,
+        credentials: 'omit',
+        referrerPolicy: 'no-referrer'
+      });
+      if (!response.ok || !(response.headers.get('content-type') || '').includes('text/html')) {
+        return null;
+      }
+
+      const html = (await response.text()).slice(0, maxHtmlLength);
+      const doc = new DOMParser().parseFromString(html, 'text/html');
+      const meta = (name) => doc
+        .querySelector(`meta[property="${name}"], meta[name="${name}"]`)
+        ?.getAttribute('content');
+
+      const imageSource = meta('og:image');
+      const imageUrl = imageSource ? securityUtils.sanitizeUrl(new URL(imageSource, safeUrl).href) : null;
+
+      return this.normalize({
+        url: safeUrl,
+        title: meta('og:title') || doc.title,
+        description: meta('og:description') || meta('description'),
+        image: imageUrl ? await this.fetchImage(imageUrl, controller.signal) : null
+      });
+    } catch (error) {
+      debugLogger.warn('Link preview unavailable', { error: error.message });
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Download and downscale the preview image to an embeddable JPEG
+  async fetchImage(url, signal) {
+    try {
+      const response = await fetch(url, { signal, credentials: 'omit', referrerPolicy: 'no-referrer' });
+      if (!response.ok) return null;
+
+      const bitmap = await createImageBitmap(await response.blob());
+      const scale = Math.min(1, APP_CONFIG.linkPreviews.imageSize / Math.max(bitmap.width, bitmap.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+      canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+      canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+      bitmap.close();
+      return canvas.toDataURL('image/jpeg', 0.7);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Clean a preview, whether freshly generated or received from a peer.
+   * Returns null if nothing displayable is left.
+   */
+  normalize(preview) {
+    const url = securityUtils.sanitizeUrl(preview?.url);
+    if (!url) return null;
+
+    const title = cleanText(preview.title, MAX_TITLE_LENGTH);
+    const description = cleanText(preview.description, MAX_DESCRIPTION_LENGTH);
+    const image = typeof preview.image === 'string' &&
+      preview.image.startsWith(IMAGE_PREFIX) &&
+      preview.image.length <= MAX_IMAGE_LENGTH
+      ? preview.image
+      : null;
+
+    if (!title && !description && !image) return null;
+    return { url, title, description, ...(image && { image }) };
+  }
+}
+
+export default new LinkPreviewService();
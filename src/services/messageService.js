@@ -1,87 +1,1561 @@
 import hybridGunService from './hybridGunService';
 import gunAuthService from './gunAuthService';
 import friendsService from './friendsService';
+import ratchetService, { RATCHET_SCHEME } from './ratchetService';
+import prekeyService from './prekeyService';
+import gunMessaging from './gunMessaging';
+import messageStoreService from './messageStoreService';
+import groupService, { SENDER_KEY_SCHEME } from './groupService';
+import privacySettingsService from './privacySettingsService';
 import securityUtils from '../utils/securityUtils.js';
 import debugLogger from '../utils/debugLogger.js';
+import { createStore } from '../utils/indexedDbStore.js';
+import { MAX_CLOCK_DRIFT, compareHlc, isHlc, receiveHlc, tickHlc } from '../utils/hybridLogicalClock.js';
+import { APP_CONFIG } from '../config/app.config.js';
+
+// Per-message delivery states, in the order they can advance
+export const MESSAGE_STATUS = {
+  PENDING: 'pending',
+  STORED: 'stored',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed'
+};
+
+const STATUS_ORDER = [
+  MESSAGE_STATUS.PENDING,
+  MESSAGE_STATUS.STORED,
+  MESSAGE_STATUS.DELIVERED,
+  MESSAGE_STATUS.READ
+];
+// Signed operations on an earlier message, sent as ordinary encrypted messages
+export const MESSAGE_OPS = {
+  EDIT: 'edit',
+  DELETE: 'delete',
+  REACT: 'react',
+  PIN: 'pin'
+};
+
+const isOperation = (message) =>
+  Object.values(MESSAGE_OPS).includes(message?.type) && Boolean(message.targetId);
+
+/**
+ * Compact duration for timer labels and countdowns, e.g. "5m" or "4m 12s"
+ */
+export const formatDuration = (seconds) => {
+  const units = [['w', 604800], ['d', 86400], ['h', 3600], ['m', 60], ['s', 1]];
+  let remaining = Math.max(0, Math.ceil(seconds));
+  const parts = [];
+  for (const [label, size] of units) {
+    if (remaining >= size && parts.length < 2) {
+      parts.push(`${Math.floor(remaining / size)}${label}`);
+      remaining %= size;
+    }
+  }
+  return parts.join(' ') || '0s';
+};
+
+const isExpired = (message) => Number.isFinite(message?.expiresAt) && message.expiresAt <= Date.now();
+
+// Wall clock time a message claims to be sent at
+const claimedTime = (message) => (isHlc(message.hlc) ? message.hlc.wall : Number(message.timestamp) || 0);
+
+// Position of a message in time: its hybrid logical clock, or the sent
+// timestamp for messages without one. A clock far past the moment we
+// received the message is capped there, so a skewed sender cannot pin
+// messages to the bottom of the conversation.
+const orderingClock = (message) => {
+  const clock = isHlc(message.hlc) ? message.hlc : { wall: claimedTime(message), counter: 0 };
+  const receivedAt = Number(message.receivedAt);
+  return Number.isFinite(receivedAt) && clock.wall > receivedAt + MAX_CLOCK_DRIFT
+    ? { wall: receivedAt, counter: clock.counter }
+    : clock;
+};
+
+/**
+ * Display order of two messages, stable on every device
+ */
+export const compareMessages = (a, b) => (
+  compareHlc(orderingClock(a), orderingClock(b)) || String(a.id).localeCompare(String(b.id))
+);
+
+export const TIMESTAMP_WARNINGS = {
+  future: 'Sent time is in the future; the sender\'s clock may be wrong',
+  backdated: 'Sent time is before the message it follows; the sender\'s clock may be wrong'
+};
+
+/**
+ * Whether a message's sent time is implausible: later than we received it,
+ * or earlier than the message its sender had already seen (`prev`)
+ * @returns {string|null} A TIMESTAMP_WARNINGS key
+ */
+export const timestampWarning = (message, previous = null) => {
+  const claimed = claimedTime(message);
+  const receivedAt = Number(message.receivedAt);
+  const reference = Number.isFinite(receivedAt) ? receivedAt : Date.now();
+  if (claimed > reference + MAX_CLOCK_DRIFT) return 'future';
+  if (previous && claimed < claimedTime(previous) - MAX_CLOCK_DRIFT) return 'backdated';
+  return null;
+};
+
+/**
+ * Order a conversation robustly against clock skew: sort by clock, then
+ * move each message after the one it causally follows when both are
+ * present, and flag implausible sent times as `timestampWarning`
+ */
+export const orderMessages = (messages) => {
+  const sorted = [...messages].sort(compareMessages);
+  const byId = new Map(sorted.map((message) => [message.id, message]));
+  const placed = new Set();
+  const waiting = new Map(); // prev id -> messages to place after it
+  const ordered = [];
+
+  const place = (message) => {
+    if (placed.has(message.id)) return;
+    placed.add(message.id);
+    ordered.push(message);
+    const dependents = waiting.get(message.id) || [];
+    waiting.delete(message.id);
+    dependents.forEach(place);
+  };
+
+  sorted.forEach((message) => {
+    if (message.prev && message.prev !== message.id && byId.has(message.prev) && !placed.has(message.prev)) {
+      waiting.set(message.prev, [...(waiting.get(message.prev) || []), message]);
+    } else {
+      place(message);
+    }
+  });
+  // Only reference cycles are left; fall back to clock order
+  sorted.forEach(place);
+
+  return ordered.map((message) => {
+    const warning = timestampWarning(message, byId.get(message.prev));
+    return warning ? { ...message, timestampWarning: warning } : message;
+  });
+};
+
+// Inbound message sources feeding receive()
+export const INBOUND_SOURCES = {
+  CONVERSATION: 'conversation',
+  OFFLINE: 'offline',
+  INBOX: 'inbox'
+};
+
+const MAX_TRACKED_STATUSES = 500;
+const MAX_SEEN_MESSAGES = 5000;
+const MAX_DECRYPTED_CACHE = 200;
+const RELAY_CHECK_INTERVAL = 5000;
+const TYPING_TIMEOUT = 3000; // Typing stops after this long without keystrokes
+const TYPING_REFRESH = 2000; // Repeat "typing" this often while it lasts
+const TYPING_EVENT_MAX_AGE = 30000; // Older stored events are replays
 
 // Message service for handling all message operations
 class MessageService {
   constructor() {
     this.messageHandlers = new Set();
-    this.typingTimers = new Map();
+    this.typingTimers = new Map(); // conversationId -> { timer, sentAt }
+    this.typingListeners = new Map(); // conversationId -> Set(callback)
+    this.typingUnsubscribe = null;
+    this.ratchetCache = new Map(); // messageId -> decrypted message promise, oldest first (keys are single-use)
+    this.statusCache = new Map(); // conversationId -> { messageId: status }
+    this.unreadIncoming = new Map(); // conversationId -> Map(messageId -> senderPub)
+    this.pendingOperations = new Map(); // target messageId -> operations that arrived first
+    this.operationChains = new Map(); // target messageId -> tail of its operation queue
+    this.expiryCache = null; // messageId -> { conversationId, expiresAt }
+    this.expiryTimer = null;
+    this.receiptUnsubscribe = null;
+
+    // Outbox of encrypted transport messages awaiting a relay ack
+    this.outboxStore = createStore('outbox');
+    this.outbox = new Map(); // messageId -> outbox entry
+    this.delivering = new Set();
+    this.retryTimers = new Map();
+    this.relayWatcher = null;
+    this.relayConnected = false;
+    this.handleOnline = () => this.flushOutbox();
+
+    // Messages scheduled for later, encrypted to ourselves until due
+    this.scheduledStore = createStore('scheduled');
+    this.scheduled = new Map(); // messageId -> scheduled entry
+    this.scheduledLoad = Promise.resolve();
+    this.releasing = new Set();
+    this.schedulerTimer = null;
+    this.checkingOffline = false;
+
+    // Unified inbound pipeline
+    this.seenMessages = new Map(); // messageId -> true, oldest first
+    this.inboundInflight = new Map(); // messageId -> processing promise
+    this.conversationListeners = new Map(); // conversationId -> Set(callback)
+    this.inboxUnsubscribe = null;
+    this.clock = null; // Hybrid logical clock, loaded lazily
+    this.conversationHeads = new Map(); // conversationId -> latest message seen
+
+    gunAuthService.onAuthChange((event) => {
+      if (event === 'logout') {
+        this.stopOutbox();
+        this.stopExpirySweeper();
+        this.stopScheduler();
+        this.scheduled.clear();
+        this.seenMessages.clear();
+        this.conversationHeads.clear();
+        // Decrypted plaintext must not outlive the session
+        this.ratchetCache.clear();
+        this.pendingOperations.clear();
+        this.operationChains.clear();
+        this.unreadIncoming.clear();
+        this.statusCache.clear();
+        this.clock = null;
+        this.expiryCache = null;
+      }
+    });
+  }
+
+  // Initialize message service
+  initialize() {
+    console.log('📨 Message service initialized');
+
+    // Publish/replenish our prekey bundle so friends can reach us while offline
+    prekeyService.ensureBundle().catch((error) => {
+      debugLogger.error('Failed to publish prekey bundle', error);
+    });
+
+    groupService.initialize().catch((error) => {
+      debugLogger.error('Failed to load groups', error);
+    });
+
+    if (this.receiptUnsubscribe) this.receiptUnsubscribe();
+    this.receiptUnsubscribe = hybridGunService.subscribeToReceipts((receipt) => {
+      this.handleReceipt(receipt);
+    });
+
+    if (this.typingUnsubscribe) this.typingUnsubscribe();
+    this.typingUnsubscribe = hybridGunService.subscribeToTyping((fromPub, payload) => {
+      this.handleTyping(fromPub, payload);
+    });
+
+    // Legacy `messages/<pub>` inbox; see openInboxMessage
+    if (this.inboxUnsubscribe) this.inboxUnsubscribe();
+    this.inboxUnsubscribe = gunMessaging.onMessage((from, message) => {
+      this.receive(INBOUND_SOURCES.INBOX, { ...message, from });
+    });
+
+    this.startOutbox();
+    this.startExpirySweeper();
+    this.startScheduler();
+  }
+
+  // Restore queued sends and retry them whenever the relay comes back
+  async startOutbox() {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) return;
+
+    try {
+      const stored = await this.outboxStore.getAll();
+      stored
+        .filter((entry) => entry.from === user.pub)
+        .forEach((entry) => this.outbox.set(entry.id, entry));
+    } catch (error) {
+      debugLogger.warn('Outbox persistence unavailable', { error: error.message });
+    }
+
+    if (this.relayWatcher) clearInterval(this.relayWatcher);
+    this.relayConnected = gunMessaging.isConnectedToRelay();
+    this.relayWatcher = setInterval(() => {
+      const connected = gunMessaging.isConnectedToRelay();
+      if (connected && !this.relayConnected) {
+        debugLogger.debug('gun', 'Relay reconnected, flushing outbox');
+        this.flushOutbox();
+      }
+      this.relayConnected = connected;
+    }, RELAY_CHECK_INTERVAL);
+
+    window.addEventListener('online', this.handleOnline);
+    this.flushOutbox();
+  }
+
+  stopOutbox() {
+    if (this.relayWatcher) {
+      clearInterval(this.relayWatcher);
+      this.relayWatcher = null;
+    }
+    this.retryTimers.forEach((timer) => clearTimeout(timer));
+    this.retryTimers.clear();
+    this.outbox.clear();
+    this.delivering.clear();
+    window.removeEventListener('online', this.handleOnline);
+  }
+
+  // Disappearing messages are purged in the background, including ones
+  // that expired while the app was closed
+  startExpirySweeper() {
+    this.stopExpirySweeper();
+    this.sweepExpired();
+    this.expiryTimer = setInterval(() => this.sweepExpired(), APP_CONFIG.messages.expirySweepInterval);
+  }
+
+  stopExpirySweeper() {
+    if (this.expiryTimer) {
+      clearInterval(this.expiryTimer);
+      this.expiryTimer = null;
+    }
+  }
+
+  getExpiries() {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) return null;
+
+    if (!this.expiryCache) {
+      try {
+        this.expiryCache = JSON.parse(localStorage.getItem(`msgExpiry_${user.pub}`)) || {};
+      } catch {
+        this.expiryCache = {};
+      }
+    }
+    return this.expiryCache;
+  }
+
+  saveExpiries() {
+    const user = gunAuthService.getCurrentUser();
+    if (!user || !this.expiryCache) return;
+    localStorage.setItem(`msgExpiry_${user.pub}`, JSON.stringify(this.expiryCache));
+  }
+
+  // Remember when a disappearing message must be purged
+  scheduleExpiry(message) {
+    const expiries = this.getExpiries();
+    if (!expiries || !Number.isFinite(message?.expiresAt) || expiries[message.id]) return;
+
+    expiries[message.id] = { conversationId: message.conversationId, expiresAt: message.expiresAt };
+    this.saveExpiries();
+  }
+
+  sweepExpired() {
+    const expiries = this.getExpiries();
+    if (!expiries) return;
+
+    const now = Date.now();
+    const expired = Object.keys(expiries).filter((id) => expiries[id].expiresAt <= now);
+    if (expired.length === 0) return;
+
+    expired.forEach((id) => {
+      this.purgeMessage(expiries[id].conversationId, id);
+      delete expiries[id];
+    });
+    this.saveExpiries();
+  }
+
+  // Null the ciphertext in Gun and drop every local copy of a message
+  purgeMessage(conversationId, messageId) {
+    try {
+      hybridGunService.expireMessage(conversationId, messageId);
+    } catch (error) {
+      debugLogger.warn('Failed to expire message', { error: error.message, messageId });
+    }
+    messageStoreService.remove(messageId).catch(() => {});
+    this.ratchetCache.delete(messageId);
+    this.notifyHandlers('expired', { id: messageId, conversationId });
+  }
+
+  // Disappearing message timer of a conversation: { seconds, setAt, setBy }
+  getDisappearingTimer(conversationId) {
+    try {
+      return JSON.parse(localStorage.getItem(`disappearing_${conversationId}`)) || { seconds: 0, setAt: 0 };
+    } catch {
+      return { seconds: 0, setAt: 0 };
+    }
+  }
+
+  // Adopt a timer change carried by a message; the newest change wins
+  trackTimerSetting(message) {
+    const seconds = message?.disappearingTimer;
+    if (!APP_CONFIG.messages.disappearingTimers.includes(seconds)) return;
+
+    const current = this.getDisappearingTimer(message.conversationId);
+    if (current.setAt >= message.timestamp) return;
+
+    const setting = { seconds, setAt: message.timestamp, setBy: message.from };
+    localStorage.setItem(`disappearing_${message.conversationId}`, JSON.stringify(setting));
+    this.notifyHandlers('timer', { conversationId: message.conversationId, ...setting });
+  }
+
+  /**
+   * Change the disappearing message timer for everyone in a conversation.
+   * The change is sent as an encrypted notice so every side applies it.
+   */
+  async setDisappearingTimer(conversationId, seconds) {
+    if (!APP_CONFIG.messages.disappearingTimers.includes(seconds)) {
+      throw new Error('Unsupported timer');
+    }
+
+    const content = seconds
+      ? `Disappearing messages set to ${formatDuration(seconds)}`
+      : 'Disappearing messages turned off';
+    const message = await this.sendToConversation(conversationId, content, { disappearingTimer: seconds });
+    this.trackTimerSetting(message);
+    return message;
+  }
+
+  // Expiry for a new message under the conversation's timer, counted from
+  // when it is sent. Timer notices never expire themselves.
+  expiryFor(conversationId, metadata, sentAt = Date.now()) {
+    const { seconds } = this.getDisappearingTimer(conversationId);
+    if (!seconds || metadata.disappearingTimer !== undefined) return {};
+    return { expiresAt: sentAt + seconds * 1000 };
+  }
+
+  // Friend on the other side of a 1:1 conversation
+  peerOfConversation(conversationId) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+
+    // 1:1 ids are built from both sorted keys, so the peer is the other half
+    const keys = conversationId.replace(/^conv_/, '');
+    const peer = keys.startsWith(`${user.pub}_`)
+      ? keys.slice(user.pub.length + 1)
+      : keys.slice(0, -(user.pub.length + 1));
+    if (friendsService.generateConversationId(user.pub, peer) !== conversationId) {
+      throw new Error('Unknown conversation');
+    }
+    return peer;
+  }
+
+  // Whether a key belongs to a conversation: ourselves, the friend of a
+  // 1:1 chat, or a member of a group
+  isParticipant(conversationId, publicKey) {
+    const groupId = groupService.getGroupIdFromConversation(conversationId);
+    if (groupId) {
+      return Boolean(groupService.getGroup(groupId)?.members[publicKey]);
+    }
+    if (publicKey === gunAuthService.getCurrentUser()?.pub) return true;
+
+    try {
+      return this.peerOfConversation(conversationId) === publicKey;
+    } catch {
+      return false;
+    }
+  }
+
+  // Route a message to the friend or group behind a conversation
+  async sendToConversation(conversationId, content, metadata = {}) {
+    const groupId = groupService.getGroupIdFromConversation(conversationId);
+    if (groupId) {
+      return this.sendGroupMessage(groupId, content, metadata);
+    }
+    return this.sendMessage(this.peerOfConversation(conversationId), content, metadata);
+  }
+
+  getClock() {
+    if (this.clock === null) {
+      const user = gunAuthService.getCurrentUser();
+      let stored = null;
+      try {
+        stored = user ? JSON.parse(localStorage.getItem(`msgClock_${user.pub}`)) : null;
+      } catch {
+        stored = null;
+      }
+      this.clock = isHlc(stored) ? stored : null;
+    }
+    return this.clock;
+  }
+
+  setClock(value) {
+    this.clock = value;
+    const user = gunAuthService.getCurrentUser();
+    if (user) localStorage.setItem(`msgClock_${user.pub}`, JSON.stringify(value));
+  }
+
+  // Hybrid logical clock timestamp for a message we send
+  nextClock() {
+    const next = tickHlc(this.getClock());
+    this.setClock(next);
+    return next;
+  }
+
+  // Move the clock past one seen on a received or loaded message
+  observeClock(remote) {
+    const current = this.getClock();
+    if (!isHlc(remote) || (current && compareHlc(remote, current) <= 0)) return;
+    const next = receiveHlc(current, remote);
+    if (next !== current) this.setClock(next);
+  }
+
+  // Remember the latest message of a conversation for causal references
+  noteHead(conversationId, message) {
+    const head = this.conversationHeads.get(conversationId);
+    if (!head || compareMessages(head, message) < 0) {
+      this.conversationHeads.set(conversationId, {
+        id: message.id,
+        hlc: message.hlc,
+        timestamp: message.timestamp,
+        receivedAt: message.receivedAt
+      });
+    }
+  }
+
+  // The message a new one causally follows, as far as this device knows
+  async findPrevious(conversationId, messageId) {
+    const head = this.conversationHeads.get(conversationId);
+    if (head?.id === messageId) return head;
+    return this.loadPrivateMessage(conversationId, messageId);
+  }
+
+  markSeen(messageId) {
+    this.seenMessages.delete(messageId);
+    this.seenMessages.set(messageId, true);
+    if (this.seenMessages.size > MAX_SEEN_MESSAGES) {
+      this.seenMessages.delete(this.seenMessages.keys().next().value);
+    }
+  }
+
+  /**
+   * Single entry point for incoming messages from every source. Each
+   * message id is handled once; copies arriving later, or from another
+   * source, are dropped. A copy that cannot be read (say, the public
+   * ratchet envelope of our own message) leaves the id open for the next.
+   * @param {string} source - One of INBOUND_SOURCES
+   * @param {Object} rawMessage - Message as stored in Gun
+   * @param {string} [conversationId] - Known for conversation subscriptions
+   * @returns {Promise<Object|null>} The message if it was new and readable
+   */
+  receive(source, rawMessage, conversationId = null) {
+    const id = rawMessage?.id || rawMessage?.key;
+    if (!id || this.seenMessages.has(id)) return Promise.resolve(null);
+
+    const inflight = this.inboundInflight.get(id);
+    if (inflight) {
+      return inflight.then(() => (this.seenMessages.has(id) ? null : this.receive(source, rawMessage, conversationId)));
+    }
+
+    const processing = this.processInbound(source, { ...rawMessage, id }, conversationId)
+      .catch((error) => {
+        debugLogger.error('Failed to process incoming message', { error: error.message, source, messageId: id });
+        return null;
+      })
+      .finally(() => this.inboundInflight.delete(id));
+    this.inboundInflight.set(id, processing);
+    return processing;
+  }
+
+  async processInbound(source, rawMessage, knownConversationId) {
+    const message = source === INBOUND_SOURCES.INBOX
+      ? await this.openInboxMessage(rawMessage)
+      : await this.decryptConversationMessage(rawMessage, knownConversationId);
+    if (!message) return null;
+
+    const conversationId = knownConversationId || await this.resolveInboundConversation(message);
+    if (!conversationId) return null;
+
+    this.markSeen(rawMessage.id);
+    this.observeClock(message.hlc);
+
+    if (isOperation(message)) {
+      await this.applyOperation(message);
+      return null;
+    }
+    if (isExpired(message)) {
+      this.purgeMessage(conversationId, message.id);
+      return null;
+    }
+    if (!message.content) return null;
+
+    // Live subscriptions read our history; other sources must be copied into it
+    if (source !== INBOUND_SOURCES.CONVERSATION) {
+      await hybridGunService.storeMessageHistory(conversationId, {
+        ...message,
+        conversationId,
+        received: true,
+        receivedAt: Date.now(),
+        wasOffline: source === INBOUND_SOURCES.OFFLINE,
+        deliveryMethod: 'gun'
+      });
+    }
+
+    this.scheduleExpiry(message);
+    this.trackTimerSetting(message);
+    messageStoreService.add(message, conversationId);
+
+    const own = message.from === gunAuthService.getCurrentUser()?.pub;
+    const received = own ? message : { ...message, receivedAt: message.receivedAt || Date.now() };
+    const previous = received.prev ? await this.findPrevious(conversationId, received.prev) : null;
+    const warning = timestampWarning(received, previous);
+    this.noteHead(conversationId, received);
+
+    const delivered = this.withStatus({
+      ...received,
+      conversationId,
+      ...(warning ? { timestampWarning: warning } : {})
+    });
+    this.conversationListeners.get(conversationId)?.forEach((callback) => {
+      try {
+        callback(delivered);
+      } catch (error) {
+        debugLogger.error('Conversation listener error', error);
+      }
+    });
+    this.notifyHandlers('received', delivered);
+    return delivered;
+  }
+
+  // Conversation of a message that did not come from a conversation node.
+  // Only friends and groups we belong to can reach us this way.
+  async resolveInboundConversation(message) {
+    if (message.groupId) {
+      return groupService.getGroup(message.groupId) ? groupService.getConversationId(message.groupId) : null;
+    }
+    const friend = await friendsService.getFriend(message.from);
+    return friend?.conversationId || null;
+  }
+
+  // Restore this device's scheduled messages and start sending them when due
+  startScheduler() {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) return;
+
+    this.stopScheduler();
+    this.scheduledLoad = this.scheduledStore.getAll()
+      .then((stored) => {
+        stored
+          .filter((entry) => entry.owner === user.pub)
+          .forEach((entry) => this.scheduled.set(entry.id, entry));
+      })
+      .catch((error) => {
+        debugLogger.warn('Scheduled message persistence unavailable', { error: error.message });
+      })
+      .then(() => this.runScheduler());
+
+    this.schedulerTimer = setInterval(() => this.runScheduler(), APP_CONFIG.messages.scheduleCheckInterval);
+  }
+
+  stopScheduler() {
+    if (this.schedulerTimer) {
+      clearInterval(this.schedulerTimer);
+      this.schedulerTimer = null;
+    }
+  }
+
+  // Release our due messages and pick up ones friends scheduled for us
+  runScheduler() {
+    const now = Date.now();
+    this.scheduled.forEach((entry) => {
+      if (entry.sendAt <= now && !entry.failed) this.releaseScheduled(entry.id);
+    });
+    this.checkOfflineMessages();
+  }
+
+  async saveScheduledEntry(entry) {
+    this.scheduled.set(entry.id, entry);
+    try {
+      await this.scheduledStore.put(entry);
+    } catch (error) {
+      debugLogger.warn('Failed to persist scheduled message', { error: error.message });
+    }
+  }
+
+  async removeScheduledEntry(messageId) {
+    this.scheduled.delete(messageId);
+    try {
+      await this.scheduledStore.delete(messageId);
+    } catch (error) {
+      debugLogger.warn('Failed to remove scheduled message', { error: error.message });
+    }
+  }
+
+  /**
+   * Schedule a message to be sent later.
+   * Local schedules are sent by this device once due, so the app has to be
+   * open (a missed time is sent on next start). Relay schedules (1:1 only)
+   * are encrypted now and left in the recipient's offline queue with a
+   * `notBefore` time their client honors; it is a delivery hint, not a
+   * time lock.
+   * @returns {Promise<Object>} The scheduled entry as listed by getScheduledMessages
+   */
+  async scheduleMessage(conversationId, content, sendAt, { metadata = {}, relay = false } = {}) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+
+    if (!Number.isFinite(sendAt) || sendAt <= Date.now()) {
+      throw new Error('Scheduled time must be in the future');
+    }
+    if (sendAt > Date.now() + APP_CONFIG.messages.maxScheduleAhead) {
+      throw new Error('Scheduled time is too far ahead');
+    }
+
+    const id = securityUtils.generateMessageId();
+    let record = { content, metadata };
+    let recipient = null;
+
+    if (relay) {
+      if (groupService.getGroupIdFromConversation(conversationId)) {
+        throw new Error('Relay scheduling is only available in direct chats');
+      }
+      recipient = this.peerOfConversation(conversationId);
+      if (!await friendsService.getFriend(recipient)) throw new Error('Not a friend');
+
+      const message = {
+        id,
+        content,
+        from: user.pub,
+        to: recipient,
+        timestamp: sendAt,
+        // Stamped for its send time without moving our clock ahead now
+        hlc: { wall: sendAt, counter: 0 },
+        conversationId,
+        deliveryMethod: 'gun',
+        encryptionStatus: 'forward-secret',
+        ...this.expiryFor(conversationId, metadata, sendAt),
+        ...metadata
+      };
+      const transportMessage = await this.encryptDirect(message);
+      hybridGunService.storeScheduledMessage(recipient, transportMessage, sendAt);
+      record = { message };
+    }
+
+    await this.scheduledLoad;
+    await this.saveScheduledEntry({
+      id,
+      owner: user.pub,
+      conversationId,
+      sendAt,
+      relay: recipient,
+      payload: await gunAuthService.encryptForSelf(record),
+      failed: null,
+      createdAt: Date.now()
+    });
+    this.notifyHandlers('scheduled', { conversationId });
+
+    return { id, conversationId, sendAt, relay: Boolean(recipient), failed: null, content };
+  }
+
+  // Send a due message, or reveal our copy of one already waiting on the relay
+  async releaseScheduled(messageId) {
+    const entry = this.scheduled.get(messageId);
+    if (!entry || this.releasing.has(messageId)) return;
+
+    this.releasing.add(messageId);
+    try {
+      const record = await gunAuthService.decryptForSelf(entry.payload);
+      if (!record) throw new Error('Scheduled message could not be decrypted');
+
+      if (entry.relay) {
+        const { message } = record;
+        this.markSeen(message.id);
+        this.observeClock(message.hlc);
+        this.noteHead(entry.conversationId, message);
+        await hybridGunService.storeMessageHistory(entry.conversationId, message);
+        messageStoreService.add(message, entry.conversationId);
+        this.scheduleExpiry(message);
+        this.updateMessageStatus(entry.conversationId, message.id, MESSAGE_STATUS.STORED);
+        this.notifyHandlers('sent', this.withStatus(message));
+      } else {
+        await this.sendToConversation(entry.conversationId, record.content, record.metadata);
+      }
+      await this.removeScheduledEntry(messageId);
+    } catch (error) {
+      debugLogger.error('Failed to send scheduled message', error);
+      await this.saveScheduledEntry({ ...entry, failed: error.message });
+    } finally {
+      this.releasing.delete(messageId);
+    }
+    this.notifyHandlers('scheduled', { conversationId: entry.conversationId });
+  }
+
+  /**
+   * Messages still waiting to be sent in a conversation, soonest first
+   * @returns {Promise<Array<{id, conversationId, sendAt, relay, failed, content}>>}
+   */
+  async getScheduledMessages(conversationId) {
+    await this.scheduledLoad;
+
+    const entries = [...this.scheduled.values()].filter((entry) => entry.conversationId === conversationId);
+    const listed = await Promise.all(entries.map(async (entry) => {
+      const record = await gunAuthService.decryptForSelf(entry.payload).catch(() => null);
+      const content = record?.message?.content ?? record?.content;
+      return {
+        id: entry.id,
+        conversationId,
+        sendAt: entry.sendAt,
+        relay: Boolean(entry.relay),
+        failed: entry.failed,
+        content: typeof content === 'string' ? content : ''
+      };
+    }));
+    return listed.sort((a, b) => a.sendAt - b.sendAt);
+  }
+
+  // Cancel a message that has not been sent yet
+  async cancelScheduledMessage(messageId) {
+    const entry = this.scheduled.get(messageId);
+    if (!entry || this.releasing.has(messageId)) return false;
+
+    if (entry.relay) hybridGunService.removeOfflineMessage(entry.relay, messageId);
+    await this.removeScheduledEntry(messageId);
+    this.notifyHandlers('scheduled', { conversationId: entry.conversationId });
+    return true;
+  }
+
+  // Try a scheduled message that failed to send again
+  async retryScheduledMessage(messageId) {
+    const entry = this.scheduled.get(messageId);
+    if (!entry) return false;
+
+    await this.saveScheduledEntry({ ...entry, failed: null });
+    await this.releaseScheduled(messageId);
+    return true;
+  }
+
+  async saveOutboxEntry(entry) {
+    this.outbox.set(entry.id, entry);
+    try {
+      await this.outboxStore.put(entry);
+    } catch (error) {
+      debugLogger.warn('Failed to persist outbox entry', { error: error.message });
+    }
+  }
+
+  async removeOutboxEntry(messageId) {
+    this.outbox.delete(messageId);
+    try {
+      await this.outboxStore.delete(messageId);
+    } catch (error) {
+      debugLogger.warn('Failed to remove outbox entry', { error: error.message });
+    }
+  }
+
+  // Try every queued (not failed) message
+  flushOutbox() {
+    this.outbox.forEach((entry) => {
+      if (entry.state !== MESSAGE_STATUS.FAILED) {
+        this.deliverQueued(entry.id);
+      }
+    });
+  }
+
+  // Put one queued message to the relay, retrying with exponential backoff
+  async deliverQueued(messageId) {
+    const entry = this.outbox.get(messageId);
+    if (!entry || this.delivering.has(messageId)) return;
+
+    // Wait for the relay watcher instead of burning attempts while offline
+    if (!gunMessaging.isConnectedToRelay()) return;
+
+    const { messageRetryAttempts, messageRetryDelay, messageRetryMaxDelay, messageAckTimeout } =
+      APP_CONFIG.messages;
+
+    this.delivering.add(messageId);
+    clearTimeout(this.retryTimers.get(messageId));
+    this.retryTimers.delete(messageId);
+
+    try {
+      await hybridGunService.storeMessage(
+        entry.conversationId,
+        entry.transportMessage,
+        messageAckTimeout
+      );
+      await this.removeOutboxEntry(messageId);
+      this.updateMessageStatus(entry.conversationId, messageId, MESSAGE_STATUS.STORED);
+    } catch (error) {
+      const attempts = entry.attempts + 1;
+      debugLogger.warn('Message delivery attempt failed', {
+        messageId,
+        attempts,
+        error: error.message
+      });
+
+      if (attempts >= messageRetryAttempts) {
+        await this.saveOutboxEntry({ ...entry, attempts, state: MESSAGE_STATUS.FAILED });
+        this.updateMessageStatus(entry.conversationId, messageId, MESSAGE_STATUS.FAILED);
+      } else {
+        await this.saveOutboxEntry({ ...entry, attempts });
+        const delay = Math.min(messageRetryDelay * 2 ** (attempts - 1), messageRetryMaxDelay);
+        this.retryTimers.set(messageId, setTimeout(() => {
+          this.retryTimers.delete(messageId);
+          this.deliverQueued(messageId);
+        }, delay));
+      }
+    } finally {
+      this.delivering.delete(messageId);
+    }
+  }
+
+  // Manually retry a message that exhausted its automatic attempts
+  async retryMessage(messageId) {
+    const entry = this.outbox.get(messageId);
+    if (!entry) return false;
+
+    await this.saveOutboxEntry({ ...entry, attempts: 0, state: MESSAGE_STATUS.PENDING });
+    this.updateMessageStatus(entry.conversationId, messageId, MESSAGE_STATUS.PENDING);
+    this.deliverQueued(messageId);
+    return true;
+  }
+
+  async resolveFriendEpub(publicKey) {
+    return friendsService.resolveEpub(publicKey);
+  }
+
+  /**
+   * Read a legacy inbox message. Anyone can write to our inbox, so only
+   * text SEA-encrypted between us and the pinned key of the friend it
+   * claims to be from is accepted; nothing else is taken from the envelope.
+   */
+  async openInboxMessage(rawMessage) {
+    const currentUser = gunAuthService.getCurrentUser();
+    const { content, from } = rawMessage;
+    if (!currentUser || typeof content !== 'string' || !content.startsWith('SEA{')) {
+      return null;
+    }
+
+    const friend = await friendsService.getFriend(from);
+    if (!friend?.epub) return null;
+
+    let text = null;
+    try {
+      text = await gunAuthService.decryptFrom(content, friend.epub);
+    } catch (error) {
+      debugLogger.debug('gun', 'Inbox message not decryptable', { error: error.message, messageId: rawMessage.id });
+    }
+    if (text === null || text === undefined || text === '' || typeof text === 'object') {
+      return null;
+    }
+
+    return {
+      id: rawMessage.id,
+      content: String(text),
+      from,
+      to: currentUser.pub,
+      timestamp: Number(rawMessage.timestamp) || Date.now(),
+      conversationId: friend.conversationId,
+      deliveryMethod: 'gun',
+      encryptionStatus: 'encrypted'
+    };
+  }
+
+  /**
+   * Read a message as stored in Gun. Conversation and offline nodes are
+   * public, so plaintext `content` there is forgeable by anyone and never
+   * accepted, and a valid envelope copied into another conversation's node
+   * is rejected.
+   * @param {Object} rawMessage
+   * @param {string} [conversationId] - Conversation the copy was read from
+   */
+  async decryptConversationMessage(rawMessage, conversationId = null) {
+    const message = await this.openConversationMessage(rawMessage, conversationId);
+    if (message && conversationId && message.conversationId !== conversationId) {
+      debugLogger.warn('Dropping message copied from another conversation', { messageId: rawMessage.id });
+      return null;
+    }
+    return message;
+  }
+
+  async openConversationMessage(rawMessage, conversationId) {
+    if (!rawMessage || rawMessage.content) return null;
+
+    if (!rawMessage.payload) {
+      return null;
+    }
+
+    // Our own history copies are encrypted to our SEA pair
+    if (rawMessage.selfEncrypted) {
+      try {
+        const decrypted = await gunAuthService.decryptForSelf(rawMessage.payload);
+        return decrypted?.content || isOperation(decrypted) ? decrypted : null;
+      } catch (error) {
+        debugLogger.error('Failed to decrypt stored message', {
+          error: error.message,
+          messageId: rawMessage.id
+        });
+        return null;
+      }
+    }
+
+    if (!rawMessage.encrypted) {
+      return null;
+    }
+
+    const currentUser = gunAuthService.getCurrentUser();
+    if (!currentUser) {
+      return null;
+    }
+
+    if (rawMessage.scheme === SENDER_KEY_SCHEME) {
+      return this.decryptGroupMessage(rawMessage, currentUser.pub, conversationId || rawMessage.conversationId);
+    }
+
+    const peerPublicKey = rawMessage.from === currentUser.pub ? rawMessage.to : rawMessage.from;
+    if (!peerPublicKey) {
+      return null;
+    }
+    if (conversationId && conversationId !== friendsService.generateConversationId(currentUser.pub, peerPublicKey)) {
+      return null;
+    }
+
+    if (rawMessage.scheme === RATCHET_SCHEME) {
+      return this.decryptRatchetMessage(rawMessage, peerPublicKey);
+    }
+
+    const peerEpub = await this.resolveFriendEpub(peerPublicKey);
+    if (!peerEpub) {
+      debugLogger.warn('Missing peer epub for message decryption', { peerPublicKey });
+      return null;
+    }
+
+    try {
+      const decrypted = await gunAuthService.decryptFrom(rawMessage.payload, peerEpub);
+      if (!decrypted?.content) {
+        return null;
+      }
+      // The sender must not choose which conversation the message is filed under
+      const conversationId = friendsService.generateConversationId(currentUser.pub, peerPublicKey);
+      if (decrypted.conversationId !== conversationId) {
+        debugLogger.warn('Dropping message filed under another conversation', { messageId: rawMessage.id });
+        return null;
+      }
+
+      return {
+        ...decrypted,
+        id: decrypted.id || rawMessage.id,
+        from: decrypted.from || rawMessage.from,
+        to: decrypted.to || rawMessage.to,
+        timestamp: decrypted.timestamp || rawMessage.timestamp,
+        conversationId,
+        deliveryMethod: 'gun',
+        encryptionStatus: 'encrypted'
+      };
+    } catch (error) {
+      debugLogger.error('Failed to decrypt conversation message', {
+        error: error.message,
+        messageId: rawMessage.id,
+        peerPublicKey
+      });
+      return null;
+    }
+  }
+
+  // Decrypt a Double Ratchet envelope. Message keys are deleted after first
+  // use, so the readable copy is kept in our private history for later loads.
+  async decryptRatchetMessage(rawMessage, peerPublicKey) {
+    // Our own sent envelopes are unreadable by design; the private copy covers them
+    if (rawMessage.from !== peerPublicKey) {
+      return null;
+    }
+
+    return this.decryptOnce(rawMessage.id, () => this.openRatchetEnvelope(rawMessage, peerPublicKey));
+  }
+
+  // History loads and live subscriptions can race on the same envelope, so
+  // the decryption is shared until the readable copy is in private history
+  decryptOnce(messageId, open) {
+    if (!this.ratchetCache.has(messageId)) {
+      const pending = open();
+      this.ratchetCache.set(messageId, pending);
+      if (this.ratchetCache.size > MAX_DECRYPTED_CACHE) {
+        this.ratchetCache.delete(this.ratchetCache.keys().next().value);
+      }
+      pending.then((message) => {
+        if (!message) this.ratchetCache.delete(messageId);
+      });
+    }
+
+    return this.ratchetCache.get(messageId);
+  }
+
+  async openRatchetEnvelope(rawMessage, peerPublicKey) {
+    const currentUser = gunAuthService.getCurrentUser();
+    if (!currentUser) return null;
+
+    const peerEpub = await this.resolveFriendEpub(peerPublicKey);
+    if (!peerEpub) {
+      debugLogger.warn('Missing peer epub for message decryption', { peerPublicKey });
+      return null;
+    }
+
+    let decrypted;
+    try {
+      decrypted = await ratchetService.decryptForDevice(peerPublicKey, peerEpub, rawMessage.payload);
+    } catch (error) {
+      // Already-consumed keys land here too when Gun redelivers an envelope
+      debugLogger.debug('gun', 'Ratchet message not decryptable', {
+        error: error.message,
+        messageId: rawMessage.id
+      });
+      return null;
+    }
+
+    if (!decrypted?.content && !isOperation(decrypted)) {
+      return null;
+    }
+    // Only the verified sender's own conversation with us is acceptable
+    const conversationId = friendsService.generateConversationId(currentUser.pub, peerPublicKey);
+    if (decrypted.conversationId !== conversationId) {
+      debugLogger.warn('Dropping message filed under another conversation', { messageId: rawMessage.id });
+      return null;
+    }
+
+    const message = {
+      ...decrypted,
+      id: rawMessage.id,
+      from: rawMessage.from,
+      to: rawMessage.to,
+      conversationId,
+      deliveryMethod: 'gun',
+      encryptionStatus: 'forward-secret'
+    };
+
+    await hybridGunService.storeMessageHistory(conversationId, {
+      ...message,
+      received: true,
+      receivedAt: Date.now()
+    });
+
+    if (isOperation(message)) return message;
+
+    this.trackIncoming(message);
+    this.sendReceipt(peerPublicKey, MESSAGE_STATUS.DELIVERED, conversationId, [message.id]);
+
+    return this.settlePendingOperation(message);
   }
 
-  // Initialize message service
-  initialize() {
-    console.log('📨 Message service initialized');
+  // Decrypt a group message. Like ratchet messages, sender-key message keys
+  // are single-use, so the readable copy goes to our private history.
+  async decryptGroupMessage(rawMessage, currentPub, conversationId) {
+    const groupId = groupService.getGroupIdFromConversation(conversationId);
+    if (rawMessage.from === currentPub || !groupId) {
+      return null;
+    }
+
+    const message = await this.decryptOnce(rawMessage.id, () => this.openGroupEnvelope(rawMessage, groupId));
+    return message?.conversationId === conversationId ? message : null;
   }
 
-  async resolveFriendEpub(publicKey) {
-    const friend = await friendsService.getFriend(publicKey);
-    if (friend?.epub) {
-      return friend.epub;
+  // The envelope must be for the group whose conversation it was read from
+  async openGroupEnvelope(rawMessage, groupId) {
+    const conversationId = groupService.getConversationId(groupId);
+    let decrypted;
+    try {
+      decrypted = await groupService.decrypt(rawMessage.from, rawMessage.payload, groupId);
+    } catch (error) {
+      debugLogger.debug('gun', 'Group message not decryptable', {
+        error: error.message,
+        messageId: rawMessage.id
+      });
+      return null;
     }
 
-    const epub = await friendsService.getUserEpub(publicKey);
-    if (epub) {
-      await friendsService.updateFriendEpub(publicKey, epub);
+    if (!decrypted?.content && !isOperation(decrypted)) {
+      return null;
+    }
+    if (decrypted.conversationId !== conversationId) {
+      return null;
     }
-    return epub;
+
+    const message = {
+      ...decrypted,
+      id: rawMessage.id,
+      from: rawMessage.from,
+      to: rawMessage.to,
+      conversationId,
+      deliveryMethod: 'gun',
+      encryptionStatus: 'sender-key'
+    };
+
+    await hybridGunService.storeMessageHistory(message.conversationId, {
+      ...message,
+      received: true,
+      receivedAt: Date.now()
+    });
+
+    return isOperation(message) ? message : this.settlePendingOperation(message);
   }
 
-  async decryptConversationMessage(rawMessage) {
-    if (!rawMessage) return null;
+  // Read our own readable copy of a message, or null if missing or deleted
+  async loadPrivateMessage(conversationId, messageId) {
+    const raw = await hybridGunService.getPrivateMessage(conversationId, messageId);
+    if (!raw?.payload || !raw.selfEncrypted) return null;
 
-    if (rawMessage.content) {
-      return rawMessage;
+    try {
+      const decrypted = await gunAuthService.decryptForSelf(raw.payload);
+      return decrypted?.content && !isOperation(decrypted) ? decrypted : null;
+    } catch {
+      return null;
     }
+  }
+
+  // Operations on the same message are applied one at a time so
+  // concurrent reactions and edits never overwrite each other
+  applyOperation(operation) {
+    const { targetId } = operation;
+    const previous = this.operationChains.get(targetId) || Promise.resolve();
+    const result = previous.then(() => this.runOperation(operation));
+    const chain = result.catch(() => null);
+    this.operationChains.set(targetId, chain);
+    chain.then(() => {
+      if (this.operationChains.get(targetId) === chain) this.operationChains.delete(targetId);
+    });
+    return result;
+  }
+
+  /**
+   * Apply a signed operation to our copy of its target. Only the target's
+   * author may edit or delete it; any participant may react or pin. Returns the
+   * updated message, `{ id, deleted: true }`, or null if nothing was applied.
+   */
+  async runOperation(operation) {
+    const { conversationId, targetId } = operation;
 
-    if (!rawMessage.encrypted || !rawMessage.payload) {
+    let signed;
+    try {
+      const verified = await gunAuthService.verifySignature(operation.signature, operation.from);
+      signed = typeof verified === 'string' ? JSON.parse(verified) : verified;
+    } catch {
+      signed = null;
+    }
+    if (
+      !signed ||
+      signed.type !== operation.type ||
+      signed.targetId !== targetId ||
+      signed.conversationId !== conversationId ||
+      signed.from !== operation.from
+    ) {
+      debugLogger.warn('Rejected message operation with a bad signature', { targetId });
+      return null;
+    }
+    // A valid signature only proves who sent it, not that they are in the chat
+    if (!this.isParticipant(conversationId, signed.from)) {
+      debugLogger.warn('Rejected message operation from a non-participant', { targetId });
       return null;
     }
 
-    const currentUser = gunAuthService.getCurrentUser();
-    if (!currentUser) {
+    const target = await this.loadPrivateMessage(conversationId, targetId);
+    if (!target) {
+      // The operation can overtake its target; apply it once the target arrives
+      const raw = await hybridGunService.getPrivateMessage(conversationId, targetId);
+      if (!raw?.tombstone && !raw?.expired) {
+        const pending = this.pendingOperations.get(targetId) || [];
+        this.pendingOperations.set(targetId, [...pending, operation]);
+      }
       return null;
     }
 
-    const peerPublicKey = rawMessage.from === currentUser.pub ? rawMessage.to : rawMessage.from;
-    if (!peerPublicKey) {
+    if (signed.type === MESSAGE_OPS.REACT) {
+      return this.applyReaction(target, signed);
+    }
+    if (signed.type === MESSAGE_OPS.PIN) {
+      return this.applyPin(target, signed);
+    }
+
+    if (target.from !== signed.from) {
+      debugLogger.warn('Rejected message operation from a non-author', { targetId });
       return null;
     }
 
-    const peerEpub = await this.resolveFriendEpub(peerPublicKey);
-    if (!peerEpub) {
-      debugLogger.warn('Missing peer epub for message decryption', { peerPublicKey });
+    if (signed.type === MESSAGE_OPS.DELETE) {
+      hybridGunService.tombstoneMessage(conversationId, targetId, operation.signature);
+      messageStoreService.remove(targetId).catch(() => {});
+      this.notifyHandlers('deleted', { id: targetId, conversationId });
+      return { id: targetId, deleted: true };
+    }
+
+    if (typeof signed.content !== 'string' || !signed.content.trim()) {
       return null;
     }
+    // Edits replay on every history load; only newer ones change anything
+    if (target.editedAt && target.editedAt >= signed.editedAt) {
+      return this.withStatus(target);
+    }
 
-    try {
-      const decrypted = await gunAuthService.decryptFrom(rawMessage.payload, peerEpub);
-      if (!decrypted?.content) {
-        return null;
+    const updated = {
+      ...target,
+      content: signed.content,
+      edited: true,
+      editedAt: signed.editedAt,
+      editHistory: [
+        ...(target.editHistory || []),
+        { content: target.content, editedAt: target.editedAt || target.timestamp }
+      ]
+    };
+    await hybridGunService.storeMessageHistory(conversationId, updated);
+    messageStoreService.add(updated, conversationId);
+
+    const result = this.withStatus(updated);
+    this.notifyHandlers('edited', result);
+    return result;
+  }
+
+  // Reactions are aggregated on the target as emoji -> reacting keys. The
+  // latest toggle per person and emoji wins, so replays are harmless.
+  async applyReaction(target, signed) {
+    const { emoji, active, reactedAt, from } = signed;
+    if (!APP_CONFIG.messages.reactionEmoji.includes(emoji) || typeof active !== 'boolean') {
+      return null;
+    }
+
+    const clockKey = `${from}:${emoji}`;
+    const clock = target.reactionClock || {};
+    if ((clock[clockKey] || 0) >= reactedAt) {
+      return this.withStatus(target);
+    }
+
+    const reactors = new Set(target.reactions?.[emoji] || []);
+    if (active) {
+      reactors.add(from);
+    } else {
+      reactors.delete(from);
+    }
+
+    const reactions = { ...(target.reactions || {}), [emoji]: Array.from(reactors) };
+    if (reactors.size === 0) delete reactions[emoji];
+
+    const updated = { ...target, reactions, reactionClock: { ...clock, [clockKey]: reactedAt } };
+    await hybridGunService.storeMessageHistory(target.conversationId, updated);
+
+    const result = this.withStatus(updated);
+    this.notifyHandlers('reacted', result);
+    return result;
+  }
+
+  // Pin records of a conversation: messageId -> { active, pinnedAt, by }
+  async loadPins(conversationId) {
+    const entries = await hybridGunService.getPins(conversationId);
+    const pins = {};
+    await Promise.all(Object.entries(entries).map(async ([messageId, payload]) => {
+      if (typeof payload !== 'string') return;
+      const record = await gunAuthService.decryptForSelf(payload).catch(() => null);
+      if (typeof record?.active === 'boolean') pins[messageId] = record;
+    }));
+    return pins;
+  }
+
+  // The latest pin or unpin of a message wins, so replays are harmless
+  async applyPin(target, signed) {
+    const { active, pinnedAt, from } = signed;
+    if (typeof active !== 'boolean' || !Number.isFinite(pinnedAt)) {
+      return null;
+    }
+
+    const { conversationId, id } = target;
+    const current = (await this.loadPins(conversationId))[id];
+    if (current && current.pinnedAt >= pinnedAt) {
+      return this.withStatus(target);
+    }
+
+    const record = { active, pinnedAt, by: from };
+    hybridGunService.storePin(conversationId, id, await gunAuthService.encryptForSelf(record));
+    this.notifyHandlers('pinned', { conversationId, messageId: id, ...record });
+    return this.withStatus(target);
+  }
+
+  /**
+   * Pinned messages of a conversation, most recently pinned first
+   */
+  async getPinnedMessages(conversationId) {
+    const pins = await this.loadPins(conversationId);
+    const pinned = await Promise.all(
+      Object.entries(pins)
+        .filter(([, record]) => record.active)
+        .map(async ([messageId, record]) => {
+          const message = await this.loadPrivateMessage(conversationId, messageId);
+          return message && { ...this.withStatus(message), pinnedAt: record.pinnedAt, pinnedBy: record.by };
+        })
+    );
+    return pinned.filter(Boolean).sort((a, b) => b.pinnedAt - a.pinnedAt);
+  }
+
+  // Pin a message for everyone in the conversation, or unpin it
+  async togglePin(conversationId, messageId) {
+    const pins = await this.loadPins(conversationId);
+    return this.sendOperation(conversationId, messageId, MESSAGE_OPS.PIN, {
+      active: !pins[messageId]?.active,
+      pinnedAt: Date.now()
+    });
+  }
+
+  // Apply operations that arrived before this message did
+  async settlePendingOperation(message) {
+    const operations = this.pendingOperations.get(message.id);
+    if (!operations) return message;
+
+    this.pendingOperations.delete(message.id);
+    let current = message;
+    for (const operation of operations) {
+      const result = await this.applyOperation(operation);
+      if (result?.deleted) return null;
+      if (result) current = result;
+    }
+    return current;
+  }
+
+  // Edit one of our own messages for everyone in the conversation
+  async editMessage(conversationId, messageId, content) {
+    const trimmed = content?.trim();
+    if (!trimmed) throw new Error('Message cannot be empty');
+
+    return this.sendOperation(conversationId, messageId, MESSAGE_OPS.EDIT, {
+      content: trimmed,
+      editedAt: Date.now()
+    });
+  }
+
+  // Delete one of our own messages for everyone; peers replace it with a
+  // tombstone and the ciphertext is scrubbed from the relay
+  async deleteMessage(conversationId, messageId) {
+    return this.sendOperation(conversationId, messageId, MESSAGE_OPS.DELETE, {
+      deletedAt: Date.now()
+    });
+  }
+
+  // Add our reaction to a message, or take it back if already there
+  async toggleReaction(conversationId, messageId, emoji) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const target = await this.loadPrivateMessage(conversationId, messageId);
+    if (!target) throw new Error('Message not found');
+
+    const active = !(target.reactions?.[emoji] || []).includes(user.pub);
+    return this.sendOperation(conversationId, messageId, MESSAGE_OPS.REACT, {
+      emoji,
+      active,
+      reactedAt: Date.now()
+    });
+  }
+
+  async sendOperation(conversationId, targetId, type, fields) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const target = await this.loadPrivateMessage(conversationId, targetId);
+    if (!target) throw new Error('Message not found');
+    const authorOnly = type === MESSAGE_OPS.EDIT || type === MESSAGE_OPS.DELETE;
+    if (authorOnly && target.from !== user.pub) {
+      throw new Error('Only the author can change a message');
+    }
+
+    const signed = { type, targetId, conversationId, from: user.pub, ...fields };
+    const signature = await gunAuthService.signData(JSON.stringify(signed));
+
+    const result = await this.applyOperation({ ...signed, signature });
+    if (!result) throw new Error('Failed to apply change');
+
+    await this.sendToConversation(conversationId, fields.content || '', { type, targetId, signature, ...fields });
+    return result;
+  }
+
+  // Quote of a message for the `replyTo` field of a reply
+  replyReference(message) {
+    return {
+      id: message.id,
+      from: message.from,
+      preview: (message.content || '').slice(0, APP_CONFIG.messages.replyPreviewLength)
+    };
+  }
+
+  // Load the status map for a conversation from localStorage
+  getStatusMap(conversationId) {
+    if (!this.statusCache.has(conversationId)) {
+      let statuses = {};
+      try {
+        statuses = JSON.parse(localStorage.getItem(`msgStatus_${conversationId}`)) || {};
+      } catch {
+        statuses = {};
       }
+      this.statusCache.set(conversationId, statuses);
+    }
+    return this.statusCache.get(conversationId);
+  }
 
-      return {
-        ...decrypted,
-        id: decrypted.id || rawMessage.id,
-        from: decrypted.from || rawMessage.from,
-        to: decrypted.to || rawMessage.to,
-        timestamp: decrypted.timestamp || rawMessage.timestamp,
-        conversationId: decrypted.conversationId || rawMessage.conversationId,
-        deliveryMethod: 'gun',
-        encryptionStatus: 'encrypted'
-      };
+  // Get the delivery status of a message
+  getMessageStatus(conversationId, messageId) {
+    return this.getStatusMap(conversationId)[messageId] || null;
+  }
+
+  // Advance a message's status; states never move backwards. A failed send
+  // can only replace `pending`, and only a retry moves it back to `pending`.
+  updateMessageStatus(conversationId, messageId, status) {
+    const statuses = this.getStatusMap(conversationId);
+    const current = statuses[messageId];
+    if (status === MESSAGE_STATUS.FAILED) {
+      if (current && current !== MESSAGE_STATUS.PENDING) return false;
+    } else if (current === MESSAGE_STATUS.FAILED) {
+      if (status !== MESSAGE_STATUS.PENDING) return false;
+    } else if (current && STATUS_ORDER.indexOf(current) >= STATUS_ORDER.indexOf(status)) {
+      return false;
+    }
+
+    statuses[messageId] = status;
+
+    const ids = Object.keys(statuses);
+    if (ids.length > MAX_TRACKED_STATUSES) {
+      ids.slice(0, ids.length - MAX_TRACKED_STATUSES).forEach((id) => delete statuses[id]);
+    }
+    localStorage.setItem(`msgStatus_${conversationId}`, JSON.stringify(statuses));
+
+    this.notifyHandlers('status', { id: messageId, conversationId, status });
+    return true;
+  }
+
+  // Remember an incoming message so a read receipt can be sent later
+  trackIncoming(message) {
+    if (this.getMessageStatus(message.conversationId, message.id) === MESSAGE_STATUS.READ) {
+      return;
+    }
+    if (!this.unreadIncoming.has(message.conversationId)) {
+      this.unreadIncoming.set(message.conversationId, new Map());
+    }
+    this.unreadIncoming.get(message.conversationId).set(message.id, message.from);
+  }
+
+  // Send an encrypted delivered/read receipt back to the original sender
+  async sendReceipt(senderPub, type, conversationId, messageIds) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user || messageIds.length === 0) return;
+
+    try {
+      const peerEpub = await this.resolveFriendEpub(senderPub);
+      if (!peerEpub) return;
+
+      const payload = await gunAuthService.encryptFor(
+        { type, conversationId, ids: messageIds, at: Date.now() },
+        peerEpub
+      );
+      hybridGunService.storeReceipt(senderPub, { from: user.pub, payload });
     } catch (error) {
-      debugLogger.error('Failed to decrypt conversation message', {
-        error: error.message,
-        messageId: rawMessage.id,
-        peerPublicKey
-      });
-      return null;
+      debugLogger.warn('Failed to send receipt', { type, error: error.message });
     }
   }
 
+  // Apply a receipt received from a friend to our sent messages
+  async handleReceipt(receipt) {
+    const friend = await friendsService.getFriend(receipt.from);
+    if (!friend) return;
+
+    try {
+      const peerEpub = await this.resolveFriendEpub(receipt.from);
+      if (!peerEpub) return;
+
+      const data = await gunAuthService.decryptFrom(receipt.payload, peerEpub);
+      if (!data?.conversationId || !Array.isArray(data.ids)) return;
+      if (data.conversationId !== friend.conversationId) return;
+      if (![MESSAGE_STATUS.DELIVERED, MESSAGE_STATUS.READ].includes(data.type)) return;
+
+      const statuses = this.getStatusMap(data.conversationId);
+      data.ids
+        .filter((id) => statuses[id])
+        .forEach((id) => this.updateMessageStatus(data.conversationId, id, data.type));
+    } catch (error) {
+      debugLogger.warn('Failed to process receipt', { error: error.message });
+    }
+  }
+
+  // Attach delivery status to our own messages
+  withStatus(message) {
+    const user = gunAuthService.getCurrentUser();
+    if (!message.conversationId || message.from !== user?.pub) {
+      return message;
+    }
+    const status = this.getMessageStatus(message.conversationId, message.id);
+    return status ? { ...message, status } : message;
+  }
+
   // Send message via Gun.js only
   async sendMessage(recipientPublicKey, content, metadata = {}) {
     const user = gunAuthService.getCurrentUser();
@@ -96,123 +1570,305 @@ class MessageService {
       from: user.pub,
       to: recipientPublicKey,
       timestamp: Date.now(),
-      conversationId,
+      conversationId: friend.conversationId,
+      hlc: this.nextClock(),
+      prev: this.conversationHeads.get(friend.conversationId)?.id,
       deliveryMethod: 'gun',
-      encryptionStatus: 'encrypted',
+      encryptionStatus: 'forward-secret',
+      ...this.expiryFor(friend.conversationId, metadata),
       ...metadata
     };
 
-    const peerEpub = await this.resolveFriendEpub(recipientPublicKey);
+    const transportMessage = await this.encryptDirect(message);
+    return this.queueOutgoing(message, transportMessage);
+  }
+
+  // Ratchet-encrypt a 1:1 message for each of the friend's devices
+  async encryptDirect(message) {
+    const peerEpub = await this.resolveFriendEpub(message.to);
     if (!peerEpub) {
       throw new Error('Cannot send securely: friend encryption key is missing. Ask them to re-login.');
     }
 
     let encryptedPayload;
     try {
-      encryptedPayload = await gunAuthService.encryptFor(message, peerEpub);
+      encryptedPayload = await ratchetService.encryptForDevices(message.to, peerEpub, message);
     } catch (error) {
       throw new Error(`Encryption failed: ${error.message}`);
     }
 
-    const transportMessage = {
+    return {
       id: message.id,
       from: message.from,
       to: message.to,
       timestamp: message.timestamp,
       conversationId: message.conversationId,
       encrypted: true,
+      scheme: RATCHET_SCHEME,
       payload: encryptedPayload,
       deliveryMethod: 'gun'
     };
+  }
 
-    await hybridGunService.storeMessage(friend.conversationId, transportMessage);
-    await hybridGunService.storeMessageHistory(friend.conversationId, message);
+  // Send a message to a group, encrypted once with our sender key
+  async sendGroupMessage(groupId, content, metadata = {}) {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
 
-    this.notifyHandlers('sent', message);
-    return message;
+    const conversationId = groupService.getConversationId(groupId);
+    const message = {
+      id: securityUtils.generateMessageId(),
+      content,
+      from: user.pub,
+      to: groupId,
+      groupId,
+      timestamp: Date.now(),
+      conversationId,
+      hlc: this.nextClock(),
+      prev: this.conversationHeads.get(conversationId)?.id,
+      deliveryMethod: 'gun',
+      encryptionStatus: 'sender-key',
+      ...this.expiryFor(conversationId, metadata),
+      ...metadata
+    };
+
+    let encryptedPayload;
+    try {
+      encryptedPayload = await groupService.encrypt(groupId, message);
+    } catch (error) {
+      throw new Error(`Encryption failed: ${error.message}`);
+    }
+
+    const transportMessage = {
+      id: message.id,
+      from: message.from,
+      to: groupId,
+      timestamp: message.timestamp,
+      conversationId,
+      encrypted: true,
+      scheme: SENDER_KEY_SCHEME,
+      payload: encryptedPayload,
+      deliveryMethod: 'gun'
+    };
+
+    return this.queueOutgoing(message, transportMessage);
+  }
+
+  // Keep our readable copy, then hand the encrypted message to the outbox
+  async queueOutgoing(message, transportMessage) {
+    const { conversationId } = message;
+
+    this.updateMessageStatus(conversationId, message.id, MESSAGE_STATUS.PENDING);
+    // Our own copy echoes back through the conversation subscription
+    this.markSeen(message.id);
+    if (!isOperation(message)) this.noteHead(conversationId, message);
+    await hybridGunService.storeMessageHistory(conversationId, message);
+    if (!isOperation(message)) {
+      messageStoreService.add(message, conversationId);
+    }
+    this.scheduleExpiry(message);
+
+    // Queue first so a relay outage or reload never loses the message
+    await this.saveOutboxEntry({
+      id: message.id,
+      from: message.from,
+      conversationId,
+      transportMessage,
+      attempts: 0,
+      state: MESSAGE_STATUS.PENDING,
+      createdAt: Date.now()
+    });
+    this.deliverQueued(message.id);
+
+    const sent = this.withStatus(message);
+    if (!isOperation(message)) this.notifyHandlers('sent', sent);
+    return sent;
   }
 
   // Check for offline messages
   async checkOfflineMessages() {
-    if (!gunAuthService.isAuthenticated()) return;
+    if (!gunAuthService.isAuthenticated() || this.checkingOffline) return;
 
+    this.checkingOffline = true;
     try {
       const messages = await hybridGunService.getOfflineMessages();
 
       for (const msg of messages) {
-        const decrypted = await this.decryptConversationMessage(msg);
-        if (!decrypted) {
-          hybridGunService.markMessageDelivered(msg.key);
-          continue;
-        }
-
-        const friend = await friendsService.getFriend(decrypted.from);
-        if (friend) {
-          await hybridGunService.storeMessageHistory(friend.conversationId, {
-            ...decrypted,
-            received: true,
-            receivedAt: Date.now(),
-            wasOffline: true,
-            deliveryMethod: 'gun'
-          });
-
-          this.notifyHandlers('received', decrypted);
-        }
+        // Scheduled by the sender; leave it queued until it is due
+        if (Number(msg.notBefore) > Date.now()) continue;
 
+        await this.receive(INBOUND_SOURCES.OFFLINE, msg);
         hybridGunService.markMessageDelivered(msg.key);
       }
     } catch (error) {
       debugLogger.error('Error checking offline messages', error);
+    } finally {
+      this.checkingOffline = false;
     }
   }
 
-  // Get conversation history (normalized to readable messages)
+  /**
+   * Latest readable messages of a conversation, in causal and clock order
+   * with implausible sent times flagged (see orderMessages)
+   */
   async getConversationHistory(conversationId, limit = 50) {
-    const history = await hybridGunService.getMessageHistory(conversationId, limit * 2);
+    const { messages } = await this.loadOlder(conversationId, Date.now() + 1, limit);
+    return messages;
+  }
+
+  /**
+   * Load the page of messages sent before `before`, a timestamp or cursor.
+   * Pass the returned cursor back in to continue scrolling up.
+   * @returns {Promise<{messages: Array, cursor: Object|null, hasMore: boolean}>}
+   */
+  async loadOlder(conversationId, before, pageSize = 50) {
+    const page = await hybridGunService.loadMessagePage(conversationId, before, pageSize);
+
+    let normalized = [];
+    const operations = [];
+    for (const entry of page.messages) {
+      const parsed = await this.decryptConversationMessage(entry, conversationId);
+      if (parsed) {
+        // History already on screen must not come back as a live event
+        this.markSeen(parsed.id);
+        this.observeClock(parsed.hlc);
+      }
+      if (isOperation(parsed)) {
+        operations.push(parsed);
+      } else if (isExpired(parsed)) {
+        this.purgeMessage(conversationId, parsed.id);
+      } else if (parsed?.content) {
+        this.scheduleExpiry(parsed);
+        this.trackTimerSetting(parsed);
+        this.noteHead(conversationId, parsed);
+        normalized.push(this.withStatus(parsed));
+      }
+    }
+    messageStoreService.addMany(normalized, conversationId);
 
-    const normalized = [];
-    for (const entry of history) {
-      const parsed = await this.decryptConversationMessage(entry);
-      if (parsed?.content) {
-        normalized.push(parsed);
+    // Operations may target messages on this page
+    for (const operation of operations) {
+      const result = await this.applyOperation(operation);
+      if (result?.deleted) {
+        normalized = normalized.filter((m) => m.id !== result.id);
+      } else if (result) {
+        normalized = normalized.map((m) => (m.id === result.id ? result : m));
       }
     }
 
-    return normalized
-      .sort((a, b) => a.timestamp - b.timestamp)
-      .slice(-limit);
+    return {
+      messages: orderMessages(normalized),
+      cursor: page.cursor,
+      hasMore: page.hasMore
+    };
   }
 
-  // Subscribe to conversation updates (returns readable/decrypted messages)
+  /**
+   * Receive new messages of a conversation, whichever source they arrive
+   * from. The callback sees each message once.
+   */
   subscribeToConversation(conversationId, callback) {
-    return hybridGunService.subscribeToConversation(conversationId, async (rawMessage) => {
-      const parsed = await this.decryptConversationMessage(rawMessage);
-      if (parsed?.content) {
-        callback(parsed);
-      }
+    const listeners = this.conversationListeners.get(conversationId) || new Set();
+    listeners.add(callback);
+    this.conversationListeners.set(conversationId, listeners);
+
+    const unsubscribeSource = hybridGunService.subscribeToConversation(conversationId, (rawMessage) => {
+      this.receive(INBOUND_SOURCES.CONVERSATION, rawMessage, conversationId);
     });
+
+    return () => {
+      unsubscribeSource();
+      listeners.delete(callback);
+      if (listeners.size === 0) this.conversationListeners.delete(conversationId);
+    };
+  }
+
+  // Everyone in a conversation except us
+  conversationMembers(conversationId) {
+    const groupId = groupService.getGroupIdFromConversation(conversationId);
+    if (!groupId) return [this.peerOfConversation(conversationId)];
+
+    const pub = gunAuthService.getCurrentUser()?.pub;
+    return Object.keys(groupService.getGroup(groupId)?.members || {}).filter((member) => member !== pub);
+  }
+
+  // Encrypt a typing event to each member of the conversation
+  async publishTyping(conversationId, isTyping) {
+    if (!gunAuthService.getCurrentUser()) return;
+
+    const event = { conversationId, isTyping, at: Date.now() };
+
+    await Promise.all(this.conversationMembers(conversationId).map(async (recipientPub) => {
+      try {
+        const peerEpub = await this.resolveFriendEpub(recipientPub);
+        if (!peerEpub) return;
+        hybridGunService.setTypingIndicator(recipientPub, await gunAuthService.encryptFor(event, peerEpub));
+      } catch (error) {
+        debugLogger.debug('gun', 'Failed to send typing indicator', { error: error.message });
+      }
+    }));
   }
 
-  // Send typing indicator
+  /**
+   * Send typing indicator. Call on every keystroke; the event is repeated
+   * at most every TYPING_REFRESH and stops by itself. Nothing is sent while
+   * typing indicators are turned off in the privacy settings.
+   */
   sendTypingIndicator(conversationId, isTyping = true) {
-    if (this.typingTimers.has(conversationId)) {
-      clearTimeout(this.typingTimers.get(conversationId));
+    const typing = this.typingTimers.get(conversationId);
+    if (typing) clearTimeout(typing.timer);
+
+    if (!isTyping || !privacySettingsService.getSettings().typingIndicators) {
+      this.typingTimers.delete(conversationId);
+      if (typing) this.publishTyping(conversationId, false);
+      return;
     }
 
-    hybridGunService.setTypingIndicator(conversationId, isTyping);
+    const now = Date.now();
+    const refresh = !typing || now - typing.sentAt >= TYPING_REFRESH;
+    if (refresh) this.publishTyping(conversationId, true);
+
+    this.typingTimers.set(conversationId, {
+      sentAt: refresh ? now : typing.sentAt,
+      timer: setTimeout(() => this.sendTypingIndicator(conversationId, false), TYPING_TIMEOUT)
+    });
+  }
+
+  // Decrypt a typing event and pass it to the conversation's listeners
+  async handleTyping(fromPub, payload) {
+    if (this.typingListeners.size === 0) return;
+    // Not sharing our typing means not seeing anyone else's either
+    if (!privacySettingsService.getSettings().typingIndicators) return;
+
+    try {
+      const peerEpub = await this.resolveFriendEpub(fromPub);
+      if (!peerEpub) return;
+
+      const event = await gunAuthService.decryptFrom(payload, peerEpub);
+      if (!event?.conversationId || !(Date.now() - Number(event.at) < TYPING_EVENT_MAX_AGE)) return;
+      if (!this.conversationMembers(event.conversationId).includes(fromPub)) return;
 
-    if (isTyping) {
-      const timer = setTimeout(() => {
-        hybridGunService.setTypingIndicator(conversationId, false);
-        this.typingTimers.delete(conversationId);
-      }, 3000);
-      this.typingTimers.set(conversationId, timer);
+      this.typingListeners.get(event.conversationId)?.forEach((callback) => {
+        callback(fromPub, Boolean(event.isTyping));
+      });
+    } catch (error) {
+      debugLogger.debug('gun', 'Failed to read typing indicator', { error: error.message });
     }
   }
 
-  // Subscribe to typing indicators
+  /**
+   * Subscribe to typing indicators of a conversation
+   * @param {Function} callback - Called with (fromPub, isTyping)
+   */
   subscribeToTyping(conversationId, callback) {
-    return hybridGunService.subscribeToTyping(conversationId, callback);
+    const listeners = this.typingListeners.get(conversationId) || new Set();
+    listeners.add(callback);
+    this.typingListeners.set(conversationId, listeners);
+
+    return () => {
+      listeners.delete(callback);
+      if (listeners.size === 0) this.typingListeners.delete(conversationId);
+    };
   }
 
   // Register message handler
@@ -246,13 +1902,41 @@ class MessageService {
   // Get unread message count
   async getUnreadCount(conversationId) {
     const messages = await this.getConversationHistory(conversationId);
-    const lastRead = localStorage.getItem(`lastRead_${conversationId}`) || 0;
-    return messages.filter(m => m.timestamp > lastRead && m.from !== gunAuthService.getCurrentUser()?.pub).length;
+    const lastRead = Number(localStorage.getItem(`lastRead_${conversationId}`)) || 0;
+    const currentPub = gunAuthService.getCurrentUser()?.pub;
+    return messages.filter((m) =>
+      m.from !== currentPub &&
+      m.timestamp > lastRead &&
+      this.getMessageStatus(conversationId, m.id) !== MESSAGE_STATUS.READ
+    ).length;
   }
 
-  // Mark conversation as read
-  markAsRead(conversationId) {
+  // Mark conversation as read and send read receipts for incoming messages.
+  // `messages` lets the UI include messages decrypted in earlier sessions.
+  markAsRead(conversationId, messages = []) {
     localStorage.setItem(`lastRead_${conversationId}`, Date.now());
+
+    const currentPub = gunAuthService.getCurrentUser()?.pub;
+    const unread = this.unreadIncoming.get(conversationId) || new Map();
+    messages
+      .filter((m) => m?.id && m.from && m.from !== currentPub)
+      .forEach((m) => unread.set(m.id, m.from));
+    this.unreadIncoming.delete(conversationId);
+
+    const bySender = new Map();
+    unread.forEach((senderPub, messageId) => {
+      if (this.getMessageStatus(conversationId, messageId) === MESSAGE_STATUS.READ) return;
+      this.updateMessageStatus(conversationId, messageId, MESSAGE_STATUS.READ);
+      if (!bySender.has(senderPub)) bySender.set(senderPub, []);
+      bySender.get(senderPub).push(messageId);
+    });
+
+    // Group chats do not send read receipts
+    if (groupService.getGroupIdFromConversation(conversationId)) return;
+
+    bySender.forEach((ids, senderPub) => {
+      this.sendReceipt(senderPub, MESSAGE_STATUS.READ, conversationId, ids);
+    });
   }
 
   // Store offline message with queue limits
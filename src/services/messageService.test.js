@@ -0,0 +1,240 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+vi.mock('./gunAuthService', () => ({
+  default: {
+    onAuthChange: vi.fn(),
+    getCurrentUser: vi.fn(),
+    decryptFrom: vi.fn(),
+    decryptForSelf: vi.fn(),
+    verifySignature: vi.fn(),
+  },
+}));
+vi.mock('./hybridGunService', () => ({
+  default: {
+    storeMessageHistory: vi.fn(),
+    getPrivateMessage: vi.fn(),
+    tombstoneMessage: vi.fn(),
+  },
+}));
+vi.mock('./friendsService', () => ({
+  default: {
+    getFriend: vi.fn(),
+    resolveEpub: vi.fn(),
+    generateConversationId: (a, b) => [a, b].sort().join('_'),
+  },
+}));
+vi.mock('./ratchetService', () => ({
+  RATCHET_SCHEME: 'double-ratchet',
+  default: { decryptForDevice: vi.fn() },
+}));
+vi.mock('./groupService', () => ({
+  SENDER_KEY_SCHEME: 'sender-key',
+  default: {
+    decrypt: vi.fn(),
+    getGroup: vi.fn(),
+    getConversationId: (groupId) => `group_${groupId}`,
+    getGroupIdFromConversation: (id) => (id?.startsWith('group_') ? id.slice(6) : null),
+  },
+}));
+vi.mock('./prekeyService', () => ({ default: {} }));
+vi.mock('./gunMessaging', () => ({ default: { onMessage: vi.fn() } }));
+vi.mock('./messageStoreService', () => ({ default: { add: vi.fn(), addMany: vi.fn(), remove: vi.fn(async () => {}) } }));
+vi.mock('./privacySettingsService', () => ({ default: {} }));
+vi.mock('../utils/debugLogger.js', () => ({
+  default: { debug: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const { default: messageService, INBOUND_SOURCES } = await import('./messageService');
+const { default: gunAuthService } = await import('./gunAuthService');
+const { default: hybridGunService } = await import('./hybridGunService');
+const { default: friendsService } = await import('./friendsService');
+const { default: ratchetService } = await import('./ratchetService');
+const { default: groupService } = await import('./groupService');
+
+const ME = 'me-pub';
+const ALICE = 'alice-pub';
+const alice = { publicKey: ALICE, epub: 'alice-epub', conversationId: `${ALICE}_${ME}` };
+
+let counter = 0;
+const nextId = () => `message-${++counter}`;
+
+beforeEach(() => {
+  vi.clearAllMocks();
+  const storage = new Map();
+  vi.stubGlobal('localStorage', {
+    getItem: (key) => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: (key) => storage.delete(key),
+  });
+  gunAuthService.getCurrentUser.mockReturnValue({ pub: ME });
+  friendsService.getFriend.mockImplementation(async (pub) => (pub === ALICE ? alice : null));
+  friendsService.resolveEpub.mockImplementation(async (pub) => (pub === ALICE ? alice.epub : null));
+});
+
+describe('messageService inbox', () => {
+  it('drops plaintext inbox messages claiming to be from a friend', async () => {
+    const handler = vi.fn();
+    const unsubscribe = messageService.onMessage(handler);
+
+    const result = await messageService.receive(INBOUND_SOURCES.INBOX, { id: nextId(), from: ALICE, content: 'forged' });
+
+    expect(result).toBeNull();
+    expect(gunAuthService.decryptFrom).not.toHaveBeenCalled();
+    expect(hybridGunService.storeMessageHistory).not.toHaveBeenCalled();
+    expect(handler).not.toHaveBeenCalled();
+    unsubscribe();
+  });
+
+  it('drops inbox messages that do not decrypt with the pinned key', async () => {
+    gunAuthService.decryptFrom.mockResolvedValue(undefined);
+
+    const result = await messageService.receive(INBOUND_SOURCES.INBOX, { id: nextId(), from: ALICE, content: 'SEA{"ct":"x"}' });
+
+    expect(result).toBeNull();
+    expect(gunAuthService.decryptFrom).toHaveBeenCalledWith('SEA{"ct":"x"}', alice.epub);
+    expect(hybridGunService.storeMessageHistory).not.toHaveBeenCalled();
+  });
+
+  it('drops inbox messages from strangers', async () => {
+    const result = await messageService.receive(INBOUND_SOURCES.INBOX, { id: nextId(), from: 'stranger', content: 'SEA{"ct":"x"}' });
+
+    expect(result).toBeNull();
+    expect(gunAuthService.decryptFrom).not.toHaveBeenCalled();
+  });
+
+  it('accepts text encrypted with the pinned key and ignores other envelope fields', async () => {
+    gunAuthService.decryptFrom.mockResolvedValue('hello');
+    const id = nextId();
+
+    const result = await messageService.receive(INBOUND_SOURCES.INBOX, {
+      id,
+      from: ALICE,
+      content: 'SEA{"ct":"x"}',
+      groupId: 'someone-elses-group',
+      conversationId: 'elsewhere',
+      timestamp: 1000,
+    });
+
+    expect(result).toMatchObject({ id, from: ALICE, to: ME, content: 'hello', conversationId: alice.conversationId });
+    expect(result).not.toHaveProperty('groupId');
+    expect(hybridGunService.storeMessageHistory).toHaveBeenCalledWith(alice.conversationId, expect.objectContaining({ id, content: 'hello' }));
+  });
+});
+
+describe('messageService conversation copies', () => {
+  const directEnvelope = () => ({
+    id: nextId(),
+    from: ALICE,
+    to: ME,
+    conversationId: alice.conversationId,
+    encrypted: true,
+    scheme: 'double-ratchet',
+    payload: 'ratchet-payload',
+  });
+
+  const groupEnvelope = (groupId) => ({
+    id: nextId(),
+    from: ALICE,
+    to: groupId,
+    conversationId: `group_${groupId}`,
+    encrypted: true,
+    scheme: 'sender-key',
+    payload: 'group-payload',
+  });
+
+  it('rejects a direct envelope copied into a group conversation', async () => {
+    const result = await messageService.receive(INBOUND_SOURCES.CONVERSATION, directEnvelope(), 'group_g1');
+
+    expect(result).toBeNull();
+    expect(ratchetService.decryptForDevice).not.toHaveBeenCalled();
+  });
+
+  it('rejects a direct envelope copied into another one-to-one conversation', async () => {
+    const result = await messageService.receive(INBOUND_SOURCES.CONVERSATION, directEnvelope(), `bob-pub_${ME}`);
+
+    expect(result).toBeNull();
+    expect(ratchetService.decryptForDevice).not.toHaveBeenCalled();
+  });
+
+  it('decrypts a group envelope only for the group of the conversation it was read from', async () => {
+    groupService.decrypt.mockRejectedValue(new Error('Envelope is for another group'));
+
+    const result = await messageService.receive(INBOUND_SOURCES.CONVERSATION, groupEnvelope('g1'), 'group_g2');
+
+    expect(result).toBeNull();
+    expect(groupService.decrypt).toHaveBeenCalledWith(ALICE, 'group-payload', 'g2');
+  });
+
+  it('rejects a group message whose encrypted conversation differs', async () => {
+    groupService.decrypt.mockResolvedValue({ content: 'hi', conversationId: 'group_g2' });
+
+    const result = await messageService.receive(INBOUND_SOURCES.CONVERSATION, groupEnvelope('g1'), 'group_g1');
+
+    expect(result).toBeNull();
+    expect(hybridGunService.storeMessageHistory).not.toHaveBeenCalled();
+  });
+
+  it('delivers a group message read from its own conversation', async () => {
+    groupService.decrypt.mockResolvedValue({ content: 'hi', conversationId: 'group_g1' });
+    const envelope = groupEnvelope('g1');
+
+    const result = await messageService.receive(INBOUND_SOURCES.CONVERSATION, envelope, 'group_g1');
+
+    expect(result).toMatchObject({ id: envelope.id, content: 'hi', conversationId: 'group_g1' });
+    expect(groupService.decrypt).toHaveBeenCalledWith(ALICE, 'group-payload', 'g1');
+  });
+});
+
+describe('messageService signed operations', () => {
+  // Signatures are "signed:<pub>:<data>", verifiable only for that pub
+  const sign = (pub, data) => `signed:${pub}:${JSON.stringify(data)}`;
+  const target = { id: 'target', from: ALICE, to: ME, content: 'original', conversationId: alice.conversationId, timestamp: 1000 };
+
+  const operation = (type, fields, signer = ALICE, signedFields = {}) => {
+    const signed = { type, targetId: target.id, conversationId: alice.conversationId, from: ALICE, ...fields };
+    return { ...signed, signature: sign(signer, { ...signed, ...signedFields }) };
+  };
+
+  beforeEach(() => {
+    hybridGunService.getPrivateMessage.mockResolvedValue({ payload: 'self-payload', selfEncrypted: true });
+    gunAuthService.decryptForSelf.mockResolvedValue(target);
+    gunAuthService.verifySignature.mockImplementation(async (sig, pub) =>
+      (sig.startsWith(`signed:${pub}:`) ? sig.slice(`signed:${pub}:`.length) : undefined));
+  });
+
+  it('applies an edit signed by the author', async () => {
+    const result = await messageService.applyOperation(operation('edit', { content: 'changed', editedAt: 2000 }));
+
+    expect(result).toMatchObject({ id: target.id, content: 'changed', edited: true });
+    expect(hybridGunService.storeMessageHistory).toHaveBeenCalled();
+  });
+
+  it('ignores an edit whose signature does not verify', async () => {
+    const edit = { ...operation('edit', { content: 'changed', editedAt: 2000 }), signature: 'junk' };
+
+    expect(await messageService.applyOperation(edit)).toBeNull();
+    expect(hybridGunService.storeMessageHistory).not.toHaveBeenCalled();
+  });
+
+  it('ignores an edit signed by someone other than the claimed sender', async () => {
+    const edit = operation('edit', { content: 'changed', editedAt: 2000 }, 'mallory-pub');
+
+    expect(await messageService.applyOperation(edit)).toBeNull();
+    expect(gunAuthService.verifySignature).toHaveBeenCalledWith(edit.signature, ALICE);
+    expect(hybridGunService.storeMessageHistory).not.toHaveBeenCalled();
+  });
+
+  it('ignores a delete whose signature covers a different message', async () => {
+    const remove = operation('delete', { deletedAt: 2000 }, ALICE, { targetId: 'another-message' });
+
+    expect(await messageService.applyOperation(remove)).toBeNull();
+    expect(hybridGunService.tombstoneMessage).not.toHaveBeenCalled();
+  });
+
+  it('ignores a delete signed for another conversation', async () => {
+    const remove = operation('delete', { deletedAt: 2000 }, ALICE, { conversationId: `bob-pub_${ME}` });
+
+    expect(await messageService.applyOperation(remove)).toBeNull();
+    expect(hybridGunService.tombstoneMessage).not.toHaveBeenCalled();
+  });
+});
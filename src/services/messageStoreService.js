@@ -0,0 +1,224 @@
+/**
+ * Message Store Service
+ * Local, at-rest-encrypted copy of readable messages in IndexedDB.
+ * Records are AES-GCM encrypted with a key derived from the user's SEA
+ * pair; search uses a blind index of HMAC'd word prefixes so queries can
+ * be matched without decrypting the whole store.
+ */
+
+import gunAuthService from './gunAuthService';
+import { createStore } from '../utils/indexedDbStore.js';
+import { fromBase64, hkdf, toBase64 } from '../utils/doubleRatchet';
+import debugLogger from '../utils/debugLogger';
+
+const STORE_KEY_INFO = 'WhisperzLocalStore';
+const MIN_TERM_LENGTH = 2;
+const MAX_TERM_LENGTH = 24;
+const SNIPPET_RADIUS = 40;
+const DEFAULT_RESULT_LIMIT = 50;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// Lowercased words without punctuation, used for both indexing and queries
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter((word) => word.length >= MIN_TERM_LENGTH);
+
+class MessageStoreService {
+  constructor() {
+    this.store = createStore('messages');
+    this.keysPromise = null;
+
+    gunAuthService.onAuthChange((event) => {
+      if (event === 'logout') {
+        this.keysPromise = null;
+      }
+    });
+  }
+
+  /**
+   * Derive the record encryption key and the blind index key from the
+   * user's SEA pair. Both stay in memory only.
+   */
+  getKeys() {
+    if (this.keysPromise) return this.keysPromise;
+
+    const pair = gunAuthService.getKeyPair();
+    if (!pair) {
+      return Promise.reject(new Error('Not authenticated'));
+    }
+
+    this.keysPromise = (async () => {
+      const bytes = await hkdf(encoder.encode(pair.epriv), encoder.encode(pair.pub), STORE_KEY_INFO, 64);
+      const [encryptionKey, indexKey] = await Promise.all([
+        crypto.subtle.importKey('raw', bytes.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']),
+        crypto.subtle.importKey('raw', bytes.slice(32), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']),
+      ]);
+      return { encryptionKey, indexKey, owner: pair.pub };
+    })();
+
+    this.keysPromise.catch(() => {
+      this.keysPromise = null;
+    });
+    return this.keysPromise;
+  }
+
+  // Blind index token for a word prefix
+  async hashTerm(indexKey, term) {
+    const mac = await crypto.subtle.sign('HMAC', indexKey, encoder.encode(term));
+    return toBase64(new Uint8Array(mac).slice(0, 16));
+  }
+
+  // Every prefix of every word, so partial words match while typing
+  async indexTerms(indexKey, text) {
+    const prefixes = new Set();
+    tokenize(text).forEach((word) => {
+      const limit = Math.min(word.length, MAX_TERM_LENGTH);
+      for (let length = MIN_TERM_LENGTH; length <= limit; length++) {
+        prefixes.add(word.slice(0, length));
+      }
+    });
+    return Promise.all(Array.from(prefixes).map((term) => this.hashTerm(indexKey, term)));
+  }
+
+  /**
+   * Add or update a readable message in the local store
+   * @param {Object} message - Decrypted message ({ id, content, from, to, timestamp })
+   * @param {string} conversationId
+   */
+  async add(message, conversationId = message?.conversationId) {
+    if (!message?.id || !message.content || !conversationId) return;
+
+    try {
+      const { encryptionKey, indexKey, owner } = await this.getKeys();
+      const iv = crypto.getRandomValues(new Uint8Array(12));
+      // Delivery status is tracked separately and would go stale here
+      const { status: _status, ...readable } = message;
+      const plaintext = encoder.encode(JSON.stringify({ ...readable, conversationId }));
+      const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, encryptionKey, plaintext);
+
+      await this.store.put({
+        id: `${owner}:${message.id}`,
+        owner,
+        conversationId,
+        timestamp: message.timestamp || Date.now(),
+        iv: toBase64(iv),
+        data: toBase64(new Uint8Array(ciphertext)),
+        terms: await this.indexTerms(indexKey, message.content),
+      });
+    } catch (error) {
+      debugLogger.warn('Failed to store message locally', { error: error.message, messageId: message.id });
+    }
+  }
+
+  /**
+   * Add several messages from the same conversation
+   */
+  async addMany(messages, conversationId) {
+    for (const message of messages) {
+      await this.add(message, conversationId);
+    }
+  }
+
+  async decryptRecord(encryptionKey, record) {
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: fromBase64(record.iv) },
+      encryptionKey,
+      fromBase64(record.data)
+    );
+    return JSON.parse(decoder.decode(plaintext));
+  }
+
+  /**
+   * Search stored messages. All query words must match (as word prefixes).
+   * @param {string} query
+   * @param {Object} [options]
+   * @param {string} [options.conversationId] - Limit to one conversation
+   * @param {number} [options.limit]
+   * @returns {Promise<Array<{message: Object, conversationId: string, snippet: string, highlights: Array<[number, number]>}>>}
+   */
+  async search(query, { conversationId = null, limit = DEFAULT_RESULT_LIMIT } = {}) {
+    const words = Array.from(new Set(tokenize(query))).map((word) => word.slice(0, MAX_TERM_LENGTH));
+    if (words.length === 0) return [];
+
+    const { encryptionKey, indexKey, owner } = await this.getKeys();
+    const hashes = await Promise.all(words.map((word) => this.hashTerm(indexKey, word)));
+
+    // Narrow with the first term, then require the rest
+    const candidates = await this.store.getAllByIndex('terms', hashes[0]);
+    const matches = candidates
+      .filter((record) => record.owner === owner)
+      .filter((record) => !conversationId || record.conversationId === conversationId)
+      .filter((record) => hashes.every((hash) => record.terms.includes(hash)))
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .slice(0, limit);
+
+    const results = [];
+    for (const record of matches) {
+      try {
+        const message = await this.decryptRecord(encryptionKey, record);
+        results.push({
+          message,
+          conversationId: record.conversationId,
+          ...this.buildSnippet(message.content, words),
+        });
+      } catch (error) {
+        debugLogger.warn('Failed to decrypt local message', { error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Cut a snippet around the first match and return highlight ranges
+   * relative to the snippet
+   */
+  buildSnippet(content, words) {
+    const lower = content.toLowerCase();
+    const ranges = [];
+    words.forEach((word) => {
+      const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gu');
+      let match;
+      while ((match = pattern.exec(lower)) !== null) {
+        const start = match.index + match[1].length;
+        ranges.push([start, start + match[2].length]);
+      }
+    });
+    ranges.sort((a, b) => a[0] - b[0]);
+
+    // Merge overlaps ("he" and "hello" both match "hello")
+    const merged = [];
+    ranges.forEach(([from, to]) => {
+      const last = merged[merged.length - 1];
+      if (last && from <= last[1]) {
+        last[1] = Math.max(last[1], to);
+      } else {
+        merged.push([from, to]);
+      }
+    });
+
+    const start = merged.length ? Math.max(0, merged[0][0] - SNIPPET_RADIUS) : 0;
+    const end = Math.min(content.length, (merged.length ? merged[0][1] : 0) + SNIPPET_RADIUS * 2);
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < content.length ? '…' : '';
+
+    return {
+      snippet: `${prefix}${content.slice(start, end)}${suffix}`,
+      highlights: merged
+        .filter(([from, to]) => from >= start && to <= end)
+        .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length]),
+    };
+  }
+
+  /**
+   * Remove one message (e.g. after a delete)
+   */
+  async remove(messageId) {
+    const { owner } = await this.getKeys();
+    await this.store.delete(`${owner}:${messageId}`);
+  }
+}
+
+export default new MessageStoreService();
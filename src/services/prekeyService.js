@@ -0,0 +1,305 @@
+/**
+ * Prekey Service
+ * Publishes a signed X3DH prekey bundle (identity key, signed prekey and a
+ * batch of one-time prekeys) in the user's Gun graph and keeps it topped up.
+ * Private halves are encrypted to the user's SEA pair in `prekey_secrets`.
+ *
+ * Each linked device also publishes its own bundle under
+ * `device_bundles/<deviceId>` with secrets in `device_prekeys/<deviceId>`,
+ * so peers can open a separate session with every device. Device secrets
+ * are encrypted with that device's own key (see deviceKeyService). The account-level
+ * bundle stays for clients that predate the device registry.
+ */
+
+import gunAuthService from './gunAuthService';
+import deviceKeyService from './deviceKeyService';
+import debugLogger from '../utils/debugLogger';
+import { dhPairFromSea, generateDH, publicKeyFromSea } from '../utils/doubleRatchet';
+import { x3dhInitiate, x3dhRespond } from '../utils/x3dh';
+import securityUtils from '../utils/securityUtils.js';
+
+const ONE_TIME_PREKEY_TARGET = 20;
+const ONE_TIME_PREKEY_MIN = 10;
+const SIGNED_PREKEY_ROTATION = 7 * 24 * 60 * 60 * 1000; // 1 week
+const SIGNED_PREKEY_RETENTION = 3; // keep old signed prekeys for late first messages
+const FETCH_TIMEOUT = 3000;
+
+class PrekeyService {
+  constructor() {
+    this.secrets = new Map(); // deviceId ('' for the account) -> secrets
+    this.pending = new Map();
+
+    gunAuthService.onAuthChange((event) => {
+      if (event === 'logout') {
+        this.secrets.clear();
+        this.pending.clear();
+      }
+    });
+  }
+
+  // Read a value from a Gun user graph with a timeout fallback
+  readUserNode(publicKey, ...path) {
+    return new Promise((resolve) => {
+      let settled = false;
+      const node = path.reduce((ref, key) => ref.get(key), gunAuthService.gun.user(publicKey));
+      node.once((data) => {
+        if (!settled) {
+          settled = true;
+          resolve(data);
+        }
+      });
+      setTimeout(() => {
+        if (!settled) {
+          settled = true;
+          resolve(null);
+        }
+      }, FETCH_TIMEOUT);
+    });
+  }
+
+  // Where the bundle and secrets of the account or one of its devices live
+  bundlePath(deviceId) {
+    return deviceId ? ['device_bundles', deviceId] : ['prekey_bundle'];
+  }
+
+  secretsPath(deviceId) {
+    return deviceId ? ['device_prekeys', deviceId] : ['prekey_secrets'];
+  }
+
+  userRef(path) {
+    return path.reduce((ref, key) => ref.get(key), gunAuthService.user);
+  }
+
+  /**
+   * Load our private prekey material
+   * @param {string|null} [deviceId] - Local device, or null for the account
+   */
+  async loadSecrets(deviceId = null) {
+    const scope = deviceId || '';
+    if (this.secrets.has(scope)) return this.secrets.get(scope);
+
+    const user = gunAuthService.getCurrentUser();
+    let secrets = { signedPrekeys: {}, currentSignedPrekey: null, oneTimePrekeys: {} };
+
+    const stored = await this.readUserNode(user.pub, ...this.secretsPath(deviceId));
+    if (typeof stored === 'string') {
+      try {
+        const decrypted = deviceId
+          ? await deviceKeyService.open(stored)
+          : await gunAuthService.decryptForSelf(stored);
+        if (decrypted?.signedPrekeys) {
+          secrets = decrypted;
+        }
+      } catch (error) {
+        debugLogger.warn('Failed to restore prekey secrets', { error: error.message });
+      }
+    }
+
+    this.secrets.set(scope, secrets);
+    return secrets;
+  }
+
+  async saveSecrets(deviceId = null) {
+    const secrets = this.secrets.get(deviceId || '');
+    const encrypted = deviceId
+      ? await deviceKeyService.seal(secrets)
+      : await gunAuthService.encryptForSelf(secrets);
+    await new Promise((resolve) => {
+      this.userRef(this.secretsPath(deviceId)).put(encrypted, () => resolve());
+    });
+  }
+
+  /**
+   * Sign and publish the public bundle built from our current secrets
+   */
+  async publishBundle(deviceId = null) {
+    const pair = gunAuthService.getKeyPair();
+    const { signedPrekeys, currentSignedPrekey, oneTimePrekeys } = this.secrets.get(deviceId || '');
+    const signedPrekey = signedPrekeys[currentSignedPrekey];
+
+    const bundle = {
+      identityKey: pair.epub,
+      signedPrekey: { id: currentSignedPrekey, pub: signedPrekey.pub },
+      oneTimePrekeys: Object.entries(oneTimePrekeys).map(([id, key]) => ({ id, pub: key.pub })),
+      publishedAt: Date.now(),
+    };
+    if (deviceId) bundle.deviceId = deviceId;
+
+    const signed = await gunAuthService.signData(JSON.stringify(bundle));
+    this.userRef(this.bundlePath(deviceId)).put(signed);
+  }
+
+  /**
+   * Make sure a fresh bundle is published: rotate the signed prekey when it
+   * is old and replenish one-time prekeys when running low
+   * @param {string|null} [deviceId] - Local device, or null for the account
+   */
+  async ensureBundle(deviceId = null) {
+    if (!gunAuthService.getKeyPair()) return;
+    const scope = deviceId || '';
+    if (this.pending.has(scope)) return this.pending.get(scope);
+
+    const pending = (async () => {
+      const secrets = await this.loadSecrets(deviceId);
+      let changed = false;
+
+      const current = secrets.signedPrekeys[secrets.currentSignedPrekey];
+      if (!current || Date.now() - current.createdAt > SIGNED_PREKEY_ROTATION) {
+        const id = securityUtils.generateSecureRandom(8);
+        secrets.signedPrekeys[id] = { ...(await generateDH()), createdAt: Date.now() };
+        secrets.currentSignedPrekey = id;
+
+        const ids = Object.keys(secrets.signedPrekeys).sort(
+          (a, b) => secrets.signedPrekeys[b].createdAt - secrets.signedPrekeys[a].createdAt
+        );
+        ids.slice(SIGNED_PREKEY_RETENTION).forEach((old) => delete secrets.signedPrekeys[old]);
+        changed = true;
+      }
+
+      const available = Object.keys(secrets.oneTimePrekeys).length;
+      if (available < ONE_TIME_PREKEY_MIN) {
+        for (let i = available; i < ONE_TIME_PREKEY_TARGET; i++) {
+          secrets.oneTimePrekeys[securityUtils.generateSecureRandom(8)] = await generateDH();
+        }
+        changed = true;
+      }
+
+      if (changed) {
+        await this.saveSecrets(deviceId);
+        await this.publishBundle(deviceId);
+        debugLogger.debug('gun', 'Prekey bundle published', {
+          deviceId,
+          oneTimePrekeys: Object.keys(secrets.oneTimePrekeys).length,
+        });
+      }
+    })().finally(() => {
+      this.pending.delete(scope);
+    });
+
+    this.pending.set(scope, pending);
+    return pending;
+  }
+
+  /**
+   * Fetch and verify a friend's bundle. Returns null if none is published
+   * or the signature does not match their public key.
+   * @param {string} publicKey
+   * @param {string|null} [deviceId] - One of their devices, or null for the account bundle
+   */
+  async fetchBundle(publicKey, deviceId = null) {
+    const signed = await this.readUserNode(publicKey, ...this.bundlePath(deviceId));
+    if (!signed) return null;
+
+    try {
+      const verified = await gunAuthService.verifySignature(signed, publicKey);
+      const bundle = typeof verified === 'string' ? JSON.parse(verified) : verified;
+      if (!bundle?.identityKey || !bundle.signedPrekey?.pub) {
+        return null;
+      }
+      // A bundle copied under another device's id would merge their sessions
+      if (deviceId && bundle.deviceId !== deviceId) {
+        return null;
+      }
+      return bundle;
+    } catch (error) {
+      debugLogger.warn('Invalid prekey bundle', { publicKey, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Run X3DH against a friend's bundle as the initiator
+   * @returns {Object|null} { keys, remoteDH, header } or null without a bundle
+   */
+  async initiate(publicKey, expectedIdentityKey = null, deviceId = null) {
+    const bundle = await this.fetchBundle(publicKey, deviceId);
+    if (!bundle) return null;
+
+    if (expectedIdentityKey && bundle.identityKey !== expectedIdentityKey) {
+      throw new Error('Prekey bundle identity key does not match friend encryption key');
+    }
+
+    const pair = gunAuthService.getKeyPair();
+    const identity = await dhPairFromSea(pair.epub, pair.epriv);
+    const candidates = bundle.oneTimePrekeys || [];
+    const oneTimePrekey = candidates.length
+      ? candidates[crypto.getRandomValues(new Uint32Array(1))[0] % candidates.length]
+      : null;
+
+    const { keys, ephemeralKey } = await x3dhInitiate(identity, {
+      identityKey: await publicKeyFromSea(bundle.identityKey),
+      signedPrekey: bundle.signedPrekey,
+      oneTimePrekey,
+    });
+
+    return {
+      keys,
+      identityKey: bundle.identityKey,
+      remoteDH: bundle.signedPrekey.pub,
+      header: {
+        ik: pair.epub,
+        ek: ephemeralKey,
+        spk: bundle.signedPrekey.id,
+        opk: oneTimePrekey?.id || null,
+      },
+    };
+  }
+
+  /**
+   * Run X3DH as the responder for an incoming first message
+   * @returns {Object} { keys, signedPrekey } - ratchet init keys and our prekey pair
+   */
+  async respond(header, deviceId = null) {
+    const secrets = await this.loadSecrets(deviceId);
+    const signedPrekey = secrets.signedPrekeys[header.spk];
+    if (!signedPrekey) {
+      throw new Error('Unknown signed prekey');
+    }
+
+    let oneTimePrekey = null;
+    if (header.opk) {
+      oneTimePrekey = secrets.oneTimePrekeys[header.opk];
+      if (!oneTimePrekey) {
+        throw new Error('One-time prekey already used');
+      }
+    }
+
+    const pair = gunAuthService.getKeyPair();
+    const identity = await dhPairFromSea(pair.epub, pair.epriv);
+    const keys = await x3dhRespond(
+      identity,
+      signedPrekey,
+      oneTimePrekey,
+      await publicKeyFromSea(header.ik),
+      header.ek
+    );
+
+    return { keys, signedPrekey };
+  }
+
+  /**
+   * Delete a one-time prekey once a session built on it succeeded
+   */
+  async consumeOneTimePrekey(id, deviceId = null) {
+    if (!id) return;
+
+    const secrets = await this.loadSecrets(deviceId);
+    if (!secrets.oneTimePrekeys[id]) return;
+
+    delete secrets.oneTimePrekeys[id];
+    await this.saveSecrets(deviceId);
+    await this.publishBundle(deviceId);
+    await this.ensureBundle(deviceId);
+  }
+
+  /**
+   * Forget a revoked device's prekeys so no new session can be opened with it
+   */
+  removeDevice(deviceId) {
+    this.secrets.delete(deviceId);
+    this.userRef(this.secretsPath(deviceId)).put(null);
+    this.userRef(this.bundlePath(deviceId)).put(null);
+  }
+}
+
+export default new PrekeyService();
@@ -1,19 +1,41 @@
 /**
  * Presence Service
- * Handles online/offline status broadcasting and real-time updates
+ * Handles online/offline status broadcasting and real-time updates.
+ * Presence is encrypted to each friend and left in their presence inbox,
+ * so only friends can tell whether we are online. Privacy settings can
+ * hide our last-seen time or make us appear offline.
  */
 
 import gunAuthService from './gunAuthService';
+import hybridGunService from './hybridGunService';
+import friendsService from './friendsService';
+import privacySettingsService from './privacySettingsService';
 // WebRTC removed - using Gun.js only for messaging
 import debugLogger from '../utils/debugLogger';
 
+const ONLINE_TIMEOUT = 300000; // Presence not refreshed in 5 minutes is stale
+
 class PresenceService {
   constructor() {
     this.isOnline = false;
-    this.presenceListeners = new Map();
     this.friendsStatus = new Map();
+    this.statusListeners = new Set();
+    this.inboxUnsubscribe = null;
     this.heartbeatInterval = null;
     this.cleanupInterval = null;
+    this.eventListenersReady = false;
+
+    // Apply privacy changes right away rather than at the next heartbeat
+    privacySettingsService.onChange(() => {
+      if (this.inboxUnsubscribe) this.publish(this.isOnline ? 'online' : 'offline');
+    });
+
+    gunAuthService.onAuthChange((event) => {
+      if (event === 'logout') {
+        this.stop();
+        this.friendsStatus.clear();
+      }
+    });
   }
 
   /**
@@ -23,7 +45,14 @@ class PresenceService {
     const user = gunAuthService.getCurrentUser();
     if (!user) return;
 
-    // Initializing presence service...
+    this.stop();
+
+    // Older versions published presence in plaintext
+    hybridGunService.clearLegacyPresence();
+
+    this.inboxUnsubscribe = hybridGunService.subscribeToFriendPresence((publicKey, payload) => {
+      this.handleEncryptedPresence(publicKey, payload);
+    });
 
     // Set online status
     this.setOnline();
@@ -38,50 +67,72 @@ class PresenceService {
     this.setupEventListeners();
   }
 
+  // Stop broadcasting and listening, e.g. on logout
+  stop() {
+    this.stopHeartbeat();
+    this.stopCleanup();
+    if (this.inboxUnsubscribe) {
+      this.inboxUnsubscribe();
+      this.inboxUnsubscribe = null;
+    }
+  }
+
   /**
-   * Set user as online
+   * Presence we are willing to share under the current privacy settings.
+   * `timestamp` keeps an online status fresh; `lastSeen` is only shared
+   * when allowed, and invisible users always look offline.
    */
-  setOnline() {
+  buildPresence(status) {
+    const { invisible, showLastSeen } = privacySettingsService.getSettings();
+    if (invisible) {
+      return { status: 'offline' };
+    }
+
+    const now = Date.now();
+    return showLastSeen
+      ? { status, timestamp: now, lastSeen: now }
+      : { status, timestamp: now };
+  }
+
+  /**
+   * Encrypt our presence to every friend and leave it in their inbox
+   */
+  async publish(status) {
     const user = gunAuthService.getCurrentUser();
     if (!user) return;
 
-    this.isOnline = true;
+    const presence = this.buildPresence(status);
+    const friends = await friendsService.getFriends();
 
-    const now = Date.now();
-    const presence = {
-      status: 'online',
-      lastSeen: now,
-      timestamp: now
-    };
+    await Promise.all(friends.map(async (friend) => {
+      try {
+        const epub = await friendsService.resolveEpub(friend.publicKey);
+        if (!epub) return;
 
-    // Update presence in Gun.js only (no WebRTC peers)
-    gunAuthService.gun.get('presence').get(user.pub).put(presence);
-    console.log('✅ Presence set to online:', presence);
-    debugLogger.debug('presence', '📍 Presence set to online');
+        const payload = await gunAuthService.encryptFor(presence, epub);
+        hybridGunService.storeFriendPresence(friend.publicKey, payload);
+      } catch (error) {
+        debugLogger.warn('Failed to share presence', { error: error.message });
+      }
+    }));
 
-    // Status set to online
+    debugLogger.debug('presence', `📍 Presence set to ${presence.status}`);
+  }
+
+  /**
+   * Set user as online
+   */
+  setOnline() {
+    this.isOnline = true;
+    this.publish('online');
   }
 
   /**
    * Set user as offline
    */
   setOffline() {
-    const user = gunAuthService.getCurrentUser();
-    if (!user) return;
-
     this.isOnline = false;
-
-    const presence = {
-      status: 'offline',
-      lastSeen: Date.now(),
-      timestamp: Date.now()
-    };
-
-    // Update presence in Gun.js only (no WebRTC peers)
-    gunAuthService.gun.get('presence').get(user.pub).put(presence);
-    debugLogger.debug('presence', '📍 Presence set to offline');
-
-    // Status set to offline
+    this.publish('offline');
   }
 
   /**
@@ -116,8 +167,8 @@ class PresenceService {
       const now = Date.now();
 
       this.friendsStatus.forEach((status, publicKey) => {
-        // If friend hasn't been seen in 5 minutes, mark as offline (same as App.jsx)
-        if (status.lastSeen && (now - status.lastSeen) > 300000) {
+        // Friends that stopped refreshing their presence went offline
+        if (status.online && (now - status.updatedAt) > ONLINE_TIMEOUT) {
           this.updateFriendStatus(publicKey, 'offline');
         }
       });
@@ -135,63 +186,55 @@ class PresenceService {
   }
 
   /**
-   * Subscribe to friend's presence
+   * Check friend's current presence
    */
-  subscribeFriendPresence(publicKey) {
-    // Listen to Gun for this friend's presence
-    const listener = gunAuthService.gun
-      .get('presence')
-      .get(publicKey)
-      .on((data) => {
-        if (data) {
-          this.handlePresenceUpdate(publicKey, data);
-        }
-      });
-
-    this.presenceListeners.set(publicKey, listener);
-
-    // Also check current status
-    this.checkFriendPresence(publicKey);
+  async checkFriendPresence(publicKey) {
+    const payload = await hybridGunService.getFriendPresence(publicKey);
+    if (payload) {
+      await this.handleEncryptedPresence(publicKey, payload);
+    }
+    return this.getFriendStatus(publicKey);
   }
 
   /**
-   * Check friend's current presence
+   * Decrypt presence left for us; anything not from a friend is ignored
    */
-  async checkFriendPresence(publicKey) {
-    const presence = await new Promise((resolve) => {
-      gunAuthService.gun
-        .get('presence')
-        .get(publicKey)
-        .once((data) => resolve(data));
-    });
+  async handleEncryptedPresence(publicKey, payload) {
+    const friend = await friendsService.getFriend(publicKey);
+    if (!friend) return;
+
+    try {
+      const epub = await friendsService.resolveEpub(publicKey);
+      if (!epub) return;
 
-    if (presence) {
-      this.handlePresenceUpdate(publicKey, presence);
+      const data = await gunAuthService.decryptFrom(payload, epub);
+      if (data?.status) {
+        this.handlePresenceUpdate(publicKey, data);
+      }
+    } catch (error) {
+      debugLogger.warn('Failed to read friend presence', { error: error.message });
     }
   }
 
   /**
-   * Handle presence update from Gun or WebRTC
+   * Handle a decrypted presence update from a friend
    */
   handlePresenceUpdate(publicKey, data) {
-    const now = Date.now();
+    const updatedAt = Number(data.timestamp) || 0;
 
     // Check if presence is fresh (within 5 minutes)
     const isOnline = data.status === 'online' &&
-                    data.lastSeen &&
-                    (now - data.lastSeen) < 300000;
+                    (Date.now() - updatedAt) < ONLINE_TIMEOUT;
 
     const status = {
       online: isOnline,
       status: data.status,
-      lastSeen: data.lastSeen,
-      peerId: data.peerId,
-      timestamp: now
+      lastSeen: Number(data.lastSeen) || null,
+      updatedAt
     };
 
     this.friendsStatus.set(publicKey, status);
-
-    // Friend status updated
+    this.notifyStatusListeners(publicKey, status);
   }
 
   /**
@@ -203,14 +246,30 @@ class PresenceService {
     const newStatus = {
       ...currentStatus,
       online: status === 'online',
-      status: status,
-      lastSeen: Date.now(),
-      timestamp: Date.now()
+      status: status
     };
 
     this.friendsStatus.set(publicKey, newStatus);
+    this.notifyStatusListeners(publicKey, newStatus);
+  }
+
+  /**
+   * Subscribe to friends' status changes
+   * @param {Function} callback - Called with (publicKey, status)
+   */
+  onStatusChange(callback) {
+    this.statusListeners.add(callback);
+    return () => this.statusListeners.delete(callback);
+  }
 
-    // Updated friend status
+  notifyStatusListeners(publicKey, status) {
+    this.statusListeners.forEach((callback) => {
+      try {
+        callback(publicKey, status);
+      } catch (error) {
+        debugLogger.error('Presence listener error', error);
+      }
+    });
   }
 
   /**
@@ -222,6 +281,9 @@ class PresenceService {
    * Setup event listeners
    */
   setupEventListeners() {
+    if (this.eventListenersReady) return;
+    this.eventListenersReady = true;
+
     // Handle page visibility
     document.addEventListener('visibilitychange', () => {
       if (document.hidden) {
@@ -249,6 +311,20 @@ class PresenceService {
     return status?.online || false;
   }
 
+  /**
+   * Get friend's status: { online, status, lastSeen, updatedAt } or null
+   */
+  getFriendStatus(publicKey) {
+    return this.friendsStatus.get(publicKey) || null;
+  }
+
+  /**
+   * Every known friend's status, keyed by public key
+   */
+  getFriendStatuses() {
+    return Object.fromEntries(this.friendsStatus);
+  }
+
   /**
    * Get all friends' status
    */
@@ -271,18 +347,8 @@ class PresenceService {
     // Set offline before destroying
     this.setOffline();
 
-    // Stop intervals
-    this.stopHeartbeat();
-    this.stopCleanup();
-
-    // Clear listeners
-    this.presenceListeners.forEach(listener => {
-      if (listener && listener.off) {
-        listener.off();
-      }
-    });
-
-    this.presenceListeners.clear();
+    // Stop intervals and the presence subscription
+    this.stop();
     this.friendsStatus.clear();
   }
 
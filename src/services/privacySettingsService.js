@@ -0,0 +1,92 @@
+/**
+ * Privacy Settings Service
+ * What we share with friends about our activity: typing indicators, the
+ * last-seen time and whether we appear online at all. Settings are kept
+ * per account on this device; presenceService and messageService check
+ * them before broadcasting anything.
+ */
+
+import gunAuthService from './gunAuthService';
+import debugLogger from '../utils/debugLogger';
+
+export const DEFAULT_PRIVACY_SETTINGS = {
+  typingIndicators: true, // Send ours and show friends'
+  showLastSeen: true,
+  invisible: false // Always appear offline
+};
+
+class PrivacySettingsService {
+  constructor() {
+    this.settings = null;
+    this.listeners = new Set();
+
+    gunAuthService.onAuthChange((event) => {
+      if (event === 'logout') {
+        this.settings = null;
+      }
+    });
+  }
+
+  storageKey() {
+    const user = gunAuthService.getCurrentUser();
+    return user ? `privacySettings_${user.pub}` : null;
+  }
+
+  getSettings() {
+    if (this.settings) return this.settings;
+
+    const key = this.storageKey();
+    let stored = {};
+    try {
+      stored = (key && JSON.parse(localStorage.getItem(key))) || {};
+    } catch (error) {
+      debugLogger.warn('Ignoring unreadable privacy settings', { error: error.message });
+    }
+
+    const settings = { ...DEFAULT_PRIVACY_SETTINGS };
+    Object.keys(settings).forEach((name) => {
+      if (typeof stored[name] === 'boolean') settings[name] = stored[name];
+    });
+
+    // Not cached before login, so the account's own settings load later
+    if (key) this.settings = settings;
+    return settings;
+  }
+
+  /**
+   * Change some settings
+   * @param {Object} changes - Subset of DEFAULT_PRIVACY_SETTINGS
+   * @returns {Object} The updated settings
+   */
+  updateSettings(changes) {
+    const key = this.storageKey();
+    if (!key) throw new Error('Not authenticated');
+
+    const settings = { ...this.getSettings() };
+    Object.keys(settings).forEach((name) => {
+      if (typeof changes[name] === 'boolean') settings[name] = changes[name];
+    });
+
+    localStorage.setItem(key, JSON.stringify(settings));
+    this.settings = settings;
+    this.notify(settings);
+    return settings;
+  }
+
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify(settings) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(settings);
+      } catch (error) {
+        debugLogger.error('Privacy settings listener error', error);
+      }
+    });
+  }
+}
+
+export default new PrivacySettingsService();
@@ -0,0 +1,389 @@
+/**
+ * Ratchet Service
+ * Per-conversation Double Ratchet sessions between messageService and
+ * gunAuthService. Session state is encrypted with the user's SEA pair and
+ * persisted under `ratchet_sessions` in their own Gun user space.
+ * New sessions are bootstrapped with X3DH against the friend's published
+ * prekey bundle, falling back to the static SEA secret when none exists.
+ *
+ * With linked devices every pair of devices gets its own session, stored
+ * under `device_sessions/<our deviceId>` and encrypted with this device's
+ * own key, so no other device of the account can read it. A message is
+ * encrypted once per recipient device (see encryptForDevices). Account-level sessions in
+ * `ratchet_sessions` remain for friends whose clients have no devices.
+ */
+
+import gunAuthService from './gunAuthService';
+import prekeyService from './prekeyService';
+import deviceService from './deviceService';
+import deviceKeyService from './deviceKeyService';
+import debugLogger from '../utils/debugLogger';
+import {
+  deriveInitialKeys,
+  dhPairFromSea,
+  initReceiver,
+  initSender,
+  publicKeyFromSea,
+  ratchetDecrypt,
+  ratchetEncrypt,
+} from '../utils/doubleRatchet';
+import securityUtils from '../utils/securityUtils.js';
+
+export const RATCHET_SCHEME = 'double-ratchet';
+const ENVELOPE_VERSION = 1;
+const DEVICE_ENVELOPE_VERSION = 2;
+const MAX_SESSIONS_PER_PEER = 5;
+const LOAD_TIMEOUT = 2000;
+
+class RatchetService {
+  constructor() {
+    this.records = new Map(); // record id -> { active, sessions }
+    this.locks = new Map(); // record id -> pending operation chain
+
+    gunAuthService.onAuthChange((event) => {
+      if (event === 'logout') {
+        this.reset();
+      }
+    });
+  }
+
+  /**
+   * Serialize operations per peer so concurrent sends/receives never
+   * interleave ratchet steps on the same session
+   */
+  withLock(peerPub, operation) {
+    const previous = this.locks.get(peerPub) || Promise.resolve();
+    const next = previous.then(operation, operation);
+    this.locks.set(peerPub, next.catch(() => {}));
+    return next;
+  }
+
+  /**
+   * Sessions are kept per peer account, or per pair of devices when a
+   * route { localDevice, peerDevice } is given
+   */
+  recordId(peerPub, route) {
+    return route ? `${route.localDevice}>${peerPub}:${route.peerDevice}` : peerPub;
+  }
+
+  recordRef(peerPub, route) {
+    return route
+      ? gunAuthService.user.get('device_sessions').get(route.localDevice).get(`${peerPub}:${route.peerDevice}`)
+      : gunAuthService.user.get('ratchet_sessions').get(peerPub);
+  }
+
+  // Associated data binding a session to both parties, sender first
+  associatedData(senderPub, recipientPub, route, outgoing) {
+    if (!route) return `${senderPub}|${recipientPub}`;
+    const [senderDevice, recipientDevice] = outgoing
+      ? [route.localDevice, route.peerDevice]
+      : [route.peerDevice, route.localDevice];
+    return `${senderPub}:${senderDevice}|${recipientPub}:${recipientDevice}`;
+  }
+
+  /**
+   * Load a peer's session record from memory or the user's Gun space
+   */
+  async loadRecord(peerPub, route = null) {
+    const id = this.recordId(peerPub, route);
+    if (this.records.has(id)) {
+      return this.records.get(id);
+    }
+
+    const stored = await new Promise((resolve) => {
+      let settled = false;
+      this.recordRef(peerPub, route).once((data) => {
+        if (!settled) {
+          settled = true;
+          resolve(data);
+        }
+      });
+      setTimeout(() => {
+        if (!settled) {
+          settled = true;
+          resolve(null);
+        }
+      }, LOAD_TIMEOUT);
+    });
+
+    let record = { active: null, sessions: {} };
+    if (typeof stored === 'string') {
+      try {
+        const decrypted = route
+          ? await deviceKeyService.open(stored)
+          : await gunAuthService.decryptForSelf(stored);
+        if (decrypted?.sessions) {
+          record = decrypted;
+        }
+      } catch (error) {
+        debugLogger.warn('Failed to restore ratchet session', { error: error.message });
+      }
+    }
+
+    this.records.set(id, record);
+    return record;
+  }
+
+  /**
+   * Persist a peer's session record encrypted to ourselves
+   */
+  async saveRecord(peerPub, record, route = null) {
+    this.records.set(this.recordId(peerPub, route), record);
+
+    const sids = Object.keys(record.sessions);
+    if (sids.length > MAX_SESSIONS_PER_PEER) {
+      sids
+        .filter((sid) => sid !== record.active)
+        .sort((a, b) => record.sessions[a].updatedAt - record.sessions[b].updatedAt)
+        .slice(0, sids.length - MAX_SESSIONS_PER_PEER)
+        .forEach((sid) => delete record.sessions[sid]);
+    }
+
+    const encrypted = route
+      ? await deviceKeyService.seal(record)
+      : await gunAuthService.encryptForSelf(record);
+    this.recordRef(peerPub, route).put(encrypted);
+  }
+
+  /**
+   * Root key and shared header keys for a new session with a peer.
+   * Both sides derive the same values from the static SEA shared secret.
+   */
+  async deriveSessionKeys(peerPub, peerEpub, sid) {
+    const user = gunAuthService.getCurrentUser();
+    const secret = await gunAuthService.generateEncryptedPair(peerEpub);
+    const [first, second] = [user.pub, peerPub].sort();
+    return deriveInitialKeys(`${secret}|${first}|${second}|${sid}`);
+  }
+
+  /**
+   * Start a new session as the initiating party. Prefers X3DH against the
+   * peer's prekey bundle so first contact works while they are offline.
+   */
+  async createSendingSession(peerPub, peerEpub, route = null) {
+    const user = gunAuthService.getCurrentUser();
+    const sid = securityUtils.generateSecureRandom(16);
+
+    let state;
+    let x3dh = null;
+    const handshake = await prekeyService.initiate(peerPub, peerEpub, route?.peerDevice);
+    if (handshake) {
+      state = await initSender(handshake.keys, handshake.remoteDH);
+      x3dh = handshake.header;
+    } else {
+      if (!peerEpub) {
+        throw new Error('Friend has no encryption key or prekey bundle');
+      }
+      const keys = await this.deriveSessionKeys(peerPub, peerEpub, sid);
+      state = await initSender(keys, await publicKeyFromSea(peerEpub));
+    }
+
+    return {
+      sid,
+      session: {
+        state,
+        ad: this.associatedData(user.pub, peerPub, route, true),
+        initiator: true,
+        confirmed: false,
+        x3dh,
+        updatedAt: Date.now(),
+      },
+    };
+  }
+
+  /**
+   * Accept a session started by a peer, either from their X3DH header or
+   * from the static SEA secret using our SEA encryption keys
+   */
+  async createReceivingSession(peerPub, peerEpub, sid, x3dh = null, route = null) {
+    const user = gunAuthService.getCurrentUser();
+    const pair = gunAuthService.getKeyPair();
+    if (!pair) throw new Error('Not authenticated');
+
+    let state;
+    if (x3dh) {
+      if (peerEpub && x3dh.ik !== peerEpub) {
+        throw new Error('X3DH identity key does not match friend encryption key');
+      }
+      const { keys, signedPrekey } = await prekeyService.respond(x3dh, route?.localDevice);
+      state = initReceiver(keys, signedPrekey);
+    } else {
+      const keys = await this.deriveSessionKeys(peerPub, peerEpub, sid);
+      state = initReceiver(keys, await dhPairFromSea(pair.epub, pair.epriv));
+    }
+
+    return {
+      state,
+      ad: this.associatedData(peerPub, user.pub, route, false),
+      initiator: false,
+      confirmed: false,
+      updatedAt: Date.now(),
+    };
+  }
+
+  /**
+   * Decide whether an incoming new session should replace our active one.
+   * Simultaneous first contact is resolved in favour of the lower pub key
+   * (and device id, between devices).
+   */
+  shouldAdopt(record, peerPub, route = null) {
+    const active = record.active && record.sessions[record.active];
+    if (!active) return true;
+    if (active.initiator && !active.confirmed) {
+      const ownPub = gunAuthService.getCurrentUser().pub;
+      return route
+        ? `${peerPub}:${route.peerDevice}` < `${ownPub}:${route.localDevice}`
+        : peerPub < ownPub;
+    }
+    return true;
+  }
+
+  /**
+   * Encrypt a message object for a peer. Returns the serialized envelope.
+   * @param {Object|null} [route] - { localDevice, peerDevice } for a device session
+   */
+  async encrypt(peerPub, peerEpub, data, route = null) {
+    return this.withLock(this.recordId(peerPub, route), async () => {
+      const record = await this.loadRecord(peerPub, route);
+
+      let session = record.active && record.sessions[record.active];
+      let sid = record.active;
+      if (!session) {
+        ({ sid, session } = await this.createSendingSession(peerPub, peerEpub, route));
+        record.sessions[sid] = session;
+        record.active = sid;
+      }
+
+      const result = await ratchetEncrypt(session.state, JSON.stringify(data), session.ad);
+      session.state = result.state;
+      session.updatedAt = Date.now();
+      await this.saveRecord(peerPub, record, route);
+
+      const envelope = { v: ENVELOPE_VERSION, sid, h: result.header, c: result.ciphertext };
+      // Repeat the X3DH header until the peer has answered on this session
+      if (session.x3dh && !session.confirmed) {
+        envelope.x = session.x3dh;
+      }
+      return JSON.stringify(envelope);
+    });
+  }
+
+  /**
+   * Decrypt an envelope from a peer. Throws if the message cannot be
+   * decrypted (unknown session, consumed key or tampering).
+   */
+  async decrypt(peerPub, peerEpub, envelope, route = null) {
+    const parsed = typeof envelope === 'string' ? JSON.parse(envelope) : envelope;
+    if (parsed?.v !== ENVELOPE_VERSION || !parsed.sid) {
+      throw new Error('Unsupported ratchet envelope');
+    }
+
+    return this.withLock(this.recordId(peerPub, route), async () => {
+      const record = await this.loadRecord(peerPub, route);
+
+      let session = record.sessions[parsed.sid];
+      const isNewSession = !session;
+      if (isNewSession) {
+        session = await this.createReceivingSession(peerPub, peerEpub, parsed.sid, parsed.x, route);
+      }
+
+      const result = await ratchetDecrypt(session.state, parsed.h, parsed.c, session.ad);
+      session.state = result.state;
+      session.confirmed = true;
+      session.x3dh = null;
+      session.updatedAt = Date.now();
+
+      if (isNewSession) {
+        record.sessions[parsed.sid] = session;
+        if (this.shouldAdopt(record, peerPub, route)) {
+          record.active = parsed.sid;
+        }
+      }
+
+      await this.saveRecord(peerPub, record, route);
+
+      if (isNewSession && parsed.x?.opk) {
+        prekeyService.consumeOneTimePrekey(parsed.x.opk, route?.localDevice).catch((error) => {
+          debugLogger.warn('Failed to consume one-time prekey', { error: error.message });
+        });
+      }
+
+      return JSON.parse(result.plaintext);
+    });
+  }
+
+  /**
+   * Encrypt for every linked device of a peer, each over its own session.
+   * Peers without a device registry get a plain account-level envelope.
+   */
+  async encryptForDevices(peerPub, peerEpub, data) {
+    const devices = await deviceService.getPeerDevices(peerPub);
+    if (!devices.length) {
+      return this.encrypt(peerPub, peerEpub, data);
+    }
+
+    const localDevice = deviceService.getDeviceId();
+    const envelopes = {};
+    await Promise.all(devices.map(async (peerDevice) => {
+      try {
+        envelopes[peerDevice] = await this.encrypt(peerPub, peerEpub, data, { localDevice, peerDevice });
+      } catch (error) {
+        // One unreachable device must not block the others
+        debugLogger.warn('Failed to encrypt for device', { peerDevice, error: error.message });
+      }
+    }));
+
+    if (!Object.keys(envelopes).length) {
+      throw new Error('Could not encrypt for any of the recipient\'s devices');
+    }
+    return JSON.stringify({ v: DEVICE_ENVELOPE_VERSION, sd: localDevice, d: envelopes });
+  }
+
+  /**
+   * Decrypt the envelope addressed to this device, or an account-level one
+   */
+  async decryptForDevice(peerPub, peerEpub, payload) {
+    const parsed = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    if (parsed?.v !== DEVICE_ENVELOPE_VERSION) {
+      return this.decrypt(peerPub, peerEpub, parsed);
+    }
+
+    const localDevice = deviceService.getDeviceId();
+    const envelope = parsed.d?.[localDevice];
+    if (!envelope || typeof parsed.sd !== 'string') {
+      throw new Error('Message was not encrypted for this device');
+    }
+    return this.decrypt(peerPub, peerEpub, envelope, { localDevice, peerDevice: parsed.sd });
+  }
+
+  /**
+   * Drop all sessions with a peer so the next message starts fresh
+   */
+  async resetSession(peerPub) {
+    await this.withLock(peerPub, async () => {
+      this.records.delete(peerPub);
+      gunAuthService.user?.get('ratchet_sessions').get(peerPub).put(null);
+    });
+
+    if (!gunAuthService.getCurrentUser()) return;
+    const localDevice = deviceService.getDeviceId();
+    const devices = await deviceService.getPeerDevices(peerPub);
+    await Promise.all(devices.map((peerDevice) => {
+      const route = { localDevice, peerDevice };
+      return this.withLock(this.recordId(peerPub, route), async () => {
+        this.records.delete(this.recordId(peerPub, route));
+        this.recordRef(peerPub, route).put(null);
+      });
+    }));
+  }
+
+  /**
+   * Forget in-memory session state (on logout)
+   */
+  reset() {
+    this.records.clear();
+    this.locks.clear();
+  }
+}
+
+export default new RatchetService();
@@ -0,0 +1,168 @@
+/**
+ * Recovery Service
+ * Optional recovery kit for a forgotten password. The kit is a random
+ * phrase of 32 Crockford base32 characters (160 bits). The account's SEA
+ * pair is encrypted under a key stretched from the phrase and stored in
+ * the user's own signed graph, next to the password-encrypted copy Gun
+ * keeps. On a fresh device the username finds the account and the phrase
+ * decrypts the pair, which is then saved under a new password.
+ */
+
+import Gun from 'gun/gun';
+import 'gun/sea';
+import gunAuthService from './gunAuthService';
+import hybridGunService from './hybridGunService';
+import debugLogger from '../utils/debugLogger';
+import securityUtils from '../utils/securityUtils.js';
+
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford base32
+const PHRASE_BYTES = 20;
+const PHRASE_LENGTH = 32;
+const GROUP_SIZE = 4;
+
+class RecoveryService {
+  generatePhrase() {
+    const bytes = crypto.getRandomValues(new Uint8Array(PHRASE_BYTES));
+    let bits = 0;
+    let value = 0;
+    let phrase = '';
+    bytes.forEach((byte) => {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        phrase += ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+      value &= (1 << bits) - 1;
+    });
+    return phrase;
+  }
+
+  // Groups of four, as printed on the kit
+  formatPhrase(phrase) {
+    return phrase.match(new RegExp(`.{1,${GROUP_SIZE}}`, 'g')).join('-');
+  }
+
+  /**
+   * Canonical phrase from what the user typed, or null if it cannot be one.
+   * Case, spacing and dashes are ignored and look-alike letters mapped.
+   */
+  normalizePhrase(text) {
+    const phrase = String(text || '')
+      .toUpperCase()
+      .replace(/[\s-]/g, '')
+      .replace(/O/g, '0')
+      .replace(/[IL]/g, '1');
+    if (phrase.length !== PHRASE_LENGTH) return null;
+    return [...phrase].every((char) => ALPHABET.includes(char)) ? phrase : null;
+  }
+
+  recoveryRef(publicKey) {
+    return gunAuthService.gun.get(`~${publicKey}`).get('recovery');
+  }
+
+  // When the signed-in account's kit was created, or null if it has none
+  async getKitStatus() {
+    const user = gunAuthService.getCurrentUser();
+    if (!user) throw new Error('Not authenticated');
+
+    const record = await hybridGunService.readOnce(this.recoveryRef(user.pub));
+    return record?.ek ? { createdAt: record.createdAt || null } : null;
+  }
+
+  /**
+   * Create a recovery kit for the signed-in account, replacing any
+   * earlier one
+   * @returns {Promise<string>} The formatted phrase, shown to the user once
+   */
+  async createKit() {
+    const pair = gunAuthService.getKeyPair();
+    if (!pair) throw new Error('Not authenticated');
+
+    const phrase = this.generatePhrase();
+    const salt = securityUtils.generateSecureRandom(16);
+    const key = await Gun.SEA.work(phrase, salt);
+    const ek = await Gun.SEA.encrypt({
+      pub: pair.pub,
+      epub: pair.epub,
+      priv: pair.priv,
+      epriv: pair.epriv
+    }, key);
+    if (!ek) throw new Error('Failed to encrypt recovery kit');
+
+    await new Promise((resolve, reject) => {
+      gunAuthService.user.get('recovery').put({ ek, s: salt, createdAt: Date.now() }, (ack) => {
+        if (ack.err) reject(new Error(ack.err));
+        else resolve();
+      });
+    });
+
+    debugLogger.info('Recovery kit created');
+    return this.formatPhrase(phrase);
+  }
+
+  async removeKit() {
+    if (!gunAuthService.getCurrentUser()) throw new Error('Not authenticated');
+
+    await new Promise((resolve) => {
+      gunAuthService.user.get('recovery').put({ ek: null, s: null, createdAt: null }, () => resolve());
+    });
+  }
+
+  /**
+   * Restore an account from its recovery phrase on this device and set a
+   * new password for it
+   * @returns {Promise<Object>} The signed-in user
+   */
+  async restore(username, phraseText, newPassword) {
+    const phrase = this.normalizePhrase(phraseText);
+    if (!phrase) throw new Error(`A recovery phrase has ${PHRASE_LENGTH} letters and digits`);
+
+    const alias = await hybridGunService.readOnce(gunAuthService.gun.get(`~@${username}`));
+    const publicKeys = Object.keys(alias || {})
+      .filter((key) => key.startsWith('~'))
+      .map((key) => key.slice(1));
+    if (!publicKeys.length) throw new Error('Account not found');
+
+    for (const publicKey of publicKeys) {
+      const record = await hybridGunService.readOnce(this.recoveryRef(publicKey));
+      if (!record?.ek || !record.s) continue;
+
+      const key = await Gun.SEA.work(phrase, record.s);
+      const pair = await Gun.SEA.decrypt(record.ek, key);
+      if (pair?.pub === publicKey && pair.priv && pair.epriv) {
+        const result = await gunAuthService.resetPassword(pair, newPassword, username);
+        debugLogger.info('Account restored from recovery kit');
+        return result.user;
+      }
+    }
+
+    throw new Error('Recovery phrase does not match this account, or it has no recovery kit');
+  }
+
+  // Open the kit as a printable page
+  printKit(username, phrase) {
+    const escape = (text) => securityUtils.escapeHtml(String(text ?? ''));
+    const page = window.open('', '_blank');
+    if (!page) throw new Error('Allow pop-ups to print the recovery kit');
+
+    page.document.write(`<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Whisperz recovery kit</title>
+<style>
+  body { font-family: sans-serif; max-width: 560px; margin: 40px auto; color: #000; }
+  .phrase { font-family: monospace; font-size: 22px; letter-spacing: 2px; border: 2px solid #000; padding: 16px; text-align: center; }
+</style></head>
+<body>
+  <h1>Whisperz recovery kit</h1>
+  <p><strong>Username:</strong> ${escape(username)}<br><strong>Created:</strong> ${escape(new Date().toLocaleString())}</p>
+  <p class="phrase">${escape(phrase)}</p>
+  <p>If you forget your password, choose "Forgot password?" on the login screen and enter your username and this phrase to set a new one.</p>
+  <p>Anyone with this phrase can take over your account and read your messages. Keep it somewhere safe and offline, and create a new kit if it is ever exposed.</p>
+</body></html>`);
+    page.document.close();
+    page.focus();
+    page.print();
+  }
+}
+
+export default new RecoveryService();
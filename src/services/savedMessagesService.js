@@ -0,0 +1,115 @@
+/**
+ * Saved Messages Service
+ * Private stars across all conversations. Each star is a reference to a
+ * message, encrypted to our own SEA pair under `user.starred`, so peers
+ * never learn what we saved. Starred messages are read from our private
+ * history, so deleted or expired messages drop out of the view.
+ */
+
+import hybridGunService from './hybridGunService';
+import gunAuthService from './gunAuthService';
+import messageService from './messageService';
+import debugLogger from '../utils/debugLogger';
+
+class SavedMessagesService {
+  constructor() {
+    this.stars = null; // messageId -> { conversationId, starredAt }
+    this.loading = null;
+    this.listeners = new Set();
+
+    gunAuthService.onAuthChange((event) => {
+      if (event === 'logout') {
+        this.stars = null;
+        this.loading = null;
+      }
+    });
+  }
+
+  async load() {
+    if (this.stars) return this.stars;
+
+    if (!this.loading) {
+      this.loading = (async () => {
+        const entries = await hybridGunService.getStars();
+        const stars = {};
+        await Promise.all(Object.entries(entries).map(async ([messageId, payload]) => {
+          if (typeof payload !== 'string') return;
+          const record = await gunAuthService.decryptForSelf(payload).catch(() => null);
+          if (record?.conversationId) stars[messageId] = record;
+        }));
+        this.stars = stars;
+        return stars;
+      })().finally(() => {
+        this.loading = null;
+      });
+    }
+    return this.loading;
+  }
+
+  // Ids of every starred message
+  async getStarredIds() {
+    return new Set(Object.keys(await this.load()));
+  }
+
+  /**
+   * Star a message, or unstar it if already starred
+   * @returns {Promise<boolean>} Whether the message is starred now
+   */
+  async toggleStar(message) {
+    const stars = await this.load();
+
+    if (stars[message.id]) {
+      delete stars[message.id];
+      hybridGunService.storeStar(message.id, null);
+    } else {
+      const record = { conversationId: message.conversationId, starredAt: Date.now() };
+      hybridGunService.storeStar(message.id, await gunAuthService.encryptForSelf(record));
+      stars[message.id] = record;
+    }
+
+    const starred = Boolean(stars[message.id]);
+    this.notify({ messageId: message.id, starred });
+    return starred;
+  }
+
+  /**
+   * Starred messages that still exist, most recently starred first
+   * @returns {Promise<Array<{message: Object, conversationId: string, starredAt: number}>>}
+   */
+  async getSavedMessages() {
+    const stars = await this.load();
+
+    const saved = await Promise.all(Object.entries(stars).map(async ([messageId, record]) => {
+      const message = await messageService.loadPrivateMessage(record.conversationId, messageId);
+      return message && { message, conversationId: record.conversationId, starredAt: record.starredAt };
+    }));
+
+    const missing = Object.keys(stars).filter((messageId, index) => !saved[index]);
+    if (missing.length > 0) {
+      debugLogger.info('Dropping stars of messages that no longer exist', { count: missing.length });
+      missing.forEach((messageId) => {
+        delete stars[messageId];
+        hybridGunService.storeStar(messageId, null);
+      });
+    }
+
+    return saved.filter(Boolean).sort((a, b) => b.starredAt - a.starredAt);
+  }
+
+  onChange(callback) {
+    this.listeners.add(callback);
+    return () => this.listeners.delete(callback);
+  }
+
+  notify(change) {
+    this.listeners.forEach((callback) => {
+      try {
+        callback(change);
+      } catch (error) {
+        debugLogger.error('Saved messages listener error', error);
+      }
+    });
+  }
+}
+
+export default new SavedMessagesService();
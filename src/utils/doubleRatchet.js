@@ -0,0 +1,336 @@
+/**
+ * Double Ratchet (header encryption variant)
+ * Pure WebCrypto implementation of the Signal Double Ratchet algorithm.
+ * State objects are plain JSON so they can be persisted by ratchetService.
+ */
+
+const MAX_SKIP = 1000;
+const KDF_RK_INFO = 'WhisperzRatchetRK';
+const MESSAGE_KEY_INFO = 'WhisperzRatchetMK';
+const ROOT_INFO = 'WhisperzRatchetRoot';
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+const subtle = () => globalThis.crypto.subtle;
+
+export const toBase64 = (bytes) => {
+  const array = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let binary = '';
+  for (let i = 0; i < array.length; i++) {
+    binary += String.fromCharCode(array[i]);
+  }
+  return btoa(binary);
+};
+
+export const fromBase64 = (value) => {
+  return new Uint8Array(atob(value).split('').map(c => c.charCodeAt(0)));
+};
+
+const concatBytes = (...parts) => {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+};
+
+// HKDF-SHA256 returning `length` bytes
+export const hkdf = async (ikm, salt, info, length) => {
+  const key = await subtle().importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+  const bits = await subtle().deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: encoder.encode(info) },
+    key,
+    length * 8
+  );
+  return new Uint8Array(bits);
+};
+
+const hmac = async (keyBytes, data) => {
+  const key = await subtle().importKey(
+    'raw',
+    keyBytes,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return new Uint8Array(await subtle().sign('HMAC', key, data));
+};
+
+// Generate an ECDH P-256 key pair in serializable form
+export const generateDH = async () => {
+  const pair = await subtle().generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, [
+    'deriveBits',
+  ]);
+  const pub = new Uint8Array(await subtle().exportKey('raw', pair.publicKey));
+  const priv = await subtle().exportKey('jwk', pair.privateKey);
+  return { pub: toBase64(pub), priv };
+};
+
+// Convert a Gun SEA encryption pair (epub "x.y", epriv "d") into ratchet form
+export const dhPairFromSea = async (epub, epriv) => {
+  const [x, y] = epub.split('.');
+  const priv = { kty: 'EC', crv: 'P-256', x, y, d: epriv, ext: true };
+  return { pub: await publicKeyFromSea(epub), priv };
+};
+
+// Convert a Gun SEA epub ("x.y" base64url) into a base64 raw public key
+export const publicKeyFromSea = async (epub) => {
+  const [x, y] = epub.split('.');
+  const key = await subtle().importKey(
+    'jwk',
+    { kty: 'EC', crv: 'P-256', x, y, ext: true },
+    { name: 'ECDH', namedCurve: 'P-256' },
+    true,
+    []
+  );
+  return toBase64(await subtle().exportKey('raw', key));
+};
+
+export const dh = async (pair, publicKey) => {
+  const priv = await subtle().importKey(
+    'jwk',
+    pair.priv,
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    ['deriveBits']
+  );
+  const pub = await subtle().importKey(
+    'raw',
+    fromBase64(publicKey),
+    { name: 'ECDH', namedCurve: 'P-256' },
+    false,
+    []
+  );
+  return new Uint8Array(await subtle().deriveBits({ name: 'ECDH', public: pub }, priv, 256));
+};
+
+// KDF_RK_HE: root key, chain key and next header key from a DH output
+const kdfRootKey = async (rootKey, dhOut) => {
+  const out = await hkdf(dhOut, fromBase64(rootKey), KDF_RK_INFO, 96);
+  return {
+    rootKey: toBase64(out.slice(0, 32)),
+    chainKey: toBase64(out.slice(32, 64)),
+    nextHeaderKey: toBase64(out.slice(64, 96)),
+  };
+};
+
+// KDF_CK: advance a chain key and derive a single-use message key
+export const kdfChainKey = async (chainKey) => {
+  const ck = fromBase64(chainKey);
+  const messageKey = await hmac(ck, new Uint8Array([0x01]));
+  const nextChainKey = await hmac(ck, new Uint8Array([0x02]));
+  return { chainKey: toBase64(nextChainKey), messageKey: toBase64(messageKey) };
+};
+
+const aesKey = (bytes, usage) => subtle().importKey('raw', bytes, 'AES-GCM', false, [usage]);
+
+// Message keys are single-use, so the IV is derived alongside the AES key
+export const encryptWithMessageKey = async (messageKey, plaintext, ad) => {
+  const material = await hkdf(fromBase64(messageKey), new Uint8Array(32), MESSAGE_KEY_INFO, 44);
+  const key = await aesKey(material.slice(0, 32), 'encrypt');
+  const ct = await subtle().encrypt(
+    { name: 'AES-GCM', iv: material.slice(32, 44), additionalData: ad },
+    key,
+    encoder.encode(plaintext)
+  );
+  return new Uint8Array(ct);
+};
+
+export const decryptWithMessageKey = async (messageKey, ciphertext, ad) => {
+  const material = await hkdf(fromBase64(messageKey), new Uint8Array(32), MESSAGE_KEY_INFO, 44);
+  const key = await aesKey(material.slice(0, 32), 'decrypt');
+  const pt = await subtle().decrypt(
+    { name: 'AES-GCM', iv: material.slice(32, 44), additionalData: ad },
+    key,
+    ciphertext
+  );
+  return decoder.decode(pt);
+};
+
+// Header keys encrypt many headers, so each header gets a random IV
+const encryptHeader = async (headerKey, header) => {
+  const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+  const key = await aesKey(fromBase64(headerKey), 'encrypt');
+  const ct = await subtle().encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    encoder.encode(JSON.stringify(header))
+  );
+  return concatBytes(iv, new Uint8Array(ct));
+};
+
+const decryptHeader = async (headerKey, encHeader) => {
+  if (!headerKey) return null;
+  try {
+    const key = await aesKey(fromBase64(headerKey), 'decrypt');
+    const pt = await subtle().decrypt(
+      { name: 'AES-GCM', iv: encHeader.slice(0, 12) },
+      key,
+      encHeader.slice(12)
+    );
+    return JSON.parse(decoder.decode(pt));
+  } catch {
+    return null;
+  }
+};
+
+// Derive the initial root key and shared header keys from a session secret
+export const deriveInitialKeys = async (sharedSecret, info = ROOT_INFO) => {
+  const ikm = typeof sharedSecret === 'string' ? encoder.encode(sharedSecret) : sharedSecret;
+  const out = await hkdf(ikm, new Uint8Array(32), info, 96);
+  return {
+    rootKey: toBase64(out.slice(0, 32)),
+    sharedHeaderKeyA: toBase64(out.slice(32, 64)),
+    sharedNextHeaderKeyB: toBase64(out.slice(64, 96)),
+  };
+};
+
+// RatchetInitAliceHE
+export const initSender = async ({ rootKey, sharedHeaderKeyA, sharedNextHeaderKeyB }, remoteDH) => {
+  const dhs = await generateDH();
+  const derived = await kdfRootKey(rootKey, await dh(dhs, remoteDH));
+  return {
+    dhs,
+    dhr: remoteDH,
+    rk: derived.rootKey,
+    cks: derived.chainKey,
+    ckr: null,
+    ns: 0,
+    nr: 0,
+    pn: 0,
+    hks: sharedHeaderKeyA,
+    hkr: null,
+    nhks: derived.nextHeaderKey,
+    nhkr: sharedNextHeaderKeyB,
+    skipped: [],
+  };
+};
+
+// RatchetInitBobHE
+export const initReceiver = ({ rootKey, sharedHeaderKeyA, sharedNextHeaderKeyB }, ownDH) => ({
+  dhs: ownDH,
+  dhr: null,
+  rk: rootKey,
+  cks: null,
+  ckr: null,
+  ns: 0,
+  nr: 0,
+  pn: 0,
+  hks: null,
+  hkr: null,
+  nhks: sharedNextHeaderKeyB,
+  nhkr: sharedHeaderKeyA,
+  skipped: [],
+});
+
+const cloneState = (state) => JSON.parse(JSON.stringify(state));
+
+/**
+ * Encrypt a plaintext string. Returns the new state and the encrypted
+ * header/ciphertext pair; callers must persist the returned state.
+ */
+export const ratchetEncrypt = async (state, plaintext, ad) => {
+  if (!state.cks || !state.hks) {
+    throw new Error('Ratchet session cannot send yet');
+  }
+
+  const next = cloneState(state);
+  const { chainKey, messageKey } = await kdfChainKey(next.cks);
+  next.cks = chainKey;
+
+  const header = { dh: next.dhs.pub, pn: next.pn, n: next.ns };
+  const encHeader = await encryptHeader(next.hks, header);
+  next.ns += 1;
+
+  const adBytes = concatBytes(encoder.encode(ad), encHeader);
+  const ciphertext = await encryptWithMessageKey(messageKey, plaintext, adBytes);
+
+  return { state: next, header: toBase64(encHeader), ciphertext: toBase64(ciphertext) };
+};
+
+const skipMessageKeys = async (state, until) => {
+  if (state.nr + MAX_SKIP < until) {
+    throw new Error('Too many skipped messages');
+  }
+  if (!state.ckr) return;
+
+  while (state.nr < until) {
+    const { chainKey, messageKey } = await kdfChainKey(state.ckr);
+    state.ckr = chainKey;
+    state.skipped.push({ hk: state.hkr, n: state.nr, mk: messageKey });
+    state.nr += 1;
+  }
+
+  // Keep the skipped-key store bounded
+  if (state.skipped.length > MAX_SKIP) {
+    state.skipped.splice(0, state.skipped.length - MAX_SKIP);
+  }
+};
+
+const dhRatchet = async (state, header) => {
+  state.pn = state.ns;
+  state.ns = 0;
+  state.nr = 0;
+  state.hks = state.nhks;
+  state.hkr = state.nhkr;
+  state.dhr = header.dh;
+
+  const receiving = await kdfRootKey(state.rk, await dh(state.dhs, state.dhr));
+  state.rk = receiving.rootKey;
+  state.ckr = receiving.chainKey;
+  state.nhkr = receiving.nextHeaderKey;
+
+  state.dhs = await generateDH();
+  const sending = await kdfRootKey(state.rk, await dh(state.dhs, state.dhr));
+  state.rk = sending.rootKey;
+  state.cks = sending.chainKey;
+  state.nhks = sending.nextHeaderKey;
+};
+
+/**
+ * Decrypt a message. The input state is never mutated: on success the
+ * advanced state is returned, on failure an error is thrown.
+ */
+export const ratchetDecrypt = async (state, header, ciphertext, ad) => {
+  const next = cloneState(state);
+  const encHeader = fromBase64(header);
+  const ct = fromBase64(ciphertext);
+  const adBytes = concatBytes(encoder.encode(ad), encHeader);
+
+  // Out-of-order delivery: try previously skipped message keys first
+  for (let i = 0; i < next.skipped.length; i++) {
+    const entry = next.skipped[i];
+    const skippedHeader = await decryptHeader(entry.hk, encHeader);
+    if (skippedHeader && skippedHeader.n === entry.n) {
+      next.skipped.splice(i, 1);
+      const plaintext = await decryptWithMessageKey(entry.mk, ct, adBytes);
+      return { state: next, plaintext };
+    }
+  }
+
+  let parsed = await decryptHeader(next.hkr, encHeader);
+  let isNewChain = false;
+  if (!parsed) {
+    parsed = await decryptHeader(next.nhkr, encHeader);
+    isNewChain = true;
+  }
+  if (!parsed) {
+    throw new Error('Unable to decrypt message header');
+  }
+
+  if (isNewChain) {
+    await skipMessageKeys(next, parsed.pn);
+    await dhRatchet(next, parsed);
+  }
+
+  await skipMessageKeys(next, parsed.n);
+  const { chainKey, messageKey } = await kdfChainKey(next.ckr);
+  next.ckr = chainKey;
+  next.nr += 1;
+
+  const plaintext = await decryptWithMessageKey(messageKey, ct, adBytes);
+  return { state: next, plaintext };
+};
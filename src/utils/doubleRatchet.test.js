@@ -0,0 +1,157 @@
+import { describe, expect, it } from 'vitest';
+import {
+  deriveInitialKeys,
+  dh,
+  dhPairFromSea,
+  fromBase64,
+  generateDH,
+  initReceiver,
+  initSender,
+  ratchetDecrypt,
+  ratchetEncrypt,
+  toBase64,
+} from './doubleRatchet';
+
+const AD = 'alice|bob';
+
+// Alice starts a session with Bob, who holds `bobDH`
+const startSession = async (secret = 'shared secret') => {
+  const keys = await deriveInitialKeys(secret);
+  const bobDH = await generateDH();
+  return {
+    alice: await initSender(keys, bobDH.pub),
+    bob: initReceiver(keys, bobDH),
+  };
+};
+
+// Encrypt on one side and return [newSenderState, message]
+const send = async (state, text) => {
+  const result = await ratchetEncrypt(state, text, AD);
+  return [result.state, { header: result.header, ciphertext: result.ciphertext }];
+};
+
+const receive = async (state, message, ad = AD) => {
+  const result = await ratchetDecrypt(state, message.header, message.ciphertext, ad);
+  return [result.state, result.plaintext];
+};
+
+describe('doubleRatchet', () => {
+  it('round-trips base64', () => {
+    const bytes = new Uint8Array([0, 1, 127, 128, 255]);
+    expect(fromBase64(toBase64(bytes))).toEqual(bytes);
+  });
+
+  it('derives the same DH secret from a SEA-style key pair', async () => {
+    const key = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, true, ['deriveBits']);
+    const jwk = await crypto.subtle.exportKey('jwk', key.privateKey);
+    const seaPair = await dhPairFromSea(`${jwk.x}.${jwk.y}`, jwk.d);
+    const other = await generateDH();
+
+    expect(await dh(seaPair, other.pub)).toEqual(await dh(other, seaPair.pub));
+  });
+
+  it('encrypts and decrypts in both directions across DH ratchet steps', async () => {
+    let { alice, bob } = await startSession();
+    let message;
+    let plaintext;
+
+    [alice, message] = await send(alice, 'hello bob');
+    [bob, plaintext] = await receive(bob, message);
+    expect(plaintext).toBe('hello bob');
+
+    [bob, message] = await send(bob, 'hi alice');
+    [alice, plaintext] = await receive(alice, message);
+    expect(plaintext).toBe('hi alice');
+
+    [alice, message] = await send(alice, 'second round');
+    [bob, plaintext] = await receive(bob, message);
+    expect(plaintext).toBe('second round');
+  });
+
+  it('does not let the receiver send before the first message arrives', async () => {
+    const { bob } = await startSession();
+    await expect(ratchetEncrypt(bob, 'too early', AD)).rejects.toThrow('cannot send yet');
+  });
+
+  it('decrypts out-of-order messages with skipped keys, each only once', async () => {
+    let { alice, bob } = await startSession();
+    const messages = [];
+    for (const text of ['one', 'two', 'three']) {
+      let message;
+      [alice, message] = await send(alice, text);
+      messages.push(message);
+    }
+
+    let plaintext;
+    [bob, plaintext] = await receive(bob, messages[2]);
+    expect(plaintext).toBe('three');
+    expect(bob.skipped).toHaveLength(2);
+
+    [bob, plaintext] = await receive(bob, messages[0]);
+    expect(plaintext).toBe('one');
+    [bob, plaintext] = await receive(bob, messages[1]);
+    expect(plaintext).toBe('two');
+    expect(bob.skipped).toHaveLength(0);
+
+    await expect(receive(bob, messages[0])).rejects.toThrow();
+  });
+
+  it('keeps skipped keys from the previous chain after a DH ratchet step', async () => {
+    let { alice, bob } = await startSession();
+    let late;
+    let message;
+    let plaintext;
+
+    [alice, message] = await send(alice, 'first');
+    [alice, late] = await send(alice, 'delayed');
+    [bob, plaintext] = await receive(bob, message);
+
+    [bob, message] = await send(bob, 'reply');
+    [alice] = await receive(alice, message);
+    [alice, message] = await send(alice, 'new chain');
+    [bob, plaintext] = await receive(bob, message);
+    expect(plaintext).toBe('new chain');
+
+    [bob, plaintext] = await receive(bob, late);
+    expect(plaintext).toBe('delayed');
+  });
+
+  it('refuses to skip more than the limit', async () => {
+    let { alice, bob } = await startSession();
+    let message;
+
+    [alice, message] = await send(alice, 'first');
+    [bob] = await receive(bob, message);
+    [alice, message] = await send({ ...alice, ns: alice.ns + 2000 }, 'far ahead');
+    await expect(receive(bob, message)).rejects.toThrow('Too many skipped messages');
+  });
+
+  it('rejects a tampered header without touching the state', async () => {
+    const { alice, bob } = await startSession();
+    const [, message] = await send(alice, 'hello');
+    const header = fromBase64(message.header);
+    header[header.length - 1] ^= 1;
+    const snapshot = JSON.stringify(bob);
+
+    await expect(receive(bob, { ...message, header: toBase64(header) })).rejects.toThrow('Unable to decrypt message header');
+    expect(JSON.stringify(bob)).toBe(snapshot);
+  });
+
+  it('rejects headers from a different session', async () => {
+    const { alice } = await startSession('one secret');
+    const { bob } = await startSession('another secret');
+    const [, message] = await send(alice, 'hello');
+
+    await expect(receive(bob, message)).rejects.toThrow('Unable to decrypt message header');
+  });
+
+  it('rejects a tampered ciphertext or mismatched associated data', async () => {
+    const { alice, bob } = await startSession();
+    const [, message] = await send(alice, 'hello');
+    const ciphertext = fromBase64(message.ciphertext);
+    ciphertext[0] ^= 1;
+
+    await expect(receive(bob, { ...message, ciphertext: toBase64(ciphertext) })).rejects.toThrow();
+    await expect(receive(bob, message, 'mallory|bob')).rejects.toThrow();
+  });
+});
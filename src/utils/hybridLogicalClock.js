@@ -0,0 +1,55 @@
+/**
+ * Hybrid logical clock
+ * A timestamp pairs a wall clock reading with a counter. It stays close to
+ * real time but never runs backwards, and after merging a received
+ * timestamp every later local one sorts after it. Readings from peers that
+ * are too far ahead of our own clock are not merged, so one skewed device
+ * cannot drag everyone's clock into the future.
+ */
+
+// How far a peer's clock may run ahead of ours before we distrust it
+export const MAX_CLOCK_DRIFT = 5 * 60 * 1000;
+
+const ZERO = { wall: 0, counter: 0 };
+
+export const isHlc = (value) => Boolean(value) &&
+  Number.isSafeInteger(value.wall) && value.wall >= 0 &&
+  Number.isSafeInteger(value.counter) && value.counter >= 0;
+
+export const compareHlc = (a, b) => (a.wall - b.wall) || (a.counter - b.counter);
+
+/**
+ * Timestamp for a local event, such as sending a message
+ * @param {Object|null} last - Latest clock value
+ * @param {number} [now]
+ * @returns {{wall: number, counter: number}}
+ */
+export const tickHlc = (last, now = Date.now()) => {
+  const current = isHlc(last) ? last : ZERO;
+  return now > current.wall
+    ? { wall: now, counter: 0 }
+    : { wall: current.wall, counter: current.counter + 1 };
+};
+
+/**
+ * Merge a timestamp seen on a received message into our clock
+ * @param {Object|null} last - Latest clock value
+ * @param {Object} remote - Timestamp carried by the message
+ * @param {number} [now]
+ * @returns {{wall: number, counter: number}} The new clock value
+ */
+export const receiveHlc = (last, remote, now = Date.now()) => {
+  const current = isHlc(last) ? last : ZERO;
+  if (!isHlc(remote) || remote.wall > now + MAX_CLOCK_DRIFT) return current;
+
+  const wall = Math.max(current.wall, remote.wall, now);
+  let counter = 0;
+  if (wall === current.wall && wall === remote.wall) {
+    counter = Math.max(current.counter, remote.counter) + 1;
+  } else if (wall === current.wall) {
+    counter = current.counter + 1;
+  } else if (wall === remote.wall) {
+    counter = remote.counter + 1;
+  }
+  return { wall, counter };
+};
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { MAX_CLOCK_DRIFT, compareHlc, isHlc, receiveHlc, tickHlc } from './hybridLogicalClock';
+
+describe('hybridLogicalClock', () => {
+  it('validates timestamps', () => {
+    expect(isHlc({ wall: 1, counter: 0 })).toBe(true);
+    expect(isHlc(null)).toBe(false);
+    expect(isHlc({ wall: -1, counter: 0 })).toBe(false);
+    expect(isHlc({ wall: 1.5, counter: 0 })).toBe(false);
+    expect(isHlc({ wall: '1', counter: 0 })).toBe(false);
+  });
+
+  it('orders by wall time, then counter', () => {
+    expect(compareHlc({ wall: 1, counter: 5 }, { wall: 2, counter: 0 })).toBeLessThan(0);
+    expect(compareHlc({ wall: 2, counter: 1 }, { wall: 2, counter: 0 })).toBeGreaterThan(0);
+    expect(compareHlc({ wall: 2, counter: 1 }, { wall: 2, counter: 1 })).toBe(0);
+  });
+
+  it('follows the wall clock and never runs backwards', () => {
+    expect(tickHlc(null, 100)).toEqual({ wall: 100, counter: 0 });
+    expect(tickHlc({ wall: 100, counter: 0 }, 200)).toEqual({ wall: 200, counter: 0 });
+    expect(tickHlc({ wall: 200, counter: 0 }, 150)).toEqual({ wall: 200, counter: 1 });
+    expect(tickHlc({ wall: 200, counter: 1 }, 200)).toEqual({ wall: 200, counter: 2 });
+  });
+
+  it('sorts later local events after a received timestamp', () => {
+    const remote = { wall: 500, counter: 3 };
+    const merged = receiveHlc({ wall: 400, counter: 0 }, remote, 450);
+
+    expect(merged).toEqual({ wall: 500, counter: 4 });
+    expect(compareHlc(tickHlc(merged, 450), remote)).toBeGreaterThan(0);
+  });
+
+  it('merges counters when both clocks share the wall time', () => {
+    expect(receiveHlc({ wall: 500, counter: 2 }, { wall: 500, counter: 7 }, 400)).toEqual({ wall: 500, counter: 8 });
+    expect(receiveHlc({ wall: 500, counter: 2 }, { wall: 300, counter: 7 }, 400)).toEqual({ wall: 500, counter: 3 });
+    expect(receiveHlc({ wall: 100, counter: 2 }, { wall: 200, counter: 7 }, 900)).toEqual({ wall: 900, counter: 0 });
+  });
+
+  it('ignores invalid or far-future remote timestamps', () => {
+    const last = { wall: 100, counter: 1 };
+    const now = 1000;
+
+    expect(receiveHlc(last, { wall: 'x', counter: 0 }, now)).toBe(last);
+    expect(receiveHlc(last, { wall: now + MAX_CLOCK_DRIFT + 1, counter: 0 }, now)).toBe(last);
+    expect(receiveHlc(last, { wall: now + MAX_CLOCK_DRIFT, counter: 0 }, now)).toEqual({ wall: now + MAX_CLOCK_DRIFT, counter: 1 });
+  });
+});
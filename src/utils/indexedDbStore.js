@@ -0,0 +1,97 @@
+/**
+ * IndexedDB store helper
+ * Small promise wrapper around the app's `whisperz` IndexedDB database.
+ * The database name is included in the emergency/destruction wipe lists,
+ * so anything stored here is removed by those flows.
+ *
+ * Add new object stores or indexes to STORES and bump DB_VERSION.
+ */
+
+const DB_NAME = 'whisperz';
+const DB_VERSION = 5;
+
+// Object store name -> secondary indexes
+const STORES = {
+  outbox: [],
+  uploads: [],
+  scheduled: [],
+  device_keys: [],
+  messages: [
+    { name: 'conversationId', keyPath: 'conversationId' },
+    { name: 'terms', keyPath: 'terms', multiEntry: true },
+  ],
+};
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('IndexedDB not supported in this browser'));
+      return;
+    }
+
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      Object.entries(STORES).forEach(([name, indexes]) => {
+        const store = db.objectStoreNames.contains(name)
+          ? request.transaction.objectStore(name)
+          : db.createObjectStore(name, { keyPath: 'id' });
+
+        indexes.forEach(({ name: indexName, keyPath, multiEntry = false }) => {
+          if (!store.indexNames.contains(indexName)) {
+            store.createIndex(indexName, keyPath, { multiEntry });
+          }
+        });
+      });
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Let deleteDatabase() from the reset flows proceed
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+const runRequest = async (storeName, mode, action) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = action(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Get a key-value interface for one object store (records keyed by `id`)
+ * @param {string} storeName - One of STORES
+ */
+export const createStore = (storeName) => ({
+  get: (id) => runRequest(storeName, 'readonly', (store) => store.get(id)),
+  getAll: () => runRequest(storeName, 'readonly', (store) => store.getAll()),
+  getAllByIndex: (indexName, key) =>
+    runRequest(storeName, 'readonly', (store) => store.index(indexName).getAll(key)),
+  put: (record) => runRequest(storeName, 'readwrite', (store) => store.put(record)),
+  delete: (id) => runRequest(storeName, 'readwrite', (store) => store.delete(id)),
+  clear: () => runRequest(storeName, 'readwrite', (store) => store.clear()),
+});
+
+export default createStore;
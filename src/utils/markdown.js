@@ -0,0 +1,179 @@
+/**
+ * Markdown subset for messages
+ * Parses bold, italics, inline code, fenced code blocks, lists, quotes and
+ * bare http(s) links into a plain node tree. There is no HTML pass-through:
+ * the tree is rendered as React elements, so text is always escaped, and
+ * links are only produced for URLs accepted by securityUtils.sanitizeUrl.
+ */
+
+import securityUtils from './securityUtils.js';
+
+const MAX_QUOTE_DEPTH = 3;
+const MAX_INLINE_DEPTH = 4;
+
+const FENCE = /^```\s*([\w+-]*)\s*$/;
+const QUOTE = /^>\s?(.*)$/;
+const UNORDERED_ITEM = /^\s*[-*]\s+(.*)$/;
+const ORDERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+
+// Order matters: code spans win over emphasis, bold over italics
+const INLINE_PATTERN = new RegExp([
+  '`([^`\\n]+)`',
+  '\\*\\*([^*\\n]+)\\*\\*',
+  '(?<![\\w])__([^_\\n]+)__(?![\\w])',
+  '\\*([^*\\n]+)\\*',
+  '(?<![\\w])_([^_\\n]+)_(?![\\w])',
+  '(https?:\\/\\/[^\\s<]*[^\\s<.,:;"\')\\]!?])'
+].join('|'), 'g');
+
+/**
+ * Parse inline formatting into text, strong, em, code and link nodes
+ */
+export const parseInline = (text, depth = 0) => {
+  if (depth >= MAX_INLINE_DEPTH) return [{ type: 'text', text }];
+
+  const nodes = [];
+  let last = 0;
+  const pushText = (value) => {
+    if (value) nodes.push({ type: 'text', text: value });
+  };
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [whole, code, bold, boldAlt, italic, italicAlt, url] = match;
+    pushText(text.slice(last, match.index));
+    last = match.index + whole.length;
+
+    if (code !== undefined) {
+      nodes.push({ type: 'code', text: code });
+    } else if (bold !== undefined || boldAlt !== undefined) {
+      nodes.push({ type: 'strong', children: parseInline(bold ?? boldAlt, depth + 1) });
+    } else if (italic !== undefined || italicAlt !== undefined) {
+      nodes.push({ type: 'em', children: parseInline(italic ?? italicAlt, depth + 1) });
+    } else {
+      const safeUrl = securityUtils.sanitizeUrl(url);
+      nodes.push(safeUrl ? { type: 'link', url: safeUrl, text: url } : { type: 'text', text: url });
+    }
+  }
+
+  pushText(text.slice(last));
+  return nodes;
+};
+
+/**
+ * Parse message text into block nodes: paragraph, code, list and quote
+ */
+export const parseMarkdown = (text, depth = 0) => {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = [];
+
+  const flushParagraph = () => {
+    if (paragraph.length > 0) {
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+      paragraph = [];
+    }
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      flushParagraph();
+      const code = [];
+      i++;
+      while (i < lines.length && !FENCE.test(lines[i])) {
+        code.push(lines[i]);
+        i++;
+      }
+      blocks.push({ type: 'code', language: fence[1].toLowerCase(), text: code.join('\n') });
+      continue;
+    }
+
+    if (QUOTE.test(line) && depth < MAX_QUOTE_DEPTH) {
+      flushParagraph();
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].match(QUOTE)[1]);
+        i++;
+      }
+      i--;
+      blocks.push({ type: 'quote', children: parseMarkdown(quoted.join('\n'), depth + 1) });
+      continue;
+    }
+
+    const listPattern = UNORDERED_ITEM.test(line) ? UNORDERED_ITEM : ORDERED_ITEM.test(line) ? ORDERED_ITEM : null;
+    if (listPattern) {
+      flushParagraph();
+      const items = [];
+      while (i < lines.length && listPattern.test(lines[i])) {
+        items.push(parseInline(lines[i].match(listPattern)[1]));
+        i++;
+      }
+      i--;
+      blocks.push({ type: 'list', ordered: listPattern === ORDERED_ITEM, items });
+      continue;
+    }
+
+    if (line.trim() === '') {
+      flushParagraph();
+    } else {
+      paragraph.push(line);
+    }
+  }
+
+  flushParagraph();
+  return blocks;
+};
+
+const KEYWORDS = new Set([
+  // JavaScript / TypeScript
+  'async', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'default', 'delete',
+  'do', 'else', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import', 'in',
+  'instanceof', 'interface', 'let', 'new', 'null', 'return', 'static', 'super', 'switch', 'this',
+  'throw', 'true', 'try', 'type', 'typeof', 'undefined', 'var', 'void', 'while', 'yield',
+  // Python, shell and friends
+  'and', 'as', 'def', 'elif', 'except', 'fi', 'from', 'lambda', 'None', 'not', 'or', 'pass',
+  'raise', 'self', 'then', 'True', 'False', 'with', 'echo', 'fn', 'pub', 'struct', 'impl', 'use'
+]);
+
+const HASH_COMMENT_LANGUAGES = new Set(['py', 'python', 'sh', 'bash', 'shell', 'zsh', 'rb', 'ruby', 'yaml', 'yml']);
+
+/**
+ * Split code into highlight tokens: keyword, string, comment, number or
+ * plain. A lightweight lexer, not a full grammar.
+ */
+export const highlightCode = (code, language = '') => {
+  const comment = HASH_COMMENT_LANGUAGES.has(language) ? '#[^\\n]*' : '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+  const pattern = new RegExp(
+    `(${comment})|("(?:[^"\\\\\\n]|\\\\.)*"|'(?:[^'\\\\\\n]|\\\\.)*'|\`(?:[^\`\\\\]|\\\\.)*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|([A-Za-z_$][\\w$]*)`,
+    'g'
+  );
+
+  const tokens = [];
+  let last = 0;
+  const pushPlain = (value) => {
+    if (value) tokens.push({ type: 'plain', text: value });
+  };
+
+  for (const match of code.matchAll(pattern)) {
+    const [whole, commentText, stringText, numberText, word] = match;
+    pushPlain(code.slice(last, match.index));
+    last = match.index + whole.length;
+
+    if (commentText !== undefined) {
+      tokens.push({ type: 'comment', text: whole });
+    } else if (stringText !== undefined) {
+      tokens.push({ type: 'string', text: whole });
+    } else if (numberText !== undefined) {
+      tokens.push({ type: 'number', text: whole });
+    } else if (KEYWORDS.has(word)) {
+      tokens.push({ type: 'keyword', text: whole });
+    } else {
+      pushPlain(whole);
+    }
+  }
+
+  pushPlain(code.slice(last));
+  return tokens;
+};
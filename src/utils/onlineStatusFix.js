@@ -4,8 +4,8 @@
  */
 
 import gunAuthService from '../services/gunAuthService';
-import hybridGunService from '../services/hybridGunService';
 import friendsService from '../services/friendsService';
+import presenceService from '../services/presenceService';
 // WebRTC removed - using Gun.js only
 
 class OnlineStatusManager {
@@ -49,59 +49,20 @@ class OnlineStatusManager {
     }
   }
 
-  // Update own online status
+  // Update own online status (encrypted to friends by presenceService)
   async updateOwnStatus() {
     const user = gunAuthService.getCurrentUser();
     if (!user) return;
 
-    const status = {
-      status: 'online',
-      lastSeen: Date.now(),
-      timestamp: Date.now()
-    };
-
-    // Update in Gun
-    try {
-      // Update in user space
-      gunAuthService.user.get('presence').put(status);
-
-      // Update in public space
-      gunAuthService.gun.get('presence').get(user.pub).put(status);
-
-      // Updated own presence
-    } catch (error) {
-      console.error('❌ Failed to update presence:', error);
-    }
+    presenceService.setOnline();
   }
 
   // Check a single friend's status
   async checkFriendStatus(publicKey) {
     try {
-      // Get presence from Gun
-      const presence = await new Promise((resolve) => {
-        gunAuthService.gun
-          .get('presence')
-          .get(publicKey)
-          .once((data) => {
-            resolve(data);
-          });
-      });
-
-      if (!presence) {
-        this.onlineUsers.set(publicKey, false);
-        return false;
-      }
-
-      // Check if online (seen in last 5 minutes)
-      const isOnline = presence.status === 'online' &&
-                      presence.lastSeen &&
-                      (Date.now() - presence.lastSeen) < 300000; // 5 minutes, not 30 seconds
-
+      const presence = await presenceService.checkFriendPresence(publicKey);
+      const isOnline = Boolean(presence?.online);
       this.onlineUsers.set(publicKey, isOnline);
-
-      // Only log significant changes, not every check
-      // console.log(`👤 Friend ${publicKey.substring(0, 8)}... is ${isOnline ? 'online' : 'offline'}`, presence);
-
       return isOnline;
     } catch (error) {
       console.error('❌ Error checking friend status:', error);
@@ -127,26 +88,19 @@ class OnlineStatusManager {
     }
   }
 
-  // Subscribe to friend's presence updates
+  // Subscribe to friends' presence updates
   subscribeFriendPresence(publicKey) {
-    gunAuthService.gun
-      .get('presence')
-      .get(publicKey)
-      .on((data) => {
-        if (data) {
-          const isOnline = data.status === 'online' &&
-                          data.lastSeen &&
-                          (Date.now() - data.lastSeen) < 30000;
-
-          const wasOnline = this.onlineUsers.get(publicKey);
-          this.onlineUsers.set(publicKey, isOnline);
-
-          if (wasOnline !== isOnline) {
-            console.log(`🔄 Friend ${publicKey.substring(0, 8)}... changed to ${isOnline ? 'online' : 'offline'}`);
-            this.notifyListeners();
-          }
-        }
-      });
+    return presenceService.onStatusChange((changedKey, presence) => {
+      if (changedKey !== publicKey) return;
+
+      const wasOnline = this.onlineUsers.get(publicKey);
+      this.onlineUsers.set(publicKey, presence.online);
+
+      if (wasOnline !== presence.online) {
+        console.log(`🔄 Friend ${publicKey.substring(0, 8)}... changed to ${presence.online ? 'online' : 'offline'}`);
+        this.notifyListeners();
+      }
+    });
   }
 
   // Get online status for a friend
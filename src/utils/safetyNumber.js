@@ -0,0 +1,66 @@
+/**
+ * Safety numbers
+ * A number two friends compare, in person or over another channel, to
+ * confirm each holds the other's real keys. Each side contributes a 30-digit
+ * fingerprint of its signing key (pub) and encryption key (epub), and the
+ * two are sorted so both friends see the same 60 digits. As in Signal, the
+ * hash is iterated so that searching for a key pair with a matching
+ * fingerprint is expensive.
+ */
+
+const VERSION = 1;
+const ITERATIONS = 5200;
+const QR_PREFIX = 'whisperz-safety';
+
+const encoder = new TextEncoder();
+
+const concat = (a, b) => {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a);
+  out.set(b, a.length);
+  return out;
+};
+
+async function fingerprint({ pub, epub }) {
+  const key = encoder.encode(`${pub}|${epub}`);
+  let hash = concat(new Uint8Array([0, VERSION]), key);
+  for (let i = 0; i < ITERATIONS; i++) {
+    hash = new Uint8Array(await crypto.subtle.digest('SHA-512', concat(hash, key)));
+  }
+
+  // Six 5-digit groups, each from 40 bits of the hash
+  let digits = '';
+  for (let offset = 0; offset < 30; offset += 5) {
+    const chunk = hash.slice(offset, offset + 5).reduce((value, byte) => value * 256 + byte, 0);
+    digits += String(chunk % 100000).padStart(5, '0');
+  }
+  return digits;
+}
+
+/**
+ * Safety number for a pair of users
+ * @param {{pub: string, epub: string}} local
+ * @param {{pub: string, epub: string}} remote
+ * @returns {Promise<string>} 60 digits, the same on both sides
+ */
+export async function computeSafetyNumber(local, remote) {
+  if (!local?.pub || !local.epub || !remote?.pub || !remote.epub) {
+    throw new Error('Both users need a public key and an encryption key');
+  }
+
+  const parts = await Promise.all([fingerprint(local), fingerprint(remote)]);
+  return parts.sort().join('');
+}
+
+// Twelve groups of five digits, as shown to the user
+export const formatSafetyNumber = (number) => number.match(/\d{5}/g).join(' ');
+
+export const safetyNumberQrValue = (number) => `${QR_PREFIX}:${VERSION}:${number}`;
+
+/**
+ * Safety number from a scanned QR code, or null if it is not one
+ */
+export const parseSafetyNumberQr = (value) => {
+  const match = /^whisperz-safety:(\d+):(\d{60})$/.exec(String(value || '').trim());
+  return match && Number(match[1]) === VERSION ? match[2] : null;
+};
@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+import { computeSafetyNumber, formatSafetyNumber, parseSafetyNumberQr, safetyNumberQrValue } from './safetyNumber';
+
+const alice = { pub: 'alice-pub', epub: 'alice-epub' };
+const bob = { pub: 'bob-pub', epub: 'bob-epub' };
+
+describe('safetyNumber', () => {
+  it('gives both friends the same 60 digits', async () => {
+    const number = await computeSafetyNumber(alice, bob);
+
+    expect(number).toMatch(/^\d{60}$/);
+    expect(await computeSafetyNumber(bob, alice)).toBe(number);
+  });
+
+  it('changes when either key changes', async () => {
+    const number = await computeSafetyNumber(alice, bob);
+
+    expect(await computeSafetyNumber(alice, { ...bob, epub: 'other-epub' })).not.toBe(number);
+    expect(await computeSafetyNumber({ ...alice, pub: 'other-pub' }, bob)).not.toBe(number);
+  });
+
+  it('requires both keys for both users', async () => {
+    await expect(computeSafetyNumber(alice, { pub: 'bob-pub' })).rejects.toThrow('Both users need');
+    await expect(computeSafetyNumber(null, bob)).rejects.toThrow('Both users need');
+  });
+
+  it('formats twelve groups of five digits', () => {
+    const formatted = formatSafetyNumber('0123456789'.repeat(6));
+
+    expect(formatted.split(' ')).toHaveLength(12);
+    expect(formatted.startsWith('01234 56789 ')).toBe(true);
+  });
+
+  it('round-trips through the QR value', async () => {
+    const number = await computeSafetyNumber(alice, bob);
+
+    expect(parseSafetyNumberQr(` ${safetyNumberQrValue(number)}\n`)).toBe(number);
+  });
+
+  it('rejects other QR codes', () => {
+    const digits = '1'.repeat(60);
+
+    expect(parseSafetyNumberQr(`whisperz-safety:2:${digits}`)).toBeNull();
+    expect(parseSafetyNumberQr(`whisperz-safety:1:${digits.slice(1)}`)).toBeNull();
+    expect(parseSafetyNumberQr('https://example.com')).toBeNull();
+    expect(parseSafetyNumberQr(null)).toBeNull();
+  });
+});
@@ -241,6 +241,21 @@ class SecurityUtils {
     };
   }
 
+  // Allow only absolute http(s) links without credentials; returns the
+  // normalized URL or null
+  sanitizeUrl(url) {
+    if (typeof url !== 'string' || url.length > 2048) return null;
+
+    try {
+      const parsed = new URL(url);
+      if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+      if (parsed.username || parsed.password) return null;
+      return parsed.href;
+    } catch {
+      return null;
+    }
+  }
+
   // XSS Protection for message rendering
   escapeHtml(text) {
     const map = {
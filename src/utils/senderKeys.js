@@ -0,0 +1,132 @@
+/**
+ * Sender Keys
+ * Group message encryption in the style of Signal's sender keys. Each
+ * member owns a symmetric chain (advanced per message, like a Double
+ * Ratchet sending chain) plus an ECDSA signing key, and distributes both
+ * to the other members over their pairwise sessions. A message is then
+ * encrypted once for the whole group.
+ * State objects are plain JSON so they can be persisted by groupService.
+ */
+
+import {
+  decryptWithMessageKey,
+  encryptWithMessageKey,
+  fromBase64,
+  kdfChainKey,
+  toBase64,
+} from './doubleRatchet';
+
+const MAX_SKIP = 1000;
+const SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_PARAMS = { name: 'ECDSA', hash: 'SHA-256' };
+
+const encoder = new TextEncoder();
+const subtle = () => globalThis.crypto.subtle;
+
+const cloneState = (state) => JSON.parse(JSON.stringify(state));
+
+const signedBytes = (iteration, ciphertext, ad) => encoder.encode(`${iteration}|${ciphertext}|${ad}`);
+
+/**
+ * Create our own sender key for one group epoch
+ */
+export const createSenderKey = async () => {
+  const pair = await subtle().generateKey(SIGNING_ALGORITHM, true, ['sign', 'verify']);
+  return {
+    chainKey: toBase64(globalThis.crypto.getRandomValues(new Uint8Array(32))),
+    iteration: 0,
+    signingPub: toBase64(await subtle().exportKey('raw', pair.publicKey)),
+    signingPriv: await subtle().exportKey('jwk', pair.privateKey),
+    skipped: [],
+  };
+};
+
+/**
+ * The part of our sender key other members receive (no signing secret)
+ */
+export const distributionFor = (state) => ({
+  chainKey: state.chainKey,
+  iteration: state.iteration,
+  signingPub: state.signingPub,
+});
+
+/**
+ * Receiving state for a sender key distributed by another member
+ */
+export const senderKeyFromDistribution = ({ chainKey, iteration, signingPub }) => {
+  if (!chainKey || !Number.isInteger(iteration) || !signingPub) {
+    throw new Error('Invalid sender key distribution');
+  }
+  return { chainKey, iteration, signingPub, skipped: [] };
+};
+
+/**
+ * Encrypt a plaintext string with our sender key. Returns the new state;
+ * callers must persist it before sending.
+ */
+export const senderKeyEncrypt = async (state, plaintext, ad) => {
+  if (!state.signingPriv) {
+    throw new Error('Sender key cannot send');
+  }
+
+  const next = cloneState(state);
+  const iteration = next.iteration;
+  const { chainKey, messageKey } = await kdfChainKey(next.chainKey);
+  next.chainKey = chainKey;
+  next.iteration += 1;
+
+  const ciphertext = toBase64(await encryptWithMessageKey(messageKey, plaintext, encoder.encode(ad)));
+  const signingKey = await subtle().importKey('jwk', next.signingPriv, SIGNING_ALGORITHM, false, ['sign']);
+  const signature = await subtle().sign(SIGNATURE_PARAMS, signingKey, signedBytes(iteration, ciphertext, ad));
+
+  return { state: next, iteration, ciphertext, signature: toBase64(signature) };
+};
+
+/**
+ * Verify and decrypt a group message. Never mutates the input state;
+ * throws on a bad signature, a consumed key or tampering.
+ */
+export const senderKeyDecrypt = async (state, iteration, ciphertext, signature, ad) => {
+  const verifyKey = await subtle().importKey('raw', fromBase64(state.signingPub), SIGNING_ALGORITHM, false, ['verify']);
+  const valid = await subtle().verify(
+    SIGNATURE_PARAMS,
+    verifyKey,
+    fromBase64(signature),
+    signedBytes(iteration, ciphertext, ad)
+  );
+  if (!valid) {
+    throw new Error('Invalid sender signature');
+  }
+
+  const next = cloneState(state);
+  let messageKey;
+
+  if (iteration < next.iteration) {
+    const index = next.skipped.findIndex((entry) => entry.n === iteration);
+    if (index === -1) {
+      throw new Error('Message key already used');
+    }
+    messageKey = next.skipped[index].mk;
+    next.skipped.splice(index, 1);
+  } else {
+    if (iteration - next.iteration > MAX_SKIP) {
+      throw new Error('Too many skipped messages');
+    }
+    while (next.iteration <= iteration) {
+      const step = await kdfChainKey(next.chainKey);
+      if (next.iteration < iteration) {
+        next.skipped.push({ n: next.iteration, mk: step.messageKey });
+      } else {
+        messageKey = step.messageKey;
+      }
+      next.chainKey = step.chainKey;
+      next.iteration += 1;
+    }
+    if (next.skipped.length > MAX_SKIP) {
+      next.skipped.splice(0, next.skipped.length - MAX_SKIP);
+    }
+  }
+
+  const plaintext = await decryptWithMessageKey(messageKey, fromBase64(ciphertext), encoder.encode(ad));
+  return { state: next, plaintext };
+};
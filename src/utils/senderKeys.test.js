@@ -0,0 +1,95 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createSenderKey,
+  distributionFor,
+  senderKeyDecrypt,
+  senderKeyEncrypt,
+  senderKeyFromDistribution,
+} from './senderKeys';
+
+const AD = 'group|1|alice';
+
+// A sender key and the receiving state a member builds from its distribution
+const setup = async () => {
+  const own = await createSenderKey();
+  return { own, peer: senderKeyFromDistribution(distributionFor(own)) };
+};
+
+const encrypt = async (state, text) => {
+  const result = await senderKeyEncrypt(state, text, AD);
+  return [result.state, result];
+};
+
+const decrypt = (state, message, ad = AD) =>
+  senderKeyDecrypt(state, message.iteration, message.ciphertext, message.signature, ad);
+
+describe('senderKeys', () => {
+  it('does not hand out the signing secret', async () => {
+    const { own } = await setup();
+    expect(distributionFor(own)).not.toHaveProperty('signingPriv');
+  });
+
+  it('rejects an incomplete distribution', () => {
+    expect(() => senderKeyFromDistribution({ chainKey: 'a', signingPub: 'b' })).toThrow('Invalid sender key distribution');
+  });
+
+  it('encrypts and decrypts a sequence of messages', async () => {
+    let { own, peer } = await setup();
+    for (const text of ['one', 'two', 'three']) {
+      let message;
+      [own, message] = await encrypt(own, text);
+      const result = await decrypt(peer, message);
+      peer = result.state;
+      expect(result.plaintext).toBe(text);
+    }
+  });
+
+  it('cannot encrypt with a received key', async () => {
+    const { peer } = await setup();
+    await expect(senderKeyEncrypt(peer, 'forged', AD)).rejects.toThrow('Sender key cannot send');
+  });
+
+  it('decrypts out-of-order messages with skipped keys, each only once', async () => {
+    let { own, peer } = await setup();
+    const messages = [];
+    for (const text of ['one', 'two', 'three']) {
+      let message;
+      [own, message] = await encrypt(own, text);
+      messages.push(message);
+    }
+
+    let result = await decrypt(peer, messages[2]);
+    expect(result.plaintext).toBe('three');
+    expect(result.state.skipped).toHaveLength(2);
+
+    result = await decrypt(result.state, messages[0]);
+    expect(result.plaintext).toBe('one');
+    await expect(decrypt(result.state, messages[0])).rejects.toThrow('Message key already used');
+  });
+
+  it('refuses to skip more than the limit', async () => {
+    const { own, peer } = await setup();
+    const [, message] = await encrypt({ ...own, iteration: 5000 }, 'far ahead');
+    await expect(decrypt(peer, message)).rejects.toThrow('Too many skipped messages');
+  });
+
+  it('rejects a bad signature, tampered ciphertext or other associated data', async () => {
+    const { own, peer } = await setup();
+    const other = await createSenderKey();
+    const [, message] = await encrypt(own, 'hello');
+    const [, forged] = await encrypt(other, 'hello');
+
+    await expect(decrypt(peer, { ...message, signature: forged.signature })).rejects.toThrow('Invalid sender signature');
+    await expect(decrypt(peer, { ...message, ciphertext: forged.ciphertext })).rejects.toThrow('Invalid sender signature');
+    await expect(decrypt(peer, message, 'group|2|alice')).rejects.toThrow('Invalid sender signature');
+  });
+
+  it('never mutates the input state', async () => {
+    const { own, peer } = await setup();
+    const [, message] = await encrypt(own, 'hello');
+    const snapshot = JSON.stringify(peer);
+
+    await decrypt(peer, message);
+    expect(JSON.stringify(peer)).toBe(snapshot);
+  });
+});
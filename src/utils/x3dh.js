@@ -0,0 +1,73 @@
+/**
+ * X3DH key agreement
+ * Derives the initial Double Ratchet keys from a published prekey bundle so
+ * a session can be started with a friend who is currently offline.
+ */
+
+import { deriveInitialKeys, dh, generateDH, hkdf } from './doubleRatchet';
+
+const X3DH_INFO = 'WhisperzX3DH';
+
+const concatSecrets = (secrets) => {
+  // Prefix with 32 0xFF bytes as in the X3DH spec (domain separation)
+  const total = 32 + secrets.reduce((sum, s) => sum + s.length, 0);
+  const result = new Uint8Array(total).fill(0xff, 0, 32);
+  let offset = 32;
+  for (const secret of secrets) {
+    result.set(secret, offset);
+    offset += secret.length;
+  }
+  return result;
+};
+
+const deriveSessionKeys = async (secrets) => {
+  const sk = await hkdf(concatSecrets(secrets), new Uint8Array(32), X3DH_INFO, 32);
+  return deriveInitialKeys(sk, X3DH_INFO);
+};
+
+/**
+ * Initiator side.
+ * @param {Object} identity - Our identity DH pair ({ pub, priv })
+ * @param {Object} bundle - { identityKey, signedPrekey: { id, pub }, oneTimePrekey?: { id, pub } }
+ * @returns {Object} { keys, ephemeralKey } - ratchet init keys and our ephemeral public key
+ */
+export const x3dhInitiate = async (identity, bundle) => {
+  const ephemeral = await generateDH();
+  const secrets = [
+    await dh(identity, bundle.signedPrekey.pub),
+    await dh(ephemeral, bundle.identityKey),
+    await dh(ephemeral, bundle.signedPrekey.pub),
+  ];
+  if (bundle.oneTimePrekey) {
+    secrets.push(await dh(ephemeral, bundle.oneTimePrekey.pub));
+  }
+
+  return { keys: await deriveSessionKeys(secrets), ephemeralKey: ephemeral.pub };
+};
+
+/**
+ * Responder side.
+ * @param {Object} identity - Our identity DH pair
+ * @param {Object} signedPrekey - Our signed prekey pair
+ * @param {Object|null} oneTimePrekey - Our one-time prekey pair, if one was used
+ * @param {string} remoteIdentityKey - Initiator's identity public key
+ * @param {string} ephemeralKey - Initiator's ephemeral public key
+ */
+export const x3dhRespond = async (
+  identity,
+  signedPrekey,
+  oneTimePrekey,
+  remoteIdentityKey,
+  ephemeralKey
+) => {
+  const secrets = [
+    await dh(signedPrekey, remoteIdentityKey),
+    await dh(identity, ephemeralKey),
+    await dh(signedPrekey, ephemeralKey),
+  ];
+  if (oneTimePrekey) {
+    secrets.push(await dh(oneTimePrekey, ephemeralKey));
+  }
+
+  return deriveSessionKeys(secrets);
+};
@@ -0,0 +1,61 @@
+import { describe, expect, it } from 'vitest';
+import { generateDH, initReceiver, initSender, ratchetDecrypt, ratchetEncrypt } from './doubleRatchet';
+import { x3dhInitiate, x3dhRespond } from './x3dh';
+
+const setup = async ({ withOneTimePrekey = true } = {}) => {
+  const alice = await generateDH();
+  const bob = await generateDH();
+  const signedPrekey = await generateDH();
+  const oneTimePrekey = withOneTimePrekey ? await generateDH() : null;
+  const bundle = {
+    identityKey: bob.pub,
+    signedPrekey: { id: 'spk1', pub: signedPrekey.pub },
+    ...(oneTimePrekey && { oneTimePrekey: { id: 'opk1', pub: oneTimePrekey.pub } }),
+  };
+  return { alice, bob, signedPrekey, oneTimePrekey, bundle };
+};
+
+describe('x3dh', () => {
+  it('derives the same keys on both sides with a one-time prekey', async () => {
+    const { alice, bob, signedPrekey, oneTimePrekey, bundle } = await setup();
+    const { keys, ephemeralKey } = await x3dhInitiate(alice, bundle);
+    const responderKeys = await x3dhRespond(bob, signedPrekey, oneTimePrekey, alice.pub, ephemeralKey);
+
+    expect(responderKeys).toEqual(keys);
+  });
+
+  it('derives the same keys on both sides without a one-time prekey', async () => {
+    const { alice, bob, signedPrekey, bundle } = await setup({ withOneTimePrekey: false });
+    const { keys, ephemeralKey } = await x3dhInitiate(alice, bundle);
+
+    expect(await x3dhRespond(bob, signedPrekey, null, alice.pub, ephemeralKey)).toEqual(keys);
+  });
+
+  it('derives different keys when the responder skips the one-time prekey', async () => {
+    const { alice, bob, signedPrekey, bundle } = await setup();
+    const { keys, ephemeralKey } = await x3dhInitiate(alice, bundle);
+
+    expect(await x3dhRespond(bob, signedPrekey, null, alice.pub, ephemeralKey)).not.toEqual(keys);
+  });
+
+  it('derives different keys for a different initiator identity', async () => {
+    const { alice, bob, signedPrekey, oneTimePrekey, bundle } = await setup();
+    const mallory = await generateDH();
+    const { keys, ephemeralKey } = await x3dhInitiate(alice, bundle);
+
+    expect(await x3dhRespond(bob, signedPrekey, oneTimePrekey, mallory.pub, ephemeralKey)).not.toEqual(keys);
+  });
+
+  it('bootstraps a Double Ratchet session', async () => {
+    const { alice, bob, signedPrekey, oneTimePrekey, bundle } = await setup();
+    const { keys, ephemeralKey } = await x3dhInitiate(alice, bundle);
+    const responderKeys = await x3dhRespond(bob, signedPrekey, oneTimePrekey, alice.pub, ephemeralKey);
+
+    const sender = await initSender(keys, bundle.signedPrekey.pub);
+    const receiver = initReceiver(responderKeys, signedPrekey);
+    const sent = await ratchetEncrypt(sender, 'first contact', 'ad');
+    const received = await ratchetDecrypt(receiver, sent.header, sent.ciphertext, 'ad');
+
+    expect(received.plaintext).toBe('first contact');
+  });
+});